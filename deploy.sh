@@ -1,61 +1,369 @@
 #!/bin/bash
 # MJ Bot Deploy Script
+#
+#   ./deploy.sh build [version]        (in a checkout) package FILES into dist/<version>/
+#   ./deploy.sh [deploy] [version|file] (on the server) install a release, health check, roll back on failure
+#   ./deploy.sh rollback [version]      switch back to the previous (or given) release
+#   ./deploy.sh status                  show installed releases and the active one
+#
+# A release is a tarball of source files only: VERSION, MANIFEST (sha256 per
+# file) and src/. It is verified against its .sha256 (or MJ_BUNDLE_SHA256 when
+# pinned) and its MANIFEST before anything is switched. Secrets never travel
+# with it: .env, .env.<profile>, data/ and node_modules/ stay in the bot dir and
+# are symlinked into each release.
+#
+# Layout on the server:
+#   $BOT_DIR/releases/<version>/   one directory per install
+#   $BOT_DIR/current -> releases/<version>   switched atomically
+#   $BOT_DIR/releases/HISTORY      activated versions, oldest first
+#
+# Docker: the mj-bot container must bind-mount $BOT_DIR/current (e.g.
+# -v /opt/mj-bot/current:/app). Bare node: the bot runs from $BOT_DIR/current
+# and its pid is kept in $BOT_DIR/mj-bot.pid.
 
-set -e
-REPO="https://raw.githubusercontent.com/Greentruthnyc420/mj-bot-deploy/main"
+set -eo pipefail
+RELEASES_URL="${MJ_RELEASES_URL:-https://github.com/Greentruthnyc420/mj-bot-deploy/releases}"
+HEALTH_TIMEOUT="${MJ_HEALTH_TIMEOUT:-60}"
+KEEP_RELEASES="${MJ_KEEP_RELEASES:-5}"
+LOG_FILE="$HOME/mary-jane.log"
 
-# Auto-detect bot directory
-if [ -d "/opt/mj-bot" ]; then
-    BOT_DIR="/opt/mj-bot"
-elif [ -d "$HOME/chronic-coder" ]; then
-    BOT_DIR="$HOME/chronic-coder"
-else
-    echo "ERROR: Cannot find bot directory!"
-    exit 1
-fi
-
-echo "=== MJ Bot Deploy ==="
-echo "Bot dir: $BOT_DIR"
-
-# Download updated files
-echo "Downloading config.js..."
-curl -sL "$REPO/src/config.js" -o "$BOT_DIR/src/config.js"
-echo "OK"
-
-echo "Downloading claude.js..."
-curl -sL "$REPO/src/brain/claude.js" -o "$BOT_DIR/src/brain/claude.js"
-echo "OK"
-
-echo "Downloading .env..."
-curl -sL "$REPO/.env" -o "$BOT_DIR/.env"
-echo "OK"
-
-# Restart bot - try docker first, then direct node
-echo "Restarting bot..."
-if command -v docker &>/dev/null && docker ps -q --filter name=mj-bot 2>/dev/null | grep -q .; then
-    echo "Restarting Docker container..."
-    docker restart mj-bot
-    sleep 3
-    docker logs --tail 20 mj-bot
-else
-    echo "Restarting node process..."
-    cd $BOT_DIR
-    PID=$(ps aux | grep "node src/index.js" | grep -v grep | awk '{print $2}')
-    if [ ! -z "$PID" ]; then
-        kill $PID 2>/dev/null || true
-        sleep 2
+# Files shipped by this repo (paths relative to the bot dir)
+FILES=(
+    src/config.js
+    src/config-schema.js
+    src/brain/claude.js
+    src/brain/router.js
+    src/brain/intents.js
+    src/brain/pending-actions.js
+    src/brain/jobs.js
+    src/brain/proactive.js
+    src/brain/doc-writer.js
+    src/brain/voice.js
+    src/brain/media.js
+    src/channels/base.js
+    src/channels/sms.js
+    src/brain/recipient-check.js
+    src/brain/structured.js
+    src/brain/streaming.js
+    src/utils/time.js
+    src/utils/sse.js
+    src/utils/telegram-stream.js
+    src/utils/db.js
+    src/utils/usage-ledger.js
+    src/utils/token-store.js
+    src/brain/codex-auth.js
+    src/brain/context-builder.js
+    src/brain/conversation-summary.js
+    src/brain/conversation-history.js
+    src/brain/tool-loop.js
+    src/brain/backend-tools.js
+    src/utils/tool-audit.js
+    src/utils/metrics.js
+    src/utils/http-server.js
+    src/brain/admin-api.js
+    src/utils/user-profiles.js
+    src/utils/permissions.js
+    src/utils/circuit-breaker.js
+    src/brain/local-classifier.js
+    src/brain/classifier-seeds.js
+    src/brain/prompts.js
+    src/brain/providers/index.js
+    src/brain/providers/base.js
+    src/brain/providers/gemini.js
+    src/brain/providers/openai.js
+    src/brain/providers/anthropic.js
+    src/brain/providers/mock.js
+)
+
+# Kept in the bot dir, linked into every release, never part of a bundle
+SHARED=(node_modules data)
+
+die() { echo "ERROR: $*" >&2; exit 1; }
+
+find_bot_dir() {
+    if [ -n "$MJ_BOT_DIR" ]; then
+        BOT_DIR="$MJ_BOT_DIR"
+    elif [ -d "/opt/mj-bot" ]; then
+        BOT_DIR="/opt/mj-bot"
+    elif [ -d "$HOME/chronic-coder" ]; then
+        BOT_DIR="$HOME/chronic-coder"
+    else
+        die "Cannot find bot directory! (set MJ_BOT_DIR)"
     fi
-    nohup npm start > ~/mary-jane.log 2>&1 &
-    sleep 3
-    NEW_PID=$(ps aux | grep "node src/index.js" | grep -v grep | awk '{print $2}')
-    if [ ! -z "$NEW_PID" ]; then
-        echo "Bot started! PID: $NEW_PID"
+    RELEASES="$BOT_DIR/releases"
+    HISTORY="$RELEASES/HISTORY"
+    PID_FILE="$BOT_DIR/mj-bot.pid"
+    mkdir -p "$RELEASES"
+    touch "$HISTORY"
+}
+
+current_version() {
+    [ -L "$BOT_DIR/current" ] && basename "$(readlink "$BOT_DIR/current")" || true
+}
+
+# ---------------------------------------------------------------- build
+
+build() {
+    local version="${1:-$(date -u +%Y.%m.%d)-$(git rev-parse --short HEAD)}"
+    [[ "$version" =~ ^[A-Za-z0-9._-]+$ ]] || die "Bad version \"$version\""
+    local out="dist/$version"
+    local stage
+    stage=$(mktemp -d)
+    trap 'rm -rf "$stage"' RETURN
+
+    for f in "${FILES[@]}"; do
+        [[ "$f" == src/* && "$(basename "$f")" != .env* ]] || die "$f is not a source file; bundles only carry src/"
+        [ -f "$f" ] || die "Missing $f"
+        mkdir -p "$stage/$(dirname "$f")"
+        cp "$f" "$stage/$f"
+    done
+    echo "$version" > "$stage/VERSION"
+    (cd "$stage" && sha256sum "${FILES[@]}" > MANIFEST)
+
+    mkdir -p "$out"
+    local bundle="$out/mj-bot-$version.tar.gz"
+    tar -C "$stage" --sort=name --owner=0 --group=0 --numeric-owner --mtime=@0 -czf "$bundle" VERSION MANIFEST src
+    (cd "$out" && sha256sum "mj-bot-$version.tar.gz" > "mj-bot-$version.tar.gz.sha256")
+    echo "$version" > "$out/VERSION"
+
+    echo "=== Built $bundle ==="
+    cat "$bundle.sha256"
+    echo "Publish: gh release create $version $out/*"
+}
+
+# ---------------------------------------------------------------- fetch + verify
+
+# Puts the verified bundle contents in $STAGE and its version in $VERSION
+fetch_bundle() {
+    local want="$1"
+    local work
+    work=$(mktemp -d)
+    STAGE="$work/stage"
+    mkdir -p "$STAGE"
+    trap 'rm -rf "$work"' EXIT
+
+    local bundle sums
+    if [ -f "$want" ]; then
+        bundle="$want"
+        sums="$want.sha256"
+        [ -f "$sums" ] || [ -n "$MJ_BUNDLE_SHA256" ] || die "No $sums next to the bundle (or set MJ_BUNDLE_SHA256)"
+    else
+        if [ -z "$want" ] || [ "$want" = "latest" ]; then
+            want=$(curl -sfL "$RELEASES_URL/latest/download/VERSION") || die "Cannot resolve the latest release"
+        fi
+        [[ "$want" =~ ^[A-Za-z0-9._-]+$ ]] || die "Bad version \"$want\""
+        bundle="$work/mj-bot-$want.tar.gz"
+        sums="$bundle.sha256"
+        echo "Downloading release $want..."
+        curl -sfL --proto '=https' "$RELEASES_URL/download/$want/mj-bot-$want.tar.gz" -o "$bundle" || die "Download failed"
+        curl -sfL --proto '=https' "$RELEASES_URL/download/$want/mj-bot-$want.tar.gz.sha256" -o "$sums" || die "Checksum download failed"
+    fi
+
+    local expected actual
+    expected="${MJ_BUNDLE_SHA256:-$(awk '{print $1}' "$sums")}"
+    actual=$(sha256sum "$bundle" | awk '{print $1}')
+    [ "$expected" = "$actual" ] || die "Checksum mismatch for $(basename "$bundle"): expected $expected, got $actual"
+    echo "Checksum OK ($actual)"
+
+    # Only VERSION, MANIFEST and src/ — no absolute paths, no .., no env files
+    local entry
+    while read -r entry; do
+        case "$entry" in
+            VERSION|MANIFEST|src/|src/*) ;;
+            *) die "Unexpected entry in bundle: $entry" ;;
+        esac
+        [[ "$entry" != *..* && "$(basename "$entry")" != .env* ]] || die "Refusing bundle entry: $entry"
+    done < <(tar -tzf "$bundle")
+
+    tar -C "$STAGE" -xzf "$bundle"
+    (cd "$STAGE" && sha256sum --quiet -c MANIFEST) || die "MANIFEST check failed"
+    VERSION=$(cat "$STAGE/VERSION")
+    [[ "$VERSION" =~ ^[A-Za-z0-9._-]+$ ]] || die "Bad VERSION in bundle"
+}
+
+# ---------------------------------------------------------------- releases
+
+# Copy everything the bundle doesn't carry (src/index.js, package.json, ...) from
+# the running install, then lay the bundle on top and link the shared state.
+make_release() {
+    local dest="$RELEASES/$VERSION"
+    [ "$(current_version)" != "$VERSION" ] || die "$VERSION is already the active release"
+    rm -rf "$dest"
+    mkdir -p "$dest"
+
+    local from="$BOT_DIR"
+    [ -L "$BOT_DIR/current" ] && from="$(readlink -f "$BOT_DIR/current")"
+    tar -C "$from" --exclude=./releases --exclude=./current --exclude=./.git --exclude='./.env*' \
+        --exclude=./node_modules --exclude=./data --exclude='./*.pid' --exclude='./*.log' -cf - . | tar -C "$dest" -xf -
+    cp -R "$STAGE/src/." "$dest/src/"
+    cp "$STAGE/VERSION" "$STAGE/MANIFEST" "$dest/"
+
+    mkdir -p "$BOT_DIR/data"
+    for name in "${SHARED[@]}"; do
+        [ -e "$BOT_DIR/$name" ] && ln -sfn "$BOT_DIR/$name" "$dest/$name"
+    done
+    for env in "$BOT_DIR"/.env*; do
+        [ -f "$env" ] && ln -sfn "$env" "$dest/$(basename "$env")"
+    done
+    echo "Installed $dest"
+}
+
+# Validates the release's config (exits non-zero on errors) and prints the port
+release_port() {
+    local dir="$1"
+    if [ -n "$MJ_HEALTH_PORT" ]; then
+        echo "$MJ_HEALTH_PORT"
+    elif command -v node &>/dev/null && [ -d "$dir/node_modules/dotenv" ]; then
+        (cd "$dir" && node --input-type=module -e "const { config } = await import('./src/config.js'); console.log('PORT=' + config.port);") \
+            | tee /dev/stderr | sed -n 's/^PORT=//p' | tail -1
     else
-        echo "ERROR: Bot did not start. Check: tail -f ~/mary-jane.log"
-        tail -20 ~/mary-jane.log 2>/dev/null || true
-        exit 1
+        local port
+        port=$(sed -n 's/^PORT=//p' "$BOT_DIR/.env" 2>/dev/null | tail -1)
+        echo "${port:-3000}"
     fi
-fi
+}
+
+switch_to() {
+    ln -sfn "releases/$1" "$BOT_DIR/current.tmp"
+    mv -Tf "$BOT_DIR/current.tmp" "$BOT_DIR/current"
+    echo "current -> releases/$1"
+}
+
+prune() {
+    local keep=() v
+    mapfile -t keep < <(awk '!seen[$0]++' <(tac "$HISTORY") | head -n "$KEEP_RELEASES")
+    for dir in "$RELEASES"/*/; do
+        v=$(basename "$dir")
+        [[ " ${keep[*]} " == *" $v "* || "$v" == "$(current_version)" ]] || { echo "Pruning $v"; rm -rf "$dir"; }
+    done
+}
+
+# ---------------------------------------------------------------- restart + health
+
+use_docker() {
+    command -v docker &>/dev/null && docker ps -aq --filter name='^mj-bot$' 2>/dev/null | grep -q .
+}
+
+restart_bot() {
+    if use_docker; then
+        docker inspect -f '{{range .Mounts}}{{.Source}} {{end}}' mj-bot | grep -q "$BOT_DIR/current" \
+            || echo "WARNING: mj-bot does not mount $BOT_DIR/current; it will not see the new release"
+        echo "Restarting Docker container..."
+        docker restart mj-bot >/dev/null
+        return
+    fi
+
+    local pid=""
+    if [ -f "$PID_FILE" ]; then
+        pid=$(cat "$PID_FILE")
+    else
+        # Installs from before releases/ have no pid file: look for a node process running in the bot dir
+        for p in $(pgrep -x node || true); do
+            [ "$(readlink "/proc/$p/cwd")" = "$BOT_DIR" ] && pid="$p" && break
+        done
+        [ -n "$pid" ] && echo "No pid file; stopping pre-release bot process $pid"
+    fi
+    if [ -n "$pid" ] && kill -0 "$pid" 2>/dev/null; then
+        kill "$pid"
+        for _ in $(seq 1 10); do kill -0 "$pid" 2>/dev/null || break; sleep 1; done
+        kill -0 "$pid" 2>/dev/null && kill -9 "$pid"
+    fi
+
+    echo "Starting node process..."
+    (cd "$BOT_DIR/current" || exit 1; nohup node src/index.js >> "$LOG_FILE" 2>&1 & echo $! > "$PID_FILE")
+}
+
+healthy() {
+    local port="$1" url deadline
+    url="http://127.0.0.1:$port/healthz"
+    deadline=$((SECONDS + HEALTH_TIMEOUT))
+    echo "Health check: $url (up to ${HEALTH_TIMEOUT}s)"
+    while [ $SECONDS -lt $deadline ]; do
+        if use_docker; then
+            docker exec mj-bot node -e "fetch('$url').then(r => process.exit(r.ok ? 0 : 1), () => process.exit(1))" 2>/dev/null && return 0
+        else
+            kill -0 "$(cat "$PID_FILE" 2>/dev/null)" 2>/dev/null || { echo "Bot process exited"; return 1; }
+            curl -sf -o /dev/null --max-time 5 "$url" && return 0
+        fi
+        sleep 2
+    done
+    return 1
+}
+
+show_logs() {
+    if use_docker; then docker logs --tail 20 mj-bot 2>&1; else tail -20 "$LOG_FILE" 2>/dev/null || true; fi
+}
+
+# Switch to $1, restart and health check; on failure go back to $2 (if any)
+activate() {
+    local version="$1" previous="$2" port
+    port=$(release_port "$RELEASES/$version") || die "Config check failed for $version; nothing was switched"
+    switch_to "$version"
+    restart_bot
+    if healthy "$port"; then
+        echo "$version" >> "$HISTORY"
+        return 0
+    fi
+
+    echo "ERROR: $version failed its health check"
+    show_logs
+    if [ -n "$previous" ] && [ -d "$RELEASES/$previous" ]; then
+        echo "Rolling back to $previous..."
+        switch_to "$previous"
+        restart_bot
+        healthy "$(release_port "$RELEASES/$previous")" && echo "Rolled back to $previous" || echo "ERROR: $previous is not healthy either"
+    fi
+    exit 1
+}
+
+# ---------------------------------------------------------------- commands
+
+deploy() {
+    find_bot_dir
+    echo "=== MJ Bot Deploy ==="
+    echo "Bot dir: $BOT_DIR"
+    fetch_bundle "$1"
+    local previous
+    previous=$(current_version)
+    make_release
+    activate "$VERSION" "$previous"
+    prune
+    echo "=== Deploy complete: $VERSION ==="
+    echo "Check logs: tail -f $LOG_FILE (or: docker logs -f mj-bot)"
+}
+
+rollback() {
+    find_bot_dir
+    local current target="$1"
+    current=$(current_version)
+    if [ -z "$target" ]; then
+        target=$(grep -vxF "${current:-/}" "$HISTORY" | tail -1)
+    fi
+    [ -n "$target" ] || die "No earlier release to roll back to"
+    [ -d "$RELEASES/$target" ] || die "Release $target is not installed"
+    [ "$target" != "$current" ] || die "$target is already active"
+    echo "=== Rolling back $current -> $target ==="
+    activate "$target" "$current"
+    echo "=== Rollback complete: $target ==="
+}
+
+status() {
+    find_bot_dir
+    local current
+    current=$(current_version)
+    echo "Bot dir: $BOT_DIR"
+    for dir in "$RELEASES"/*/; do
+        [ -d "$dir" ] || continue
+        local v
+        v=$(basename "$dir")
+        echo "$([ "$v" = "$current" ] && echo '*' || echo ' ') $v"
+    done
+}
 
-echo "=== Deploy complete ==="
-echo "Check logs: tail -f ~/mary-jane.log (or: docker logs -f mj-bot)"
+case "${1:-deploy}" in
+    build) build "$2" ;;
+    deploy) deploy "$2" ;;
+    rollback) rollback "$2" ;;
+    status) status ;;
+    *) deploy "$1" ;;
+esac
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Offline accuracy of the local classifier (src/brain/local-classifier.js).
+ *
+ *   node scripts/eval-classifier.js [--set file.jsonl] [--threshold 0.8] [--log] [--errors]
+ *
+ * --set        labelled JSONL, one { "message", "label" } per line (default: scripts/classifier-eval.jsonl)
+ * --threshold  confidence needed to skip the LLM classifier (default: LOCAL_CLASSIFIER_MIN_CONFIDENCE)
+ * --log        also train on the routing decisions logged in the bot's database
+ * --errors     list every misclassified message
+ *
+ * Prints overall accuracy, per-label precision/recall, and how many messages
+ * clear the threshold (the LLM calls saved) with the accuracy on just those.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+
+// Only --log needs the bot's own settings (its database); otherwise the test profile needs no tokens or data files
+if (!args.includes('--log')) process.env.MJ_PROFILE ||= 'test';
+const { LocalClassifier, seedsFromPrompt } = await import('../src/brain/local-classifier.js');
+const { PROMPTS } = await import('../src/brain/prompts.js');
+const option = (name, fallback) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : fallback; };
+
+const setFile = option('--set', path.join(here, 'classifier-eval.jsonl'));
+const threshold = option('--threshold') !== undefined ? parseFloat(option('--threshold')) : undefined;
+const set = fs.readFileSync(setFile, 'utf8').split('\n').filter(line => line.trim()).map((line, i) => {
+    try { return JSON.parse(line); } catch { throw new Error(`${setFile}:${i + 1}: not JSON`); }
+});
+
+const classifier = new LocalClassifier({ useLog: args.includes('--log'), minConfidence: threshold });
+classifier.addSeeds(seedsFromPrompt(PROMPTS.classifier));
+classifier.train();
+
+const perLabel = new Map();
+const stat = (label) => { if (!perLabel.has(label)) perLabel.set(label, { tp: 0, fp: 0, fn: 0 }); return perLabel.get(label); };
+let correct = 0, confident = 0, confidentCorrect = 0;
+const errors = [];
+for (const { message, label } of set) {
+    const guess = classifier.predict(message);
+    const ok = guess.label === label;
+    if (ok) { correct++; stat(label).tp++; } else { stat(label).fn++; if (guess.label) stat(guess.label).fp++; errors.push({ message, label, guess }); }
+    if (guess.confident) { confident++; if (ok) confidentCorrect++; }
+}
+
+const pct = (n, d) => (d ? `${((n / d) * 100).toFixed(1)}%` : '-');
+console.log(`Set: ${path.relative(process.cwd(), setFile)} (${set.length} messages), threshold ${classifier.threshold}`);
+console.log(`Accuracy: ${pct(correct, set.length)} (${correct}/${set.length})`);
+console.log(`Above threshold: ${pct(confident, set.length)} of messages skip the LLM, ${pct(confidentCorrect, confident)} of those correct`);
+console.log('\nlabel        precision  recall');
+for (const [label, { tp, fp, fn }] of [...perLabel].sort()) console.log(`${label.padEnd(12)} ${pct(tp, tp + fp).padStart(9)}  ${pct(tp, tp + fn).padStart(6)}`);
+if (args.includes('--errors')) {
+    console.log('\nMisclassified:');
+    for (const { message, label, guess } of errors) console.log(`  [${label} -> ${guess.label} ${guess.confidence}${guess.confident ? ' !' : ''}] ${message}`);
+}
@@ -0,0 +1,148 @@
+import fs from 'fs';
+import { config, profile, featureStatus, redactSecrets } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+import { tokenStore } from '../utils/token-store.js';
+import { userProfiles } from '../utils/user-profiles.js';
+import { toolAudit } from '../utils/tool-audit.js';
+import { breakers } from '../utils/circuit-breaker.js';
+import { httpServer, checkToken } from '../utils/http-server.js';
+
+export const ROUTE_MODES = ['smart', 'gemini', 'claude'];
+
+const startedAt = Date.now();
+
+/** A response body with any configured secret masked: provider errors and breaker reasons can quote a URL with its key */
+function scrub(body) {
+    return JSON.parse(redactSecrets(JSON.stringify(body)));
+}
+
+function releaseVersion() {
+    try { return fs.readFileSync('VERSION', 'utf8').trim(); } catch { return null; }
+}
+
+/** Per-provider status for /healthz. `issues` lists what makes the bot degraded. */
+export function providerHealth(brain) {
+    const issues = [];
+    const { gemini, backend } = brain.providers;
+    const tier = (key) => ({ configured: !!key, dedicated: !!key && key !== config.geminiApiKey });
+
+    const codex = brain.codexAuth?.hasCredentials?.() ? brain.codexAuth.health() : null;
+    for (const [name, account] of Object.entries(codex || {})) {
+        if (account.status === 'failed') issues.push(`codex account ${name}: ${account.lastError || 'refresh failed'}`);
+    }
+
+    const googleAccounts = tokenStore.health().google || {};
+    if (tokenStore.unreadable) issues.push(`token store unreadable, not saving: ${tokenStore.unreadable}`);
+    // The owner's Google account, not whoever messaged last
+    const owner = brain._skillsFor(config.allowedUsers[0]);
+    for (const [name, account] of Object.entries(googleAccounts)) {
+        if (account.status === 'failed') issues.push(`google account ${name}: ${account.lastError || 'refresh failed'}`);
+    }
+
+    if (!gemini.isReady()) issues.push('gemini: GEMINI_API_KEY not set');
+    if (!backend.isReady()) issues.push(`backend ${backend.name}: not configured`);
+
+    const circuits = breakers.snapshot();
+    for (const [name, circuit] of Object.entries(circuits)) {
+        if (circuit.state !== 'closed') issues.push(`circuit ${name} ${circuit.state}: ${circuit.lastError || 'failing'}`);
+    }
+
+    return {
+        issues,
+        providers: {
+            gemini: {
+                ready: gemini.isReady(),
+                available: gemini.isAvailable(),
+                model: gemini.model,
+                tiers: { primary: { configured: !!config.geminiApiKey }, agent: tier(config.geminiAgentKey), background: tier(config.geminiBackgroundKey) },
+            },
+            backend: { provider: backend.name, model: backend.model, ready: backend.isReady(), available: backend.isAvailable() },
+            codex: codex ? { accounts: codex } : { configured: false },
+            google: { ready: !!owner.googleWorkspace?.isReady?.(), accounts: googleAccounts },
+            mcp: { connected: !!brain.mcpBridge, tools: typeof brain.mcpBridge?.listTools === 'function' },
+        },
+        circuits,
+    };
+}
+
+function requireAdmin(req) {
+    if (!config.adminToken) throw Object.assign(new Error('Admin API disabled: set ADMIN_TOKEN'), { status: 403 });
+    if (!checkToken(req, config.adminToken)) throw Object.assign(new Error('Unauthorized'), { status: 401 });
+}
+
+/**
+ * /healthz, /metrics and /admin on the shared HTTP server.
+ *
+ *   GET  /healthz              200 ok|degraded, 503 when no model provider is usable (unconfigured or circuit open)
+ *   GET  /metrics              Prometheus text (see ../utils/metrics.js)
+ *   GET  /admin                recent routing decisions, refusals and breaker changes, route mode, features (Bearer ADMIN_TOKEN)
+ *   POST /admin/route-mode     { "mode": "smart"|"gemini"|"claude" }             (Bearer ADMIN_TOKEN)
+ *   GET  /admin/users          stored user profiles                              (Bearer ADMIN_TOKEN)
+ *   POST /admin/users/google   { "userId", "account" } link, account null unlinks (Bearer ADMIN_TOKEN)
+ *
+ * Nothing here returns secrets: token health comes from tokenStore.health(),
+ * and /healthz and /admin bodies go through redactSecrets().
+ */
+export function registerAdminRoutes(server, brain) {
+    server.route('GET', '/healthz', () => {
+        const { issues, providers, circuits } = providerHealth(brain);
+        const down = !providers.gemini.available && !providers.backend.available;
+        return {
+            status: down ? 503 : 200,
+            body: scrub({
+                status: down ? 'down' : issues.length ? 'degraded' : 'ok',
+                issues,
+                version: releaseVersion(),
+                profile,
+                uptimeSec: Math.round((Date.now() - startedAt) / 1000),
+                routeMode: brain.routeMode,
+                providers,
+                circuits,
+            }),
+        };
+    });
+
+    server.route('GET', '/metrics', () => {
+        metrics.set('mj_uptime_seconds', {}, Math.round((Date.now() - startedAt) / 1000));
+        return { headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }, body: metrics.render() };
+    });
+
+    server.route('GET', '/admin', ({ req, query }) => {
+        requireAdmin(req);
+        const limit = Math.min(200, Math.max(1, parseInt(query.limit || '50', 10) || 50));
+        return { body: scrub({ routeMode: brain.routeMode, routeModes: ROUTE_MODES, recentRoutes: brain.recentRoutes.slice(0, limit), recentDenials: toolAudit.denials(limit), breakerEvents: brain.breakerEvents.slice(0, limit), localClassifier: brain.localClassifier?.stats() || null, jobs: brain.jobs.stats(), voice: brain.voice?.stats() || null, features: featureStatus() }) };
+    });
+
+    server.route('POST', '/admin/route-mode', ({ req, body }) => {
+        requireAdmin(req);
+        if (!ROUTE_MODES.includes(body.mode)) throw Object.assign(new Error(`mode must be one of ${ROUTE_MODES.join(', ')}`), { status: 400 });
+        logger.info(`Admin: route mode ${brain.routeMode} -> ${body.mode}`);
+        brain.routeMode = body.mode;
+        return { body: { routeMode: brain.routeMode } };
+    });
+
+    server.route('GET', '/admin/users', ({ req }) => {
+        requireAdmin(req);
+        return { body: { users: userProfiles.list() } };
+    });
+
+    // The only way to give a user Google access besides GOOGLE_ACCOUNTS: chat can't do it
+    server.route('POST', '/admin/users/google', ({ req, body }) => {
+        requireAdmin(req);
+        if (!body.userId) throw Object.assign(new Error('userId is required'), { status: 400 });
+        if (body.account !== null && (typeof body.account !== 'string' || !/^[\w.@-]{1,64}$/.test(body.account))) {
+            throw Object.assign(new Error('account must be a token-store account name, or null to unlink'), { status: 400 });
+        }
+        return { body: userProfiles.linkGoogle(String(body.userId), body.account) };
+    });
+
+    return server;
+}
+
+/** Register the routes for `brain` and listen on config.port */
+export function startAdminServer(brain, server = httpServer) {
+    registerAdminRoutes(server, brain);
+    server.start(config.port);
+    return server;
+}
@@ -0,0 +1,156 @@
+import { logger } from '../utils/logger.js';
+import { localNow } from '../utils/time.js';
+import { pendingActions } from './pending-actions.js';
+
+const clampCount = (n, fallback, max) => Math.min(max, Math.max(1, n || fallback));
+const asText = (value) => (typeof value === 'string' ? value : JSON.stringify(value ?? null, null, 1));
+
+const COUNT = (what, fallback, max) => ({ type: 'integer', description: `how many ${what}, 1-${max} (default ${fallback})` });
+const QUERY = (description) => ({ type: 'object', properties: { query: { type: 'string', description } }, required: ['query'] });
+const LOCATION = { type: 'object', properties: { location: { type: 'string', description: 'city name, e.g. "Boston"' } }, required: ['location'] };
+
+// Provider APIs allow [a-zA-Z0-9_-]{1,64} for function names
+const mcpToolName = (name) => `mcp_${name}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+
+/**
+ * Typed tools the backend brain can call (run by ./tool-loop.js).
+ *
+ * Each tool is { name, capability, description, parameters, run(args) -> string };
+ * the parameters schema is checked with structured.validate() before run(),
+ * and the tool loop only offers tools whose capability the user's role has.
+ * Tools only appear when their skill is configured; turn.skills is already
+ * scoped to the calling user, so Google tools only reach that user's own
+ * account. Descriptions use turn.profile (name, time zone). Nothing here sends
+ * anything on its own: email_draft creates a pending draft that the user
+ * still has to /confirm.
+ *
+ * MCP tools come from mcpBridge.listTools() -> [{ name, description, inputSchema }]
+ * and run through mcpBridge.callTool(name, args). A bridge without those
+ * can't execute anything for the model, so it contributes no tools.
+ */
+export async function createBackendTools(brain, turn) {
+    const { googleWorkspace, braveSearch, weather, scheduler } = turn.skills;
+    const { userId } = turn;
+    const { name, timezone } = turn.profile;
+    const tools = [];
+
+    if (googleWorkspace?.isReady()) {
+        tools.push({
+            name: 'gmail_recent',
+            capability: 'read-google',
+            description: `Most recent emails in ${name}'s inbox (sender, subject, snippet).`,
+            parameters: { type: 'object', properties: { count: COUNT('emails', 10, 25) } },
+            run: ({ count }) => googleWorkspace.getRecentEmails(clampCount(count, 10, 25)),
+        });
+        if (googleWorkspace.searchEmails) {
+            tools.push({
+                name: 'gmail_search',
+                capability: 'read-google',
+                description: `Search ${name}'s Gmail. Accepts Gmail search syntax, e.g. "from:sam invoice newer_than:7d".`,
+                parameters: QUERY('Gmail search query'),
+                run: ({ query }) => googleWorkspace.searchEmails(query),
+            });
+        }
+        tools.push({
+            name: 'calendar_today',
+            capability: 'read-google',
+            description: `${name}'s calendar events for today.`,
+            parameters: { type: 'object', properties: {} },
+            run: () => googleWorkspace.getTodayEvents(),
+        });
+        tools.push({
+            name: 'drive_search',
+            capability: 'read-google',
+            description: `Search ${name}'s Google Drive by file name or content.`,
+            parameters: QUERY('words to look for, e.g. "Q3 budget"'),
+            run: ({ query }) => googleWorkspace.searchFiles(query),
+        });
+        tools.push({
+            name: 'drive_recent',
+            capability: 'read-google',
+            description: `Most recently modified files in ${name}'s Google Drive.`,
+            parameters: { type: 'object', properties: { count: COUNT('files', 10, 25) } },
+            run: ({ count }) => googleWorkspace.listRecentFiles(clampCount(count, 10, 25)),
+        });
+        if (googleWorkspace.searchContacts) {
+            tools.push({
+                name: 'contacts_search',
+                capability: 'read-google',
+                description: `Look up a person in ${name}'s Google contacts by name or email.`,
+                parameters: QUERY('name or email address'),
+                run: async ({ query }) => asText(await googleWorkspace.searchContacts(query)),
+            });
+        }
+        tools.push({
+            name: 'email_draft',
+            capability: 'send-email',
+            description: `Draft an email for ${name} to review. It is NOT sent: ${name} confirms it with /confirm. Show the returned draft text as-is.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    to: { type: 'string', format: 'email-or-name', description: 'recipient email address, or a contact name; never invent an address' },
+                    subject: { type: 'string' },
+                    body: { type: 'string' },
+                },
+                required: ['to', 'body'],
+            },
+            run: async ({ to, subject, body }) => {
+                const draft = await pendingActions.create(userId, 'email', { to, subject: subject || '(no subject)', body });
+                return draft.blocked || pendingActions.render(draft);
+            },
+        });
+    }
+
+    if (braveSearch) {
+        tools.push({
+            name: 'web_search',
+            capability: 'web',
+            description: 'Search the web (news, facts, prices, anything current).',
+            parameters: QUERY('search query'),
+            run: ({ query }) => braveSearch.search(query),
+        });
+    }
+
+    if (weather) {
+        tools.push({ name: 'weather_current', capability: 'web', description: 'Current weather for a city.', parameters: LOCATION, run: ({ location }) => weather.get(location) });
+        tools.push({ name: 'weather_forecast', capability: 'web', description: 'Multi-day weather forecast for a city.', parameters: LOCATION, run: ({ location }) => weather.getForecast(location) });
+    }
+
+    if (scheduler) {
+        tools.push({
+            name: 'reminder_create',
+            capability: 'reminders',
+            description: `Set a reminder for ${name}. Current local time: ${localNow(timezone)} (${timezone}).`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string', description: 'what to remind about' },
+                    delay: { type: 'string', format: 'duration', description: 'relative time from now, e.g. "30m", "2h", "1d"' },
+                    at: { type: 'string', format: 'datetime', description: 'absolute local time, YYYY-MM-DDTHH:mm' },
+                },
+                required: ['message'],
+                requiredOneOf: ['delay', 'at'],
+            },
+            run: (args) => brain._scheduleReminder(turn, args),
+        });
+    }
+
+    const bridge = brain.mcpBridge;
+    if (bridge?.listTools && bridge?.callTool) {
+        try {
+            for (const tool of (await bridge.listTools()) || []) {
+                tools.push({
+                    name: mcpToolName(tool.name),
+                    capability: 'mcp-tools',
+                    description: tool.description || `MCP tool ${tool.name}`,
+                    parameters: tool.inputSchema || { type: 'object', properties: {} },
+                    run: async (args) => asText(await bridge.callTool(tool.name, args)),
+                });
+            }
+        } catch (error) {
+            logger.warn('MCP tool listing failed:', error.message);
+        }
+    }
+
+    return tools;
+}
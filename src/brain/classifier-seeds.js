@@ -0,0 +1,119 @@
+/**
+ * Labelled examples the local classifier (./local-classifier.js) starts from,
+ * before it has learned anything from real routing decisions. Labels are
+ * 'chat', 'action' or an intent name from ./intents.js. Keep these separate
+ * from scripts/classifier-eval.jsonl, or the evaluation measures nothing.
+ */
+export const SEED_EXAMPLES = [
+    // chat: small talk, opinions, general knowledge
+    ['hey how are you', 'chat'],
+    ['good morning', 'chat'],
+    ['thanks so much', 'chat'],
+    ['you are the best', 'chat'],
+    ['lol that is funny', 'chat'],
+    ['tell me a joke', 'chat'],
+    ['what is the meaning of life', 'chat'],
+    ['explain how photosynthesis works', 'chat'],
+    ['what is the difference between a virus and bacteria', 'chat'],
+    ['why is the sky blue', 'chat'],
+    ['who wrote pride and prejudice', 'chat'],
+    ['can you explain recursion simply', 'chat'],
+    ['what do you think about pineapple on pizza', 'chat'],
+    ['give me a fun fact', 'chat'],
+    ['how do i make pancakes', 'chat'],
+    ['i am feeling a bit down today', 'chat'],
+    ['write me a short poem about autumn', 'chat'],
+    ['what does idempotent mean', 'chat'],
+    ['how many planets are in the solar system', 'chat'],
+    ['recommend a good sci fi book', 'chat'],
+    ['translate good night into spanish', 'chat'],
+    ['what should i name my cat', 'chat'],
+    ['ok cool', 'chat'],
+    ['never mind', 'chat'],
+
+    // action: work that needs tools, code or the user's data beyond one intent
+    ['create a script that renames my photos by date', 'action'],
+    ['debug this code for me', 'action'],
+    ['write a python function to parse csv files', 'action'],
+    ['fix the bug in this stack trace', 'action'],
+    ['calculate the compound interest on 5000 at 4 percent for 10 years', 'action'],
+    ['compare the prices of these three laptops', 'action'],
+    ['automate sending me a report every monday', 'action'],
+    ['analyze this spreadsheet and find the outliers', 'action'],
+    ['look into why my website is slow', 'action'],
+    ['plan a three day trip to lisbon with a budget', 'action'],
+    ['anything important i should deal with', 'action'],
+    ['what needs my attention this week', 'action'],
+    ['help me prepare for my meeting with sam', 'action'],
+    ['refactor this javascript to use async await', 'action'],
+    ['convert this json to yaml', 'action'],
+    ['figure out how much i spent on travel last month', 'action'],
+    ['set up a workflow to back up my files', 'action'],
+    ['run the numbers on this budget', 'action'],
+
+    // weather
+    ['do i need an umbrella today', 'weather'],
+    ['should i bring a jacket', 'weather'],
+    ['how hot is it outside', 'weather'],
+    ['is it going to be sunny this weekend', 'weather'],
+    ['what is it like outside in boston', 'weather'],
+    ['will it be windy tomorrow', 'weather'],
+    ['is it nice out', 'weather'],
+    ['how cold will it get tonight', 'weather'],
+
+    // calendar
+    ['when is my next meeting', 'calendar'],
+    ['do i have anything after lunch', 'calendar'],
+    ['what time is my dentist appointment', 'calendar'],
+    ['am i free on thursday afternoon', 'calendar'],
+    ['what is my day looking like', 'calendar'],
+    ['who am i meeting tomorrow', 'calendar'],
+    ['how packed is my week', 'calendar'],
+    ['when do i see the doctor', 'calendar'],
+
+    // email
+    ['did sam write back', 'email'],
+    ['any new messages from my boss', 'email'],
+    ['what did the landlord say', 'email'],
+    ['did i get a reply about the invoice', 'email'],
+    ['has anyone replied to my proposal', 'email'],
+    ['what was my last email', 'email'],
+    ['anything from amazon about my order', 'email'],
+    ['did hr send the contract', 'email'],
+
+    // drive
+    ['where is the q3 budget sheet', 'drive'],
+    ['search my drive for invoices', 'drive'],
+    ['open the slides from last week', 'drive'],
+    ['find my resume', 'drive'],
+    ['where did i save the lease agreement', 'drive'],
+    ['show me the latest version of the proposal doc', 'drive'],
+    ['which spreadsheets did i edit recently', 'drive'],
+    ['pull up the meeting notes document', 'drive'],
+
+    // reminder
+    ['ping me at 5 to call mom', 'reminder'],
+    ['nudge me about the rent on friday', 'reminder'],
+    ['make sure i take my pills at 9', 'reminder'],
+    ['tell me to stretch in an hour', 'reminder'],
+    ['alert me before the game starts', 'reminder'],
+    ['i need a reminder to water the plants tomorrow', 'reminder'],
+
+    // image
+    ['draw a cat wearing a hat', 'image'],
+    ['can you sketch a logo for my bakery', 'image'],
+    ['show me what a futuristic city could look like', 'image'],
+    ['paint a sunset over the ocean', 'image'],
+    ['i want a cartoon of a dog surfing', 'image'],
+    ['make me a wallpaper with mountains', 'image'],
+
+    // webSearch
+    ['who won the game last night', 'webSearch'],
+    ['what is the price of bitcoin right now', 'webSearch'],
+    ['latest news about the election', 'webSearch'],
+    ['when does the new iphone come out', 'webSearch'],
+    ['what are the opening hours of the louvre', 'webSearch'],
+    ['current exchange rate from dollars to euros', 'webSearch'],
+    ['what happened in the stock market today', 'webSearch'],
+    ['reviews of the best noise cancelling headphones this year', 'webSearch'],
+];
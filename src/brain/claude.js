@@ -1,339 +1,862 @@
-import axios from 'axios';
-import { config } from '../config.js';
+import { config, profile as configProfile } from '../config.js';
 import { logger } from '../utils/logger.js';
-import { apiRateLimiter } from '../utils/api-rate-limiter.js';
-import { keyRouter } from '../utils/key-router.js';
 import { AgentLoop } from './agent-loop.js';
 import { registerAllTools } from './tools.js';
 import { TaskPlanner } from './planner.js';
 import { Orchestrator } from '../agents/orchestrator.js';
+import { createProviders } from './providers/index.js';
+import { CodexAuth } from './codex-auth.js';
+import { IntentRouter } from './router.js';
+import { createIntentRouter } from './intents.js';
+import { localClassifier, seedsFromPrompt } from './local-classifier.js';
+import { pendingActions } from './pending-actions.js';
+import { jobManager } from './jobs.js';
+import { Proactive } from './proactive.js';
+import { docWriter, writeTarget, titleFor, FORMAT_HINTS, KIND_LABELS } from './doc-writer.js';
+import { Voice, parseVoiceRequest } from './voice.js';
+import { conversationHistory } from './conversation-history.js';
+import { mediaSessions, mediaSubject, mediaOptions, editChange, mediaCaption, refinePrompt } from './media.js';
+import { checkRecipient } from './recipient-check.js';
+import { extractStructured } from './structured.js';
+import { isStream } from './streaming.js';
+import { replyText } from '../channels/base.js';
+import { ContextBuilder } from './context-builder.js';
+import { ToolLoop } from './tool-loop.js';
+import { createBackendTools } from './backend-tools.js';
+import { usageLedger } from '../utils/usage-ledger.js';
+import { toolAudit } from '../utils/tool-audit.js';
+import { attachGoogleClient } from '../utils/token-store.js';
+import { streamToTelegram, nodeTelegramBotTransport } from '../utils/telegram-stream.js';
+import { userProfiles, EDITABLE_FIELDS } from '../utils/user-profiles.js';
+import { permissions } from '../utils/permissions.js';
+import { PROMPTS, profileVars, renderPrompt } from './prompts.js';
+import { metrics } from '../utils/metrics.js';
+import { breakers } from '../utils/circuit-breaker.js';
+import { startAdminServer } from './admin-api.js';
+import { SmsChannel } from '../channels/sms.js';
+import { httpServer } from '../utils/http-server.js';
+import { parseDuration, zonedTimeToDate, localNow, formatInZone } from '../utils/time.js';
+
+const RECENT_ROUTES = 200;
+const RECENT_BREAKER_EVENTS = 50;
+const LEARN_FROM_ROUTER = 0.8; // router decisions at least this sure become local classifier examples
+const COMPOSE_PROMPTS = { document: 'composeDocument', draft: 'composeDraft', summarize: 'composeSummarize' };
+
+const EMAIL_SCHEMA = {
+    type: 'object',
+    properties: {
+        to: { type: 'string', format: 'email-or-name', description: 'recipient email address, or their name exactly as written if no address is given; never invent an address' },
+        subject: { type: 'string', description: 'short subject line; write one from the request if not spelled out' },
+        body: { type: 'string', description: 'email body; write it from the request if not spelled out' },
+    },
+    required: ['to', 'body'],
+};
+
+const REMINDER_SCHEMA = {
+    type: 'object',
+    properties: {
+        message: { type: 'string', description: 'what to remind about' },
+        delay: { type: 'string', format: 'duration', description: 'relative time from now, e.g. "5m", "1h", "2d"' },
+        at: { type: 'string', format: 'datetime', description: 'absolute local time, YYYY-MM-DDTHH:mm' },
+    },
+    required: ['message'],
+    requiredOneOf: ['delay', 'at'],
+};
 
 /**
- * SmartBrain V3 - Dual-Brain Architecture
+ * SmartBrain - answers one user's message
  *
- * Frontend (Gemini): fast classification, casual chat, voice pipeline
- * Backend (Claude CLI): heavy lifting, MCP tools, Google actions, complex reasoning
- *
- * Flow:
- * 1. Gemini classifies message -> CHAT or ACTION
- * 2. CHAT -> Gemini responds (fast, free)
- * 3. ACTION -> Claude CLI processes with pre-fetched data (powerful, $20 Pro)
- * 4. Fallback: if Claude fails/rate-limited -> Gemini handles everything
+ * think(message, context, skills, options) takes the message text, recent
+ * context and the caller's skills (whose _userId says who is asking) and
+ * returns a string, a media result ({ imageBase64 | videoPath, caption }), a
+ * spoken reply, or with options.stream an async iterable of text chunks.
  */
 export class SmartBrain {
-    constructor(skills = {}) {
-        this.skills = skills;
+    constructor(skills = {}, options = {}) {
         this.geminiApiKey = config.geminiApiKey;
         this.openaiTimeout = config.claudeTimeout || 60000;
         this.openaiModel = config.openaiCodexModel || 'gpt-5.3-codex';
-        this._openaiAccessToken = config.openaiCodexToken;
-        this._openaiRefreshToken = config.openaiCodexRefresh;
-        this._tokenExpiresAt = 0; // will auto-refresh on first call
+        this.codexAuth = options.codexAuth || new CodexAuth();
         this.mcpBridge = null;
         this.agentLoop = null;
         this.toolRegistry = null;
         this.planner = null;
         this.orchestrator = null;
 
-        this.classifierPrompt = `You are a task classifier. Given a user message, respond with ONLY one word:
+        this.providers = createProviders({
+            codexAuth: { getToken: () => this.codexAuth.getToken(), onUnauthorized: () => this.codexAuth.handleUnauthorized() },
+            overrides: options.providers,
+        });
+        this.providers.backend = this.providers[config.backendProvider] || this.providers.codex;
+        for (const provider of new Set(Object.values(this.providers))) provider.onUsage = (result, req) => this._recordUsage(result, req);
+        this.router = createIntentRouter(this);
+        this.toolLoop = options.toolLoop || new ToolLoop();
+        this.contextBuilder = options.contextBuilder || new ContextBuilder({ summarize: (previous, turns, userId) => this._summarizeTurns(previous, turns, userId) });
+        this.routeMode = 'smart';
+        this._localClassifier = options.localClassifier; // undefined: LOCAL_CLASSIFIER decides
+        this.recentRoutes = [];
+        this.breakerEvents = [];
+        this._notifyOwner = options.notifyOwner || ((text) => this._rawSkills?.scheduler?.bot?.sendMessage?.(config.allowedUsers[0], text));
+        breakers.onChange((breaker, from, to, reason) => this._onBreakerChange(breaker, from, to, reason));
+        this.prompts = { ...PROMPTS, ...options.prompts };
+        // The skill instances: for work outside think() and for think() calls that don't pass their own
+        this._rawSkills = skills;
+        this._agentSystems = new Map(); // google account -> { toolRegistry, agentLoop, planner, orchestrator }
+        this._googleClients = new WeakSet(); // OAuth clients already attached to the token store
+
+        // Outbound email is drafted first and only sent after /confirm
+        pendingActions.registerType('email', {
+            fields: ['to', 'subject', 'body'],
+            prepare: (payload, userId) => this._prepareEmailDraft(payload, userId),
+            render: (draft) => `📧 **Email draft ${draft.id}** — not sent yet\nTo: ${draft.payload.to}${draft.payload.recipientSource ? ` (✓ ${draft.payload.recipientSource})` : ''}\nSubject: ${draft.payload.subject}\n\n${draft.payload.body}`,
+            execute: (payload, draft) => this._sendEmailNow(payload, draft.userId),
+        });
+
+        // Video renders and agent runs are background jobs; the reply is the job id
+        this.jobs = options.jobs || jobManager;
+        this._deliver = options.deliver || ((userId, reply) => this.sendToTelegram(userId, reply));
+        this.jobs.notify = (userId, reply) => this._deliver(userId, reply);
+        this.jobs.registerType('video', { capability: 'paid-media', label: (p) => `video: ${p.prompt.slice(0, 40)}`, run: (p, run) => this._runVideoJob(p, run) });
+        this.jobs.registerType('agent', { capability: 'agent-loop', label: (p) => `agent: ${p.task.slice(0, 40)}`, run: (p, run) => this._runAgentJob('agent', p, run) });
+        this.jobs.registerType('plan', { capability: 'agent-loop', label: (p) => `plan: ${p.task.slice(0, 40)}`, run: (p, run) => this._runAgentJob('plan', p, run) });
+        this.jobs.registerType('multiStep', { capability: 'agent-loop', label: (p) => `multi-step: ${p.task.slice(0, 40)}`, run: (p, run) => this._runAgentJob('multiStep', p, run) });
+        this.jobs.resume();
 
-CHAT - if it's casual conversation, greetings, simple questions, explanations, or general knowledge.
-ACTION - if it needs: coding, file operations, searching Google Drive, reading Gmail, research, calculations, scheduling, or automation.
+        this.voice = options.voice || new Voice({ gemini: this.providers.gemini });
 
-Examples:
-"Hey how are you?" -> CHAT
-"What was my last email?" -> ACTION
-"Search my drive for invoices" -> ACTION
-"Create a script that..." -> ACTION
-"Tell me about React" -> CHAT
-"Debug this code..." -> ACTION
-"Send an email to..." -> ACTION
-"What's on my calendar?" -> ACTION
+        // Every channel's turns and the user's memory, so a conversation carries on across channels
+        this.history = options.history || conversationHistory;
 
-Respond with only: CHAT or ACTION (No punctuation)`;
+        // Generated images and videos, for follow-ups and /gallery
+        this.media = options.media || mediaSessions;
 
-        this.geminiPrompt = `You are Mary Jane (MJ), Omar's helpful AI assistant.
-Be friendly, concise, and helpful. You can chat naturally.`;
+        // Composed documents written to Drive, with undo
+        this.docWriter = options.docWriter || docWriter;
 
-        this.claudeSystemPrompt = `You are Mary Jane (MJ), Omar's personal AI assistant.
-You have been given real data from Omar's Gmail, Google Calendar, Google Drive, or web search results.
-Analyze the data and answer Omar's question naturally and concisely.
-Don't say "based on the data provided" - just answer as if you looked it up yourself.
-If asked to send an email, draft it and confirm the details.
-Be concise — avoid overly long responses. Get to the point.
-Current date/time: ${new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })}`;
+        // Briefings, meeting nudges and inbox alerts, sent without being asked
+        this.proactive = options.proactive || new Proactive({ skillsFor: (userId) => this._skillsFor(userId), deliver: (userId, text) => this._deliver(userId, text) });
+        if (config.proactive && configProfile !== 'test') this.proactive.start();
+
+        // The same brain over SMS (Twilio webhook on config.port)
+        this.sms = options.sms !== undefined ? options.sms : (config.twilioAuthToken ? new SmsChannel({ brain: this }) : null);
+
+        this.classifierPrompt = this.prompts.classifier;
+        this.localClassifier?.addSeeds(seedsFromPrompt(this.classifierPrompt));
+
+        if (options.adminServer !== false && configProfile !== 'test') {
+            this.sms?.registerRoutes(httpServer);
+            startAdminServer(this);
+        }
     }
 
     isReady() { return !!this.geminiApiKey; }
 
+    /** Render prompt template `name` for the turn's user (see ./prompts.js) */
+    _prompt(turn, name, vars = {}) {
+        return renderPrompt(this.prompts[name], { ...profileVars(turn.profile, { hasGoogle: !!turn.skills.googleWorkspace }), ...vars });
+    }
+
+    /** The local classifier in use, or null when it is off */
+    get localClassifier() {
+        if (this._localClassifier !== undefined) return this._localClassifier;
+        return config.localClassifier ? localClassifier : null;
+    }
+
+    /** The Google workspace for `account`: the shared skill for its own account, or the skill's forAccount() */
+    _googleFor(workspace, account) {
+        if (!workspace || !account) return undefined;
+        const scoped = account === (workspace.account || 'default') ? workspace : workspace.forAccount?.(account);
+        // Its OAuth client loads and saves tokens through the token store, once per client
+        if (scoped?.auth && !this._googleClients.has(scoped.auth)) {
+            this._googleClients.add(scoped.auth);
+            attachGoogleClient(scoped.auth, account);
+        }
+        return scoped || undefined;
+    }
+
+    /** Per-user view of the skills: only the user's own Google account is reachable */
+    _scopeSkills(skills, profile) {
+        const googleWorkspace = this._googleFor(skills.googleWorkspace, profile.googleAccount);
+        if (skills.googleWorkspace && !googleWorkspace) logger.info(`User ${profile.userId}: no Google account linked, Google skills hidden`);
+        return { ...skills, googleWorkspace };
+    }
+
+    _handleProfile(turn, message) {
+        const [, field, ...rest] = message.trim().split(/\s+/);
+        const userId = turn.profile.userId;
+        if (!userId) return 'Profiles need a user id.';
+        try {
+            if (!field) return userProfiles.report(turn.profile);
+            if (field === 'reset') turn.profile = userProfiles.reset(userId, rest[0]);
+            else if (field === 'google') return 'Google accounts are linked by the bot owner, not from chat.';
+            else turn.profile = userProfiles.set(userId, field, rest.join(' '));
+        } catch (error) {
+            return error.message;
+        }
+        return `Saved. ${userProfiles.report(turn.profile)}`;
+    }
+
     setMCPBridge(bridge) {
         this.mcpBridge = bridge;
         logger.info('SmartBrain: MCP bridge connected');
     }
 
-    async classifyMessage(message) {
+    /**
+     * 'claude' (ACTION) or 'gemini' (CHAT) from the LLM classifier. When it
+     * can't answer, `guess` (the local classifier's low-confidence prediction)
+     * decides instead of a blind default to chat.
+     */
+    async classifyMessage(message, guess = null, turn = null) {
+        const fallback = (why) => {
+            const route = guess?.label && guess.label !== 'chat' ? 'claude' : 'gemini';
+            logger.warn(`${why}, ${guess?.label ? `using the local guess (${guess.label} ${guess.confidence})` : 'defaulting to chat'}`);
+            return route;
+        };
+        const [provider] = this._providerChain('classify', turn);
+        if (!provider) return fallback('Classifier skipped: no classify provider available');
         try {
-            const response = await axios.post(
-                `https://generativelanguage.googleapis.com/v1beta/models/gemini-3.0-flash-preview:generateContent?key=${this.geminiApiKey}`,
-                {
-                    contents: [{ role: 'user', parts: [{ text: message }] }],
-                    systemInstruction: { parts: [{ text: this.classifierPrompt }] },
-                    generationConfig: { temperature: 0, maxOutputTokens: 10 }
-                },
-                { headers: { 'Content-Type': 'application/json' }, timeout: 5000 }
-            );
-            const result = response.data.candidates?.[0]?.content?.parts?.[0]?.text?.trim().toUpperCase();
+            const response = await provider.generate({
+                model: provider === this.providers.gemini ? config.geminiClassifierModel : undefined,
+                system: this.classifierPrompt,
+                messages: [{ role: 'user', content: message }],
+                temperature: 0, maxTokens: 10, timeout: 5000, maxRetries: 0, userId: turn?.userId, feature: 'classify'
+            });
+            const result = response.text.trim().toUpperCase();
+            this._learnRoute(message, result === 'ACTION' ? 'action' : 'chat', 'classifier', turn?.userId);
             return result === 'ACTION' ? 'claude' : 'gemini';
         } catch (error) {
-            logger.warn('Classification failed, defaulting to Gemini:', error.message);
-            return 'gemini';
+            return fallback(`Classification failed (${error.message})`);
         }
     }
 
-    initAgentLoop() {
-        if (this.agentLoop) return;
+    /** Log a routing decision for the local classifier to learn from */
+    _learnRoute(message, label, source, userId) {
+        this.localClassifier?.learn(message, label, source, userId);
+    }
+
+    /**
+     * Act on a confident local prediction: chat/action go to their brain, an
+     * intent label to that intent's handler. Undefined when the intent can't
+     * run here (skill missing) or its handler falls through.
+     */
+    async _routeLocal(turn, message, context, guess) {
+        const { label, confidence } = guess;
+        if (label === 'chat' || label === 'action') {
+            logger.info(`Smart route: ${label} (local classifier, ${confidence})`);
+            turn.feature = label === 'action' ? 'backend' : 'chat';
+            this._noteRoute(turn, message, turn.feature, 'local', { confidence });
+            return label === 'action' ? await this.thinkWithClaude(turn, message, context) : await this._chat(turn, message, context);
+        }
+        const intent = this.router.get(label);
+        let available = false;
+        try { available = !!intent?.available(turn.skills); } catch { available = false; }
+        if (!available) return undefined;
+        if (!this._can(turn.userId, intent.capability)) return this._deny(turn.userId, intent.capability, `intent:${label}`, message);
+        logger.info(`Smart route: ${label} (local classifier, ${confidence})`);
+        turn.feature = label;
+        this._noteRoute(turn, message, label, 'local', { confidence });
+        return await intent.handle(message, context, { intent: label, confidence, reason: 'local classifier', candidates: [] }, turn);
+    }
+
+    /** Agent tools are bound to the skills they were built with, so there is one agent system per Google account */
+    _buildAgentSystem(key, skills) {
         try {
-            this.toolRegistry = registerAllTools(this.skills);
-            this.agentLoop = new AgentLoop(this.toolRegistry);
-            this.planner = new TaskPlanner(this.toolRegistry);
-            this.orchestrator = new Orchestrator(this.toolRegistry);
-            logger.info(`Agent system initialized: ${this.toolRegistry.size} tools, 4 sub-agents`);
+            const toolRegistry = registerAllTools(skills);
+            const system = { toolRegistry, agentLoop: new AgentLoop(toolRegistry), planner: new TaskPlanner(toolRegistry), orchestrator: new Orchestrator(toolRegistry) };
+            this._agentSystems.set(key, system);
+            logger.info(`Agent system initialized${key ? ` for Google account "${key}"` : ' (no Google account)'}: ${toolRegistry.size} tools, 4 sub-agents`);
+            return system;
         } catch (error) {
             logger.error('Failed to init agent loop:', error.message);
+            return null;
         }
     }
 
-    _isMultiStepRequest(message) {
-        const lower = message.toLowerCase();
-        const compounds = [
-            /\b(and then|then|after that|also|next|finally|first.*then)\b/,
-            /\b(research|find|look up)\b.*\b(and|then)\b.*\b(send|email|create|write|draft|summarize)\b/,
-            /\b(check|get|read)\b.*\b(and|then)\b.*\b(tell|send|update|create)\b/,
-        ];
-        return compounds.some(re => re.test(lower));
-    }
-
-    async think(message, context, skills) {
-        this.skills = skills || this.skills;
-        if (!this.agentLoop) this.initAgentLoop();
-        this._memoryContext = skills?._memoryContext || '';
-        this._learnedContext = skills?._learnedContext || '';
-
-        if (message.startsWith('/claude ')) return await this.thinkWithClaude(message.slice(8), context);
-        if (message.startsWith('/gemini ')) return await this.thinkWithGemini(message.slice(8), context);
+    /** The agent system for `userId`'s Google account ({} when it can't be built) */
+    _agentsFor(userId, profile = userProfiles.get(userId)) {
+        // Agents installed on the brain from outside (tests) are used as they are
+        if (this.agentLoop) return this;
+        const key = profile.googleAccount || '';
+        return this._agentSystems.get(key) || this._buildAgentSystem(key, this._skillsFor(userId, profile)) || {};
+    }
+
+    /** A user's scoped skills, for work done outside think() */
+    _skillsFor(userId, profile = userProfiles.get(userId)) {
+        const { _memoryContext, _learnedContext, _userName, ...shared } = this._rawSkills || {};
+        return { ...this._scopeSkills(shared, profile), _userId: userId };
+    }
+
+    /**
+     * The state of one think() call: who is asking (userId, profile), their
+     * scoped skills and memory, and what the call has decided so far (feature,
+     * budgetDowngrade). Handlers read it from here, never from the brain, so
+     * another user's call running at the same time can't change it.
+     */
+    _turn(skills = this._rawSkills, options = {}) {
+        const profile = userProfiles.get(skills?._userId, { fallbackName: skills?._userName });
+        return {
+            userId: String(skills?._userId || ''),
+            profile,
+            skills: this._scopeSkills(skills || {}, profile),
+            memory: skills?._memoryContext || '',
+            learned: skills?._learnedContext || '',
+            streaming: !!options.stream,
+            feature: null,
+            budgetDowngrade: false,
+        };
+    }
+
+    /**
+     * One message in, one reply out. options.audio ({ data: Buffer, mimeType })
+     * is a voice message to transcribe first; the reply is spoken when the
+     * user's /voice mode or the message ("..., reply by voice") asks for it;
+     * never with options.voice === false (text-only channels).
+     */
+    async think(message, context, skills, options = {}) {
+        const turn = this._turn(skills || this._rawSkills, options);
+        const { userId } = turn;
+        // The Telegram handler passes the user's memory with their skills; other channels get the last one it passed
+        if (turn.memory || turn.learned) this.history.keepMemory(userId, turn);
+        else Object.assign(turn, this.history.memory(userId));
+        let transcript = null;
+        if (options.audio) {
+            if (!permissions.can(userId, 'voice')) return permissions.deny(userId, 'voice', 'voice message', { message: '(voice message)' });
+            try {
+                transcript = (await this.voice.transcribe(options.audio.data, { mimeType: options.audio.mimeType, userId })).text;
+            } catch (error) {
+                logger.error('Voice transcription failed:', error.message);
+                return 'Sorry, I couldn\'t make out that voice message. Could you type it instead?';
+            }
+            if (!transcript) return 'I couldn\'t hear anything in that voice message.';
+            message = transcript;
+        }
+        const request = parseVoiceRequest(message);
+        const speak = options.voice !== false && (request.voice ?? this.voice.wantsVoice(userId, !!transcript)) && permissions.can(userId, 'voice') && this.voice.canSpeak();
+        if (speak) turn.streaming = false;
+        const reply = this._record(turn, request.message, await this._think(turn, request.message, context));
+        if (typeof reply !== 'string') return reply;
+        const heard = transcript ? `🎤 "${transcript}"\n\n` : '';
+        if (!speak) return `${heard}${reply}${request.voice ? '\n\n(Spoken replies aren\'t available, so here it is as text.)' : ''}`;
+        try {
+            const { parts, truncated } = await this.voice.speak(reply, { userId });
+            return { voice: parts, text: reply, transcript, truncated };
+        } catch (error) {
+            logger.error('Speech synthesis failed:', error.message);
+            return `${heard}${reply}`;
+        }
+    }
+
+    /** Add the exchange to this.history (a stream once it has been read) and return the reply */
+    _record(turn, message, reply) {
+        const { history } = this;
+        if (!isStream(reply)) {
+            history.add(turn.userId, 'user', message);
+            history.add(turn.userId, 'assistant', replyText(reply));
+            return reply;
+        }
+        return (async function* () {
+            let text = '';
+            for await (const chunk of reply) { text += chunk; yield chunk; }
+            history.add(turn.userId, 'user', message);
+            history.add(turn.userId, 'assistant', text);
+        })();
+    }
+
+    async _think(turn, message, context) {
+        const { userId, profile } = turn;
+
+        if (message.trim() === '/usage') return usageLedger.report(userId);
+        if (message.trim() === '/audit') return toolAudit.report(userId, 15, profile.timezone);
+        if (/^\/profile(\s|$)/.test(message.trim())) return this._handleProfile(turn, message);
+        if (message.trim() === '/jobs') return this.jobs.report(userId, profile.timezone);
+        const jobCommand = message.trim().match(/^\/(cancel|retry)\s+(j\w+)$/i);
+        if (jobCommand) return jobCommand[1].toLowerCase() === 'cancel' ? this.jobs.cancel(jobCommand[2], userId) : this._retryJob(jobCommand[2], userId);
+        if (/^\/voice(\s|$)/.test(message.trim())) return this._can(userId, 'voice') ? this.voice.command(userId, message) : this._deny(userId, 'voice', '/voice', message);
+        const docCommand = message.trim().match(/^\/(docs|undo)(?:\s+(w\w+))?$/i);
+        if (docCommand) {
+            if (!this._can(userId, 'compose-docs')) return this._deny(userId, 'compose-docs', `/${docCommand[1]}`, message);
+            return docCommand[1].toLowerCase() === 'docs' ? this.docWriter.report(userId, profile.timezone) : this.docWriter.undo(userId, turn.skills.googleWorkspace, docCommand[2], profile.googleAccount);
+        }
+        const proactiveCommand = message.trim().match(/^\/(briefing|nudges|alerts|quiet)(\s|$)/);
+        if (proactiveCommand) {
+            if (['nudges', 'alerts'].includes(proactiveCommand[1]) && !this._can(userId, 'read-google')) return this._deny(userId, 'read-google', `/${proactiveCommand[1]}`, message);
+            return this.proactive.command(userId, message);
+        }
+
+        const draftReply = await pendingActions.handleReply(userId, message);
+        if (draftReply !== null) return draftReply;
+
+        const budget = usageLedger.checkBudget(userId);
+        turn.budgetDowngrade = !budget.ok && budget.action !== 'refuse';
+        if (!budget.ok && !turn.budgetDowngrade) {
+            logger.warn(`Budget: user ${userId} over ${budget.period} budget ($${budget.spent.toFixed(2)}/$${budget.limit.toFixed(2)}), refusing`);
+            return `You've used your ${budget.period} budget ($${budget.spent.toFixed(2)} of $${budget.limit.toFixed(2)}). Try again ${budget.period === 'daily' ? 'tomorrow' : 'next month'} — /usage shows the breakdown.`;
+        }
+        if (turn.budgetDowngrade) logger.info(`Budget: user ${userId} over ${budget.period} budget, downgrading models`);
+
+        if (/^\/gallery(\s|$)/.test(message.trim())) return this._can(userId, 'media') ? await this._handleGallery(turn, message) : this._deny(userId, 'media', '/gallery', message);
+
+        if (message.startsWith('/claude ')) { turn.feature = 'backend'; this._noteRoute(turn, message, 'backend', 'command'); this._learnRoute(message.slice(8), 'action', 'command', userId); return await this.thinkWithClaude(turn, message.slice(8), context); }
+        if (message.startsWith('/gemini ')) { turn.feature = 'chat'; this._noteRoute(turn, message, 'chat', 'command'); this._learnRoute(message.slice(8), 'chat', 'command', userId); return await this.thinkWithGemini(turn, message.slice(8), context); }
+        if (message.startsWith('/agent ') || message.startsWith('/plan ')) {
+            if (!this._can(userId, 'agent-loop')) return this._deny(userId, 'agent-loop', message.split(' ')[0], message);
+            turn.feature = 'agent'; this._noteRoute(turn, message, 'agent', 'command');
+        }
         if (message.startsWith('/agent ')) {
-            if (this.agentLoop) { logger.info('Smart route: /agent force -> agent loop'); return await this.agentLoop.run(message.slice(7), context); }
+            if (this._agentsFor(userId, profile).agentLoop) { logger.info('Smart route: /agent force -> agent loop job'); return this._submitJob(turn, 'agent', { task: message.slice(7), context: this._jobContext(context) }); }
             return 'Agent loop not initialized.';
         }
         if (message.startsWith('/plan ')) {
-            if (this.planner) { logger.info('Smart route: /plan force -> planner'); const result = await this.planner.planAndExecute(message.slice(6)); return result || 'Could not create a plan for that request.'; }
+            if (this._agentsFor(userId, profile).planner) { logger.info('Smart route: /plan force -> planner job'); return this._submitJob(turn, 'plan', { task: message.slice(6) }); }
             return 'Planner not initialized.';
         }
 
-        const lower = message.toLowerCase();
+        if (message.startsWith('/route ')) return IntentRouter.format(this.router.explainRoute(message.slice(7), { skills: turn.skills }));
 
-        // Image upscale intent
-        if (lower.match(/upscale|enhance|make.*(it|this|that).*(bigger|larger|4k|hd|high.?res)|improve.*(quality|resolution)/i)) {
-            const { geminiImage } = this.skills;
-            if (geminiImage) {
-                logger.info('Smart route: image upscale (Imagen 4 Upscale - $0.003)');
-                const result = await geminiImage.upscale();
-                if (result?.success && result?.imageBase64) return result;
-                return result?.message || result || 'Upscale failed.';
-            }
+        const decision = this.router.route(message, { skills: turn.skills });
+        if (decision.intent) {
+            const { capability } = this.router.get(decision.intent);
+            if (!this._can(userId, capability)) return this._deny(userId, capability, `intent:${decision.intent}`, message);
+            turn.feature = decision.intent;
+            this._noteRoute(turn, message, decision.intent, 'router', { confidence: decision.confidence });
+            if (decision.confidence >= LEARN_FROM_ROUTER) this._learnRoute(message, decision.intent, 'router', userId);
+            const result = await this.router.get(decision.intent).handle(message, context, decision, turn);
+            if (result !== undefined) return result;
         }
 
-        // Ultra image intent
-        if (lower.match(/ultra|premium|high.?quality|best.?quality/i) && lower.match(/image|picture|photo|illustration|logo|icon|art|poster/i)) {
-            const { geminiImage } = this.skills;
-            if (geminiImage) {
-                logger.info('Smart route: ultra image generation (Imagen 4 Ultra - $0.06)');
-                const prompt = message.replace(/^(please\s+)?(generate|create|draw|make|design|paint)\s+(me\s+)?(an?\s+)?(ultra|premium|high.?quality|best.?quality)\s*(image|picture|photo|illustration|logo|icon|art|poster)\s*(of|about|for|with|depicting)?\s*/i, '').trim() || message;
-                const result = await geminiImage.ultraGenerate(prompt);
-                if (result?.success && result?.imageBase64) return result;
-                return result?.message || result || 'Ultra image generation failed.';
+        // Smart classification (for everything else), unless /admin pinned the route:
+        // the local classifier when it is sure, the LLM classifier otherwise
+        let guess = null;
+        if (this.routeMode === 'smart' && this.localClassifier) {
+            guess = this.localClassifier.predict(message);
+            if (guess.confident) {
+                const result = await this._routeLocal(turn, message, context, guess);
+                if (result !== undefined) return result;
             }
         }
+        const route = this.routeMode === 'smart' ? await this.classifyMessage(message, guess, turn) : this.routeMode;
+        logger.info(`Smart route: ${route}${this.routeMode === 'smart' ? '' : ' (forced by route mode)'}`);
+        turn.feature = route === 'claude' ? 'backend' : 'chat';
+        this._noteRoute(turn, message, turn.feature, this.routeMode === 'smart' ? 'classifier' : 'route-mode');
+        if (route === 'claude') return await this.thinkWithClaude(turn, message, context);
+        else return await this._chat(turn, message, context);
+    }
 
-        // Image generation intent (default: Nano Banana Pro - free)
-        if (lower.match(/generate|create|draw|make|design|paint/i) && lower.match(/image|picture|photo|illustration|logo|icon|art|poster/i)) {
-            const { geminiImage } = this.skills;
-            if (geminiImage) {
-                logger.info('Smart route: image generation (Nano Banana Pro - free)');
-                const prompt = message.replace(/^(please\s+)?(generate|create|draw|make|design|paint)\s+(me\s+)?(an?\s+)?(image|picture|photo|illustration|logo|icon|art|poster)\s*(of|about|for|with|depicting)?\s*/i, '').trim() || message;
-                const result = await geminiImage.generate(prompt);
-                if (result?.success && result?.imageBase64) return result;
-                return result?.message || result || 'Image generation failed.';
-            }
+    /**
+     * Providers for `purpose` ('chat' | 'action' | 'compose' | 'classify') in
+     * config order, without unconfigured ones and ones whose circuit is open.
+     * 'backend' is BACKEND_PROVIDER (Gemini while over budget).
+     */
+    _providerChain(purpose, turn = null) {
+        const chain = [];
+        for (const name of config[`${purpose}Providers`]) {
+            const provider = name === 'backend' ? this._backend(turn) : this.providers[name];
+            if (!provider?.isReady() || chain.includes(provider)) continue;
+            if (!provider.isAvailable()) { logger.info(`Route ${purpose}: skipping ${provider.name}, circuit open`); continue; }
+            chain.push(provider);
         }
+        return chain;
+    }
 
-        // Video generation intent
-        if (lower.match(/generate|create|make|produce/i) && lower.match(/video|clip|animation|movie|footage/i)) {
-            const { geminiVideo } = this.skills;
-            if (geminiVideo) {
-                logger.info('Smart route: video generation (Veo 3.1)');
-                const prompt = message.replace(/^(please\s+)?(generate|create|make|produce)\s+(me\s+)?(a\s+)?(4k\s+|hd\s+|portrait\s+|silent\s+|high.?quality\s+)*(video|clip|animation|movie|footage)\s*(of|about|for|with|depicting|showing)?\s*/i, '').trim() || message;
-                const options = {};
-                if (lower.match(/no\s*audio|silent|mute|without\s*sound|no\s*sound/i)) options.audio = false;
-                if (lower.match(/4k|ultra.?hd|uhd/i)) options.resolution = '4k';
-                else if (lower.match(/1080p|full.?hd/i)) options.resolution = '1080p';
-                if (lower.match(/portrait|vertical|9.?16|tiktok|reel/i)) options.aspectRatio = '9:16';
-                if (lower.match(/high.?quality|standard.?quality|best.?quality|premium/i)) options.quality = 'standard';
-                const durMatch = lower.match(/(\d+)\s*sec/);
-                if (durMatch) { const dur = parseInt(durMatch[1]); if ([4, 6, 8].includes(dur)) options.duration = dur; }
-                const result = await geminiVideo.generateVideo(prompt, options);
-                if (result?.success) return result;
-                return result?.message || 'Video generation failed.';
-            }
-        }
+    /** Reply when every provider for `purpose` is tripped (or none is configured) */
+    _unavailable(purpose, turn = null) {
+        const tripped = config[`${purpose}Providers`].map(n => (n === 'backend' ? this._backend(turn) : this.providers[n])).filter(p => p?.isReady() && !p.isAvailable());
+        if (!tripped.length) return `No model is configured for ${purpose} right now.`;
+        const retryIn = Math.min(...tripped.map(p => p.breaker.status().retryInMs));
+        return `My ${purpose} models (${[...new Set(tripped.map(p => p.name))].join(', ')}) are failing right now, so I'm giving them a break. Try again in ${Math.max(1, Math.ceil(retryIn / 1000))}s.`;
+    }
 
-        // Weather intent
-        if (lower.match(/weather|temperature|forecast|rain|snow|humidity|feels like|degrees|hot|cold outside/)) {
-            const { weather } = this.skills;
-            if (weather) {
-                logger.info('Smart route: weather');
-                try {
-                    const locMatch = message.match(/(?:in|for|at)\s+([A-Z][a-zA-Z\s]+)/);
-                    const location = locMatch ? locMatch[1].trim() : 'New York';
-                    if (lower.match(/forecast|week|tomorrow|next/)) return await weather.getForecast(location);
-                    return await weather.get(location);
-                } catch (error) { logger.error('Weather error:', error.message); return `Weather error: ${error.message}`; }
-            }
-        }
+    _onBreakerChange(breaker, from, to, reason) {
+        this.breakerEvents.unshift({ at: new Date().toISOString(), breaker: breaker.name, from, to, reason });
+        if (this.breakerEvents.length > RECENT_BREAKER_EVENTS) this.breakerEvents.length = RECENT_BREAKER_EVENTS;
+        if (!config.breakerNotify) return;
+        // Tell the owner when something breaks and when it is back, not about every failed probe in between
+        let text = null;
+        if (to === 'open' && from === 'closed') text = `⚠️ ${breaker.name} is failing and is being skipped for now.
+${reason}`;
+        else if (to === 'closed') text = `✅ ${breaker.name} is healthy again.`;
+        if (!text) return;
+        Promise.resolve().then(() => this._notifyOwner(text)).catch(error => logger.warn('Breaker notification failed:', error.message));
+    }
 
-        // Send email intent
-        if (lower.match(/send\s+(an?\s+)?email|compose\s+(an?\s+)?email|email\s+\w+@|write\s+to\s+\w+@|draft\s+(an?\s+)?email/)) {
-            const { googleWorkspace } = this.skills;
-            if (googleWorkspace?.isReady()) { logger.info('Smart route: send email'); return await this._handleSendEmail(message, context); }
-        }
+    _noteRoute(turn, message, route, source, detail = {}) {
+        metrics.inc('mj_route_total', { route, source });
+        this.recentRoutes.unshift({ at: new Date().toISOString(), userId: turn.userId, route, source, ...detail, message: message.slice(0, 80) });
+        if (this.recentRoutes.length > RECENT_ROUTES) this.recentRoutes.length = RECENT_ROUTES;
+    }
 
-        // Reminder intent
-        if (lower.match(/remind\s+me|set\s+a?\s*reminder|don'?t\s+let\s+me\s+forget/)) {
-            const { scheduler } = this.skills;
-            if (scheduler) return await this._handleReminder(message);
-        }
+    _can(userId, capability) {
+        return permissions.can(userId, capability);
+    }
 
-        // WRITE intents -> Claude composes
-        if (lower.match(/create\s+(a\s+)?(document|doc|google\s*doc|spreadsheet|sheet|presentation|slide)/)) {
-            logger.info('Smart route: create document -> Claude (compose)');
-            return await this._composeWithClaude(message, context, 'document');
-        }
-        if (lower.match(/draft\s+(a\s+)?(reply|response|email\s+body|message)|write\s+(a\s+)?(summary|report|brief|memo|proposal|document|plan)/)) {
-            logger.info('Smart route: draft/write -> Claude (compose)');
-            return await this._composeWithClaude(message, context, 'draft');
-        }
-        if (lower.match(/summarize|take\s+notes|document\s+(this|that|the)|put\s+(this|that|it)\s+(in|into|on)\s+(a\s+)?(doc|document|sheet|spreadsheet|drive)/)) {
-            logger.info('Smart route: summarize/document -> Claude (compose)');
-            return await this._composeWithClaude(message, context, 'summarize');
-        }
+    /** Audited refusal for `userId` */
+    _deny(userId, capability, what, message) {
+        return permissions.deny(userId, capability, what, { message: message.slice(0, 200) });
+    }
 
-        // Google data READ intents -> Gemini with pre-fetched data
-        if (lower.match(/calendar|schedule|event|meeting|today|appointment|tomorrow|this week|agenda|busy|free|available/)) {
-            const { googleWorkspace } = this.skills;
-            if (googleWorkspace?.isReady()) { logger.info('Smart route: calendar -> Gemini (direct)'); return await this._analyzeGoogleData(message, context, 'calendar'); }
-        }
-        if (lower.match(/email|inbox|mail|gmail|message from|sent me|unread/)) {
-            const { googleWorkspace } = this.skills;
-            if (googleWorkspace?.isReady()) { logger.info('Smart route: email -> Gemini (direct)'); return await this._analyzeGoogleData(message, context, 'email'); }
+    _countFallback(from, to, reason) {
+        metrics.inc('mj_fallback_total', { from, to, reason });
+    }
+
+    /** Dry run of the router for the user of `skills` (default: the brain's own skills) */
+    explainRoute(message, skills) {
+        return this.router.explainRoute(message, { skills: this._turn(skills).skills });
+    }
+
+    /** Request fields that charge a model call to the turn's user and feature */
+    _usage(turn) {
+        return { userId: turn.userId, feature: turn.feature || 'other' };
+    }
+
+    _recordUsage(result, req) {
+        usageLedger.record({
+            userId: req.userId,
+            feature: req.feature || 'other',
+            provider: result.provider,
+            model: result.model,
+            keyTier: req.keyTier || 'primary',
+            inputTokens: result.usage?.inputTokens,
+            outputTokens: result.usage?.outputTokens,
+        });
+    }
+
+    _recordMedia(userId, feature, model, units = 1) {
+        usageLedger.record({ userId, feature, provider: 'google-media', model, keyTier: 'media', mediaUnits: units });
+    }
+
+    _backend(turn = null) {
+        if (turn?.budgetDowngrade && this.providers.backend !== this.providers.gemini) {
+            logger.info(`Budget: ${this.providers.backend.name} -> gemini`);
+            return this.providers.gemini;
         }
-        if (lower.match(/drive|file|document|folder|find.*file|search.*drive|look.*drive/)) {
-            const { googleWorkspace } = this.skills;
-            if (googleWorkspace?.isReady()) { logger.info('Smart route: Drive -> Gemini (direct)'); return await this._analyzeGoogleData(message, context, 'drive'); }
+        return this.providers.backend;
+    }
+
+    /** The generator prompt for `request` (applied to `previous` for follow-ups), refined unless MEDIA_REFINE is off */
+    _mediaPrompt(turn, kind, request, previous = null) {
+        const system = this._prompt(turn, 'mediaPrompt', { kind, motion: kind === 'video' ? ', plus camera movement and action' : '' });
+        return refinePrompt(this.providers.gemini, system, { kind, request, previous, userId: turn.userId });
+    }
+
+    async _handleUpscale(turn, message = '') {
+        const { geminiImage } = turn.skills;
+        const { userId } = turn;
+        if (turn.budgetDowngrade) return 'You\'re over budget, so upscaling is paused for now. /usage shows the breakdown.';
+        if (!this.media.count(userId)) return 'There\'s nothing to upscale yet. Generate an image first, then ask me to upscale it.';
+        const { item, missing } = this.media.resolve(userId, message, { kind: 'image' });
+        if (!item) return `I can't find ${missing} to upscale. /gallery lists your images.`;
+        if (!item.imageBase64) return `#${item.n} isn't stored any more, so I can't upscale it. /gallery again ${item.n} makes it again.`;
+        logger.info(`Smart route: image upscale of #${item.n} (Imagen 4 Upscale - $0.003)`);
+        const result = await geminiImage.upscale(item.imageBase64, { prompt: item.prompt });
+        return this._storeImage(turn, result, {
+            feature: 'upscale', failed: 'Upscale failed.', model: 'imagen-4-upscale', action: 'upscale',
+            request: message, prompt: item.prompt, options: item.options, parent: item.n,
+        });
+    }
+
+    async _handleImage(turn, message, { ultra = false } = {}) {
+        const prompt = await this._mediaPrompt(turn, 'image', mediaSubject(message, 'image', { ultra }));
+        return this._generateImage(turn, { request: message, prompt, options: mediaOptions(message, 'image'), ultra });
+    }
+
+    async _generateImage(turn, { request, prompt, options = {}, ultra = false, parent = null, action = 'generate' }) {
+        const { geminiImage } = turn.skills;
+        if (!geminiImage) return 'Image generation isn\'t available right now.';
+        if (ultra && turn.budgetDowngrade) { logger.info('Budget: Imagen 4 Ultra -> Nano Banana Pro'); ultra = false; }
+        logger.info(ultra ? 'Smart route: ultra image generation (Imagen 4 Ultra - $0.06)' : 'Smart route: image generation (Nano Banana Pro - free)');
+        const args = Object.keys(options).length ? [prompt, options] : [prompt];
+        const result = ultra ? await geminiImage.ultraGenerate(...args) : await geminiImage.generate(...args);
+        return this._storeImage(turn, result, {
+            feature: ultra ? 'ultraImage' : 'image', failed: `${ultra ? 'Ultra image' : 'Image'} generation failed.`,
+            model: ultra ? 'imagen-4-ultra' : 'nano-banana-pro', request, prompt, options, parent, action,
+        });
+    }
+
+    /** Record a generated image's cost and add it to the turn user's media history; the reply is the image with its #n caption */
+    _storeImage(turn, result, { feature, failed, ...entry }) {
+        if (result?.success) this._recordMedia(turn.userId, feature, entry.model);
+        if (!result?.success || !result?.imageBase64) return result?.message || result || failed;
+        const item = this.media.add(turn.userId, { kind: 'image', ...entry, imageBase64: result.imageBase64 });
+        return { ...result, caption: mediaCaption(item), mediaId: item.n };
+    }
+
+    async _handleVideo(turn, message) {
+        if (turn.budgetDowngrade) return 'You\'re over budget, so video generation is paused for now. /usage shows the breakdown.';
+        const prompt = await this._mediaPrompt(turn, 'video', mediaSubject(message, 'video'));
+        return this._submitVideo(turn, { request: message, prompt, options: mediaOptions(message, 'video') });
+    }
+
+    _submitVideo(turn, payload) {
+        if (!turn.skills.geminiVideo) return 'Video generation isn\'t available right now.';
+        if (turn.budgetDowngrade) return 'You\'re over budget, so video generation is paused for now. /usage shows the breakdown.';
+        logger.info('Smart route: video generation (Veo 3.1)');
+        return this._submitJob(turn, 'video', payload);
+    }
+
+    async _runVideoJob({ prompt, options, request = '', parent = null, action = 'generate' }, { job, signal, progress }) {
+        const { geminiVideo } = this._rawSkills;
+        const model = options.quality === 'standard' || options.resolution === '4k' ? 'veo-3.1' : 'veo-3.1-fast';
+        progress(`rendering with ${model}`);
+        // Skills that take a third { signal, onProgress } argument report finer progress and stop on /cancel
+        const result = await geminiVideo.generateVideo(prompt, options, { signal, onProgress: progress });
+        if (!result?.success) throw new Error(result?.message || 'Video generation failed.');
+        this._recordMedia(job.userId, 'video', model, options.duration || 8);
+        const item = this.media.add(job.userId, { kind: 'video', action, request, prompt, options, model, parent, videoPath: result.videoPath });
+        return { ...result, caption: mediaCaption(item), mediaId: item.n };
+    }
+
+    /** "make it darker", "same but 9:16", "animate the second one": a new result made from an earlier one */
+    async _handleMediaEdit(turn, message) {
+        const { item, missing } = this.media.resolve(turn.userId, message);
+        if (!item) return `I can't find ${missing}. /gallery lists what you've made.`;
+        return this._remix(turn, item, message, message);
+    }
+
+    /**
+     * Make `item` again with what `text` asks for: another kind ("as a video"),
+     * other options ("9:16"), a changed prompt ("darker") or nothing (a new take).
+     * Image skills with edit(imageBase64, instruction, options) change the
+     * stored picture itself; otherwise the adjusted prompt is generated anew.
+     */
+    async _remix(turn, item, text, request) {
+        const kindWord = text.match(/\b(video|clip|animation|animate|movie)\b|\b(image|picture|photo|still)\b/i);
+        const kind = kindWord ? (kindWord[1] ? 'video' : 'image') : item.kind;
+        const ultra = kind === 'image' && item.model === 'imagen-4-ultra';
+        const capability = kind === 'video' || ultra ? 'paid-media' : 'media';
+        if (!this._can(turn.userId, capability)) return this._deny(turn.userId, capability, `remix:${kind}`, request);
+
+        const change = editChange(text);
+        const options = { ...(kind === item.kind ? item.options : {}), ...mediaOptions(text, kind) };
+        const action = kind !== item.kind ? 'remix' : change ? 'edit' : 'regenerate';
+        const prompt = change ? await this._mediaPrompt(turn, kind, change, item.prompt) : item.prompt;
+        if (kind === 'video') return this._submitVideo(turn, { request, prompt, options, parent: item.n, action });
+
+        const { geminiImage } = turn.skills;
+        if (change && kind === item.kind && item.imageBase64 && typeof geminiImage?.edit === 'function' && options.aspectRatio === item.options.aspectRatio) {
+            logger.info(`Smart route: image edit of #${item.n} (Nano Banana Pro - free)`);
+            const result = await geminiImage.edit(item.imageBase64, change, options);
+            return this._storeImage(turn, result, { feature: 'image', failed: 'Image edit failed.', model: 'nano-banana-pro', request, prompt, options, parent: item.n, action });
         }
-        if (lower.match(/search|look\s+up|find out|what is|who is|latest|news|how to|google|browse|research/)) {
-            const { braveSearch } = this.skills;
-            if (braveSearch) { logger.info('Smart route: web search -> Claude'); return await this.thinkWithClaude(message, context); }
+        return this._generateImage(turn, { request, prompt, options, ultra, parent: item.n, action });
+    }
+
+    /** /gallery [page] · /gallery show <n> · /gallery again <n> · /gallery remix <n> <changes> */
+    async _handleGallery(turn, message) {
+        const { userId } = turn;
+        const [, sub = '', ref = '', ...rest] = message.trim().split(/\s+/);
+        if (!sub || /^\d+$/.test(sub)) return this.media.report(userId, turn.profile.timezone, Number(sub) || 1);
+        if (!['show', 'again', 'remix'].includes(sub.toLowerCase())) return 'Try /gallery, /gallery show 3, /gallery again 3 or /gallery remix 3 <changes>.';
+        const item = this.media.get(userId, Number(ref.replace(/^#/, '')));
+        if (!item) return `There's no ${ref ? `#${ref.replace(/^#/, '')}` : 'number'} in your gallery. /gallery lists what you've made.`;
+        switch (sub.toLowerCase()) {
+            case 'show':
+                if (item.imageBase64) return { success: true, imageBase64: item.imageBase64, prompt: item.prompt, caption: mediaCaption(item), mediaId: item.n };
+                if (item.videoPath) return { success: true, videoPath: item.videoPath, prompt: item.prompt, caption: mediaCaption(item), mediaId: item.n };
+                return `#${item.n} isn't stored any more. /gallery again ${item.n} makes it again.`;
+            case 'again':
+                return this._remix(turn, item, '', message);
+            default:
+                if (!rest.length) return `What should change? e.g. /gallery remix ${item.n} at night, in 9:16`;
+                return this._remix(turn, item, rest.join(' '), message);
         }
+    }
 
-        // Multi-step requests -> Orchestrator
-        if (this.orchestrator && this._isMultiStepRequest(message)) {
-            logger.info('Smart route: multi-step -> orchestrator');
-            const result = await this.orchestrator.route(message, { userPreferences: '' });
+    async _handleWeather(turn, message) {
+        const { weather } = turn.skills;
+        const lower = message.toLowerCase();
+        try {
+            const locMatch = message.match(/(?:in|for|at)\s+([A-Z][a-zA-Z\s]+)/);
+            const location = locMatch ? locMatch[1].trim() : turn.profile.location;
+            if (!location) return 'Which city? Ask e.g. "weather in Lisbon", or set yours once with /profile location Lisbon.';
+            if (lower.match(/forecast|week|tomorrow|next/)) return await weather.getForecast(location);
+            return await weather.get(location);
+        } catch (error) { logger.error('Weather error:', error.message); return `Weather error: ${error.message}`; }
+    }
+
+    async _handleMultiStep(turn, message, context) {
+        return this._submitJob(turn, 'multiStep', { task: message, context: this._jobContext(context) });
+    }
+
+    async _runAgentJob(kind, { task, context = [] }, { job, signal, progress }) {
+        const { agentLoop, planner, orchestrator } = this._agentsFor(job.userId);
+        // Agents that take a trailing { signal, onProgress } argument report progress and stop on /cancel
+        const hooks = { signal, onProgress: progress };
+        if (kind === 'plan') {
+            if (!planner) throw new Error('Planner not initialized.');
+            progress('planning');
+            return (await planner.planAndExecute(task, hooks)) || 'Could not create a plan for that request.';
+        }
+        if (kind === 'multiStep' && orchestrator) {
+            progress('routing to sub-agents');
+            const result = await orchestrator.route(task, { userPreferences: '' }, hooks);
             if (result) return result;
             logger.info('Orchestrator returned null, falling back to agent loop');
-            if (this.agentLoop) return await this.agentLoop.run(message, context);
         }
+        if (!agentLoop) throw new Error('Agent loop not initialized.');
+        progress('running the agent loop');
+        return await agentLoop.run(task, context, hooks);
+    }
+
+    /** The last few turns, small enough to store with a job */
+    _jobContext(context) {
+        return Array.isArray(context) ? context.slice(-10) : [];
+    }
+
+    _submitJob(turn, type, payload) {
+        const job = this.jobs.submit(turn.userId, type, payload);
+        const waiting = job.status === 'running' ? '' : `, waiting for a free worker${job.ahead ? ` behind ${job.ahead} other job${job.ahead === 1 ? '' : 's'}` : ''}`;
+        return `⏳ ${job.status === 'running' ? 'Started' : 'Queued'} job **${job.id}** (${this.jobs.label(job)})${waiting}. I'll send the result here when it's done — /jobs shows progress, /cancel ${job.id} stops it.`;
+    }
+
+    _retryJob(id, userId) {
+        const job = this.jobs.get(id, userId);
+        const capability = job && this.jobs.types.get(job.type)?.capability;
+        if (capability && !this._can(userId, capability)) return this._deny(userId, capability, `/retry ${job.type}`, `/retry ${id}`);
+        return this.jobs.retry(id, userId);
+    }
+
+    /**
+     * Send any think() reply to a Telegram user through the scheduler's bot:
+     * text, voice, media, or a stream shown as one message that grows in place.
+     * Job results and proactive messages go out this way; so can the Telegram
+     * handler's own replies.
+     */
+    async sendToTelegram(userId, reply) {
+        const bot = this._rawSkills?.scheduler?.bot;
+        if (!bot?.sendMessage) { logger.warn(`No Telegram bot to deliver to user ${userId}`); return; }
+        if (typeof reply === 'string') return bot.sendMessage(userId, reply);
+        if (isStream(reply)) return streamToTelegram(nodeTelegramBotTransport(bot, userId), reply);
+        if (reply?.voice && bot.sendVoice) {
+            for (const part of reply.voice) await bot.sendVoice(userId, part.audio, {}, { filename: 'reply.mp3', contentType: part.mimeType });
+            return reply.truncated ? bot.sendMessage(userId, reply.text) : undefined;
+        }
+        if (reply?.videoPath && bot.sendVideo) return bot.sendVideo(userId, reply.videoPath, { caption: reply.caption });
+        if (reply?.imageBase64 && bot.sendPhoto) return bot.sendPhoto(userId, Buffer.from(reply.imageBase64, 'base64'), { caption: reply.caption });
+        return bot.sendMessage(userId, reply?.caption || reply?.message || reply?.text || String(reply));
+    }
+
+    async _handleSendEmail(turn, message) {
+        try {
+            const parsed = await extractStructured(this.providers.gemini, {
+                instruction: 'Parse this email request.',
+                input: message,
+                schema: EMAIL_SCHEMA,
+                clarify: 'I couldn\'t understand the email details. Try: "Send an email to name@email.com about [subject] saying [message]"',
+                request: this._usage(turn),
+            });
+            if (!parsed.ok) return parsed.question;
+            const { to, subject, body } = parsed.value;
+            const draft = await pendingActions.create(turn.userId, 'email', { to, subject: subject || '(no subject)', body: body || message });
+            if (draft.blocked) return draft.blocked;
+            return pendingActions.render(draft);
+        } catch (error) { logger.error('Send email error:', error.message); return `Failed to draft email: ${error.message}`; }
+    }
 
-        // Smart classification (for everything else)
-        const route = await this.classifyMessage(message);
-        logger.info(`Smart route: ${route}`);
-        if (route === 'claude') return await this.thinkWithClaude(message, context);
-        else return await this.thinkWithGemini(message, context);
+    /** Drafts are prepared and sent for the user who made them, with that user's Google account */
+    async _prepareEmailDraft(payload, userId) {
+        const recipient = await checkRecipient(this._skillsFor(userId).googleWorkspace, payload.to);
+        if (!recipient.address) return { blocker: recipient.warning };
+        return {
+            payload: { ...payload, to: recipient.address, recipientSource: recipient.known ? recipient.source : null },
+            warnings: recipient.warning ? [recipient.warning] : [],
+        };
     }
 
-    async _handleSendEmail(message, context) {
+    async _sendEmailNow({ to, subject, body }, userId) {
+        if (!this._can(userId, 'send-email')) return this._deny(userId, 'send-email', 'email_send', `to ${to}: ${subject}`);
+        const { googleWorkspace } = this._skillsFor(userId);
+        if (!googleWorkspace?.isReady()) return 'Google isn\'t connected right now — the email was not sent.';
         try {
-            const { googleWorkspace } = this.skills;
-            const parseResponse = await axios.post(
-                `https://generativelanguage.googleapis.com/v1beta/models/gemini-3.0-flash-preview:generateContent?key=${this.geminiApiKey}`,
-                { contents: [{ role: 'user', parts: [{ text: `Parse this email request and return ONLY valid JSON with keys "to", "subject", "body". If any field is unclear, make a reasonable guess.\n\nRequest: "${message}"\n\nJSON:` }] }], generationConfig: { temperature: 0.1, maxOutputTokens: 1024 } },
-                { headers: { 'Content-Type': 'application/json' }, timeout: 15000 }
-            );
-            const rawText = parseResponse.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            const jsonMatch = rawText.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) return 'I couldn\'t understand the email details. Try: "Send an email to name@email.com about [subject] saying [message]"';
-            const { to, subject, body } = JSON.parse(jsonMatch[0]);
-            if (!to) return 'I need a recipient email address.';
-            const result = await googleWorkspace.sendEmail(to, subject || '(no subject)', body || message);
+            const result = await googleWorkspace.sendEmail(to, subject, body);
             return `Email sent to **${to}**!\nSubject: ${subject}\n\n${typeof result === 'string' ? result : ''}`;
         } catch (error) { logger.error('Send email error:', error.message); return `Failed to send email: ${error.message}`; }
     }
 
-    async _handleReminder(message) {
+    async _handleReminder(turn, message) {
         try {
-            const parseResponse = await axios.post(
-                `https://generativelanguage.googleapis.com/v1beta/models/gemini-3.0-flash-preview:generateContent?key=${this.geminiApiKey}`,
-                { contents: [{ role: 'user', parts: [{ text: `Parse this reminder request. Return ONLY valid JSON with keys "time" (e.g., "5m", "1h", "30min") and "message" (what to remind about).\n\nRequest: "${message}"\n\nJSON:` }] }], generationConfig: { temperature: 0.1, maxOutputTokens: 512 } },
-                { headers: { 'Content-Type': 'application/json' }, timeout: 15000 }
-            );
-            const rawText = parseResponse.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            const jsonMatch = rawText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const { time, message: reminderMsg } = JSON.parse(jsonMatch[0]);
-                if (time && reminderMsg) {
-                    const { scheduler } = this.skills;
-                    if (scheduler?.bot) return await scheduler.addReminder(this.skills._userId || '', time, reminderMsg, scheduler.bot);
-                }
-            }
-            return 'I couldn\'t parse the reminder. Try: "Remind me in 30 minutes to check the oven"';
+            const tz = turn.profile.timezone;
+            const parsed = await extractStructured(this.providers.gemini, {
+                instruction: `Parse this reminder request. The current local time is ${localNow(tz)} (${tz}). Use "delay" for relative times ("in 30 minutes" -> "30m"). Use "at" for absolute times ("tomorrow at 9am", "next Friday"); if no hour is given for a day, use 09:00.`,
+                input: message,
+                schema: REMINDER_SCHEMA,
+                clarify: 'I couldn\'t parse the reminder. Try: "Remind me in 30 minutes to check the oven" or "Remind me tomorrow at 9am to call Sam"',
+                request: { maxTokens: 512, ...this._usage(turn) },
+            });
+            if (!parsed.ok) return parsed.question;
+            return await this._scheduleReminder(turn, parsed.value);
         } catch (error) { logger.error('Reminder parse error:', error.message); return `Failed to set reminder: ${error.message}`; }
     }
 
-    async _composeWithClaude(message, context, composeType) {
+    /** Schedule { message, delay } or { message, at } (local time in the user's time zone); returns the chat reply. */
+    async _scheduleReminder(turn, { message, delay, at }) {
+        const tz = turn.profile.timezone;
+        const dueAt = at ? zonedTimeToDate(at, tz) : new Date(Date.now() + parseDuration(delay));
+        const delayMs = dueAt.getTime() - Date.now();
+        if (delayMs <= 0) return `${formatInZone(dueAt, tz)} has already passed — when should I remind you?`;
+        const { scheduler } = turn.skills;
+        if (!scheduler?.bot) return 'Reminders aren\'t available right now.';
+        const { userId } = turn;
+        const bot = this.sms ? this.sms.reminderBot(userId, scheduler.bot) : scheduler.bot;
+        const result = await scheduler.addReminder(userId, `${Math.max(1, Math.round(delayMs / 60000))}m`, message, bot);
+        return at && typeof result === 'string' ? `${result}\n(${formatInZone(dueAt, tz)})` : result;
+    }
+
+    async _composeWithClaude(turn, message, context, composeType) {
+        const contextData = [];
+        const [composer, fallback] = this._providerChain('compose', turn);
+        const fallBack = () => this._composeFallback(turn, message, context, contextData, composer, fallback);
         try {
-            const { googleWorkspace } = this.skills;
-            let contextData = '';
+            const { googleWorkspace } = turn.skills;
             const lower = message.toLowerCase();
             if (googleWorkspace?.isReady()) {
-                if (lower.match(/email|inbox|mail|thread|conversation|reply/)) { try { const emails = await googleWorkspace.getRecentEmails(5); contextData += `\n=== RECENT EMAILS (for context) ===\n${emails}\n`; } catch (e) { logger.warn('Context fetch (email) failed:', e.message); } }
-                if (lower.match(/calendar|schedule|meeting|event|appointment/)) { try { const events = await googleWorkspace.getTodayEvents(); contextData += `\n=== TODAY'S CALENDAR ===\n${events}\n`; } catch (e) { logger.warn('Context fetch (calendar) failed:', e.message); } }
-                if (lower.match(/file|document|drive|spreadsheet|sheet/)) { try { const files = await googleWorkspace.listRecentFiles(5); contextData += `\n=== RECENT DRIVE FILES ===\n${files}\n`; } catch (e) { logger.warn('Context fetch (drive) failed:', e.message); } }
-            }
-            const conversationContext = context.slice(-5).map(m => `${m.role}: ${m.content}`).join('\n');
-            let claudePrompt = '';
-            if (composeType === 'document') {
-                claudePrompt = `You are Omar's personal assistant. He wants you to CREATE content for a document.\n\n${contextData ? `Here is real data from his Google account for reference:\n${contextData}\n` : ''}\n${conversationContext ? `Recent conversation:\n${conversationContext}\n` : ''}\nOmar's request: ${message}\n\nCompose the document content. Be thorough, professional, and well-structured. Use clear headings and formatting. Return ONLY the content.`;
-            } else if (composeType === 'draft') {
-                claudePrompt = `You are Omar's personal assistant. He wants you to DRAFT written content.\n\n${contextData ? `Here is real data from his Google account for context:\n${contextData}\n` : ''}\n${conversationContext ? `Recent conversation:\n${conversationContext}\n` : ''}\nOmar's request: ${message}\n\nWrite the draft content. Match the appropriate tone. Return ONLY the draft text.`;
-            } else if (composeType === 'summarize') {
-                claudePrompt = `You are Omar's personal assistant. He wants you to SUMMARIZE or DOCUMENT information.\n\n${contextData ? `Here is real data from his Google account:\n${contextData}\n` : ''}\n${conversationContext ? `Recent conversation:\n${conversationContext}\n` : ''}\nOmar's request: ${message}\n\nCreate a clear, organized summary or document. Use bullet points and headings where appropriate. Return ONLY the content.`;
+                if (lower.match(/email|inbox|mail|thread|conversation|reply/)) { try { const emails = await googleWorkspace.getRecentEmails(5); contextData.push({ title: 'RECENT EMAILS (for context)', text: emails }); } catch (e) { logger.warn('Context fetch (email) failed:', e.message); } }
+                if (lower.match(/calendar|schedule|meeting|event|appointment/)) { try { const events = await googleWorkspace.getTodayEvents(); contextData.push({ title: "TODAY'S CALENDAR", text: events }); } catch (e) { logger.warn('Context fetch (calendar) failed:', e.message); } }
+                if (lower.match(/file|document|drive|spreadsheet|sheet/)) { try { const files = await googleWorkspace.listRecentFiles(5); contextData.push({ title: 'RECENT DRIVE FILES', text: files }); } catch (e) { logger.warn('Context fetch (drive) failed:', e.message); } }
             }
-            logger.info(`OpenAI composing ${composeType} (${claudePrompt.length} chars)...`);
-            const claudeResponse = await this._callOpenAI(claudePrompt);
+            if (!composer) return this._unavailable('compose', turn);
+            // Written to Drive too when the request names a Doc, Sheet or deck (not streamed: the file needs the whole text)
+            const wanted = googleWorkspace?.isReady() ? writeTarget(message, composeType) : null;
+            // A Google skill without the write methods gets the text with a note instead
+            const missing = wanted ? this.docWriter.missing(googleWorkspace, wanted) : [];
+            const target = missing.length ? null : wanted;
+            const notSaved = missing.length ? `\n\n⚠️ Saving to Google ${KIND_LABELS[wanted.kind]} isn't available: the Google skill has no ${missing.join(', ')}. Here is the text to copy instead.` : '';
+            const ctx = this._buildContext(turn, composer, { system: this._prompt(turn, 'backend'), data: contextData, history: context, request: message, withMemory: false });
+            const claudePrompt = this._prompt(turn, COMPOSE_PROMPTS[composeType], {
+                data: ctx.dataText ? `Here is real data from ${turn.profile.name}'s Google account for context:\n${ctx.dataText}\n\n` : '',
+                history: this.contextBuilder.historyText(ctx),
+                request: message + (FORMAT_HINTS[wanted?.kind] || ''),
+            });
+            logger.info(`${composer.name} composing ${composeType} (${claudePrompt.length} chars)...`);
+            const icon = wanted ? KIND_LABELS[wanted.kind] : composeType === 'document' ? 'Doc' : composeType === 'draft' ? 'Draft' : 'Summary';
+            if (turn.streaming && !wanted) return this._streamWithFallback(this._streamOpenAI(turn, claudePrompt, composer), fallBack, `**Claude composed (${icon}):**\n\n`);
+            const claudeResponse = await this._callOpenAI(turn, claudePrompt, composer);
             if (claudeResponse) {
-                const icon = composeType === 'document' ? 'Doc' : composeType === 'draft' ? 'Draft' : 'Summary';
-                return `**Claude composed (${icon}):**\n\n${claudeResponse}`;
+                const composed = `**Claude composed (${icon}):**\n\n${claudeResponse}`;
+                return target ? `${composed}\n\n${await this._writeComposed(turn, target, claudeResponse, message)}` : `${composed}${notSaved}`;
             }
-            logger.warn('Claude CLI unavailable for composition, falling back to Gemini');
-            return await this._fallbackToGemini(message, context, contextData);
+            logger.warn(`${composer.name} returned nothing for composition, falling back`);
+            return await fallBack();
         } catch (error) {
             logger.error(`Claude compose error (${composeType}):`, error.message);
-            return await this._fallbackToGemini(message, context);
+            return await fallBack();
+        }
+    }
+
+    /** Save composed markdown to the user's Drive; the reply line with the link, or why it wasn't saved */
+    async _writeComposed(turn, target, markdown, message) {
+        try {
+            const write = await this.docWriter.write(turn.userId, turn.skills.googleWorkspace, {
+                ...target, markdown, title: titleFor(markdown, message), account: turn.profile.googleAccount,
+            });
+            return `📄 ${write.action === 'create' ? 'Created' : 'Added to'} **${write.title}**: ${write.url}\n/undo ${write.id} reverts it.`;
+        } catch (error) {
+            logger.warn(`Saving to Google ${KIND_LABELS[target.kind]} failed:`, error.message);
+            return `⚠️ Not saved to Google ${KIND_LABELS[target.kind]}s: ${error.message}.`;
         }
     }
 
-    async _analyzeGoogleData(message, context, dataType) {
-        const { googleWorkspace } = this.skills;
+    async _analyzeGoogleData(turn, message, context, dataType) {
+        const { googleWorkspace } = turn.skills;
         let data = '';
         try {
             if (dataType === 'email') { logger.info('Fetching emails...'); data = await googleWorkspace.getRecentEmails(10); }
@@ -347,113 +870,94 @@ Current date/time: ${new Date().toLocaleString('en-US', { timeZone: 'America/New
             }
             if (!data || data.includes('not configured')) return `Google ${dataType} is not set up properly.`;
             logger.info(`Got ${dataType} data (${data.length} chars), sending to Gemini...`);
-            const contextStr = context.slice(-3).map(m => `${m.role}: ${m.content}`).join('\n');
-            const analysisPrompt = `You are Omar's personal assistant. Here is real data from his Google account:\n\n${data}\n\n${contextStr ? `Recent conversation:\n${contextStr}\n` : ''}\nOmar's request: ${message}\n\nAnalyze the data above and answer his question directly. Be helpful and concise.`;
-            const response = await axios.post(
-                `https://generativelanguage.googleapis.com/v1beta/models/gemini-3.0-flash-preview:generateContent?key=${this.geminiApiKey}`,
-                { contents: [{ role: 'user', parts: [{ text: analysisPrompt }] }], generationConfig: { temperature: 0.3, maxOutputTokens: 4096 } },
-                { headers: { 'Content-Type': 'application/json' }, timeout: 15000 }
-            );
-            const text = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
-            if (text) return text;
+            const ctx = this._buildContext(turn, this.providers.gemini, { data: [{ title: dataType.toUpperCase(), text: data }], history: context, request: message, withMemory: false });
+            const analysisPrompt = this._prompt(turn, 'analysis', { data: ctx.dataText, history: this.contextBuilder.historyText(ctx), request: message });
+            const response = await this.providers.gemini.generate({
+                messages: [{ role: 'user', content: analysisPrompt }],
+                temperature: 0.3, maxTokens: 4096, timeout: 15000, ...this._usage(turn)
+            });
+            if (response.text) return response.text;
             return 'Could not analyze the data. Try asking differently.';
         } catch (error) { logger.error(`Google ${dataType} analysis error:`, error.message); return `Failed to get ${dataType}: ${error.message}`; }
     }
 
-    async prefetchData(message) {
-        const { googleWorkspace, braveSearch } = this.skills;
-        const lower = message.toLowerCase();
-        const sections = [];
-        try {
-            if (lower.match(/email|inbox|mail|gmail|message from|sent me/)) { if (googleWorkspace?.isReady()) { logger.info('Pre-fetching emails for Claude...'); const emails = await googleWorkspace.getRecentEmails(10); sections.push(`=== RECENT EMAILS ===\n${emails}`); } }
-            if (lower.match(/calendar|schedule|event|meeting|today|appointment/)) { if (googleWorkspace?.isReady()) { logger.info('Pre-fetching calendar for Claude...'); const events = await googleWorkspace.getTodayEvents(); sections.push(`=== TODAY'S CALENDAR ===\n${events}`); } }
-            if (lower.match(/drive|file|document|folder|find.*file|search.*drive|look.*drive|check.*drive|what.*drive|find.*document/)) {
-                if (googleWorkspace?.isReady()) {
-                    let searchTerm = '';
-                    const forMatch = message.match(/(?:for|about|named|called|related to|regarding)\s+['"]?(.+?)['"]?\s*$/i);
-                    if (forMatch) searchTerm = forMatch[1].trim();
-                    if (!searchTerm) { const quotedMatch = message.match(/['"]([^'"]+)['"]/); if (quotedMatch) searchTerm = quotedMatch[1].trim(); }
-                    if (!searchTerm) { searchTerm = message.replace(/^(can you |please |hey |could you |i need |i want )/gi, '').replace(/(search|find|look|check|show|get|what'?s?|are there|is there|any|my|on|in|the|me|through)\s*/gi, '').replace(/\b(drive|files?|documents?|folders?|google)\b/gi, '').trim(); }
-                    if (searchTerm.length > 1) { logger.info(`Pre-fetching Drive results for: "${searchTerm}"`); const files = await googleWorkspace.searchFiles(searchTerm); sections.push(`=== DRIVE SEARCH RESULTS ===\n${files}`); }
+    async thinkWithClaude(turn, message, context) {
+        const tools = await createBackendTools(this, turn);
+        const cache = new Map(); // shared with the fallback run, so tools with side effects run once
+        const run = (provider) => {
+            const ctx = this._buildContext(turn, provider, { system: this._prompt(turn, 'backend'), history: context, request: message });
+            const { system, messages } = this.contextBuilder.toMessages(ctx, message);
+            return this.toolLoop.run(provider, {
+                system, messages, tools, cache,
+                userId: turn.userId,
+                permit: (capability, userId) => this._can(userId, capability),
+                request: { maxTokens: 4096, temperature: 0.4, timeout: this.openaiTimeout, ...this._usage(turn) },
+            });
+        };
+
+        const chain = this._providerChain('action', turn);
+        if (!chain.length) return this._unavailable('action', turn);
+        let lastError = null;
+        for (const [i, provider] of chain.entries()) {
+            const next = chain[i + 1];
+            try {
+                logger.info(`Calling ${provider.name} (${i ? 'fallback' : 'backend brain'}, ${tools.length} tools)...`);
+                const result = await run(provider);
+                if (result.text) {
+                    logger.info(`${provider.name} answered after ${result.steps} step(s), ${result.calls.length} tool call(s)`);
+                    return result.text;
                 }
+                if (!next) return 'I found the data but couldn\'t analyze it. Try asking differently.';
+                logger.warn(`${provider.name} returned empty, falling back to ${next.name}`);
+                this._countFallback(provider.name, next.name, 'empty');
+            } catch (error) {
+                lastError = error;
+                if (error.code === 'ECONNABORTED') logger.error(`${provider.name} timed out after ${this.openaiTimeout}ms${next ? `, falling back to ${next.name}` : ''}`);
+                else logger.error(`${provider.name} error${next ? `, falling back to ${next.name}` : ''}:`, error.response?.data?.error?.message || error.message);
+                if (next) this._countFallback(provider.name, next.name, error.code === 'ECONNABORTED' ? 'timeout' : 'error');
             }
-            if (lower.match(/search|look up|find out|what is|who is|latest|news|how to/) && !sections.length) {
-                if (braveSearch) { logger.info('Pre-fetching web search for Claude...'); const query = message.replace(/^(search|look up|find)\s*(for)?\s*/i, '').trim(); const results = await braveSearch.search(query); sections.push(`=== WEB SEARCH RESULTS ===\n${results}`); }
-            }
-        } catch (error) { logger.error('Pre-fetch error:', error.message); }
-        return sections.join('\n\n');
-    }
-
-    async thinkWithClaude(message, context) {
-        let prefetchedData = null;
-        try {
-            prefetchedData = await this.prefetchData(message);
-            const contextStr = context.slice(-5).map(m => `${m.role}: ${m.content}`).join('\n');
-            let fullPrompt = this.claudeSystemPrompt + '\n\n';
-            if (this._memoryContext) fullPrompt += `${this._memoryContext}\n\n`;
-            if (this._learnedContext) fullPrompt += `${this._learnedContext}\n\n`;
-            if (contextStr) fullPrompt += `Recent conversation:\n${contextStr}\n\n`;
-            if (this.mcpBridge) { const toolInfo = this.mcpBridge.getToolDescriptions(); if (toolInfo) fullPrompt += `Available MCP tools:\n${toolInfo}\n\n`; }
-            if (prefetchedData) fullPrompt += `Here is real data from Omar's accounts:\n\n${prefetchedData}\n\n`;
-            fullPrompt += `Omar's request: ${message}\n\nAnalyze the data and answer his question directly. Be concise.`;
-            logger.info('Calling OpenAI (backend brain)...');
-            const openaiResponse = await this._callOpenAI(fullPrompt);
-            if (openaiResponse) return openaiResponse;
-            logger.warn('Claude CLI returned empty, falling back to Gemini');
-            return await this._fallbackToGemini(message, context, prefetchedData);
-        } catch (error) {
-            logger.error('Claude CLI error, falling back to Gemini:', error.message);
-            return await this._fallbackToGemini(message, context, prefetchedData);
         }
+        return chain.length > 1 ? `All of ${chain.map(p => p.name).join(', ')} failed: ${lastError.message}` : `${chain[0].name} failed: ${lastError.message}`;
     }
 
-    async _refreshAccessToken() {
-        if (!this._openaiRefreshToken) throw new Error('No OpenAI refresh token configured');
-        try {
-            logger.info('Auto-refreshing OpenAI access token...');
-            const response = await axios.post('https://auth.openai.com/oauth/token', {
-                grant_type: 'refresh_token',
-                refresh_token: this._openaiRefreshToken,
-                client_id: 'app_EMoamEEZ73f0CkXaXp7hrann'
-            }, { headers: { 'Content-Type': 'application/json' }, timeout: 15000 });
-            this._openaiAccessToken = response.data.access_token;
-            if (response.data.refresh_token) this._openaiRefreshToken = response.data.refresh_token;
-            this._tokenExpiresAt = Date.now() + ((response.data.expires_in || 3600) * 1000) - 60000; // refresh 1min early
-            logger.info('OpenAI access token refreshed successfully');
-        } catch (error) {
-            logger.error('Token refresh failed:', error.response?.data || error.message);
-            throw new Error('OpenAI token refresh failed: ' + (error.response?.data?.error?.message || error.message));
-        }
+    /**
+     * Fit memory, history and data for one call into `provider`'s token budget
+     * (see ./context-builder.js). Turns that no longer fit are folded into the
+     * user's rolling summary in the background.
+     */
+    _buildContext(turn, provider, { system = '', data = [], history = [], request = '', maxOutputTokens = 4096, withMemory = true }) {
+        return this.contextBuilder.build({
+            provider: provider.name,
+            userId: turn.userId,
+            system,
+            memory: withMemory ? turn.memory : '',
+            learned: withMemory ? turn.learned : '',
+            data,
+            history: history || [],
+            request,
+            maxOutputTokens,
+        });
     }
 
-    async _getValidToken() {
-        if (!this._openaiAccessToken && !this._openaiRefreshToken) throw new Error('No OpenAI credentials configured. Set OPENAI_CODEX_TOKEN and OPENAI_CODEX_REFRESH in .env');
-        if (!this._openaiAccessToken || Date.now() >= this._tokenExpiresAt) await this._refreshAccessToken();
-        return this._openaiAccessToken;
+    async _summarizeTurns(previous, turns, userId) {
+        const transcript = turns.map(m => `${m.role}: ${m.content}`).join('\n');
+        const response = await this.providers.gemini.generate({
+            system: this._prompt(this._turn(this._skillsFor(userId)), 'summary'),
+            messages: [{ role: 'user', content: `${previous ? `Existing summary:\n${previous}\n\n` : ''}New turns:\n${transcript}\n\nUpdated summary:` }],
+            temperature: 0.2, maxTokens: 512, timeout: 20000, maxRetries: 1, userId, feature: 'summary'
+        });
+        return response.text;
     }
 
-    async _callOpenAI(prompt) {
+    async _callOpenAI(turn, prompt, backend = this._backend(turn)) {
         try {
-            const maxPromptLen = 100000;
-            const safePrompt = prompt.length > maxPromptLen ? prompt.substring(0, maxPromptLen) + '\n\n[Prompt truncated for length]' : prompt;
-            const token = await this._getValidToken();
-            logger.info(`OpenAI API calling model: ${this.openaiModel} (prompt: ${safePrompt.length} chars)`);
-            const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-                model: this.openaiModel,
-                messages: [
-                    { role: 'system', content: this.claudeSystemPrompt },
-                    { role: 'user', content: safePrompt }
-                ],
-                max_tokens: 4096,
-                temperature: 0.4
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: this.openaiTimeout
+            logger.info(`${backend.name} API calling model: ${backend.model} (prompt: ${prompt.length} chars)`);
+            const response = await backend.generate({
+                system: this._prompt(turn, 'backend'),
+                messages: [{ role: 'user', content: prompt }],
+                maxTokens: 4096, temperature: 0.4, timeout: this.openaiTimeout, ...this._usage(turn)
             });
-            const text = response.data.choices?.[0]?.message?.content;
+            const text = response.text;
             if (text) {
                 logger.info(`OpenAI response: ${text.length} chars`);
                 return text;
@@ -461,71 +965,93 @@ Current date/time: ${new Date().toLocaleString('en-US', { timeZone: 'America/New
             logger.warn('OpenAI returned empty response');
             return null;
         } catch (error) {
-            if (error.response?.status === 401) {
-                logger.warn('OpenAI 401 — attempting token refresh and retry...');
-                try {
-                    await this._refreshAccessToken();
-                    const token = this._openaiAccessToken;
-                    const retryResponse = await axios.post('https://api.openai.com/v1/chat/completions', {
-                        model: this.openaiModel,
-                        messages: [{ role: 'system', content: this.claudeSystemPrompt }, { role: 'user', content: prompt.substring(0, 100000) }],
-                        max_tokens: 4096, temperature: 0.4
-                    }, { headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }, timeout: this.openaiTimeout });
-                    return retryResponse.data.choices?.[0]?.message?.content || null;
-                } catch (retryErr) {
-                    logger.error('OpenAI retry after refresh failed:', retryErr.message);
-                    throw retryErr;
-                }
-            }
             if (error.code === 'ECONNABORTED') { logger.error(`OpenAI timed out after ${this.openaiTimeout}ms`); throw new Error('OpenAI API timed out'); }
             logger.error('OpenAI API error:', error.response?.data?.error?.message || error.message);
             throw error;
         }
     }
 
-    async _fallbackToGemini(message, context, prefetchedData = null) {
-        logger.info('Falling back to Gemini...');
-        if (prefetchedData) {
-            const contextStr = context.slice(-5).map(m => `${m.role}: ${m.content}`).join('\n');
-            let analysisPrompt = '';
-            if (contextStr) analysisPrompt += `Recent conversation:\n${contextStr}\n\n`;
-            analysisPrompt += `Here is real data from Omar's accounts:\n\n${prefetchedData}\n\n`;
-            analysisPrompt += `Omar's request: ${message}\n\nAnalyze the data and answer his question directly.`;
+    async *_streamOpenAI(turn, prompt, backend = this._backend(turn)) {
+        logger.info(`${backend.name} API streaming model: ${backend.model} (prompt: ${prompt.length} chars)`);
+        yield* backend.stream({
+            system: this._prompt(turn, 'backend'),
+            messages: [{ role: 'user', content: prompt }],
+            maxTokens: 4096, temperature: 0.4, timeout: this.openaiTimeout, ...this._usage(turn)
+        });
+    }
+
+    /**
+     * Stream `primary`; if it fails or is empty before the first chunk, run
+     * `fallback(error)` instead (string or stream). Failures mid-stream can't be
+     * replayed, so they end the reply with a note.
+     */
+    async *_streamWithFallback(primary, fallback, prefix = '') {
+        let started = false;
+        let failure = null;
+        try {
+            for await (const chunk of primary) {
+                if (!started && prefix) yield prefix;
+                started = true;
+                yield chunk;
+            }
+        } catch (error) {
+            if (started) { logger.error('Backend stream interrupted:', error.message); yield `\n\n(response interrupted: ${error.message})`; return; }
+            logger.error('Stream failed before first chunk, using fallback:', error.message);
+            failure = error;
+        }
+        if (started) return;
+        const result = await fallback(failure);
+        if (isStream(result)) yield* result;
+        else if (result) yield String(result);
+    }
+
+    /** Compose with the next provider in the compose policy after `from` failed or came back empty */
+    async _composeFallback(turn, message, context, data = [], from, provider) {
+        if (!provider) return this._unavailable('compose', turn);
+        logger.info(`Falling back to ${provider.name}...`);
+        this._countFallback(from.name, provider.name, 'compose');
+        if (data?.some(s => s.text)) {
+            const system = this._prompt(turn, 'backend');
+            const ctx = this._buildContext(turn, provider, { system, data, history: context, request: message, withMemory: false });
+            const analysisPrompt = this._prompt(turn, 'fallbackAnalysis', { data: ctx.dataText, history: this.contextBuilder.historyText(ctx), request: message });
             try {
-                const response = await axios.post(
-                    `https://generativelanguage.googleapis.com/v1beta/models/gemini-3.0-flash-preview:generateContent?key=${this.geminiApiKey}`,
-                    { contents: [{ role: 'user', parts: [{ text: analysisPrompt }] }], systemInstruction: { parts: [{ text: this.claudeSystemPrompt }] }, generationConfig: { temperature: 0.4, maxOutputTokens: 4096 } },
-                    { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
-                );
-                const text = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
-                return text || 'I found the data but couldn\'t analyze it. Try asking differently.';
-            } catch (error) { logger.error('Gemini fallback error:', error.message); return `Both Claude and Gemini failed: ${error.message}`; }
+                const response = await provider.generate({
+                    system,
+                    messages: [{ role: 'user', content: analysisPrompt }],
+                    temperature: 0.4, maxTokens: 4096, timeout: 30000, ...this._usage(turn)
+                });
+                return response.text || 'I found the data but couldn\'t analyze it. Try asking differently.';
+            } catch (error) { logger.error(`${provider.name} fallback error:`, error.message); return `Both ${from.name} and ${provider.name} failed: ${error.message}`; }
         }
-        return await this.thinkWithGemini(message, context);
+        return await this._chat(turn, message, context, [provider]);
     }
 
-    async thinkWithGemini(message, context) {
+    /** Gemini chat only (/gemini) */
+    async thinkWithGemini(turn, message, context) {
         if (!this.geminiApiKey) return 'Add GEMINI_API_KEY to .env';
-        try {
-            const contents = context.slice(-10).map(msg => ({ role: msg.role === 'user' ? 'user' : 'model', parts: [{ text: msg.content }] }));
-            contents.push({ role: 'user', parts: [{ text: message }] });
-            let enrichedPrompt = this.geminiPrompt;
-            if (this._memoryContext) enrichedPrompt += `\n${this._memoryContext}`;
-            if (this._learnedContext) enrichedPrompt += `\n${this._learnedContext}`;
-            const apiKey = keyRouter.getKey('textChat');
-            apiRateLimiter.trackRequest('gemini-text-chat');
-            const makeRequest = (key) => axios.post(
-                `https://generativelanguage.googleapis.com/v1beta/models/gemini-3.0-flash-preview:generateContent?key=${key}`,
-                { contents, systemInstruction: { parts: [{ text: enrichedPrompt }] }, generationConfig: { temperature: 0.8, maxOutputTokens: 2048 } },
-                { headers: { 'Content-Type': 'application/json' }, timeout: 30000 }
-            );
-            const response = await apiRateLimiter.callWithRetry(
-                () => makeRequest(apiKey),
-                { maxRetries: 3, apiKeyName: 'gemini-text-chat', onRateLimit: async () => { const fallbackKey = keyRouter.getFallback('textChat'); if (fallbackKey) { logger.info(`Switching to fallback key`); return await makeRequest(fallbackKey); } throw new Error('All keys rate limited'); } }
-            );
-            const text = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
-            return text || "I'm here!";
-        } catch (error) { logger.error('Gemini error:', error.message); return `Error: ${error.message}`; }
+        return this._chat(turn, message, context, [this.providers.gemini]);
+    }
+
+    /** Plain chat, no tools: each provider in `chain` in turn until one answers */
+    async _chat(turn, message, context, chain = this._providerChain('chat', turn)) {
+        if (!chain.length) return this._unavailable('chat', turn);
+        const attempt = async (i, lastError) => {
+            const provider = chain[i];
+            if (!provider) return lastError ? `Error: ${lastError.message}` : "I'm here!";
+            if (i > 0) this._countFallback(chain[i - 1].name, provider.name, lastError.code === 'ECONNABORTED' ? 'timeout' : 'error');
+            try {
+                const ctx = this._buildContext(turn, provider, { system: this._prompt(turn, 'chat'), history: context, request: message, maxOutputTokens: 2048 });
+                const { system, messages } = this.contextBuilder.toMessages(ctx, message);
+                const request = { system, messages, temperature: 0.8, maxTokens: 2048, timeout: 30000, ...this._usage(turn), ...(provider === this.providers.gemini ? { keyTier: 'textChat' } : {}) };
+                if (turn.streaming) return this._streamWithFallback(provider.stream(request), (error) => (error ? attempt(i + 1, error) : "I'm here!"));
+                const response = await provider.generate(request);
+                return response.text || "I'm here!";
+            } catch (error) {
+                logger.error(`${provider.name} chat error:`, error.message);
+                return attempt(i + 1, error);
+            }
+        };
+        return attempt(0, null);
     }
 }
 
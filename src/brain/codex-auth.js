@@ -0,0 +1,114 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { tokenStore } from '../utils/token-store.js';
+
+const TOKEN_URL = 'https://auth.openai.com/oauth/token';
+const CLIENT_ID = 'app_EMoamEEZ73f0CkXaXp7hrann';
+const SERVICE = 'codex';
+
+const fingerprint = (token) => token ? crypto.createHash('sha256').update(token).digest('hex').slice(0, 16) : null;
+
+/**
+ * CodexAuth - OAuth tokens for the Codex backend, persisted in the token store
+ *
+ * Accounts come from OPENAI_CODEX_TOKEN/OPENAI_CODEX_REFRESH ('primary') and
+ * OPENAI_CODEX_ACCOUNTS. The .env values only seed the store: once a refresh
+ * has rotated the token, the stored one wins (unless .env gets a new token).
+ * Refreshes are serialized per account; when an account can't refresh, the
+ * next healthy one takes over.
+ */
+export class CodexAuth {
+    constructor(accounts = null) {
+        this.accounts = accounts || [
+            { name: 'primary', accessToken: config.openaiCodexToken, refreshToken: config.openaiCodexRefresh },
+            ...(config.openaiCodexAccounts || []),
+        ].filter(a => a.accessToken || a.refreshToken);
+        this.current = 0;
+        this._seed();
+    }
+
+    _seed() {
+        for (const account of this.accounts) {
+            const stored = tokenStore.get(SERVICE, account.name);
+            const seed = fingerprint(account.refreshToken || account.accessToken);
+            if (stored && stored.seed === seed) continue;
+            if (stored) logger.info(`Codex account ${account.name}: new token in .env, replacing stored one`);
+            tokenStore.set(SERVICE, account.name, { accessToken: account.accessToken || null, refreshToken: account.refreshToken || null, expiresAt: 0, seed, status: 'ok', lastError: null });
+        }
+    }
+
+    hasCredentials() { return this.accounts.length > 0; }
+
+    get accountName() { return this.accounts[this.current]?.name; }
+
+    async _refresh(name, rejectedToken = null) {
+        return tokenStore.withLock(`${SERVICE}:${name}`, async () => {
+            const record = tokenStore.get(SERVICE, name);
+            // Someone else refreshed while we waited for the lock
+            if (record.accessToken && record.accessToken !== rejectedToken && Date.now() < record.expiresAt) return record.accessToken;
+            if (!record.refreshToken) throw new Error(`No OpenAI refresh token for account ${name}`);
+            logger.info(`Auto-refreshing OpenAI access token (${name})...`);
+            try {
+                const response = await axios.post(TOKEN_URL, {
+                    grant_type: 'refresh_token',
+                    refresh_token: record.refreshToken,
+                    client_id: CLIENT_ID
+                }, { headers: { 'Content-Type': 'application/json' }, timeout: 15000 });
+                const saved = tokenStore.set(SERVICE, name, {
+                    accessToken: response.data.access_token,
+                    refreshToken: response.data.refresh_token || record.refreshToken,
+                    expiresAt: Date.now() + ((response.data.expires_in || 3600) * 1000) - 60000, // refresh 1min early
+                    lastRefresh: Date.now(),
+                    status: 'ok',
+                    lastError: null,
+                });
+                logger.info(`OpenAI access token refreshed successfully (${name})`);
+                return saved.accessToken;
+            } catch (error) {
+                const reason = error.response?.data?.error?.message || error.response?.data?.error_description || error.message;
+                tokenStore.set(SERVICE, name, { status: 'failed', lastError: reason });
+                logger.error(`Token refresh failed (${name}):`, error.response?.data || error.message);
+                throw new Error('OpenAI token refresh failed: ' + reason);
+            }
+        });
+    }
+
+    /** A valid access token, refreshing or failing over to the next account as needed. */
+    async getToken() {
+        if (!this.hasCredentials()) throw new Error('No OpenAI credentials configured. Set OPENAI_CODEX_TOKEN and OPENAI_CODEX_REFRESH in .env');
+        let lastError;
+        for (let tried = 0; tried < this.accounts.length; tried++) {
+            const name = this.accountName;
+            const record = tokenStore.get(SERVICE, name);
+            if (record?.accessToken && Date.now() < record.expiresAt) return record.accessToken;
+            try {
+                return await this._refresh(name);
+            } catch (error) {
+                lastError = error;
+                this.current = (this.current + 1) % this.accounts.length;
+                if (this.accounts.length > 1) logger.warn(`Codex: failing over from ${name} to ${this.accountName}`);
+            }
+        }
+        throw lastError;
+    }
+
+    /** The API rejected the current token (401): force a refresh of that account. */
+    async handleUnauthorized() {
+        const name = this.accountName;
+        const rejected = tokenStore.get(SERVICE, name)?.accessToken;
+        try {
+            await this._refresh(name, rejected);
+        } catch (error) {
+            if (this.accounts.length < 2) throw error;
+            this.current = (this.current + 1) % this.accounts.length;
+            logger.warn(`Codex: failing over from ${name} to ${this.accountName}`);
+        }
+    }
+
+    health() {
+        const all = tokenStore.health()[SERVICE] || {};
+        return Object.fromEntries(this.accounts.map(a => [a.name, { ...all[a.name], active: a.name === this.accountName }]));
+    }
+}
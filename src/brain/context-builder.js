@@ -0,0 +1,157 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { conversationSummaries } from './conversation-summary.js';
+
+// Rough characters per token; good enough for budgeting without shipping tokenizers
+const CHARS_PER_TOKEN = { gemini: 4, codex: 3.8, openai: 3.8, anthropic: 3.5, local: 3.5, mock: 4 };
+
+// Context window we allow ourselves per provider (input side)
+const DEFAULT_BUDGETS = { gemini: 32000, codex: 24000, openai: 24000, anthropic: 32000, local: 6000, mock: 8000 };
+
+const MESSAGE_OVERHEAD = 4;
+
+export function estimateTokens(text, provider = 'gemini') {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / (CHARS_PER_TOKEN[provider] || 4));
+}
+
+/** Split a prefetched data blob into items (emails, events, files) so it can be trimmed whole items at a time. */
+export function splitItems(text) {
+    if (!text) return [];
+    const blocks = String(text).split(/\n\s*(?:-{3,}|={3,})?\s*\n/).map(b => b.trim()).filter(Boolean);
+    return blocks.length > 1 ? blocks : String(text).split('\n').filter(l => l.trim());
+}
+
+/** The start of `text` that fits maxTokens, marked as cut ('' when not even that fits) */
+function cut(text, maxTokens, provider) {
+    const chars = Math.floor((maxTokens - 1) * (CHARS_PER_TOKEN[provider] || 4));
+    return chars > 0 ? `${String(text).slice(0, chars).trimEnd()}…` : '';
+}
+
+/** Keep whole lines from the top until maxTokens is reached; a first line that is too long on its own is cut. */
+function trimLines(text, maxTokens, provider) {
+    if (estimateTokens(text, provider) <= maxTokens) return text;
+    const out = [];
+    let used = 0;
+    for (const line of String(text).split('\n')) {
+        const cost = estimateTokens(line, provider) + 1;
+        if (used + cost > maxTokens) {
+            if (!out.length) out.push(cut(line, maxTokens - 1, provider));
+            break;
+        }
+        out.push(line);
+        used += cost;
+    }
+    return out.join('\n');
+}
+
+/**
+ * ContextBuilder - fits everything a model call needs into a token budget
+ *
+ * Priority: system prompt and the request are always kept; memory and learned
+ * context are capped; recent history is kept newest-first; prefetched data is
+ * added one whole item at a time (a section's first item is cut to fit when it
+ * is too big on its own). History turns that don't fit are folded into a
+ * rolling per-user summary (see conversation-summary.js) which is included instead.
+ *
+ * build() returns the pieces; callers render them as chat messages (toMessages)
+ * or one inline prompt (historyText / dataText).
+ */
+export class ContextBuilder {
+    constructor(options = {}) {
+        this.summaries = options.summaries || conversationSummaries;
+        this.summarize = options.summarize || null;
+    }
+
+    budgetFor(providerName) {
+        return config.contextTokenBudget || DEFAULT_BUDGETS[providerName] || 16000;
+    }
+
+    build({ provider = 'gemini', userId = '', system = '', memory = '', learned = '', data = [], history = [], request = '', maxOutputTokens = 4096, budget }) {
+        const total = budget || this.budgetFor(provider);
+        const tokens = (t) => estimateTokens(t, provider);
+        const fixed = tokens(system) + tokens(request) + Math.min(maxOutputTokens, Math.floor(total / 4));
+        let available = Math.max(0, total - fixed);
+
+        const summaryRow = userId ? this.summaries.get(userId) : null;
+        const summary = summaryRow?.summary ? trimLines(summaryRow.summary, Math.floor(available * 0.1), provider) : '';
+        available -= tokens(summary);
+
+        const memoryText = trimLines(memory, Math.floor(available * 0.15), provider);
+        const learnedText = trimLines(learned, Math.floor(available * 0.1), provider);
+        available -= tokens(memoryText) + tokens(learnedText);
+
+        // History: newest first, capped so data still has room when there is data
+        const hasData = data.some(s => s?.text);
+        const historyCap = hasData ? Math.floor(available * 0.35) : available;
+        const kept = [];
+        let historyUsed = 0;
+        for (let i = history.length - 1; i >= 0; i--) {
+            const cost = tokens(history[i].content) + MESSAGE_OVERHEAD;
+            if (historyUsed + cost > historyCap) break;
+            kept.unshift(history[i]);
+            historyUsed += cost;
+        }
+        const dropped = history.slice(0, history.length - kept.length);
+        available -= historyUsed;
+
+        // Data: whole items, in order, per section
+        const sections = [];
+        let droppedItems = 0;
+        for (const section of data) {
+            if (!section?.text) continue;
+            const items = splitItems(section.text);
+            const header = `=== ${section.title} ===`;
+            let used = tokens(header);
+            const keptItems = [];
+            for (const item of items) {
+                const cost = tokens(item) + 2;
+                if (used + cost > available) {
+                    // An oversize first item is cut to fit rather than losing the whole section
+                    const start = keptItems.length ? '' : cut(item, available - used - 2, provider);
+                    if (start) { keptItems.push(start); used += tokens(start) + 2; }
+                    droppedItems += items.length - keptItems.length;
+                    break;
+                }
+                keptItems.push(item);
+                used += cost;
+            }
+            if (!keptItems.length) continue;
+            const omitted = items.length - keptItems.length;
+            sections.push(`${header}\n${keptItems.join('\n\n')}${omitted ? `\n[${omitted} more item${omitted === 1 ? '' : 's'} omitted to fit context]` : ''}`);
+            available -= used;
+        }
+
+        if (dropped.length && userId && this.summarize) this.summaries.fold(userId, dropped, this.summarize);
+        if (dropped.length || droppedItems) logger.info(`Context (${provider}): kept ${kept.length}/${history.length} turns, dropped ${droppedItems} data item(s), budget ${total}`);
+
+        return {
+            system,
+            memory: memoryText,
+            learned: learnedText,
+            summary,
+            history: kept,
+            dataText: sections.join('\n\n'),
+            stats: { budget: total, remaining: available, keptTurns: kept.length, droppedTurns: dropped.length, droppedItems },
+        };
+    }
+
+    /** Inline transcript: summary of older turns + recent turns as "role: content" lines. */
+    historyText(ctx) {
+        let text = '';
+        if (ctx.summary) text += `Summary of earlier conversation:\n${ctx.summary}\n\n`;
+        if (ctx.history.length) text += `Recent conversation:\n${ctx.history.map(m => `${m.role}: ${m.content}`).join('\n')}\n\n`;
+        return text;
+    }
+
+    /** Chat-style: system prompt enriched with memory/summary, history as messages, then the request. */
+    toMessages(ctx, request) {
+        let system = ctx.system;
+        if (ctx.memory) system += `\n${ctx.memory}`;
+        if (ctx.learned) system += `\n${ctx.learned}`;
+        if (ctx.summary) system += `\n\nSummary of earlier conversation:\n${ctx.summary}`;
+        const messages = ctx.history.map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.content }));
+        messages.push({ role: 'user', content: request });
+        return { system, messages };
+    }
+}
@@ -0,0 +1,91 @@
+import { logger } from '../utils/logger.js';
+import { getDb } from '../utils/db.js';
+
+/**
+ * Per-user conversation kept by the brain, whichever channel it came in on.
+ * think() adds every exchange to `conversation_turns` (the last `maxTurns`
+ * per user are kept) and the memory the Telegram handler passes with its
+ * skills to `conversation_memory`, so SMS and other channels answer with the
+ * same context and memory, also after a restart.
+ */
+export class ConversationHistory {
+    constructor(maxTurns = 20) {
+        this.maxTurns = maxTurns;
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS conversation_turns (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                role TEXT NOT NULL,
+                content TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            )`);
+            db.exec('CREATE INDEX IF NOT EXISTS idx_conversation_turns_user ON conversation_turns (user_id, id)');
+            db.exec(`CREATE TABLE IF NOT EXISTS conversation_memory (
+                user_id TEXT PRIMARY KEY,
+                memory TEXT NOT NULL,
+                learned TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    /** The user's last turns, oldest first ({ role, content }) */
+    get(userId) {
+        try {
+            return this._db().prepare('SELECT role, content FROM conversation_turns WHERE user_id = ? ORDER BY id DESC LIMIT ?')
+                .all(String(userId), this.maxTurns).reverse();
+        } catch (error) {
+            logger.warn('History read failed:', error.message);
+            return [];
+        }
+    }
+
+    add(userId, role, content) {
+        if (!userId || !content) return;
+        try {
+            const db = this._db();
+            db.prepare('INSERT INTO conversation_turns (user_id, role, content, created_at) VALUES (?, ?, ?, ?)').run(String(userId), role, content, Date.now());
+            db.prepare(`DELETE FROM conversation_turns WHERE user_id = ? AND id NOT IN
+                (SELECT id FROM conversation_turns WHERE user_id = ? ORDER BY id DESC LIMIT ?)`).run(String(userId), String(userId), this.maxTurns);
+        } catch (error) {
+            logger.warn('History write failed:', error.message);
+        }
+    }
+
+    /** The memory and learned-preferences text last passed for the user ('' when none) */
+    memory(userId) {
+        try {
+            const row = this._db().prepare('SELECT memory, learned FROM conversation_memory WHERE user_id = ?').get(String(userId));
+            return { memory: row?.memory || '', learned: row?.learned || '' };
+        } catch (error) {
+            logger.warn('History memory read failed:', error.message);
+            return { memory: '', learned: '' };
+        }
+    }
+
+    keepMemory(userId, { memory = '', learned = '' }) {
+        if (!userId) return;
+        try {
+            this._db().prepare(`INSERT INTO conversation_memory (user_id, memory, learned, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET memory = excluded.memory, learned = excluded.learned, updated_at = excluded.updated_at`)
+                .run(String(userId), memory, learned, Date.now());
+        } catch (error) {
+            logger.warn('History memory write failed:', error.message);
+        }
+    }
+
+    clear(userId) {
+        const db = this._db();
+        db.prepare('DELETE FROM conversation_turns WHERE user_id = ?').run(String(userId));
+        db.prepare('DELETE FROM conversation_memory WHERE user_id = ?').run(String(userId));
+    }
+}
+
+export const conversationHistory = new ConversationHistory();
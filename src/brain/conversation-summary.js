@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { getDb } from '../utils/db.js';
+
+const turnHash = (turn) => crypto.createHash('sha1').update(`${turn.role}:${turn.content}`).digest('hex').slice(0, 16);
+
+/**
+ * Rolling per-user summary of conversation turns that no longer fit the
+ * context budget. Stored in the `conversation_summaries` table next to the
+ * bot's memory; `covered_hash` marks the last turn already folded in, so each
+ * turn is summarized once even though the caller re-sends the whole history.
+ */
+export class ConversationSummaries {
+    constructor() {
+        this._ready = false;
+        this._inflight = new Map();
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS conversation_summaries (
+                user_id TEXT PRIMARY KEY,
+                summary TEXT NOT NULL,
+                covered_hash TEXT,
+                updated_at INTEGER NOT NULL
+            )`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    get(userId) {
+        try {
+            return this._db().prepare('SELECT summary, covered_hash AS coveredHash, updated_at AS updatedAt FROM conversation_summaries WHERE user_id = ?').get(String(userId)) || null;
+        } catch (error) {
+            logger.warn('Summary read failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fold `dropped` (oldest first) into the user's summary in the background.
+     * summarize(previousSummary, turns, userId) -> new summary text.
+     */
+    fold(userId, dropped, summarize) {
+        const key = String(userId);
+        if (!dropped.length || this._inflight.has(key)) return;
+        const existing = this.get(key);
+        let start = 0;
+        if (existing?.coveredHash) {
+            const idx = dropped.findIndex(t => turnHash(t) === existing.coveredHash);
+            if (idx === dropped.length - 1) return;
+            if (idx >= 0) start = idx + 1;
+        }
+        const fresh = dropped.slice(start);
+        const job = (async () => {
+            try {
+                const summary = await summarize(existing?.summary || '', fresh, key);
+                if (!summary) return;
+                this._db().prepare(`INSERT INTO conversation_summaries (user_id, summary, covered_hash, updated_at) VALUES (?, ?, ?, ?)
+                    ON CONFLICT(user_id) DO UPDATE SET summary = excluded.summary, covered_hash = excluded.covered_hash, updated_at = excluded.updated_at`)
+                    .run(key, summary.trim(), turnHash(dropped[dropped.length - 1]), Date.now());
+                logger.info(`Conversation summary updated for ${key} (+${fresh.length} turns)`);
+            } catch (error) {
+                logger.warn('Conversation summary update failed:', error.message);
+            } finally {
+                this._inflight.delete(key);
+            }
+        })();
+        this._inflight.set(key, job);
+    }
+
+    clear(userId) {
+        this._db().prepare('DELETE FROM conversation_summaries WHERE user_id = ?').run(String(userId));
+    }
+}
+
+export const conversationSummaries = new ConversationSummaries();
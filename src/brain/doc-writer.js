@@ -0,0 +1,358 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getDb } from '../utils/db.js';
+import { formatInZone } from '../utils/time.js';
+
+export const KIND_LABELS = { doc: 'Doc', sheet: 'Sheet', slides: 'Slides' };
+const URLS = { doc: 'document', sheet: 'spreadsheets', slides: 'presentation' };
+const MAX_SLIDES = 30;
+
+/** googleWorkspace methods each write needs, by kind and create/append */
+const WRITE_METHODS = {
+    doc: { create: ['createDocument', 'updateDocument'], append: ['searchFiles', 'getDocument', 'updateDocument'] },
+    sheet: { create: ['createSpreadsheet'], append: ['searchFiles', 'appendRows', 'clearRange'] },
+    slides: { create: ['createPresentation'] },
+};
+
+// Appended to the compose request so the text can be mapped onto a Sheet or a deck
+export const FORMAT_HINTS = {
+    sheet: '\n\n(This goes into a Google Sheet: answer with a single markdown table, header row first.)',
+    slides: '\n\n(This goes into Google Slides: one "## " heading per slide, with 3 to 5 short bullets under each.)',
+};
+
+const fileUrl = (kind, id) => `https://docs.google.com/${URLS[kind]}/d/${id}/edit`;
+
+/** Strip inline markdown; returns the plain text and the [start, end) ranges that were **bold** */
+function inline(markdown) {
+    const bold = [];
+    let text = '';
+    const source = markdown.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1').replace(/`([^`]*)`/g, '$1');
+    const pattern = /(\*\*|__)(.+?)\1/g;
+    let last = 0, m;
+    while ((m = pattern.exec(source))) {
+        text += source.slice(last, m.index);
+        bold.push([text.length, text.length + m[2].length]);
+        text += m[2];
+        last = m.index + m[0].length;
+    }
+    text += source.slice(last);
+    return { text: text.replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s).,;:!?]|$)/g, '$1$2'), bold };
+}
+
+const tableCells = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => inline(cell.trim()).text);
+const isRule = (line) => line.includes('-') && /^[\s|:-]+$/.test(line); // table separator or horizontal rule
+
+/** Markdown -> [{ type: heading|bullet|numbered|paragraph, level?, text, bold }] with runs of blank lines collapsed */
+export function markdownToBlocks(markdown) {
+    const blocks = [];
+    for (const raw of String(markdown || '').replace(/\r/g, '').split('\n')) {
+        const line = raw.trimEnd();
+        let m;
+        if (/^\s*```/.test(line) || isRule(line)) continue;
+        if ((m = line.match(/^(#{1,6})\s+(.*)$/))) blocks.push({ type: 'heading', level: m[1].length, ...inline(m[2].trim()) });
+        else if ((m = line.match(/^\s*[-*+]\s+(.*)$/))) blocks.push({ type: 'bullet', ...inline(m[1]) });
+        else if ((m = line.match(/^\s*\d+[.)]\s+(.*)$/))) blocks.push({ type: 'numbered', ...inline(m[1]) });
+        else if (/^\s*\|.*\|\s*$/.test(line)) blocks.push({ type: 'paragraph', text: tableCells(line).join('\t'), bold: [] });
+        else if (line.trim() || blocks.at(-1)?.text) blocks.push({ type: 'paragraph', ...inline(line.trim()) });
+    }
+    while (blocks.length && !blocks.at(-1).text) blocks.pop();
+    return blocks;
+}
+
+/**
+ * Google Docs batchUpdate requests that insert `blocks` at `index`. With
+ * `lead`, the text starts with a newline so it becomes new paragraphs after
+ * the one it is inserted into (appending before a document's final newline).
+ * Returns { text, requests }; text.length is what an undo has to delete.
+ */
+export function docRequests(blocks, index, { lead = false } = {}) {
+    let text = lead ? '\n' : '';
+    const styles = [];
+    let list = null;
+    for (const block of blocks) {
+        const start = index + text.length;
+        const end = start + block.text.length;
+        if (block.type === 'heading' && block.text) {
+            styles.push({ updateParagraphStyle: { range: { startIndex: start, endIndex: end }, paragraphStyle: { namedStyleType: `HEADING_${block.level}` }, fields: 'namedStyleType' } });
+        }
+        if (block.type === 'bullet' || block.type === 'numbered') {
+            if (list?.type === block.type) list.end = end;
+            else styles.push(list = { type: block.type, start, end });
+        } else {
+            list = null;
+        }
+        for (const [from, to] of block.bold) styles.push({ updateTextStyle: { range: { startIndex: start + from, endIndex: start + to }, textStyle: { bold: true }, fields: 'bold' } });
+        text += `${block.text}\n`;
+    }
+    text = text.slice(0, -1); // the paragraph inserted into supplies the last newline
+    if (!text) return { text: '', requests: [] };
+    const whole = { startIndex: index + (lead ? 1 : 0), endIndex: index + text.length };
+    return {
+        text,
+        requests: [
+            { insertText: { location: { index }, text } },
+            { updateParagraphStyle: { range: whole, paragraphStyle: { namedStyleType: 'NORMAL_TEXT' }, fields: 'namedStyleType' } },
+            { deleteParagraphBullets: { range: whole } },
+            ...styles.map(style => (style.type ? {
+                createParagraphBullets: { range: { startIndex: style.start, endIndex: Math.max(style.end, style.start + 1) }, bulletPreset: style.type === 'numbered' ? 'NUMBERED_DECIMAL_ALPHA_ROMAN' : 'BULLET_DISC_CIRCLE_SQUARE' },
+            } : style)),
+        ],
+    };
+}
+
+/**
+ * Rows of the first markdown table; without a table, one row per line.
+ * `header: false` drops the header row (the one above the |---| separator).
+ */
+export function markdownTable(markdown, { header = true } = {}) {
+    const lines = String(markdown || '').replace(/\r/g, '').split('\n');
+    const first = lines.findIndex(line => /^\s*\|.*\|\s*$/.test(line));
+    if (first < 0) return markdownToBlocks(markdown).filter(b => b.text).map(b => [b.text]);
+    const rows = [];
+    let hasHeader = false;
+    for (const line of lines.slice(first)) {
+        if (!/^\s*\|.*\|\s*$/.test(line)) break;
+        if (isRule(line)) { hasHeader = rows.length === 1; continue; }
+        rows.push(tableCells(line));
+    }
+    return header || !hasHeader ? rows : rows.slice(1);
+}
+
+/** Headings start slides; everything under a heading becomes its bullets */
+export function slideOutline(markdown, title) {
+    const slides = [];
+    for (const block of markdownToBlocks(markdown)) {
+        if (block.type === 'heading') slides.push({ title: block.text, bullets: [] });
+        else if (block.text) {
+            if (!slides.length) slides.push({ title, bullets: [] });
+            slides.at(-1).bullets.push(block.text);
+        }
+    }
+    return slides.slice(0, MAX_SLIDES);
+}
+
+/** The file's title: its first # or ## heading, else what the request says it is about */
+export function titleFor(markdown, message = '') {
+    const heading = markdownToBlocks(markdown).find(b => b.type === 'heading' && b.level <= 2 && b.text);
+    if (heading) return heading.text.slice(0, 100);
+    const about = message.match(/\b(?:about|on|for|called|named|titled)\s+["']?(.+?)["']?[.!?]*$/i)?.[1];
+    return about ? (about[0].toUpperCase() + about.slice(1)).slice(0, 100) : 'Untitled document';
+}
+
+/**
+ * Where a compose request should be written, or null to only reply with text:
+ *   "create a spreadsheet of ..."         -> { kind: 'sheet' }
+ *   "put this in a doc"                   -> { kind: 'doc' }
+ *   "append this to my meeting notes doc" -> { kind: 'doc', append: 'meeting notes' }
+ */
+export function writeTarget(message, composeType) {
+    const kindOf = (word) => (/sheet|spreadsheet/i.test(word) ? 'sheet' : /presentation|slide|deck/i.test(word) ? 'slides' : 'doc');
+    const into = message.match(/\b(?:append|add|put|save|write)\b[\s\S]*?\b(?:to|in|into|onto)\s+(my|the|a|an)\s+(?:new\s+)?(?:([\w' -]+?)\s+)?(google\s*doc|doc|document|sheet|spreadsheet|presentation|slides|deck)\b/i);
+    if (into) {
+        const name = /^(my|the)$/i.test(into[1]) ? into[2]?.trim() : null;
+        return name && !/^(slides|presentation|deck)$/i.test(into[3]) ? { kind: kindOf(into[3]), append: name } : { kind: kindOf(into[3]) };
+    }
+    if (composeType !== 'document') return null;
+    const created = message.match(/\b(document|doc|google\s*doc|spreadsheet|sheet|presentation|slides?|deck)\b/i);
+    return { kind: kindOf(created?.[1] || 'doc') };
+}
+
+/** "1. Notes (Google Doc) - modified today - https://docs.google.com/document/d/<id>/edit" (searchFiles) -> [{ name, type, id, url }] */
+export function parseFileList(text) {
+    const files = [];
+    for (const line of String(text || '').split('\n')) {
+        const m = line.match(/^\s*\d+\.\s*(.+?)\s*\(([^)]+)\)/);
+        const id = line.match(/\/d\/([\w-]{10,})/)?.[1] || line.match(/\bid:\s*([\w-]{10,})/i)?.[1];
+        if (m && id) files.push({ name: m[1], type: m[2], id, url: line.match(/https:\/\/\S+/)?.[0] || null });
+    }
+    return files;
+}
+
+const fileKind = (file) => (/sheet|spreadsheet/i.test(`${file.type} ${file.url}`) ? 'sheet' : /slide|presentation/i.test(`${file.type} ${file.url}`) ? 'slides' : 'doc');
+
+/**
+ * DocWriter - writes composed content into the user's Google Drive
+ *
+ * Docs get headings, bullet and numbered lists and bold text mapped from the
+ * markdown; Sheets get the rows of its first table; Slides get one slide per
+ * heading. Content is either a new file or appended to an existing Doc or
+ * Sheet found by name through searchFiles.
+ *
+ * Every write is recorded in `doc_writes` with what undo() needs: a created
+ * file is moved to the Drive trash, text appended to a Doc is deleted again
+ * (only if the Doc hasn't changed since), rows appended to a Sheet are
+ * cleared.
+ *
+ * googleWorkspace methods used, each only for the kind that needs it:
+ *   createDocument(title) -> { id, url }      updateDocument(id, requests)  (Docs batchUpdate)
+ *   getDocument(id) -> { title, endIndex }     createSpreadsheet(title, rows) -> { id, url }
+ *   appendRows(id, rows) -> { range }          clearRange(id, range)
+ *   createPresentation(title, slides) -> { id, url }   trashFile(id)   searchFiles(query)
+ */
+export class DocWriter {
+    constructor() {
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS doc_writes (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                account TEXT,
+                action TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                file_id TEXT NOT NULL,
+                title TEXT,
+                url TEXT,
+                undo TEXT NOT NULL,
+                content TEXT,
+                created_at INTEGER NOT NULL,
+                undone_at INTEGER
+            );
+            CREATE INDEX IF NOT EXISTS idx_doc_writes_user ON doc_writes(user_id, created_at);`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    _newId() {
+        const exists = this._db().prepare('SELECT 1 FROM doc_writes WHERE id = ?');
+        let id;
+        do { id = 'w' + crypto.randomBytes(3).toString('hex').slice(0, 4); } while (exists.get(id));
+        return id;
+    }
+
+    _row(r) {
+        if (!r) return null;
+        return {
+            id: r.id, userId: r.user_id, account: r.account, action: r.action, kind: r.kind, fileId: r.file_id, title: r.title,
+            url: r.url, undo: JSON.parse(r.undo), content: r.content, createdAt: r.created_at, undoneAt: r.undone_at,
+        };
+    }
+
+    /** The methods writing `target` ({ kind, append }) needs that `google` doesn't have; [] when it can */
+    missing(google, { kind, append }) {
+        const methods = append ? WRITE_METHODS[kind].append : WRITE_METHODS[kind].create;
+        return methods.filter(name => typeof google?.[name] !== 'function');
+    }
+
+    _need(google, kind, methods) {
+        const missing = methods.filter(name => typeof google?.[name] !== 'function');
+        if (missing.length) throw Object.assign(new Error(`writing Google ${KIND_LABELS[kind]}s isn't supported by the Google skill (needs ${missing.join(', ')})`), { code: 'EUNSUPPORTED' });
+    }
+
+    /** The user's Doc or Sheet named `query` (every word of it in the name; an exact name wins) */
+    async findFile(google, kind, query) {
+        this._need(google, kind, ['searchFiles']);
+        const wanted = query.toLowerCase();
+        const words = wanted.split(/\s+/).filter(Boolean);
+        const files = parseFileList(await google.searchFiles(query)).filter(f => fileKind(f) === kind && words.every(w => f.name.toLowerCase().includes(w)));
+        const file = files.find(f => f.name.toLowerCase() === wanted) || files[0];
+        if (!file) throw new Error(`I couldn't find a Google ${KIND_LABELS[kind]} called "${query}" in your Drive`);
+        return file;
+    }
+
+    /** Create or append; returns the stored write ({ id, action, kind, title, url, ... }) */
+    async write(userId, google, { kind, append, markdown, title, account = '' }) {
+        const written = append ? await this._append(google, kind, append, markdown) : await this._create(google, kind, title, markdown);
+        const row = {
+            id: this._newId(), user_id: String(userId), account: account || '', action: written.action, kind, file_id: written.fileId,
+            title: written.title, url: written.url, undo: JSON.stringify(written.undo), content: markdown, created_at: Date.now(),
+        };
+        this._db().prepare(`INSERT INTO doc_writes (id, user_id, account, action, kind, file_id, title, url, undo, content, created_at)
+            VALUES (@id, @user_id, @account, @action, @kind, @file_id, @title, @url, @undo, @content, @created_at)`).run(row);
+        logger.info(`Doc write ${row.id}: ${written.action} ${kind} "${written.title}" for user ${userId}`);
+        return this.get(row.id);
+    }
+
+    async _create(google, kind, title, markdown) {
+        let file;
+        if (kind === 'doc') {
+            this._need(google, kind, WRITE_METHODS.doc.create);
+            file = await google.createDocument(title);
+            const { requests } = docRequests(markdownToBlocks(markdown), 1);
+            if (requests.length) await google.updateDocument(file.id, requests);
+        } else if (kind === 'sheet') {
+            this._need(google, kind, WRITE_METHODS.sheet.create);
+            file = await google.createSpreadsheet(title, markdownTable(markdown));
+        } else {
+            this._need(google, kind, WRITE_METHODS.slides.create);
+            file = await google.createPresentation(title, slideOutline(markdown, title));
+        }
+        return { action: 'create', fileId: file.id, title, url: file.url || fileUrl(kind, file.id), undo: { type: 'trash' } };
+    }
+
+    async _append(google, kind, query, markdown) {
+        this._need(google, kind, WRITE_METHODS[kind].append);
+        const file = await this.findFile(google, kind, query);
+        const url = file.url || fileUrl(kind, file.id);
+        if (kind === 'sheet') {
+            const { range } = await google.appendRows(file.id, markdownTable(markdown, { header: false }));
+            return { action: 'append', fileId: file.id, title: file.name, url, undo: { type: 'clear', range } };
+        }
+        const doc = await google.getDocument(file.id);
+        const at = doc.endIndex - 1; // before the document's final newline
+        const { text, requests } = docRequests(markdownToBlocks(markdown), at, { lead: true });
+        if (!text) throw new Error('there was nothing to add');
+        await google.updateDocument(file.id, requests);
+        return { action: 'append', fileId: file.id, title: file.name, url, undo: { type: 'delete', start: at, end: at + text.length, docEnd: doc.endIndex + text.length } };
+    }
+
+    get(id, userId) {
+        const write = this._row(this._db().prepare('SELECT * FROM doc_writes WHERE id = ?').get(id));
+        return write && (userId === undefined || write.userId === String(userId)) ? write : null;
+    }
+
+    list(userId, limit = 10) {
+        return this._db().prepare('SELECT * FROM doc_writes WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?').all(String(userId), limit).map(r => this._row(r));
+    }
+
+    /** Undo write `id` (default: the user's latest one not yet undone); returns the reply */
+    async undo(userId, google, id, account = '') {
+        const write = id ? this.get(id, userId) : this.list(userId, 50).find(w => !w.undoneAt);
+        if (!write) return id ? `No document change **${id}**.` : 'Nothing to undo.';
+        if (write.undoneAt) return `**${write.id}** was already undone.`;
+        if (!google) return 'Undo needs your Google account, and none is linked.';
+        if (write.account !== (account || '')) return `**${write.id}** went to another Google account, so I can't undo it from this one.`;
+        try {
+            let reply;
+            if (write.undo.type === 'trash') {
+                this._need(google, write.kind, ['trashFile']);
+                await google.trashFile(write.fileId);
+                reply = `🗑️ Moved **${write.title}** to the Drive trash.`;
+            } else if (write.undo.type === 'clear') {
+                this._need(google, write.kind, ['clearRange']);
+                await google.clearRange(write.fileId, write.undo.range);
+                reply = `↩️ Cleared ${write.undo.range} in **${write.title}**.`;
+            } else {
+                this._need(google, write.kind, ['getDocument', 'updateDocument']);
+                const doc = await google.getDocument(write.fileId);
+                if (doc.endIndex !== write.undo.docEnd) return `**${write.title}** has changed since I added to it, so I won't cut text blindly. File → Version history in Docs can restore it: ${write.url}`;
+                await google.updateDocument(write.fileId, [{ deleteContentRange: { range: { startIndex: write.undo.start, endIndex: write.undo.end } } }]);
+                reply = `↩️ Removed what I added to **${write.title}**.`;
+            }
+            this._db().prepare('UPDATE doc_writes SET undone_at = ? WHERE id = ?').run(Date.now(), write.id);
+            logger.info(`Doc write ${write.id} undone for user ${userId}`);
+            return reply;
+        } catch (error) {
+            logger.warn(`Undo of ${write.id} failed:`, error.message);
+            return `Couldn't undo **${write.id}**: ${error.message}`;
+        }
+    }
+
+    report(userId, timezone = config.timezone) {
+        const writes = this.list(userId);
+        if (!writes.length) return 'I haven\'t written to your Drive yet. Try "create a document about ..." or "add this to my notes doc".';
+        const lines = ['**Document history**'];
+        for (const w of writes) {
+            lines.push(`${w.undoneAt ? '↩️' : '📄'} **${w.id}** ${w.action === 'create' ? 'created' : 'added to'} ${KIND_LABELS[w.kind]} "${w.title}" · ${formatInZone(new Date(w.createdAt), timezone)}${w.undoneAt ? ' · undone' : ''}\n   ${w.url}`);
+        }
+        lines.push('', '/undo reverts the latest change, /undo <id> a specific one.');
+        return lines.join('\n');
+    }
+}
+
+export const docWriter = new DocWriter();
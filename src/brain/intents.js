@@ -0,0 +1,211 @@
+import { IntentRouter } from './router.js';
+
+/**
+ * Built-in intents for SmartBrain.
+ *
+ * Confidence guide: ~0.9 explicit command ("upscale", "send an email"),
+ * ~0.7 clear topic keyword ("forecast", "inbox"), <0.5 ambiguous words
+ * ("today", "free") that only count alongside something stronger.
+ * New skills should add an intent here (or call brain.router.register)
+ * instead of editing think(), with the capability it needs when it costs
+ * money or acts externally (see ../utils/permissions.js). Handlers pass the
+ * caller's turn (see SmartBrain._turn) on to the brain.
+ */
+
+const IMAGE_NOUN = /\b(image|picture|photo|illustration|logo|icon|art|artwork|poster)s?\b/;
+const IMAGE_VERB = /\b(generate|create|draw|make|design|paint)\b/;
+const VIDEO_NOUN = /\b(video|clip|animation|movie|footage)s?\b/;
+const VIDEO_VERB = /\b(generate|create|make|produce)\b/;
+const PREMIUM = /\b(ultra|premium|high.?quality|best.?quality)\b/;
+
+const googleReady = (skills) => !!skills.googleWorkspace?.isReady();
+
+export function registerDefaultIntents(router, brain) {
+    router.register({
+        name: 'upscale',
+        priority: 90,
+        capability: 'paid-media',
+        matchers: [
+            { all: [/\bupscale\b/], confidence: 0.95, reason: 'explicit "upscale"' },
+            { all: [/\bmake\b.*\b(it|this|that)\b.*\b(bigger|larger|4k|hd|high.?res)\b/], confidence: 0.85, reason: 'make it bigger/HD' },
+            { all: [/\bimprove\b.*\b(quality|resolution)\b/], none: [VIDEO_NOUN], confidence: 0.8, reason: 'improve quality/resolution' },
+            { all: [/\benhance\b/], none: [VIDEO_NOUN], confidence: 0.6, reason: '"enhance"' },
+        ],
+        available: (skills) => !!skills.geminiImage,
+        handle: (message, context, decision, turn) => brain._handleUpscale(turn, message),
+    });
+
+    // Follow-ups on an earlier image or video; only while the user's media session is open (see ./media.js)
+    router.register({
+        name: 'mediaEdit',
+        priority: 88,
+        capability: 'media',
+        matchers: [
+            { all: [/\b(video|clip|animation)\s+(of|from)\s+(it|this|that|the\s+[\w-]+\s+(one|image|picture|photo)|#\d+)\b/], confidence: 0.95, reason: 'video of an earlier result' },
+            { all: [/^\s*(do\s+)?(the\s+)?same\b|\bsame\s+(thing|one|image|picture|video|prompt)?\s*,?\s*(but|with|in|as)\b/], confidence: 0.9, reason: '"same but ..."' },
+            { all: [/\b(regenerate|remix|redo|re-do|another\s+(version|take)|try\s+(it\s+)?again|one\s+more)\b/], confidence: 0.85, reason: 'another take' },
+            { all: [/\banimate\s+(it|this|that|them|the\s+[\w-]+\s+(one|image|picture|photo)|#\d+)\b/], confidence: 0.85, reason: 'animate an earlier image' },
+            { all: [/\b(make|turn|change|edit)\s+(it|this|that|them|the\s+[\w-]+\s+(one|image|picture|photo|video|clip)|#\d+)\b/], confidence: 0.8, reason: 'change to an earlier result' },
+            { all: [/^\s*(again|another\s+one)\b/], confidence: 0.8, reason: '"again"' },
+        ],
+        available: (skills) => !!(skills.geminiImage || skills.geminiVideo) && brain.media.hasSession(skills._userId || ''),
+        handle: (message, context, decision, turn) => brain._handleMediaEdit(turn, message),
+    });
+
+    router.register({
+        name: 'ultraImage',
+        priority: 85,
+        capability: 'paid-media',
+        matchers: [
+            { all: [PREMIUM, IMAGE_NOUN], none: [VIDEO_NOUN], confidence: 0.9, reason: 'premium keyword + image noun' },
+        ],
+        available: (skills) => !!skills.geminiImage,
+        handle: (message, context, decision, turn) => brain._handleImage(turn, message, { ultra: true }),
+    });
+
+    router.register({
+        name: 'image',
+        priority: 80,
+        capability: 'media',
+        matchers: [
+            { all: [/\b(generate|create|draw|make|design|paint)\s+(me\s+)?(an?\s+|the\s+|some\s+)?(\w+\s+)?(image|picture|photo|illustration|logo|icon|art|artwork|poster)s?\b/], confidence: 0.9, reason: 'verb directly followed by image noun' },
+            { all: [IMAGE_VERB, IMAGE_NOUN], none: [VIDEO_NOUN], confidence: 0.75, reason: 'image verb + image noun' },
+        ],
+        available: (skills) => !!skills.geminiImage,
+        handle: (message, context, decision, turn) => brain._handleImage(turn, message),
+    });
+
+    router.register({
+        name: 'video',
+        priority: 80,
+        capability: 'paid-media',
+        matchers: [
+            { all: [/\b(generate|create|make|produce)\s+(me\s+)?(an?\s+|the\s+)?((4k|hd|portrait|silent|short|high.?quality|\d+\s*sec(ond)?)\s+)*(video|clip|animation|movie|footage)\b/], confidence: 0.9, reason: 'verb directly followed by video noun' },
+            { all: [VIDEO_VERB, VIDEO_NOUN], confidence: 0.75, reason: 'video verb + video noun' },
+        ],
+        available: (skills) => !!skills.geminiVideo,
+        handle: (message, context, decision, turn) => brain._handleVideo(turn, message),
+    });
+
+    router.register({
+        name: 'weather',
+        priority: 70,
+        capability: 'web',
+        matchers: [
+            { all: [/\b(weather|forecast|temperature|humidity|feels like)\b/], confidence: 0.75, reason: 'weather keyword' },
+            { all: [/\b(will it|is it going to|is it)\s+(rain|snow|hot|cold|sunny)/], confidence: 0.8, reason: 'weather question' },
+            { all: [/\b(rain|snow|degrees|cold outside|hot outside)\b/], confidence: 0.55, reason: 'weather word' },
+        ],
+        available: (skills) => !!skills.weather,
+        handle: (message, context, decision, turn) => brain._handleWeather(turn, message),
+    });
+
+    router.register({
+        name: 'sendEmail',
+        priority: 75,
+        capability: 'send-email',
+        matchers: [
+            { all: [/\b(send|compose|draft)\s+(an?\s+)?e-?mail\b/], confidence: 0.9, reason: 'send/compose/draft an email' },
+            { all: [/\b(email|write\s+to)\s+[\w.+-]+@/], confidence: 0.9, reason: 'email <address>' },
+        ],
+        available: googleReady,
+        handle: (message, context, decision, turn) => brain._handleSendEmail(turn, message),
+    });
+
+    router.register({
+        name: 'reminder',
+        priority: 75,
+        capability: 'reminders',
+        matchers: [
+            { all: [/\b(remind\s+me|set\s+an?\s*reminder|don'?t\s+let\s+me\s+forget)\b/], confidence: 0.9, reason: 'reminder phrase' },
+        ],
+        available: (skills) => !!skills.scheduler,
+        handle: (message, context, decision, turn) => brain._handleReminder(turn, message),
+    });
+
+    router.register({
+        name: 'compose',
+        priority: 60,
+        capability: 'compose-docs',
+        matchers: [
+            { all: [/\bcreate\s+(a\s+|an\s+)?(new\s+)?(document|doc|google\s*doc|spreadsheet|sheet|presentation|slides?)\b/], confidence: 0.85, reason: 'create a document', tag: 'document' },
+            { all: [/\b(draft\s+(a\s+)?(reply|response|email\s+body|message)|write\s+(a\s+|an\s+)?(summary|report|brief|memo|proposal|document|plan))\b/], confidence: 0.8, reason: 'draft/write', tag: 'draft' },
+            { all: [/\b(append|add|put|save)\b.*\b(to|in|into|onto)\s+(my|the)\s+[\w' -]*?(doc|document|sheet|spreadsheet)\b/], confidence: 0.85, reason: 'add to a document', tag: 'summarize' },
+            { all: [/\b(summarize|take\s+notes|document\s+(this|that|the)|put\s+(this|that|it)\s+(in|into|on)\s+(a\s+)?(doc|document|sheet|spreadsheet|drive))\b/], confidence: 0.75, reason: 'summarize/document', tag: 'summarize' },
+        ],
+        handle: (message, context, decision, turn) => brain._composeWithClaude(turn, message, context, decision.tag),
+    });
+
+    router.register({
+        name: 'calendar',
+        priority: 50,
+        capability: 'read-google',
+        matchers: [
+            { all: [/\b(calendar|agenda|appointments?|meetings?|events?)\b/], confidence: 0.8, reason: 'calendar noun' },
+            { all: [/\b(am i|are we|is \w+)\s+(busy|free|available)\b/], confidence: 0.8, reason: 'availability question' },
+            { all: [/\b(what do i have|what'?s on|anything on)\b.*\b(today|tomorrow|this week|tonight)\b/], none: [/\bnews\b/], confidence: 0.75, reason: 'what do I have <day>' },
+            { all: [/\bschedule\b/], confidence: 0.65, reason: '"schedule"' },
+            { all: [/\b(today|tomorrow|this week|busy|free|available)\b/], confidence: 0.3, reason: 'time word only' },
+        ],
+        available: googleReady,
+        handle: (message, context, decision, turn) => brain._analyzeGoogleData(turn, message, context, 'calendar'),
+    });
+
+    router.register({
+        name: 'email',
+        priority: 50,
+        capability: 'read-google',
+        matchers: [
+            { all: [/\b(e-?mails?|inbox|gmail|unread)\b/], confidence: 0.7, reason: 'email noun' },
+            { all: [/\b(mail|message from|sent me)\b/], confidence: 0.6, reason: 'mail phrase' },
+        ],
+        available: googleReady,
+        handle: (message, context, decision, turn) => brain._analyzeGoogleData(turn, message, context, 'email'),
+    });
+
+    router.register({
+        name: 'drive',
+        priority: 45,
+        capability: 'read-google',
+        matchers: [
+            { all: [/\b(drive|folders?)\b/], confidence: 0.75, reason: 'drive/folder' },
+            { all: [/\b(find|search|look|locate)\b.*\b(files?|documents?|docs?|spreadsheets?)\b/], confidence: 0.7, reason: 'find a file' },
+            { all: [/\b(files?|documents?)\b/], confidence: 0.5, reason: 'file noun' },
+        ],
+        available: googleReady,
+        handle: (message, context, decision, turn) => brain._analyzeGoogleData(turn, message, context, 'drive'),
+    });
+
+    router.register({
+        name: 'webSearch',
+        priority: 40,
+        capability: 'web',
+        matchers: [
+            { all: [/\b(latest|news|headlines)\b/], confidence: 0.7, reason: 'news/latest' },
+            { all: [/\b(search|look\s+up|find out|google|browse|research)\b/], confidence: 0.65, reason: 'search verb' },
+            { all: [/\b(what is|who is|how to)\b/], confidence: 0.5, reason: 'lookup question' },
+        ],
+        available: (skills) => !!skills.braveSearch,
+        handle: (message, context, decision, turn) => brain.thinkWithClaude(turn, message, context),
+    });
+
+    router.register({
+        name: 'multiStep',
+        priority: 30,
+        capability: 'agent-loop',
+        matchers: [
+            { all: [/\b(research|find|look up)\b.*\b(and|then)\b.*\b(send|email|create|write|draft|summarize)\b/], confidence: 0.85, reason: 'gather then act' },
+            { all: [/\b(check|get|read)\b.*\b(and|then)\b.*\b(tell|send|update|create)\b/], confidence: 0.8, reason: 'read then act' },
+            { all: [/\b(and then|after that|first\b.*\bthen)\b/], confidence: 0.7, reason: 'explicit sequence' },
+            { all: [/\b(then|also|next|finally)\b/], confidence: 0.45, reason: 'sequence word' },
+        ],
+        available: (skills) => !!brain._agentsFor(skills._userId || '').orchestrator,
+        handle: (message, context, decision, turn) => brain._handleMultiStep(turn, message, context),
+    });
+}
+
+export function createIntentRouter(brain, options = {}) {
+    const router = new IntentRouter(options);
+    registerDefaultIntents(router, brain);
+    return router;
+}
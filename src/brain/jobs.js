@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+import { getDb } from '../utils/db.js';
+import { formatInZone } from '../utils/time.js';
+
+const KEEP_FINISHED_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_STORED_CHARS = 4000;
+const STATUS_ICON = { queued: '🕒', running: '⏳', done: '✅', failed: '❌', cancelled: '🚫' };
+
+/** What /jobs shows of a result: long strings and base64 media cut down */
+function storable(result) {
+    const json = JSON.stringify(result ?? null, (key, value) => (typeof value === 'string' && value.length > 500 ? `${value.slice(0, 200)}… (${value.length} chars)` : value));
+    return json.length > MAX_STORED_CHARS ? `${json.slice(0, MAX_STORED_CHARS)}…` : json;
+}
+
+/**
+ * JobManager - long-running work (video renders, agent runs) off the reply path
+ *
+ * submit(userId, type, payload) stores a job in the `jobs` table and returns
+ * at once; at most config.jobWorkers jobs run at a time and the rest wait in
+ * order. Jobs left queued or running when the process stopped are picked up
+ * again by resume().
+ *
+ * Each job type registers:
+ *   run(payload, { job, signal, progress })  does the work, returns the result to deliver
+ *   label(payload)                           short description for /jobs
+ *   capability?                              checked by the brain again on /retry
+ * progress(note, percent?) updates the job; the user hears about it at most
+ * every config.jobProgressInterval. Cancel and timeout abort `signal` and free
+ * the worker at once; a run that ignores the signal finishes in the
+ * background and its result is dropped.
+ *
+ * this.notify(userId, reply, job) delivers progress, results and failures
+ * (the brain sets it to its Telegram delivery).
+ *
+ * Video renders, /agent, /plan and multi-step tasks are jobs; users manage
+ * theirs with /jobs, /cancel <id> and /retry <id>.
+ */
+export class JobManager {
+    constructor(options = {}) {
+        this.workers = options.workers;
+        this.timeoutMs = options.timeoutMs;
+        this.progressIntervalMs = options.progressIntervalMs;
+        this.notify = options.notify || null;
+        this.types = new Map();
+        this.running = new Map(); // id -> { controller, timer, lastNotified }
+        this._waiters = [];
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS jobs (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL,
+                progress TEXT,
+                percent INTEGER,
+                result TEXT,
+                error TEXT,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL,
+                started_at INTEGER,
+                finished_at INTEGER
+            );
+            CREATE INDEX IF NOT EXISTS idx_jobs_user ON jobs(user_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    registerType(type, handlers) {
+        this.types.set(type, handlers);
+    }
+
+    get maxWorkers() { return this.workers ?? config.jobWorkers; }
+
+    _newId() {
+        const exists = this._db().prepare('SELECT 1 FROM jobs WHERE id = ?');
+        let id;
+        do { id = 'j' + crypto.randomBytes(3).toString('hex').slice(0, 4); } while (exists.get(id));
+        return id;
+    }
+
+    _row(r) {
+        if (!r) return null;
+        return {
+            id: r.id, userId: r.user_id, type: r.type, payload: JSON.parse(r.payload), status: r.status,
+            progress: r.progress, percent: r.percent, result: r.result, error: r.error, attempts: r.attempts,
+            createdAt: r.created_at, startedAt: r.started_at, finishedAt: r.finished_at,
+        };
+    }
+
+    _update(id, fields) {
+        const sets = Object.keys(fields).map(k => `${k} = @${k}`).join(', ');
+        this._db().prepare(`UPDATE jobs SET ${sets} WHERE id = @id`).run({ ...fields, id });
+    }
+
+    label(job) {
+        try { return this.types.get(job.type)?.label?.(job.payload) || job.type; } catch { return job.type; }
+    }
+
+    /** Store a job and start it if a worker is free; returns the job plus `ahead`, how many queued jobs were before it */
+    submit(userId, type, payload) {
+        if (!this.types.has(type)) throw new Error(`Unknown job type: ${type}`);
+        const job = { id: this._newId(), user_id: String(userId), type, payload: JSON.stringify(payload ?? {}), status: 'queued', created_at: Date.now() };
+        this._db().prepare('INSERT INTO jobs (id, user_id, type, payload, status, created_at) VALUES (@id, @user_id, @type, @payload, @status, @created_at)').run(job);
+        logger.info(`Job ${job.id} (${type}) queued for user ${userId}`);
+        const ahead = this._db().prepare("SELECT COUNT(*) AS n FROM jobs WHERE status = 'queued' AND created_at <= ? AND id != ?").get(job.created_at, job.id).n;
+        this._pump();
+        return { ...this.get(job.id, userId), ahead };
+    }
+
+    get(id, userId) {
+        const job = this._row(this._db().prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+        return job && (userId === undefined || job.userId === String(userId)) ? job : null;
+    }
+
+    list(userId, limit = 10) {
+        return this._db().prepare('SELECT * FROM jobs WHERE user_id = ? ORDER BY created_at DESC LIMIT ?').all(String(userId), limit).map(r => this._row(r));
+    }
+
+    /** Start queued jobs while workers are free */
+    _pump() {
+        while (this.running.size < this.maxWorkers) {
+            const types = [...this.types.keys()];
+            if (!types.length) return;
+            const next = this._row(this._db().prepare(`SELECT * FROM jobs WHERE status = 'queued' AND type IN (${types.map(() => '?').join(', ')}) ORDER BY created_at LIMIT 1`).get(...types));
+            if (!next) break;
+            this._start(next);
+        }
+        this._checkIdle();
+    }
+
+    _start(job) {
+        const controller = new AbortController();
+        const timeoutMs = this.timeoutMs ?? config.jobTimeout;
+        const timer = setTimeout(() => this._stop(job.id, 'failed', `timed out after ${timeoutMs < 60000 ? `${Math.ceil(timeoutMs / 1000)}s` : `${Math.round(timeoutMs / 60000)} min`}`), timeoutMs);
+        timer.unref?.();
+        const entry = { controller, timer, lastNotified: Date.now() }; // the submit reply counts as the first update
+        this.running.set(job.id, entry);
+        metrics.set('mj_jobs_running', {}, this.running.size);
+        this._update(job.id, { status: 'running', started_at: Date.now(), attempts: job.attempts + 1, progress: null, percent: null, error: null });
+        logger.info(`Job ${job.id} (${job.type}) started, attempt ${job.attempts + 1}`);
+
+        const progress = (note, percent = null) => {
+            if (this.running.get(job.id) !== entry) return;
+            this._update(job.id, { progress: String(note).slice(0, 200), percent: percent === null ? null : Math.max(0, Math.min(100, Math.round(percent))) });
+            const now = Date.now();
+            if (now - entry.lastNotified < (this.progressIntervalMs ?? config.jobProgressInterval)) return;
+            entry.lastNotified = now;
+            this._notify(job, `⏳ Job **${job.id}** (${this.label(job)}): ${note}${percent === null ? '' : ` (${Math.round(percent)}%)`}`);
+        };
+
+        Promise.resolve()
+            .then(() => this.types.get(job.type).run(job.payload, { job, signal: controller.signal, progress }))
+            .then(result => this._finish(job, entry, result, null), error => this._finish(job, entry, null, error));
+    }
+
+    _finish(job, entry, result, error) {
+        if (this.running.get(job.id) !== entry) {
+            logger.info(`Job ${job.id} settled after it was stopped; result dropped`);
+            return;
+        }
+        this.running.delete(job.id);
+        clearTimeout(entry.timer);
+        metrics.set('mj_jobs_running', {}, this.running.size);
+        const status = error ? 'failed' : 'done';
+        this._update(job.id, { status, finished_at: Date.now(), result: error ? null : storable(result), error: error ? String(error.message || error).slice(0, 500) : null });
+        metrics.inc('mj_jobs_total', { type: job.type, status });
+        if (error) {
+            logger.warn(`Job ${job.id} (${job.type}) failed:`, error.message || String(error));
+            this._notify(job, `❌ Job **${job.id}** (${this.label(job)}) failed: ${error.message || error}\n/retry ${job.id} runs it again.`);
+        } else {
+            logger.info(`Job ${job.id} (${job.type}) done`);
+            const heading = `✅ Job **${job.id}** (${this.label(job)}) is done`;
+            this._notify(job, typeof result === 'string' ? `${heading}:\n\n${result}` : { ...result, caption: result?.caption ? `${heading}\n${result.caption}` : heading });
+        }
+        this._pump();
+    }
+
+    /** End a running job now (cancel, timeout): abort its signal and free the worker */
+    _stop(id, status, reason) {
+        const entry = this.running.get(id);
+        if (!entry) return false;
+        this.running.delete(id);
+        clearTimeout(entry.timer);
+        entry.controller.abort(new Error(reason));
+        metrics.set('mj_jobs_running', {}, this.running.size);
+        const job = this.get(id);
+        this._update(id, { status, finished_at: Date.now(), error: reason });
+        metrics.inc('mj_jobs_total', { type: job.type, status });
+        logger.info(`Job ${id} (${job.type}) ${status}: ${reason}`);
+        if (status === 'failed') this._notify(job, `❌ Job **${id}** (${this.label(job)}) ${reason}.\n/retry ${id} runs it again.`);
+        this._pump();
+        return true;
+    }
+
+    _notify(job, reply) {
+        if (!this.notify) return;
+        Promise.resolve().then(() => this.notify(job.userId, reply, job)).catch(error => logger.warn(`Job ${job.id}: delivery failed:`, error.message));
+    }
+
+    cancel(id, userId) {
+        const job = this.get(id, userId);
+        if (!job) return `No job **${id}**.`;
+        if (job.status === 'running') this._stop(id, 'cancelled', 'cancelled by user');
+        else if (job.status === 'queued') { this._update(id, { status: 'cancelled', finished_at: Date.now(), error: 'cancelled by user' }); metrics.inc('mj_jobs_total', { type: job.type, status: 'cancelled' }); this._checkIdle(); }
+        else return `Job **${id}** already ${job.status}.`;
+        return `Job **${id}** (${this.label(job)}) cancelled.`;
+    }
+
+    /** Queue a failed or cancelled job again under the same id */
+    retry(id, userId) {
+        const job = this.get(id, userId);
+        if (!job) return `No job **${id}**.`;
+        if (!['failed', 'cancelled'].includes(job.status)) return `Job **${id}** is ${job.status}; only failed or cancelled jobs can be retried.`;
+        if (!this.types.has(job.type)) return `Job **${id}** can't run here (${job.type} jobs aren't available).`;
+        this._update(id, { status: 'queued', created_at: Date.now(), started_at: null, finished_at: null, progress: null, percent: null, result: null, error: null });
+        logger.info(`Job ${id} (${job.type}) queued again by user ${userId}`);
+        this._pump();
+        return `Job **${id}** (${this.label(job)}) ${this.running.has(id) ? 'restarted' : 'queued again'}.`;
+    }
+
+    /** After a restart: jobs that were running start over, queued ones run; old finished ones are dropped */
+    resume() {
+        const db = this._db();
+        const running = [...this.running.keys()];
+        const interrupted = db.prepare(`UPDATE jobs SET status = 'queued' WHERE status = 'running'${running.length ? ` AND id NOT IN (${running.map(() => '?').join(', ')})` : ''}`).run(...running).changes;
+        db.prepare("DELETE FROM jobs WHERE status IN ('done', 'failed', 'cancelled') AND finished_at < ?").run(Date.now() - KEEP_FINISHED_MS);
+        if (interrupted) logger.info(`Jobs: ${interrupted} interrupted job(s) queued again`);
+        this._pump();
+        return interrupted;
+    }
+
+    /** Resolves once nothing is running or queued (tests, shutdown) */
+    drain() {
+        return new Promise(resolve => { this._waiters.push(resolve); this._checkIdle(); });
+    }
+
+    _checkIdle() {
+        if (!this._waiters.length || this.running.size) return;
+        const types = [...this.types.keys()];
+        const queued = types.length ? this._db().prepare(`SELECT COUNT(*) AS n FROM jobs WHERE status = 'queued' AND type IN (${types.map(() => '?').join(', ')})`).get(...types).n : 0;
+        if (queued) return;
+        for (const resolve of this._waiters.splice(0)) resolve();
+    }
+
+    stats() {
+        const rows = this._db().prepare('SELECT status, COUNT(*) AS n FROM jobs GROUP BY status').all();
+        return { workers: this.maxWorkers, running: this.running.size, byStatus: Object.fromEntries(rows.map(r => [r.status, r.n])) };
+    }
+
+    /** /jobs */
+    report(userId, timezone = config.timezone) {
+        const jobs = this.list(userId);
+        if (!jobs.length) return 'No jobs yet. Videos and agent runs (/agent, /plan) run as jobs.';
+        const lines = ['**Jobs**'];
+        for (const job of jobs) {
+            const detail = job.status === 'running' ? (job.progress ? ` — ${job.progress}${job.percent === null ? '' : ` (${job.percent}%)`}` : '')
+                : job.status === 'failed' || job.status === 'cancelled' ? ` — ${job.error || job.status}` : '';
+            lines.push(`${STATUS_ICON[job.status] || '•'} **${job.id}** ${this.label(job)} · ${job.status}${detail} · ${formatInZone(new Date(job.createdAt), timezone)}`);
+        }
+        lines.push('', '/cancel <id> stops a job, /retry <id> runs a failed one again.');
+        return lines.join('\n');
+    }
+}
+
+export const jobManager = new JobManager();
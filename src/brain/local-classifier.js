@@ -0,0 +1,164 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+import { getDb } from '../utils/db.js';
+import { SEED_EXAMPLES } from './classifier-seeds.js';
+
+/** What the local classifier can answer: the LLM classifier's two routes plus the intents it learns from the router */
+export const LOCAL_LABELS = ['chat', 'action', 'weather', 'calendar', 'email', 'drive', 'reminder', 'image', 'webSearch'];
+
+const MAX_MESSAGE_CHARS = 500;
+const MAX_LOGGED = 5000; // newest logged examples used for training
+const RETRAIN_EVERY = 25;
+
+/** Lowercase word unigrams and bigrams ("is it", "remind me") */
+export function features(text) {
+    const words = String(text).toLowerCase().replace(/[’']/g, '').match(/[a-z0-9]+/g) || [];
+    const out = [...words];
+    for (let i = 1; i < words.length; i++) out.push(`${words[i - 1]} ${words[i]}`);
+    return out;
+}
+
+/** The `"message" -> CHAT|ACTION` lines of a classifier prompt, as [message, label] */
+export function seedsFromPrompt(prompt) {
+    return [...String(prompt || '').matchAll(/^"(.+?)"\s*->\s*(CHAT|ACTION)\s*$/gm)]
+        .map(([, message, label]) => [message.replace(/\.{3}$/, ''), label.toLowerCase()]);
+}
+
+/**
+ * LocalClassifier - multinomial naive Bayes over word unigrams and bigrams
+ *
+ * Trained from seed examples (./classifier-seeds.js plus the classifier
+ * prompt's own examples) and from routing decisions logged with learn() in the
+ * `route_examples` table: LLM classifier answers, confident router intents and
+ * /claude, /gemini commands. Its own guesses are never logged, so it can't
+ * teach itself its mistakes.
+ *
+ * predict() returns { label, confidence, confident, scores }. Confidence is
+ * the posterior of the best label, computed on the mean log-likelihood per
+ * known feature (plain naive Bayes is near-certain about everything), and
+ * scaled by how many of the message's words the model has seen at all.
+ *
+ * The brain asks it first about messages no intent claims; only when it is
+ * less sure than LOCAL_CLASSIFIER_MIN_CONFIDENCE is the LLM classifier called.
+ */
+export class LocalClassifier {
+    constructor(options = {}) {
+        this.seeds = options.seeds || SEED_EXAMPLES;
+        this.useLog = options.useLog !== false;
+        this.minConfidence = options.minConfidence;
+        this.sharpness = options.sharpness ?? 12; // tuned on scripts/classifier-eval.jsonl
+        this.model = null;
+        this._ready = false;
+        this._sinceTrain = 0;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS route_examples (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ts INTEGER NOT NULL,
+                user_id TEXT,
+                message TEXT NOT NULL,
+                label TEXT NOT NULL,
+                source TEXT NOT NULL
+            );`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    /** Extra seed examples (e.g. the classifier prompt's); ones already there are skipped */
+    addSeeds(examples) {
+        const have = new Set(this.seeds.map(([message]) => message.toLowerCase()));
+        const fresh = examples.filter(([message, label]) => LOCAL_LABELS.includes(label) && !have.has(message.toLowerCase()));
+        if (!fresh.length) return 0;
+        this.seeds = [...this.seeds, ...fresh];
+        this.model = null;
+        return fresh.length;
+    }
+
+    get threshold() { return this.minConfidence ?? config.localClassifierMinConfidence; }
+
+    /** Logged examples, newest first, as [message, label] */
+    logged(limit = MAX_LOGGED) {
+        try {
+            return this._db().prepare('SELECT message, label FROM route_examples ORDER BY id DESC LIMIT ?').all(limit).map(r => [r.message, r.label]);
+        } catch (error) {
+            logger.warn('Local classifier: reading examples failed:', error.message);
+            return [];
+        }
+    }
+
+    /** Record a routing decision someone else made; retrains after every RETRAIN_EVERY new examples */
+    learn(message, label, source, userId = null) {
+        if (!LOCAL_LABELS.includes(label) || !message?.trim()) return false;
+        try {
+            this._db().prepare('INSERT INTO route_examples (ts, user_id, message, label, source) VALUES (?, ?, ?, ?, ?)')
+                .run(Date.now(), userId ? String(userId) : null, message.trim().slice(0, MAX_MESSAGE_CHARS), label, source);
+        } catch (error) {
+            logger.warn('Local classifier: logging example failed:', error.message);
+            return false;
+        }
+        if (++this._sinceTrain >= RETRAIN_EVERY) this.model = null;
+        return true;
+    }
+
+    train(examples = [...this.seeds, ...(this.useLog ? this.logged() : [])]) {
+        const labels = new Map();
+        const vocab = new Set();
+        for (const [message, label] of examples) {
+            if (!LOCAL_LABELS.includes(label)) continue;
+            if (!labels.has(label)) labels.set(label, { counts: new Map(), total: 0, examples: 0 });
+            const entry = labels.get(label);
+            entry.examples++;
+            for (const f of features(message)) {
+                entry.counts.set(f, (entry.counts.get(f) || 0) + 1);
+                entry.total++;
+                vocab.add(f);
+            }
+        }
+        this.model = { labels, vocab, examples: examples.length };
+        this._sinceTrain = 0;
+        logger.info(`Local classifier trained: ${examples.length} examples, ${labels.size} labels, ${vocab.size} features`);
+        return this.model;
+    }
+
+    predict(message) {
+        if (!this.model) this.train();
+        const { labels, vocab } = this.model;
+        const all = features(message);
+        const known = all.filter(f => vocab.has(f));
+        const words = all.filter(f => !f.includes(' '));
+        if (!known.length || !labels.size) {
+            metrics.inc('mj_local_classifier_total', { outcome: 'untrained' });
+            return { label: null, confidence: 0, confident: false, scores: [] };
+        }
+
+        // Uniform priors: the logged mix says more about who uses the bot than about this message
+        const logLikelihood = [...labels].map(([label, { counts, total }]) => {
+            let sum = 0;
+            for (const f of known) sum += Math.log(((counts.get(f) || 0) + 1) / (total + vocab.size));
+            return [label, (sum / known.length) * this.sharpness];
+        });
+        const max = Math.max(...logLikelihood.map(([, s]) => s));
+        const exp = logLikelihood.map(([label, s]) => [label, Math.exp(s - max)]);
+        const norm = exp.reduce((a, [, e]) => a + e, 0);
+        const coverage = words.filter(w => vocab.has(w)).length / Math.max(1, words.length);
+        const scores = exp.map(([label, e]) => ({ label, p: Math.round((e / norm) * coverage * 1000) / 1000 })).sort((a, b) => b.p - a.p);
+
+        const [best] = scores;
+        const confident = best.p >= this.threshold;
+        metrics.inc('mj_local_classifier_total', { outcome: confident ? 'confident' : 'low' });
+        return { label: best.label, confidence: best.p, confident, scores: scores.slice(0, 3) };
+    }
+
+    stats() {
+        let rows = [];
+        try { rows = this._db().prepare('SELECT label, source, COUNT(*) AS n FROM route_examples GROUP BY label, source').all(); } catch { /* no table yet */ }
+        return { seeds: this.seeds.length, logged: rows.reduce((a, r) => a + r.n, 0), bySource: rows, threshold: this.threshold, trained: !!this.model };
+    }
+}
+
+export const localClassifier = new LocalClassifier();
@@ -0,0 +1,260 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getDb } from '../utils/db.js';
+import { formatInZone } from '../utils/time.js';
+
+const IMAGE_REQUEST = /^(please\s+)?(generate|create|draw|make|design|paint)\s+(me\s+)?(an?\s+)?(image|picture|photo|illustration|logo|icon|art|poster)\s*(of|about|for|with|depicting)?\s*/i;
+const ULTRA_REQUEST = /^(please\s+)?(generate|create|draw|make|design|paint)\s+(me\s+)?(an?\s+)?(ultra|premium|high.?quality|best.?quality)\s*(image|picture|photo|illustration|logo|icon|art|poster)\s*(of|about|for|with|depicting)?\s*/i;
+const VIDEO_REQUEST = /^(please\s+)?(generate|create|make|produce)\s+(me\s+)?(a\s+)?(4k\s+|hd\s+|portrait\s+|silent\s+|high.?quality\s+)*(video|clip|animation|movie|footage)\s*(of|about|for|with|depicting|showing)?\s*/i;
+
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10 };
+const NOUN = '(one|image|picture|photo|pic|video|clip)';
+const NOUN_KIND = { image: 'image', picture: 'image', photo: 'image', pic: 'image', video: 'video', clip: 'video' };
+const POSITION = new RegExp(`\\b(?:the\\s+)?(${Object.keys(ORDINALS).join('|')}|1st|2nd|3rd|(?:[4-9]|10)th|last|latest|previous|newest|recent)\\s+${NOUN}\\b`, 'i');
+const NAMED = new RegExp(`\\bthe\\s+([a-z][a-z-]+(?:\\s+[a-z][a-z-]+)?)\\s+${NOUN}\\b`, 'i');
+const NUMBER = /(?:#|\bnumber\s+|\bno\.?\s*)(\d{1,5})\b/i;
+const NOT_NAMES = new Set(['same', 'other', 'new', 'next', 'whole', 'one', 'that', 'this']);
+
+const ASPECT_RATIOS = ['1:1', '3:4', '4:3', '9:16', '16:9'];
+const OPTION_WORDS = /\b(\d{1,2}\s*[:x×]\s*\d{1,2}|portrait|landscape|vertical|horizontal|square|wide(?:screen)?|tiktok|reels?|4k|uhd|ultra.?hd|1080p|full.?hd|hd|silent|mute[d]?|no\s*(?:audio|sound)|without\s*(?:audio|sound)|with\s*(?:audio|sound)|\d+\s*-?\s*sec(?:ond)?s?|high.?quality|best.?quality|format|aspect(?:\s+ratio)?|ratio|orientation|version|mode|resolution)\b/gi;
+const FILLER = /\b(in|as|at|with|and|but|a|an|the|to|for|into|please|same|again|instead|it|this|that|one|thing|just|only|now|make|do|give|me|video|clip|animation|movie|image|picture|photo|still)\b/gi;
+const EDIT_LEAD = new RegExp(`^\\s*(please\\s+)?(can\\s+you\\s+)?(?:(?:make|turn|change|edit|give)\\s+(?:me\\s+)?(?:it|this|that|them|#\\d+|the\\s+[\\w-]+\\s+${NOUN})|(?:do\\s+)?(?:the\\s+)?same(?:\\s+(?:thing|one|image|picture|video|prompt))?|(?:try\\s+)?(?:it\\s+)?again|another\\s+(?:one|version|take)|one\\s+more|regenerate|redo|re-do|remix|animate|(?:make\\s+)?(?:a\\s+)?(?:video|clip|animation)\\s+(?:of|from))(?:\\s+(?:it|this|that|them|#\\d+))?(?:\\s+(?:again|please))?[\\s,]*(?:(?:but|with|and|in|as|so)\\s+)?(?:make\\s+it\\s+|it\\s+)?`, 'i');
+
+const short = (text, max = 70) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/** The subject of a generation request: "generate an image of a red fox" -> "a red fox" */
+export function mediaSubject(message, kind, { ultra = false } = {}) {
+    const lead = kind === 'video' ? VIDEO_REQUEST : ultra ? ULTRA_REQUEST : IMAGE_REQUEST;
+    return message.replace(lead, '').trim() || message;
+}
+
+/** Generator options named in a message: aspect ratio for both; resolution, audio, quality and duration for video */
+export function mediaOptions(message, kind) {
+    const lower = message.toLowerCase();
+    const options = {};
+    const ratio = lower.match(/\b(\d{1,2})\s*[:x×]\s*(\d{1,2})\b/);
+    if (ratio && ASPECT_RATIOS.includes(`${ratio[1]}:${ratio[2]}`)) options.aspectRatio = `${ratio[1]}:${ratio[2]}`;
+    else if (lower.match(/portrait|vertical|tiktok|reel/)) options.aspectRatio = '9:16';
+    else if (lower.match(/landscape|horizontal|widescreen|\bwide\b/)) options.aspectRatio = '16:9';
+    else if (kind === 'image' && lower.match(/\bsquare\b/)) options.aspectRatio = '1:1';
+    if (kind === 'video') {
+        if (options.aspectRatio && !['9:16', '16:9'].includes(options.aspectRatio)) delete options.aspectRatio;
+        if (lower.match(/no\s*audio|silent|mute|without\s*sound|no\s*sound/)) options.audio = false;
+        else if (lower.match(/with\s*(audio|sound)/)) options.audio = true;
+        if (lower.match(/4k|ultra.?hd|uhd/)) options.resolution = '4k';
+        else if (lower.match(/1080p|full.?hd/)) options.resolution = '1080p';
+        if (lower.match(/high.?quality|standard.?quality|best.?quality|premium/)) options.quality = 'standard';
+        const duration = lower.match(/(\d+)\s*-?\s*sec/);
+        if (duration && [4, 6, 8].includes(Number(duration[1]))) options.duration = Number(duration[1]);
+    }
+    return options;
+}
+
+/**
+ * Which earlier result a message points at: { n } for "#3" / "number 3",
+ * { position } (1-based, or 'last' / 'previous') for "the second one",
+ * { name } for "the fox one"; plus { kind } when it says image or video.
+ * null when it names none (the caller takes the latest).
+ */
+export function parseReference(message) {
+    const number = message.match(NUMBER);
+    if (number) return { n: Number(number[1]) };
+    const position = message.match(POSITION);
+    if (position) {
+        const word = position[1].toLowerCase();
+        const at = ORDINALS[word] || parseInt(word, 10) || (word === 'previous' ? 'previous' : 'last');
+        return { position: at, kind: NOUN_KIND[position[2].toLowerCase()] || null };
+    }
+    const named = message.match(NAMED);
+    if (named && !named[1].split(/\s+/).some(w => NOT_NAMES.has(w.toLowerCase()) || ORDINALS[w.toLowerCase()])) {
+        return { name: named[1].toLowerCase(), kind: NOUN_KIND[named[2].toLowerCase()] || null };
+    }
+    return null;
+}
+
+/**
+ * What a follow-up asks to change, without the reference and option words:
+ * "make the second one darker" -> "darker", "same but 9:16" -> ""
+ */
+export function editChange(message) {
+    const change = message.replace(EDIT_LEAD, '').replace(NUMBER, '').replace(POSITION, '').replace(NAMED, '').replace(/\s+/g, ' ').trim();
+    const meaningful = change.replace(OPTION_WORDS, ' ').replace(FILLER, ' ').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (!meaningful) return '';
+    return change.replace(OPTION_WORDS, '')
+        .replace(/(?:[\s,]+(?:and|in|as|at|with|a|an|video|clip|animation|movie|image|picture|photo|still))+[\s,.!]*$/i, '')
+        .replace(/^[\s,]*(?:but|and|so)\s+/i, '')
+        .replace(/\s*,(?:\s*,)+/g, ',').replace(/\s{2,}/g, ' ')
+        .replace(/[\s,.!]+$/, '')
+        .trim();
+}
+
+/** "🎨 #3 · a red fox (9:16) · from #2" */
+export function mediaCaption(item) {
+    const options = Object.entries(item.options || {}).filter(([k]) => ['aspectRatio', 'resolution', 'duration'].includes(k)).map(([k, v]) => (k === 'duration' ? `${v}s` : v));
+    const from = item.parent ? ` · ${item.action === 'upscale' ? 'upscaled' : 'from'} #${item.parent}` : '';
+    return `${item.kind === 'video' ? '🎬' : '🎨'} #${item.n} · ${short(item.prompt, 200)}${options.length ? ` (${options.join(', ')})` : ''}${from}`;
+}
+
+/**
+ * A better prompt for the generator from `request` (or, with `previous`,
+ * the previous prompt with `request` applied). A request in quotes is used
+ * word for word; any failure falls back to the plain text.
+ */
+export async function refinePrompt(provider, system, { kind, request, previous = null, userId }) {
+    const plain = previous ? (request ? `${previous}, ${request}` : previous) : request;
+    const quoted = request.match(/^["“'](.+)["”']$/s);
+    if (quoted) return quoted[1].trim();
+    if (!config.mediaRefine || !provider?.isAvailable() || !request) return plain;
+    try {
+        const response = await provider.generate({
+            system,
+            messages: [{ role: 'user', content: previous ? `Previous ${kind} prompt: ${previous}\nChange: ${request}` : `Request: ${request}` }],
+            temperature: 0.7, maxTokens: 300, timeout: 15000, maxRetries: 0, userId, feature: 'mediaPrompt',
+        });
+        const text = response.text.trim().replace(/^(prompt:\s*)?["“]?|["”]?$/gi, '').trim();
+        return text || plain;
+    } catch (error) {
+        logger.warn('Prompt refinement failed, using the request as is:', error.message);
+        return plain;
+    }
+}
+
+/**
+ * MediaSessions - each user's generated images and videos
+ *
+ * Every result is a row in `media_items`, numbered per user (#1, #2, ...)
+ * with the request, the prompt the generator got, its options and model,
+ * and the #n it was made from. Images keep their bytes for the latest
+ * MEDIA_KEEP results, so upscales and edits work on the real picture;
+ * videos keep the skill's file path.
+ *
+ * A session is the run of results with no gap over MEDIA_SESSION_MINUTES:
+ * "the second one" counts from its start, "it" / "the last one" is its
+ * newest result, and follow-ups ("make it darker", "same but 9:16", "upscale
+ * the second one") are only offered while one is open. /gallery lists,
+ * resends and remixes results.
+ */
+export class MediaSessions {
+    constructor() {
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS media_items (
+                user_id TEXT NOT NULL,
+                n INTEGER NOT NULL,
+                kind TEXT NOT NULL,
+                action TEXT NOT NULL,
+                request TEXT,
+                prompt TEXT NOT NULL,
+                options TEXT NOT NULL DEFAULT '{}',
+                model TEXT,
+                parent INTEGER,
+                image BLOB,
+                video_path TEXT,
+                created_at INTEGER NOT NULL,
+                PRIMARY KEY (user_id, n)
+            )`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    _row(r) {
+        if (!r) return null;
+        return {
+            userId: r.user_id, n: r.n, kind: r.kind, action: r.action, request: r.request, prompt: r.prompt, options: JSON.parse(r.options),
+            model: r.model, parent: r.parent, imageBase64: r.image ? Buffer.from(r.image).toString('base64') : null, videoPath: r.video_path, createdAt: r.created_at,
+        };
+    }
+
+    /** Store one result; returns it with its number */
+    add(userId, { kind, action = 'generate', request = '', prompt, options = {}, model = null, parent = null, imageBase64 = null, videoPath = null, now = Date.now() }) {
+        const db = this._db();
+        const id = String(userId);
+        const n = (db.prepare('SELECT MAX(n) AS n FROM media_items WHERE user_id = ?').get(id).n || 0) + 1;
+        db.prepare(`INSERT INTO media_items (user_id, n, kind, action, request, prompt, options, model, parent, image, video_path, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(id, n, kind, action, request, prompt, JSON.stringify(options), model, parent, imageBase64 ? Buffer.from(imageBase64, 'base64') : null, videoPath, now);
+        db.prepare('UPDATE media_items SET image = NULL WHERE user_id = ? AND n <= ? AND image IS NOT NULL').run(id, n - config.mediaKeep);
+        logger.info(`Media #${n} (${kind}, ${action}) stored for user ${userId}`);
+        return this.get(userId, n);
+    }
+
+    get(userId, n) {
+        return this._row(this._db().prepare('SELECT * FROM media_items WHERE user_id = ? AND n = ?').get(String(userId), n));
+    }
+
+    /** Newest first */
+    list(userId, { limit = 10, offset = 0 } = {}) {
+        return this._db().prepare('SELECT * FROM media_items WHERE user_id = ? ORDER BY n DESC LIMIT ? OFFSET ?').all(String(userId), limit, offset).map(r => this._row(r));
+    }
+
+    count(userId) {
+        return this._db().prepare('SELECT COUNT(*) AS c FROM media_items WHERE user_id = ?').get(String(userId)).c;
+    }
+
+    /** The open session's results, oldest first (empty when the last one is older than MEDIA_SESSION_MINUTES) */
+    session(userId, now = Date.now()) {
+        const gap = config.mediaSessionMinutes * 60 * 1000;
+        const items = [];
+        let after = now;
+        for (const item of this.list(userId, { limit: 20 })) {
+            if (after - item.createdAt > gap) break;
+            items.unshift(item);
+            after = item.createdAt;
+        }
+        return items;
+    }
+
+    hasSession(userId, now = Date.now()) {
+        return this.session(userId, now).length > 0;
+    }
+
+    /**
+     * The result `message` refers to: { item } or { missing: 'what was asked for' }.
+     * Positions count within the open session (or the last 10 results when
+     * there is none); no reference means the newest result of `kind`.
+     */
+    resolve(userId, message, { kind = null, now = Date.now() } = {}) {
+        const ref = parseReference(message) || {};
+        if (ref.n) {
+            const item = this.get(userId, ref.n);
+            return item ? { item } : { missing: `#${ref.n}` };
+        }
+        const want = ref.kind || kind;
+        let pool = this.session(userId, now);
+        if (!pool.length) pool = this.list(userId).reverse();
+        pool = pool.filter(i => !want || i.kind === want);
+        const noun = want || 'image or video';
+        if (ref.name) {
+            const item = [...pool].reverse().find(i => `${i.prompt} ${i.request}`.toLowerCase().includes(ref.name));
+            return item ? { item } : { missing: `the ${ref.name} ${noun}` };
+        }
+        if (typeof ref.position === 'number') {
+            return pool[ref.position - 1] ? { item: pool[ref.position - 1] } : { missing: `a ${ref.position}${['st', 'nd', 'rd'][ref.position - 1] || 'th'} ${noun}${pool.length ? ` (there ${pool.length === 1 ? 'is 1' : `are ${pool.length}`} in this session)` : ''}` };
+        }
+        const item = pool.at(ref.position === 'previous' ? -2 : -1);
+        return item ? { item } : { missing: ref.position === 'previous' ? `an earlier ${noun}` : `${/^[aeiou]/.test(noun) ? 'an' : 'a'} ${noun}` };
+    }
+
+    /** /gallery [page] */
+    report(userId, timezone = config.timezone, page = 1) {
+        const total = this.count(userId);
+        if (!total) return 'Nothing in your gallery yet. Try "generate an image of ..." or "make a video of ...".';
+        const pageSize = 10;
+        const pages = Math.ceil(total / pageSize);
+        page = Math.min(Math.max(1, page), pages);
+        const lines = [`**Gallery** — ${total} result${total === 1 ? '' : 's'}, newest first${pages > 1 ? ` (page ${page}/${pages})` : ''}`];
+        for (const item of this.list(userId, { limit: pageSize, offset: (page - 1) * pageSize })) {
+            lines.push(`${mediaCaption(item)} · ${formatInZone(new Date(item.createdAt), timezone)}`);
+        }
+        lines.push('', '/gallery show 3 sends #3 again, /gallery again 3 makes it again, /gallery remix 3 <changes> changes it.');
+        if (page < pages) lines.push(`/gallery ${page + 1} for older ones.`);
+        return lines.join('\n');
+    }
+}
+
+export const mediaSessions = new MediaSessions();
@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getDb } from '../utils/db.js';
+
+// Only an unmistakable go-ahead sends: "ok" or "yeah" may answer something else
+const CONFIRM_WORDS = /^(\/confirm|send it)[.!]*$/i;
+const CANCEL_WORDS = /^(no|nope|cancel|don'?t send|discard|never\s*mind)[.!]*$/i;
+
+/**
+ * PendingActions - drafts that need an explicit OK before they touch the outside world
+ *
+ * Side-effecting intents (sending email, ...) call create() instead of acting.
+ * The draft is shown to the user, who replies with:
+ *   /confirm <id>               (or a bare "/confirm" / "send it" when one draft is open)
+ *   /edit <id> <field>: <value>
+ *   /cancel <id>                (or a bare "no" / "cancel")
+ * Anything else leaves the draft alone. Drafts expire after config.pendingActionTtl
+ * and are kept in the `pending_actions` table, so a restart doesn't lose them.
+ *
+ * Each action type registers:
+ *   execute(payload, draft)  performs the action, returns the chat reply
+ *   render(draft)            preview text
+ *   prepare?(payload, userId) -> { payload, warnings, blocker }; runs on create and edit
+ *                            for the draft's user. A blocker (e.g. unknown recipient
+ *                            name) refuses the draft/edit.
+ *   fields?                  editable payload keys
+ */
+export class PendingActions {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || config.pendingActionTtl || 15 * 60 * 1000;
+        this.types = new Map();
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS pending_actions (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                warnings TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            )`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    _row(r) {
+        if (!r) return null;
+        return { id: r.id, userId: r.user_id, type: r.type, payload: JSON.parse(r.payload), warnings: JSON.parse(r.warnings), createdAt: r.created_at, expiresAt: r.expires_at };
+    }
+
+    registerType(type, handlers) {
+        this.types.set(type, handlers);
+    }
+
+    _newId() {
+        const exists = this._db().prepare('SELECT 1 FROM pending_actions WHERE id = ?');
+        let id;
+        do { id = 'd' + crypto.randomBytes(3).toString('hex').slice(0, 4); } while (exists.get(id));
+        return id;
+    }
+
+    _sweep() {
+        const db = this._db();
+        const now = Date.now();
+        for (const { id, type } of db.prepare('SELECT id, type FROM pending_actions WHERE expires_at <= ?').all(now)) logger.info(`Pending action ${id} (${type}) expired`);
+        db.prepare('DELETE FROM pending_actions WHERE expires_at <= ?').run(now);
+    }
+
+    async _prepare(type, payload, userId) {
+        const handlers = this.types.get(type);
+        return handlers.prepare ? await handlers.prepare(payload, String(userId)) : { payload, warnings: [] };
+    }
+
+    /**
+     * Returns the stored draft, or { blocked: message } when prepare() refused it.
+     */
+    async create(userId, type, payload) {
+        if (!this.types.has(type)) throw new Error(`Unknown pending action type: ${type}`);
+        this._sweep();
+        const prepared = await this._prepare(type, payload, userId);
+        if (prepared.blocker) return { blocked: prepared.blocker };
+        const now = Date.now();
+        const draft = { id: this._newId(), userId: String(userId), type, payload: prepared.payload, warnings: prepared.warnings || [], createdAt: now, expiresAt: now + this.ttlMs };
+        this._db().prepare('INSERT INTO pending_actions (id, user_id, type, payload, warnings, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+            .run(draft.id, draft.userId, type, JSON.stringify(draft.payload), JSON.stringify(draft.warnings), draft.createdAt, draft.expiresAt);
+        logger.info(`Pending action ${draft.id} (${type}) created for user ${userId}`);
+        return draft;
+    }
+
+    get(id, userId) {
+        this._sweep();
+        const draft = this._row(this._db().prepare('SELECT * FROM pending_actions WHERE id = ?').get(id));
+        return draft && draft.userId === String(userId) ? draft : null;
+    }
+
+    listForUser(userId) {
+        this._sweep();
+        return this._db().prepare('SELECT * FROM pending_actions WHERE user_id = ? ORDER BY created_at').all(String(userId)).map(r => this._row(r));
+    }
+
+    render(draft) {
+        const handlers = this.types.get(draft.type);
+        const minutes = Math.max(1, Math.round((draft.expiresAt - Date.now()) / 60000));
+        const warnings = draft.warnings.length ? `\n\n${draft.warnings.map(w => `⚠️ ${w}`).join('\n')}` : '';
+        const fields = handlers.fields?.length ? ` (fields: ${handlers.fields.join(', ')})` : '';
+        return `${handlers.render(draft)}${warnings}\n\nReply **/confirm ${draft.id}** to go ahead, **/edit ${draft.id} <field>: <value>** to change it${fields}, or **/cancel ${draft.id}**. Expires in ${minutes} min.`;
+    }
+
+    async confirm(id, userId) {
+        const draft = this.get(id, userId);
+        // Claimed by deleting it, so two confirmations can't both run it
+        if (!draft || !this._db().prepare('DELETE FROM pending_actions WHERE id = ?').run(id).changes) return `No open draft **${id}** (it may have expired).`;
+        logger.info(`Pending action ${id} (${draft.type}) confirmed by user ${userId}`);
+        try {
+            return await this.types.get(draft.type).execute(draft.payload, draft);
+        } catch (error) {
+            logger.error(`Pending action ${id} failed:`, error.message);
+            return `Failed to run draft ${id}: ${error.message}`;
+        }
+    }
+
+    async edit(id, userId, field, value) {
+        const draft = this.get(id, userId);
+        if (!draft) return `No open draft **${id}** (it may have expired).`;
+        const handlers = this.types.get(draft.type);
+        if (handlers.fields && !handlers.fields.includes(field)) return `Can't edit "${field}". Editable fields: ${handlers.fields.join(', ')}`;
+        const prepared = await this._prepare(draft.type, { ...draft.payload, [field]: value }, draft.userId);
+        if (prepared.blocker) return prepared.blocker;
+        draft.payload = prepared.payload;
+        draft.warnings = prepared.warnings || [];
+        draft.expiresAt = Date.now() + this.ttlMs;
+        this._db().prepare('UPDATE pending_actions SET payload = ?, warnings = ?, expires_at = ? WHERE id = ?')
+            .run(JSON.stringify(draft.payload), JSON.stringify(draft.warnings), draft.expiresAt, id);
+        return this.render(draft);
+    }
+
+    cancel(id, userId) {
+        const draft = this.get(id, userId);
+        if (!draft) return `No open draft **${id}**.`;
+        this._db().prepare('DELETE FROM pending_actions WHERE id = ?').run(id);
+        logger.info(`Pending action ${id} (${draft.type}) cancelled by user ${userId}`);
+        return `Draft **${id}** discarded — nothing was sent.`;
+    }
+
+    /**
+     * Interpret a chat message as a reply to an open draft.
+     * Returns the reply text, or null when the message isn't about drafts.
+     */
+    async handleReply(userId, message) {
+        const text = message.trim();
+        let m;
+        if ((m = text.match(/^\/confirm\s+(\w+)$/i))) return await this.confirm(m[1], userId);
+        if ((m = text.match(/^\/cancel\s+(d\w+)$/i))) return this.cancel(m[1], userId);
+        if ((m = text.match(/^\/edit\s+(\w+)\s+(\w+)\s*:\s*([\s\S]+)$/i))) return await this.edit(m[1], userId, m[2].toLowerCase(), m[3].trim());
+        if (/^\/(confirm\s|edit\b)/i.test(text)) return 'Usage: /confirm <id>, /edit <id> <field>: <value>, /cancel <id>';
+
+        const isConfirm = CONFIRM_WORDS.test(text);
+        const isCancel = CANCEL_WORDS.test(text);
+        if (!isConfirm && !isCancel) return null;
+        const open = this.listForUser(userId);
+        if (!open.length) return text.startsWith('/') ? 'You have no open drafts.' : null;
+        if (open.length > 1) return `You have ${open.length} open drafts (${open.map(d => d.id).join(', ')}). Which one? Use /confirm <id> or /cancel <id>.`;
+        return isConfirm ? await this.confirm(open[0].id, userId) : this.cancel(open[0].id, userId);
+    }
+}
+
+export const pendingActions = new PendingActions();
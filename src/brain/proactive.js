@@ -0,0 +1,346 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { parseClock, parseQuietHours } from '../config-schema.js';
+import { logger } from '../utils/logger.js';
+import { getDb } from '../utils/db.js';
+import { metrics } from '../utils/metrics.js';
+import { permissions } from '../utils/permissions.js';
+import { userProfiles } from '../utils/user-profiles.js';
+import { localDate, localNow, zonedTimeToDate } from '../utils/time.js';
+
+const KEEP_SENT_MS = 30 * 24 * 60 * 60 * 1000;
+const RULE_KINDS = ['from', 'subject', 'text'];
+const MAX_RULES = 20;
+const MAX_TOPICS = 5;
+
+/**
+ * "1. From: Sam <sam@x.com>\nSubject: Hi\nbody\n---\n2. ..." (googleWorkspace.getRecentEmails) -> [{ id, date, from, subject, text }]
+ * id ("ID:" or "Message-ID:") and date ("Date:", as ms) are null when the skill leaves them out.
+ */
+export function parseEmails(text) {
+    return String(text || '').split(/\n-{3,}\n/).map(block => block.trim().replace(/^\d+\.\s*/, '')).filter(Boolean).map(block => {
+        const date = Date.parse(block.match(/^Date:\s*(.+)$/mi)?.[1]);
+        return {
+            id: block.match(/^(?:Message-)?ID:\s*(\S+)$/mi)?.[1] || null,
+            date: Number.isNaN(date) ? null : date,
+            from: block.match(/^From:\s*(.+)$/mi)?.[1].trim() || '',
+            subject: block.match(/^Subject:\s*(.+)$/mi)?.[1].trim() || '',
+            text: block,
+        };
+    }).filter(mail => mail.from || mail.subject);
+}
+
+/** The proactive_sent key of a mail: its message id, else a hash of everything it shows */
+const mailKey = (mail) => `mail:${mail.id || crypto.createHash('sha256').update(`${mail.from}\n${mail.subject}\n${mail.date}\n${mail.text}`).digest('hex').slice(0, 16)}`;
+
+/**
+ * Whether `mail` is new to `rule`: dated after the rule was added (or alerts
+ * turned back on), or, undated, seen after the rule's first inbox check.
+ */
+const newForRule = (rule, mail) => (mail.date && rule.since ? mail.date >= rule.since : rule.primed === true);
+
+/** "1. 10:00 AM - Standup (30 min)" (googleWorkspace.getTodayEvents) -> [{ time: '10:00', title }], all-day events left out */
+export function parseEvents(text) {
+    const events = [];
+    for (const line of String(text || '').split('\n')) {
+        const m = line.match(/^\s*(?:\d+\.\s*)?(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s*[-–]\s*(.+)$/i);
+        if (!m) continue;
+        try { events.push({ time: parseClock(m[1]), title: m[2].replace(/\s*\(\d+\s*min\)\s*$/i, '').trim() }); } catch { /* not a time */ }
+    }
+    return events;
+}
+
+/** Whether local time HH:MM falls in { start, end } (which may wrap past midnight) */
+export function inQuietHours(quiet, hhmm) {
+    if (!quiet) return false;
+    return quiet.start < quiet.end ? hhmm >= quiet.start && hhmm < quiet.end : hhmm >= quiet.start || hhmm < quiet.end;
+}
+
+export function ruleMatches(rule, mail) {
+    const needle = rule.value.toLowerCase();
+    const haystack = rule.kind === 'from' ? mail.from : rule.kind === 'subject' ? mail.subject : mail.text;
+    return haystack.toLowerCase().includes(needle);
+}
+
+const DEFAULT_PREFS = () => ({
+    briefing: { enabled: false, time: null, topics: [], location: null },
+    nudges: { enabled: false, minutes: null },
+    alerts: { enabled: false, rules: [] },
+    quiet: undefined, // undefined: config.quietHours; null: none
+});
+
+/**
+ * Proactive - messages the bot sends without being asked
+ *
+ * Three parts, each opted into per user from chat:
+ *   briefing  once a day at the user's time: agenda, recent mail (rule
+ *             matches flagged), weather and news for chosen topics
+ *   nudges    N minutes before each of today's events, with emails and Drive
+ *             files that mention it
+ *   alerts    inbox rules ("from sam@", "subject invoice", "text overdue");
+ *             mail that was already there when a rule was added (or alerts
+ *             turned back on) is skipped
+ *
+ * Nothing is sent during the user's quiet hours; briefings and alerts held
+ * back then go out at the first tick after. Every message has a key in the
+ * `proactive_sent` table and is sent once; a delivery that fails gives its
+ * key back, so the next tick tries again. Preferences live in
+ * `proactive_prefs`. Google data is read through skillsFor(userId), the
+ * user's own scoped skills, and only for users whose role has read-google;
+ * weather and news need web.
+ *
+ * tick(now) does one pass (start() runs it every config.proactiveInterval).
+ */
+export class Proactive {
+    constructor(options = {}) {
+        this.skillsFor = options.skillsFor;
+        this.deliver = options.deliver;
+        this._ready = false;
+        this._timer = null;
+        this._lastInbox = new Map(); // userId -> ms of the last inbox check
+        this._ticking = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS proactive_prefs (
+                user_id TEXT PRIMARY KEY,
+                prefs TEXT NOT NULL,
+                updated_at INTEGER
+            );
+            CREATE TABLE IF NOT EXISTS proactive_sent (
+                user_id TEXT NOT NULL,
+                key TEXT NOT NULL,
+                sent_at INTEGER NOT NULL,
+                PRIMARY KEY (user_id, key)
+            );`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    prefs(userId) {
+        const row = this._db().prepare('SELECT prefs FROM proactive_prefs WHERE user_id = ?').get(String(userId));
+        const stored = row ? JSON.parse(row.prefs) : {};
+        const defaults = DEFAULT_PREFS();
+        return {
+            briefing: { ...defaults.briefing, ...stored.briefing },
+            nudges: { ...defaults.nudges, ...stored.nudges },
+            alerts: { ...defaults.alerts, ...stored.alerts },
+            quiet: 'quiet' in stored ? stored.quiet : undefined,
+        };
+    }
+
+    _save(userId, prefs) {
+        this._db().prepare(`INSERT INTO proactive_prefs (user_id, prefs, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET prefs = excluded.prefs, updated_at = excluded.updated_at`).run(String(userId), JSON.stringify(prefs), Date.now());
+        return prefs;
+    }
+
+    /** Claim a message key; false when it was already sent */
+    _once(userId, key) {
+        return this._db().prepare('INSERT OR IGNORE INTO proactive_sent (user_id, key, sent_at) VALUES (?, ?, ?)').run(String(userId), key, Date.now()).changes === 1;
+    }
+
+    /** Give back a key claimed with _once() whose message didn't go out, so a later tick sends it */
+    _release(userId, key) {
+        this._db().prepare('DELETE FROM proactive_sent WHERE user_id = ? AND key = ?').run(String(userId), key);
+    }
+
+    _quiet(prefs) { return prefs.quiet === undefined ? config.quietHours : prefs.quiet; }
+
+    start() {
+        if (this._timer) return;
+        this._timer = setInterval(() => this.tick().catch(error => logger.warn('Proactive tick failed:', error.message)), config.proactiveInterval);
+        this._timer.unref?.();
+        logger.info(`Proactive watcher started (every ${Math.round(config.proactiveInterval / 1000)}s)`);
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    /** One pass over every user who opted into something; returns what was sent, as [userId, kind] */
+    async tick(now = new Date()) {
+        if (this._ticking) return [];
+        this._ticking = true;
+        const sent = [];
+        try {
+            this._db().prepare('DELETE FROM proactive_sent WHERE sent_at < ?').run(now.getTime() - KEEP_SENT_MS);
+            const users = this._db().prepare('SELECT user_id FROM proactive_prefs').all().map(r => r.user_id);
+            for (const userId of users) {
+                try {
+                    for (const kind of await this._tickUser(userId, now)) { sent.push([userId, kind]); metrics.inc('mj_proactive_total', { kind }); }
+                } catch (error) { logger.warn(`Proactive: user ${userId} failed:`, error.message); }
+            }
+        } finally {
+            this._ticking = false;
+        }
+        return sent;
+    }
+
+    async _tickUser(userId, now) {
+        const prefs = this.prefs(userId);
+        if (!prefs.briefing.enabled && !prefs.nudges.enabled && !prefs.alerts.enabled) return [];
+        const { timezone } = userProfiles.get(userId);
+        const hhmm = localNow(timezone, now).slice(11, 16);
+        if (inQuietHours(this._quiet(prefs), hhmm)) return [];
+        const skills = this.skillsFor(userId);
+        const google = permissions.can(userId, 'read-google') && skills.googleWorkspace?.isReady() ? skills.googleWorkspace : null;
+        const today = localDate(timezone, now);
+        const sent = [];
+
+        if (prefs.briefing.enabled && hhmm >= (prefs.briefing.time || config.briefingTime) && this._once(userId, `briefing:${today}`)) {
+            if (await this._send(userId, await this.briefing(userId, { skills, google, prefs }))) sent.push('briefing');
+            else this._release(userId, `briefing:${today}`);
+        }
+        if (prefs.nudges.enabled && google) {
+            const minutes = prefs.nudges.minutes || config.nudgeMinutes;
+            for (const event of parseEvents(await google.getTodayEvents())) {
+                const startsIn = zonedTimeToDate(`${today}T${event.time}`, timezone).getTime() - now.getTime();
+                const key = `nudge:${today}:${event.time}:${event.title}`;
+                if (startsIn <= 0 || startsIn > minutes * 60000 || !this._once(userId, key)) continue;
+                if (await this._send(userId, await this._nudge(google, event, Math.round(startsIn / 60000)))) sent.push('nudge');
+                else this._release(userId, key);
+            }
+        }
+        if (prefs.alerts.enabled && prefs.alerts.rules.length && google && now.getTime() - (this._lastInbox.get(userId) || 0) >= config.proactiveInboxInterval) {
+            this._lastInbox.set(userId, now.getTime());
+            for (const mail of parseEmails(await google.getRecentEmails(10))) {
+                const matching = prefs.alerts.rules.filter(r => ruleMatches(r, mail));
+                if (!matching.length) continue;
+                const rule = mail.date && now.getTime() - mail.date > KEEP_SENT_MS ? null : matching.find(r => newForRule(r, mail));
+                // Claimed either way: mail that was already there never alerts later
+                if (!this._once(userId, mailKey(mail)) || !rule) continue;
+                if (await this._send(userId, `📬 **${mail.subject || '(no subject)'}**\nFrom: ${mail.from}\n(rule: ${rule.kind} "${rule.value}")`)) sent.push('alert');
+                else this._release(userId, mailKey(mail));
+            }
+            this._primeRules(userId);
+        }
+        return sent;
+    }
+
+    /** After an inbox check every rule counts undated mail from then on as new */
+    _primeRules(userId) {
+        const prefs = this.prefs(userId);
+        if (prefs.alerts.rules.every(r => r.primed)) return;
+        prefs.alerts.rules = prefs.alerts.rules.map(r => ({ ...r, primed: true }));
+        this._save(userId, prefs);
+    }
+
+    /** true once `deliver` has taken the message; false (logged) when it failed */
+    async _send(userId, text) {
+        try {
+            await this.deliver(userId, text);
+            return true;
+        } catch (error) {
+            logger.warn(`Proactive: delivery to ${userId} failed, retrying next tick:`, error.message);
+            return false;
+        }
+    }
+
+    /** The morning briefing text; sections whose skill is missing or fails are left out */
+    async briefing(userId, { skills = this.skillsFor(userId), google, prefs = this.prefs(userId) } = {}) {
+        if (google === undefined) google = permissions.can(userId, 'read-google') && skills.googleWorkspace?.isReady() ? skills.googleWorkspace : null;
+        const web = permissions.can(userId, 'web');
+        const { name, location } = userProfiles.get(userId);
+        const section = async (title, fn) => {
+            try { const text = await fn(); return text ? `**${title}**\n${String(text).trim()}` : null; } catch (error) { logger.warn(`Briefing ${title} failed:`, error.message); return null; }
+        };
+        const parts = await Promise.all([
+            google && section('Today', () => google.getTodayEvents()),
+            google && section('Inbox', async () => parseEmails(await google.getRecentEmails(10)).slice(0, 5)
+                .map(m => `${prefs.alerts.rules.some(r => ruleMatches(r, m)) ? '⭐ ' : '• '}${m.subject || '(no subject)'} — ${m.from.replace(/\s*<.*>$/, '')}`).join('\n')),
+            web && skills.weather && (prefs.briefing.location || location) && section('Weather', () => skills.weather.getForecast(prefs.briefing.location || location)),
+            ...(web && skills.braveSearch ? prefs.briefing.topics.map(topic => section(`News: ${topic}`, async () => String(await skills.braveSearch.search(`${topic} news today`)).split('\n').slice(0, 3).join('\n'))) : []),
+        ]);
+        const body = parts.filter(Boolean);
+        return `☀️ Good morning, ${name}!\n\n${body.length ? body.join('\n\n') : 'Nothing to report yet — /briefing shows what I can include.'}`;
+    }
+
+    async _nudge(google, event, minutes) {
+        const lines = [`⏰ **${event.title}** starts in ${minutes} min (${event.time}).`];
+        const keyword = event.title.replace(/[^\w\s'-]/g, ' ').trim();
+        const [emails, files] = await Promise.all([
+            google.searchEmails?.(keyword).catch(() => ''),
+            google.searchFiles?.(keyword).catch(() => ''),
+        ]);
+        const related = parseEmails(emails).slice(0, 3);
+        if (related.length) lines.push('', '**Related emails**', ...related.map(m => `• ${m.subject} — ${m.from.replace(/\s*<.*>$/, '')}`));
+        if (files?.trim()) lines.push('', '**Related files**', ...files.trim().split('\n').slice(0, 3));
+        return lines.join('\n');
+    }
+
+    /**
+     * Chat settings: /briefing, /nudges, /alerts, /quiet. Returns the reply.
+     *   /briefing on [time] | off | time 7:30 | topics ai, rust | location Lisbon | now
+     *   /nudges on [minutes] | off
+     *   /alerts on | off | add from|subject|text <value> | remove <n>
+     *   /quiet 22:00-07:00 | off | default
+     */
+    async command(userId, message, now = new Date()) {
+        const [, name, rest = ''] = message.trim().match(/^\/(\w+)\s*([\s\S]*)$/);
+        const [sub = '', ...args] = rest.trim().split(/\s+/).filter(Boolean);
+        const arg = args.join(' ');
+        const prefs = this.prefs(userId);
+        try {
+            if (name === 'briefing') {
+                if (sub === 'now') return await this.briefing(userId);
+                if (sub === 'on') { prefs.briefing.enabled = true; if (arg) prefs.briefing.time = parseClock(arg); }
+                else if (sub === 'off') prefs.briefing.enabled = false;
+                else if (sub === 'time') prefs.briefing.time = parseClock(arg);
+                else if (sub === 'location') { if (!arg) throw new Error('Usage: /briefing location <city>'); prefs.briefing.location = arg.slice(0, 60); }
+                else if (sub === 'topics') prefs.briefing.topics = arg.split(',').map(t => t.trim()).filter(Boolean).slice(0, MAX_TOPICS).map(t => t.slice(0, 40));
+                else if (sub) throw new Error('Usage: /briefing on [time] | off | time <HH:MM> | location <city> | topics <a, b> | now');
+            } else if (name === 'nudges') {
+                if (sub === 'on') {
+                    prefs.nudges.enabled = true;
+                    if (arg) { const minutes = parseInt(arg, 10); if (!(minutes >= 1 && minutes <= 240)) throw new Error('Nudges can be 1 to 240 minutes before an event'); prefs.nudges.minutes = minutes; }
+                } else if (sub === 'off') prefs.nudges.enabled = false;
+                else if (sub) throw new Error('Usage: /nudges on [minutes] | off');
+            } else if (name === 'alerts') {
+                if (sub === 'on') {
+                    // Mail that arrived while alerts were off is not sent
+                    if (!prefs.alerts.enabled) prefs.alerts.rules = prefs.alerts.rules.map(r => ({ ...r, since: now.getTime(), primed: false }));
+                    prefs.alerts.enabled = true;
+                } else if (sub === 'off') prefs.alerts.enabled = false;
+                else if (sub === 'add') {
+                    const [kind, ...value] = args;
+                    if (!RULE_KINDS.includes(kind) || !value.length) throw new Error(`Usage: /alerts add ${RULE_KINDS.join('|')} <value>`);
+                    if (prefs.alerts.rules.length >= MAX_RULES) throw new Error(`At most ${MAX_RULES} rules`);
+                    prefs.alerts.rules.push({ kind, value: value.join(' ').slice(0, 100), since: now.getTime(), primed: false });
+                    prefs.alerts.enabled = true;
+                } else if (sub === 'remove') {
+                    const index = parseInt(arg, 10) - 1;
+                    if (!prefs.alerts.rules[index]) throw new Error(`No rule ${arg}; /alerts lists them`);
+                    prefs.alerts.rules.splice(index, 1);
+                } else if (sub) throw new Error(`Usage: /alerts on | off | add ${RULE_KINDS.join('|')} <value> | remove <n>`);
+            } else if (name === 'quiet') {
+                if (sub === 'default') delete prefs.quiet;
+                else if (sub) prefs.quiet = parseQuietHours(rest);
+            }
+        } catch (error) {
+            return error.message;
+        }
+        if (sub) this._save(userId, prefs);
+        return `${sub ? 'Saved. ' : ''}${this.report(userId, prefs)}`;
+    }
+
+    report(userId, prefs = this.prefs(userId)) {
+        const quiet = this._quiet(prefs);
+        const { briefing, nudges, alerts } = prefs;
+        const where = briefing.location || userProfiles.get(userId).location;
+        const lines = [
+            '**Proactive messages**',
+            `Briefing: ${briefing.enabled ? `on at ${briefing.time || config.briefingTime}` : 'off'} · ${where ? `weather for ${where}` : 'no weather (set /briefing location <city>)'}${briefing.topics.length ? ` · news: ${briefing.topics.join(', ')}` : ''}`,
+            `Meeting nudges: ${nudges.enabled ? `on, ${nudges.minutes || config.nudgeMinutes} min before` : 'off'}`,
+            `Inbox alerts: ${alerts.enabled ? 'on' : 'off'}${alerts.rules.length ? '' : ' (no rules)'}`,
+            ...alerts.rules.map((r, i) => `  ${i + 1}. ${r.kind} "${r.value}"`),
+            `Quiet hours: ${quiet ? `${quiet.start}–${quiet.end}` : 'none'}${prefs.quiet === undefined ? ' (default)' : ''}`,
+        ];
+        if (!permissions.can(userId, 'read-google') || !userProfiles.get(userId).googleAccount) lines.push('', 'Agenda, nudges and alerts need a linked Google account, so only weather and news are sent.');
+        return lines.join('\n');
+    }
+}
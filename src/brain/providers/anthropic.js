@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { config } from '../../config.js';
+import { readSSE } from '../../utils/sse.js';
+import { LLMProvider, toolSchema } from './base.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic adapter (Messages API)
+ */
+export class AnthropicProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('anthropic', { model: config.anthropicModel, ...options });
+        this.apiKey = options.apiKey ?? config.anthropicApiKey;
+    }
+
+    isReady() { return !!this.apiKey; }
+
+    _buildMessages(messages = []) {
+        const out = [];
+        for (const m of messages) {
+            if (m.role === 'tool') {
+                // Results for one assistant turn go back together in a single user turn
+                const block = { type: 'tool_result', tool_use_id: m.toolCallId, content: m.content };
+                const last = out[out.length - 1];
+                if (last?.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result')) last.content.push(block);
+                else out.push({ role: 'user', content: [block] });
+            } else if (m.toolCalls?.length) {
+                const blocks = m.toolCalls.map(c => ({ type: 'tool_use', id: c.id, name: c.name, input: c.arguments || {} }));
+                out.push({ role: 'assistant', content: [...(m.content ? [{ type: 'text', text: m.content }] : []), ...blocks] });
+            } else {
+                out.push({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content });
+            }
+        }
+        return out;
+    }
+
+    _buildBody(req) {
+        const body = {
+            model: req.model,
+            max_tokens: req.maxTokens || 4096,
+            messages: this._buildMessages(req.messages),
+        };
+        if (req.system) body.system = req.system;
+        if (req.temperature !== undefined) body.temperature = req.temperature;
+        if (req.tools?.length) {
+            body.tools = req.tools.map(t => ({ name: t.name, description: t.description, input_schema: toolSchema(t.parameters) }));
+            if (req.toolChoice) body.tool_choice = { type: req.toolChoice };
+        }
+        return body;
+    }
+
+    _headers() {
+        return { 'x-api-key': this.apiKey, 'anthropic-version': ANTHROPIC_VERSION, 'Content-Type': 'application/json' };
+    }
+
+    async *_stream(req) {
+        const response = await axios.post(ANTHROPIC_URL, { ...this._buildBody(req), stream: true }, { headers: this._headers(), timeout: req.timeout, responseType: 'stream' });
+        let text = '';
+        const usage = { inputTokens: 0, outputTokens: 0 };
+        for await (const data of readSSE(response.data)) {
+            let event;
+            try { event = JSON.parse(data); } catch { continue; }
+            if (event.type === 'message_start') usage.inputTokens = event.message?.usage?.input_tokens || 0;
+            if (event.type === 'message_delta') usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+            if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') { text += event.delta.text; yield event.delta.text; }
+        }
+        req.onDone?.({ text, usage, provider: this.name, model: req.model });
+    }
+
+    async _generate(req) {
+        const response = await axios.post(ANTHROPIC_URL, this._buildBody(req), { headers: this._headers(), timeout: req.timeout });
+        const data = response.data;
+        const result = {
+            text: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+            usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 },
+            raw: data,
+        };
+        const calls = (data.content || []).filter(b => b.type === 'tool_use');
+        if (calls.length) result.toolCalls = calls.map(b => ({ id: b.id, name: b.name, arguments: b.input || {} }));
+        return result;
+    }
+}
@@ -0,0 +1,163 @@
+import { config } from '../../config.js';
+import { logger } from '../../utils/logger.js';
+import { metrics } from '../../utils/metrics.js';
+import { breakers, isBreakerFailure } from '../../utils/circuit-breaker.js';
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// JSON-schema keys every function-calling API accepts; the rest (format, requiredOneOf, ...) is for our own validation
+const SCHEMA_KEYS = ['type', 'description', 'properties', 'required', 'enum', 'items'];
+
+/** Tool parameter schema reduced to what the provider APIs accept */
+export function toolSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    for (const key of SCHEMA_KEYS) {
+        if (schema[key] === undefined) continue;
+        if (key === 'properties') out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toolSchema(v)]));
+        else if (key === 'items') out.items = toolSchema(schema.items);
+        else out[key] = schema[key];
+    }
+    return out;
+}
+
+/** Parse a model's JSON-encoded tool arguments; null when they don't parse to an object */
+export function parseToolArguments(raw) {
+    if (raw && typeof raw === 'object') return raw;
+    if (!raw) return {};
+    try {
+        const value = JSON.parse(raw);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * LLMProvider - common shape for every model backend
+ *
+ * Request:  { system, messages: [{ role: 'user'|'assistant', content }], model, temperature, maxTokens, timeout, maxRetries,
+ *             json (ask for a bare JSON object where the API supports it),
+ *             tools: [{ name, description, parameters (JSON schema) }], toolChoice: 'auto'|'none',
+ *             userId, feature (who and what the call is for; only passed on to onUsage) }
+ * Response: { text, provider, model, usage: { inputTokens, outputTokens }, toolCalls?: [{ id, name, arguments }], raw }
+ *
+ * Function calling uses two extra message shapes, translated by each adapter:
+ *   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }   the model's calls
+ *   { role: 'tool', toolCallId, name, content }                            one call's result
+ * `arguments` is the parsed object, or null when the model sent invalid JSON.
+ *
+ * Subclasses implement _generate(request) and optionally _stream(request), an async
+ * generator of text deltas, and only deal with their wire format.
+ * request.onDone({ text, usage }) is called when a stream finishes.
+ * options.onUsage(result, request) sees every completed call (usage ledger).
+ * Retries (network errors, 429, 5xx), model defaults and the latency metric live here.
+ * Timeouts (ECONNABORTED) are NOT retried — the caller already waited long enough.
+ *
+ * Each provider has a circuit breaker ('provider:<name>', see ../../utils/circuit-breaker.js)
+ * that sees one outcome per call, after retries. While it is open, calls fail at
+ * once with code EBREAKER_OPEN; isAvailable() lets routers skip the provider up front.
+ */
+export class LLMProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.model = options.model;
+        this.timeout = options.timeout || 30000;
+        this.maxRetries = options.maxRetries ?? config.llmMaxRetries ?? 2;
+        this.onUsage = options.onUsage || null;
+        this.breaker = breakers.create(`provider:${name}`, options.breaker);
+    }
+
+    /** Configured and not tripped */
+    isAvailable() { return this.isReady() && this.breaker.canPass(); }
+
+    _acquire() {
+        if (this.breaker.acquire()) return;
+        const { retryInMs } = this.breaker.status();
+        throw Object.assign(new Error(`${this.name} is failing, skipped for another ${Math.ceil(retryInMs / 1000)}s (circuit open)`), { code: 'EBREAKER_OPEN' });
+    }
+
+    /** Feed one call's outcome to the breaker; requests we got wrong (400s) don't count against the provider */
+    _settle(started, error = null) {
+        const ms = Date.now() - started;
+        if (error?.code === 'EBREAKER_OPEN') this.breaker.release();
+        else if (error && isBreakerFailure(error)) this.breaker.failure(error, ms);
+        else this.breaker.success(ms);
+    }
+
+    _reportUsage(result, req) {
+        try { this.onUsage?.(result, req); } catch (error) { logger.warn(`${this.name}: usage hook failed:`, error.message); }
+    }
+
+    _observe(started, outcome) {
+        metrics.observe('mj_provider_request_seconds', { provider: this.name, outcome }, (Date.now() - started) / 1000);
+    }
+
+    isReady() { return true; }
+
+    isRetryable(error) {
+        const status = error.response?.status;
+        if (status) return RETRYABLE_STATUS.has(status);
+        return RETRYABLE_CODES.has(error.code);
+    }
+
+    async generate(request = {}) {
+        const req = { ...request, model: request.model || this.model, timeout: request.timeout || this.timeout };
+        const maxRetries = request.maxRetries ?? this.maxRetries;
+        this._acquire();
+        const started = Date.now();
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = { provider: this.name, model: req.model, usage: { inputTokens: 0, outputTokens: 0 }, ...(await this._generate(req)) };
+                this._observe(started, 'ok');
+                this._settle(started);
+                this._reportUsage(result, req);
+                return result;
+            } catch (error) {
+                if (attempt >= maxRetries || !this.isRetryable(error)) {
+                    this._observe(started, error.code === 'ECONNABORTED' ? 'timeout' : 'error');
+                    this._settle(started, error);
+                    throw error;
+                }
+                const retryAfter = parseInt(error.response?.headers?.['retry-after'] || '0', 10) * 1000;
+                const delay = retryAfter || Math.min(8000, 500 * 2 ** attempt);
+                logger.warn(`${this.name}: ${error.response?.status || error.code} on ${req.model}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Async iterator of text chunks. Adapters without _stream() yield the whole reply at once.
+     * Streams are not retried: a failure after the first chunk can't be replayed cleanly.
+     */
+    async *stream(request = {}) {
+        if (!this._stream) {
+            const result = await this.generate(request);
+            request.onDone?.(result);
+            if (result.text) yield result.text;
+            return;
+        }
+        const req = { ...request, model: request.model || this.model, timeout: request.timeout || this.timeout };
+        this._acquire();
+        const started = Date.now();
+        let settled = false;
+        req.onDone = (result) => { request.onDone?.(result); this._observe(started, 'ok'); settled = true; this._settle(started); this._reportUsage(result, req); };
+        try {
+            yield* this._stream(req);
+        } catch (error) {
+            this._observe(started, error.code === 'ECONNABORTED' ? 'timeout' : 'error');
+            settled = true;
+            this._settle(started, error);
+            throw error;
+        } finally {
+            // The reader stopped early: no verdict, but don't hold a half-open probe forever
+            if (!settled) this.breaker.release();
+        }
+    }
+
+    async _generate() { throw new Error(`${this.name}: _generate() not implemented`); }
+}
@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { config } from '../../config.js';
+import { logger } from '../../utils/logger.js';
+import { apiRateLimiter } from '../../utils/api-rate-limiter.js';
+import { metrics } from '../../utils/metrics.js';
+import { breakers, isBreakerFailure } from '../../utils/circuit-breaker.js';
+import { keyRouter } from '../../utils/key-router.js';
+import { readSSE } from '../../utils/sse.js';
+import { LLMProvider, toolSchema } from './base.js';
+
+const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Gemini adapter (generateContent)
+ *
+ * Auth: either a fixed apiKey, or request.keyTier to go through keyRouter
+ * (primary key + fallback on rate limit, tracked by apiRateLimiter).
+ * Each key tier's key also has its own circuit breaker ('gemini-key:primary',
+ * 'gemini-key:agent', ...): a tier whose key is tripped starts on its fallback
+ * key instead of hitting the tripped one first.
+ */
+export class GeminiProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('gemini', { model: config.geminiModel, ...options });
+        this.apiKey = options.apiKey ?? config.geminiApiKey;
+        this._keyBreakers = new Map();
+    }
+
+    isReady() { return !!this.apiKey; }
+
+    /** Breaker for one API key, named after the config key it came from (never the key itself) */
+    _keyBreaker(key) {
+        const tiers = { primary: config.geminiApiKey, agent: config.geminiAgentKey, background: config.geminiBackgroundKey };
+        const label = Object.keys(tiers).find(t => tiers[t] === key) || `key-${crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 8)}`;
+        if (!this._keyBreakers.has(label)) this._keyBreakers.set(label, breakers.create(`gemini-key:${label}`));
+        return this._keyBreakers.get(label);
+    }
+
+    /** The tier's key, or its fallback when the key's breaker is open and the fallback's isn't */
+    _pickKey(tier) {
+        const key = keyRouter.getKey(tier);
+        if (this._keyBreaker(key).canPass()) return key;
+        const fallback = keyRouter.getFallback(tier);
+        if (fallback && this._keyBreaker(fallback).canPass()) {
+            logger.info(`Gemini ${tier}: key circuit open, starting on the fallback key`);
+            return fallback;
+        }
+        return key;
+    }
+
+    /** Run call(key) under the key's breaker */
+    async _withKey(key, call) {
+        const breaker = this._keyBreaker(key);
+        if (!breaker.acquire()) throw Object.assign(new Error(`${breaker.name} is failing (circuit open)`), { code: 'EBREAKER_OPEN' });
+        const started = Date.now();
+        try {
+            const result = await call(key);
+            breaker.success(Date.now() - started);
+            return result;
+        } catch (error) {
+            if (isBreakerFailure(error)) breaker.failure(error, Date.now() - started);
+            else breaker.release();
+            throw error;
+        }
+    }
+
+    isRetryable(error) {
+        // Key-tier requests get their 429 handling from apiRateLimiter
+        if (error.response?.status === 429 && error._keyTier) return false;
+        return super.isRetryable(error);
+    }
+
+    _buildBody(req) {
+        const contents = [];
+        for (const m of req.messages || []) {
+            if (m.role === 'tool') {
+                // All results for one model turn go back together in a single user turn
+                const part = { functionResponse: { name: m.name, response: { content: m.content } } };
+                const last = contents[contents.length - 1];
+                if (last?.role === 'user' && last.parts.every(p => p.functionResponse)) last.parts.push(part);
+                else contents.push({ role: 'user', parts: [part] });
+            } else if (m.toolCalls?.length) {
+                const calls = m.toolCalls.map(c => ({ functionCall: { name: c.name, args: c.arguments || {} }, ...(c.signature ? { thoughtSignature: c.signature } : {}) }));
+                contents.push({ role: 'model', parts: [...(m.content ? [{ text: m.content }] : []), ...calls] });
+            } else {
+                // m.inline: [{ mimeType, data (base64) }], e.g. audio to transcribe
+                const inline = (m.inline || []).map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }));
+                contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: [...inline, { text: m.content }] });
+            }
+        }
+        const body = { contents, generationConfig: {} };
+        if (req.system) body.systemInstruction = { parts: [{ text: req.system }] };
+        if (req.temperature !== undefined) body.generationConfig.temperature = req.temperature;
+        if (req.maxTokens) body.generationConfig.maxOutputTokens = req.maxTokens;
+        if (req.json) body.generationConfig.responseMimeType = 'application/json';
+        if (req.tools?.length) {
+            body.tools = [{ functionDeclarations: req.tools.map(t => ({ name: t.name, description: t.description, parameters: toolSchema(t.parameters) })) }];
+            if (req.toolChoice === 'none') body.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+        }
+        return body;
+    }
+
+    _normalize(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        const text = parts.filter(p => !p.thought).map(p => p.text || '').join('');
+        const result = {
+            text,
+            usage: { inputTokens: data.usageMetadata?.promptTokenCount || 0, outputTokens: data.usageMetadata?.candidatesTokenCount || 0 },
+            raw: data,
+        };
+        // Gemini has no call ids; the signature must be sent back with the call on the next turn
+        const calls = parts.filter(p => p.functionCall);
+        if (calls.length) result.toolCalls = calls.map((p, i) => ({ id: `call_${i}`, name: p.functionCall.name, arguments: p.functionCall.args || {}, signature: p.thoughtSignature }));
+        return result;
+    }
+
+    async *_stream(req) {
+        const open = (key) => axios.post(
+            `${GEMINI_BASE}/${req.model}:streamGenerateContent?alt=sse&key=${key}`,
+            this._buildBody(req),
+            { headers: { 'Content-Type': 'application/json' }, timeout: req.timeout, responseType: 'stream' }
+        );
+        let response;
+        if (req.keyTier) {
+            apiRateLimiter.trackRequest(`gemini-${req.keyTier.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`);
+            response = await this._withKey(this._pickKey(req.keyTier), open);
+        } else {
+            response = await open(this.apiKey);
+        }
+        let text = '';
+        let usage = { inputTokens: 0, outputTokens: 0 };
+        for await (const data of readSSE(response.data)) {
+            let event;
+            try { event = JSON.parse(data); } catch { continue; }
+            const { text: delta, usage: u } = this._normalize(event);
+            if (u.inputTokens || u.outputTokens) usage = u;
+            if (delta) { text += delta; yield delta; }
+        }
+        req.onDone?.({ text, usage, provider: this.name, model: req.model });
+    }
+
+    async _generate(req) {
+        const body = this._buildBody(req);
+        const post = (key) => axios.post(
+            `${GEMINI_BASE}/${req.model}:generateContent?key=${key}`,
+            body,
+            { headers: { 'Content-Type': 'application/json' }, timeout: req.timeout }
+        );
+
+        if (!req.keyTier) {
+            const response = await post(this.apiKey);
+            return this._normalize(response.data);
+        }
+
+        const limiterName = `gemini-${req.keyTier.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`; // textChat -> gemini-text-chat
+        apiRateLimiter.trackRequest(limiterName);
+        try {
+            const response = await apiRateLimiter.callWithRetry(
+                () => this._withKey(this._pickKey(req.keyTier), post),
+                {
+                    maxRetries: 3,
+                    apiKeyName: limiterName,
+                    onRateLimit: async () => {
+                        metrics.inc('mj_rate_limit_hits_total', { limiter: limiterName });
+                        const fallbackKey = keyRouter.getFallback(req.keyTier);
+                        if (fallbackKey) { logger.info('Switching to fallback key'); return await this._withKey(fallbackKey, post); }
+                        throw new Error('All keys rate limited');
+                    }
+                }
+            );
+            return this._normalize(response.data);
+        } catch (error) {
+            error._keyTier = req.keyTier;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,36 @@
+import { config } from '../../config.js';
+import { GeminiProvider } from './gemini.js';
+import { OpenAICompatibleProvider } from './openai.js';
+import { AnthropicProvider } from './anthropic.js';
+import { MockProvider } from './mock.js';
+
+export { LLMProvider } from './base.js';
+export { GeminiProvider, OpenAICompatibleProvider, AnthropicProvider, MockProvider };
+
+/**
+ * Build the default provider set from config.
+ *
+ * codex needs the OAuth hooks from whoever owns the token (SmartBrain),
+ * so they are passed in via options.codexAuth = { getToken, onUnauthorized }.
+ * Any entry in options.overrides replaces the built provider (tests, local dev).
+ */
+export function createProviders(options = {}) {
+    const providers = {
+        gemini: new GeminiProvider(),
+        codex: new OpenAICompatibleProvider('codex', {
+            baseUrl: config.openaiBaseUrl,
+            model: config.openaiCodexModel,
+            timeout: config.claudeTimeout,
+            ...options.codexAuth,
+        }),
+        anthropic: new AnthropicProvider({ timeout: config.claudeTimeout }),
+    };
+    if (config.openaiApiKey) {
+        providers.openai = new OpenAICompatibleProvider('openai', { apiKey: config.openaiApiKey, model: config.openaiModel, timeout: config.claudeTimeout });
+    }
+    if (config.localLlmUrl) {
+        providers.local = new OpenAICompatibleProvider('local', { baseUrl: config.localLlmUrl, apiKey: config.localLlmApiKey, model: config.localLlmModel, timeout: config.claudeTimeout, maxRetries: 0 });
+    }
+    if (config.backendProvider === 'mock') providers.mock = new MockProvider({ responses: ['(mock response)'] });
+    return { ...providers, ...options.overrides };
+}
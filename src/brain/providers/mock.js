@@ -0,0 +1,35 @@
+import { LLMProvider } from './base.js';
+
+/**
+ * Offline provider for tests and local development.
+ *
+ * responses: queue of strings/objects/Errors consumed in order (last one repeats)
+ * handler:   (request) => string | { text, usage, toolCalls } | Error, takes precedence over responses
+ *
+ * Every request is recorded in this.calls. stream() yields the reply word by word.
+ */
+export class MockProvider extends LLMProvider {
+    constructor(options = {}) {
+        super(options.name || 'mock', { model: options.model || 'mock-model', maxRetries: 0, ...options });
+        this.responses = [...(options.responses || [])];
+        this.handler = options.handler || null;
+        this.calls = [];
+    }
+
+    reply(...responses) { this.responses.push(...responses); return this; }
+
+    async *_stream(req) {
+        const result = await this._generate(req);
+        for (const piece of result.text.match(/\S+\s*/g) || []) yield piece;
+        req.onDone?.({ ...result, provider: this.name, model: req.model });
+    }
+
+    async _generate(req) {
+        this.calls.push(req);
+        let out = this.handler ? await this.handler(req) : (this.responses.length > 1 ? this.responses.shift() : this.responses[0]);
+        if (out instanceof Error) throw out;
+        if (out === undefined || out === null) out = '';
+        if (typeof out === 'string') out = { text: out };
+        return { usage: { inputTokens: 0, outputTokens: 0 }, ...out };
+    }
+}
@@ -0,0 +1,99 @@
+import axios from 'axios';
+import { config } from '../../config.js';
+import { logger } from '../../utils/logger.js';
+import { readSSE } from '../../utils/sse.js';
+import { LLMProvider, toolSchema, parseToolArguments } from './base.js';
+
+/**
+ * OpenAI-compatible adapter (/chat/completions)
+ *
+ * Works for api.openai.com, the Codex OAuth token, and local servers
+ * (Ollama, llama.cpp, vLLM, LM Studio) that speak the same protocol.
+ *
+ * Auth: a static apiKey, or getToken() for rotating OAuth tokens.
+ * On a 401, onUnauthorized() is awaited once and the request is replayed.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor(name, options = {}) {
+        super(name, options);
+        this.baseUrl = (options.baseUrl || config.openaiBaseUrl).replace(/\/$/, '');
+        this.apiKey = options.apiKey;
+        this.getToken = options.getToken;
+        this.onUnauthorized = options.onUnauthorized;
+    }
+
+    isReady() { return !!(this.apiKey || this.getToken || this.baseUrl !== config.openaiBaseUrl); }
+
+    async _authHeaders() {
+        const token = this.getToken ? await this.getToken() : this.apiKey;
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        return headers;
+    }
+
+    _buildBody(req) {
+        const messages = [];
+        if (req.system) messages.push({ role: 'system', content: req.system });
+        for (const m of req.messages || []) {
+            if (m.role === 'tool') messages.push({ role: 'tool', tool_call_id: m.toolCallId, content: m.content });
+            else if (m.toolCalls?.length) messages.push({ role: 'assistant', content: m.content || null, tool_calls: m.toolCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.arguments || {}) } })) });
+            else messages.push({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content });
+        }
+        const body = { model: req.model, messages };
+        if (req.maxTokens) body.max_tokens = req.maxTokens;
+        if (req.temperature !== undefined) body.temperature = req.temperature;
+        if (req.json) body.response_format = { type: 'json_object' };
+        if (req.tools?.length) {
+            body.tools = req.tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: toolSchema(t.parameters) } }));
+            if (req.toolChoice) body.tool_choice = req.toolChoice;
+        }
+        return body;
+    }
+
+    async _post(req, stream = false) {
+        const body = this._buildBody(req);
+        const options = { headers: await this._authHeaders(), timeout: req.timeout };
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+            options.responseType = 'stream';
+        }
+        try {
+            return await axios.post(`${this.baseUrl}/chat/completions`, body, options);
+        } catch (error) {
+            if (error.response?.status !== 401 || !this.onUnauthorized) throw error;
+            logger.warn(`${this.name}: 401 — refreshing credentials and retrying...`);
+            await this.onUnauthorized();
+            options.headers = await this._authHeaders();
+            return await axios.post(`${this.baseUrl}/chat/completions`, body, options);
+        }
+    }
+
+    async *_stream(req) {
+        const response = await this._post(req, true);
+        let text = '';
+        let usage = { inputTokens: 0, outputTokens: 0 };
+        for await (const data of readSSE(response.data)) {
+            if (data === '[DONE]') break;
+            let event;
+            try { event = JSON.parse(data); } catch { continue; }
+            if (event.usage) usage = { inputTokens: event.usage.prompt_tokens || 0, outputTokens: event.usage.completion_tokens || 0 };
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) { text += delta; yield delta; }
+        }
+        req.onDone?.({ text, usage, provider: this.name, model: req.model });
+    }
+
+    async _generate(req) {
+        const response = await this._post(req);
+        const data = response.data;
+        const message = data.choices?.[0]?.message;
+        const result = {
+            text: message?.content || '',
+            usage: { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 },
+            raw: data,
+        };
+        if (message?.tool_calls?.length) result.toolCalls = message.tool_calls.map(c => ({ id: c.id, name: c.function?.name, arguments: parseToolArguments(c.function?.arguments) }));
+        return result;
+    }
+}
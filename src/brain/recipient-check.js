@@ -0,0 +1,59 @@
+import { logger } from '../utils/logger.js';
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+const extractAddresses = (data) => {
+    if (!data) return [];
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return [...new Set((text.match(EMAIL_RE) || []).map(a => a.toLowerCase()))];
+};
+
+/**
+ * Resolve and vet an outgoing email recipient before we offer to send.
+ *
+ * `to` may be an address or a name. Names are looked up in Google contacts;
+ * addresses are checked against contacts and then past mail (search, or the
+ * last 50 emails when the skill has no search).
+ *
+ * Returns { address, known, source, suggestions, warning }.
+ * address is null when a name could not be resolved to exactly one contact,
+ * or when `to` holds more than one address.
+ */
+export async function checkRecipient(googleWorkspace, to) {
+    const target = (to || '').trim();
+    const result = { address: null, known: false, source: null, suggestions: [], warning: null };
+    if (!target) { result.warning = 'No recipient given.'; return result; }
+
+    const direct = extractAddresses(target);
+    if (!direct.length) {
+        let matches = [];
+        try { matches = extractAddresses(await googleWorkspace.searchContacts?.(target)); } catch (e) { logger.warn('Contact lookup failed:', e.message); }
+        if (matches.length === 1) return { ...result, address: matches[0], known: true, source: 'contacts' };
+        result.suggestions = matches.slice(0, 5);
+        result.warning = matches.length
+            ? `"${target}" matches several contacts: ${result.suggestions.join(', ')}. Which one?`
+            : `I couldn't find "${target}" in your contacts. What's their email address?`;
+        return result;
+    }
+
+    if (direct.length > 1) {
+        result.suggestions = direct.slice(0, 5);
+        result.warning = `I can send to one address at a time: ${result.suggestions.join(', ')}. Which one?`;
+        return result;
+    }
+
+    const address = direct[0];
+    result.address = address;
+    try {
+        if (extractAddresses(await googleWorkspace.searchContacts?.(address)).includes(address)) return { ...result, known: true, source: 'contacts' };
+    } catch (e) { logger.warn('Contact lookup failed:', e.message); }
+    try {
+        const history = googleWorkspace.searchEmails
+            ? await googleWorkspace.searchEmails(address)
+            : await googleWorkspace.getRecentEmails(50);
+        if (extractAddresses(history).includes(address)) return { ...result, known: true, source: 'past emails' };
+    } catch (e) { logger.warn('Email history lookup failed:', e.message); }
+
+    result.warning = `${address} isn't in your contacts and you haven't exchanged mail with them recently. Double-check the address.`;
+    return result;
+}
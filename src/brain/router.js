@@ -0,0 +1,94 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * IntentRouter - declarative intent registry
+ *
+ * Each intent declares:
+ *   name       unique id (e.g. 'image', 'calendar')
+ *   priority   tie-breaker when two intents are equally confident (higher wins)
+ *   matchers   [{ all: [RegExp...], none?: [RegExp...], confidence: 0..1, reason }]
+ *              a matcher fires when every `all` pattern matches and no `none` pattern does;
+ *              the intent's confidence is its best firing matcher; an optional `tag`
+ *              on the matcher is passed through to the handler as decision.tag
+ *   available  (skills) => bool, whether the backing skill is usable right now
+ *   capability optional permission it needs (see ../utils/permissions.js); think()
+ *              refuses the intent for users whose role lacks it
+ *   handle     async (message, context, decision, turn) => reply; return undefined to fall through;
+ *              turn is the calling user's per-call state from SmartBrain.think()
+ *
+ * route() picks the most confident available intent at or above minConfidence.
+ * Anything below that goes to the local classifier (./local-classifier.js),
+ * and to the LLM classifier when that isn't sure either.
+ */
+export class IntentRouter {
+    constructor(options = {}) {
+        this.intents = new Map();
+        this.minConfidence = options.minConfidence ?? config.routerMinConfidence ?? 0.5;
+    }
+
+    register(intent) {
+        if (!intent?.name || !Array.isArray(intent.matchers)) throw new Error('Intent needs a name and matchers');
+        this.intents.set(intent.name, { priority: 0, available: () => true, ...intent });
+        return this;
+    }
+
+    unregister(name) { return this.intents.delete(name); }
+
+    get(name) { return this.intents.get(name); }
+
+    get size() { return this.intents.size; }
+
+    _score(intent, lower) {
+        let best = null;
+        for (const m of intent.matchers) {
+            const fires = m.all.every(re => re.test(lower)) && !(m.none || []).some(re => re.test(lower));
+            if (fires && (!best || m.confidence > best.confidence)) best = m;
+        }
+        return best ? { confidence: best.confidence, reason: best.reason || best.all.map(String).join(' + '), tag: best.tag } : null;
+    }
+
+    /**
+     * Dry run: score every intent without executing anything.
+     * Returns { intent, confidence, reason, candidates } where intent is null
+     * when nothing cleared minConfidence (-> classifier).
+     */
+    explainRoute(message, { skills = {} } = {}) {
+        const lower = message.toLowerCase();
+        const candidates = [];
+        for (const intent of this.intents.values()) {
+            const score = this._score(intent, lower);
+            if (!score) continue;
+            let available = false;
+            try { available = !!intent.available(skills); } catch { available = false; }
+            candidates.push({ name: intent.name, priority: intent.priority, available, ...score });
+        }
+        candidates.sort((a, b) => b.confidence - a.confidence || b.priority - a.priority);
+        const winner = candidates.find(c => c.available && c.confidence >= this.minConfidence);
+        return {
+            message,
+            intent: winner?.name || null,
+            confidence: winner?.confidence || 0,
+            reason: winner ? winner.reason : `no intent >= ${this.minConfidence}, falling through to classifier`,
+            tag: winner?.tag,
+            candidates,
+        };
+    }
+
+    route(message, options = {}) {
+        const decision = this.explainRoute(message, options);
+        if (decision.intent) {
+            const runnersUp = decision.candidates.filter(c => c.name !== decision.intent).slice(0, 2).map(c => `${c.name}=${c.confidence}${c.available ? '' : '(n/a)'}`).join(', ');
+            logger.info(`Smart route: ${decision.intent} (${decision.confidence}) — ${decision.reason}${runnersUp ? ` [over ${runnersUp}]` : ''}`);
+        } else {
+            logger.info(`Smart route: no confident intent — ${decision.candidates.length} weak candidate(s)`);
+        }
+        return decision;
+    }
+
+    static format(decision) {
+        const lines = [`Route for: "${decision.message}"`, `-> ${decision.intent || 'classifier'} (${decision.confidence}) — ${decision.reason}`];
+        for (const c of decision.candidates) lines.push(`  ${c.name}: ${c.confidence}${c.available ? '' : ' (unavailable)'} — ${c.reason}`);
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,16 @@
+/**
+ * Helpers for think({ stream: true }) results.
+ * The chat and compose paths stream; a streamed reply is any async iterable
+ * of text chunks, and everything else (strings, image/video result objects)
+ * is returned as-is.
+ */
+
+export const isStream = (value) => !!value && typeof value !== 'string' && typeof value[Symbol.asyncIterator] === 'function';
+
+/** Drain a stream into one string; non-streams pass through untouched. */
+export async function collectStream(value) {
+    if (!isStream(value)) return value;
+    let text = '';
+    for await (const chunk of value) text += chunk;
+    return text;
+}
@@ -0,0 +1,78 @@
+import { logger } from '../utils/logger.js';
+import { parseDuration, isLocalDateTime } from '../utils/time.js';
+
+const EMAIL_RE = /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/;
+
+const FORMATS = {
+    email: (v) => EMAIL_RE.test(v) || 'must be an email address',
+    'email-or-name': (v) => !v.includes('@') || EMAIL_RE.test(v) || 'must be a valid email address (or a contact name)',
+    duration: (v) => parseDuration(v) > 0 || 'must be a duration like "5m", "1h", "2d"',
+    datetime: (v) => isLocalDateTime(v) || 'must be a local date-time like "2026-03-14T09:00"',
+};
+
+const TYPES = {
+    integer: Number.isInteger,
+    number: (v) => typeof v === 'number' && Number.isFinite(v),
+    array: Array.isArray,
+};
+const hasType = (v, type) => (TYPES[type] ? TYPES[type](v) : typeof v === type);
+
+/**
+ * Validate a parsed value against a small JSON-schema subset:
+ * { type: 'object', properties: { key: { type, format?, enum?, description? } }, required: [], requiredOneOf: [] }
+ * (type is a typeof name, or integer / number / array)
+ * Returns a list of human-readable errors (empty when valid).
+ */
+export function validate(value, schema) {
+    const errors = [];
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return ['expected a JSON object'];
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null || value[key] === '') errors.push(`"${key}" is required`);
+        }
+        if (schema.requiredOneOf && !schema.requiredOneOf.some(k => value[k])) errors.push(`one of ${schema.requiredOneOf.map(k => `"${k}"`).join(', ')} is required`);
+        for (const [key, prop] of Object.entries(schema.properties || {})) {
+            const v = value[key];
+            if (v === undefined || v === null || v === '') continue;
+            if (prop.type && !hasType(v, prop.type)) { errors.push(`"${key}" must be a ${prop.type === 'integer' ? 'whole number' : prop.type}`); continue; }
+            if (prop.enum && !prop.enum.includes(v)) errors.push(`"${key}" must be one of: ${prop.enum.join(', ')}`);
+            if (prop.format) {
+                const ok = FORMATS[prop.format]?.(String(v));
+                if (ok !== true && ok !== undefined) errors.push(`"${key}" ${ok} (got "${v}")`);
+            }
+        }
+    }
+    return errors;
+}
+
+function parseJson(text) {
+    try { return JSON.parse(text); } catch { /* fall through */ }
+    const match = (text || '').match(/\{[\s\S]*\}/);
+    if (!match) return undefined;
+    try { return JSON.parse(match[0]); } catch { return undefined; }
+}
+
+/**
+ * Ask a provider for JSON matching `schema`, validate it, and re-prompt once
+ * with the validation errors if it doesn't.
+ *
+ * The model may instead answer { "clarification": "<question>" } when the
+ * request is missing something only the user can supply.
+ *
+ * Returns { ok: true, value } or { ok: false, question, errors }.
+ */
+export async function extractStructured(provider, { instruction, input, schema, clarify, request = {} }) {
+    const basePrompt = `${instruction}\n\nRespond with ONLY a JSON object matching this schema:\n${JSON.stringify(schema, null, 2)}\n\nIf the request is missing information you cannot reasonably infer, respond with {"clarification": "<short question for the user>"} instead.\n\nRequest: "${input}"`;
+    let prompt = basePrompt;
+    let errors = [];
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const response = await provider.generate({ temperature: 0.1, maxTokens: 1024, timeout: 15000, ...request, json: true, messages: [{ role: 'user', content: prompt }] });
+        const value = parseJson(response.text);
+        if (value?.clarification) return { ok: false, question: String(value.clarification), errors: [] };
+        errors = value === undefined ? ['response was not valid JSON'] : validate(value, schema);
+        if (!errors.length) return { ok: true, value };
+        logger.warn(`Structured extraction attempt ${attempt + 1} invalid: ${errors.join('; ')}`);
+        prompt = `${basePrompt}\n\nYour previous answer was:\n${response.text}\n\nIt was invalid: ${errors.join('; ')}. Fix these problems and respond with JSON only.`;
+    }
+    return { ok: false, question: clarify || `I couldn't work that out (${errors.join('; ')}). Could you rephrase?`, errors };
+}
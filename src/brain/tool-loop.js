@@ -0,0 +1,105 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { toolAudit } from '../utils/tool-audit.js';
+import { validate } from './structured.js';
+
+function withTimeout(promise, ms, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms); });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/** Keep whole lines from the top, up to maxChars */
+function clip(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    const cut = text.lastIndexOf('\n', maxChars);
+    const kept = text.slice(0, cut > maxChars / 2 ? cut : maxChars);
+    return `${kept}\n[${text.length - kept.length} more characters cut]`;
+}
+
+/**
+ * ToolLoop - native function calling for the backend brain
+ *
+ * The model gets the typed tools from ./backend-tools.js and decides what to
+ * read or do. Each call is validated against the tool's schema, run with a
+ * timeout, written to the tool audit and fed back, until the model answers in
+ * plain text. After maxSteps rounds it is asked to answer with what it has.
+ *
+ * Bad arguments, unknown tools, failures and timeouts go back to the model as
+ * "Error: ..." results so it can correct itself. Results are cached per `cache`
+ * map, so a fallback provider re-running the same request doesn't repeat
+ * side effects (a second reminder, a second draft).
+ *
+ * permit(capability, userId) decides which tools `userId` (the user the loop
+ * runs for) may use: the others are not offered to the model, and a call to
+ * one anyway is refused and audited.
+ */
+export class ToolLoop {
+    constructor(options = {}) {
+        this.maxSteps = options.maxSteps || config.toolMaxSteps;
+        this.timeoutMs = options.timeoutMs || config.toolTimeout;
+        this.maxResultChars = options.maxResultChars || config.toolResultMaxChars;
+        this.audit = options.audit || toolAudit;
+    }
+
+    /**
+     * Returns { text, steps, calls: [{ name, arguments, ok }], exhausted }.
+     * Provider errors are thrown to the caller (which decides on fallbacks).
+     */
+    async run(provider, { system, messages, tools, request = {}, userId = '', cache = new Map(), permit = () => true }) {
+        const byName = new Map(tools.map(t => [t.name, t]));
+        const definitions = tools.filter(t => !t.capability || permit(t.capability, userId)).map(({ name, description, parameters }) => ({ name, description, parameters }));
+        const transcript = [...messages];
+        const calls = [];
+
+        for (let step = 1; step <= this.maxSteps; step++) {
+            const response = await provider.generate({ ...request, system, messages: [...transcript], tools: definitions });
+            if (!response.toolCalls?.length) return { text: response.text, steps: step, calls, exhausted: false };
+            transcript.push({ role: 'assistant', content: response.text || '', toolCalls: response.toolCalls });
+            for (const call of response.toolCalls) {
+                const result = await this._execute(byName.get(call.name), call, { provider: provider.name, userId, cache, permit });
+                calls.push({ name: call.name, arguments: call.arguments, ok: result.ok });
+                transcript.push({ role: 'tool', toolCallId: call.id, name: call.name, content: result.text });
+            }
+        }
+
+        logger.warn(`Tool loop: step limit (${this.maxSteps}) reached on ${provider.name}, asking for a final answer`);
+        transcript.push({ role: 'user', content: 'You are out of tool calls. Answer now with what you have, and say briefly what you could not check.' });
+        const final = await provider.generate({ ...request, system, messages: transcript, tools: definitions, toolChoice: 'none' });
+        return { text: final.text, steps: this.maxSteps + 1, calls, exhausted: true };
+    }
+
+    async _execute(tool, call, { provider, userId, cache, permit }) {
+        const started = Date.now();
+        const key = `${call.name}:${JSON.stringify(call.arguments)}`;
+        if (cache.has(key)) {
+            logger.info(`Tool ${call.name}: reusing result from earlier in this request`);
+            return cache.get(key);
+        }
+
+        let error = null;
+        let text = '';
+        if (!tool) error = `unknown tool "${call.name}"`;
+        else if (tool.capability && !permit(tool.capability, userId)) error = `denied: needs ${tool.capability}, which this user's role doesn't have`;
+        else if (!call.arguments) error = 'arguments were not valid JSON';
+        else {
+            const problems = validate(call.arguments, tool.parameters);
+            if (problems.length) error = `invalid arguments: ${problems.join('; ')}`;
+        }
+        if (!error) {
+            try {
+                const out = await withTimeout(Promise.resolve().then(() => tool.run(call.arguments)), this.timeoutMs, call.name);
+                text = clip(typeof out === 'string' ? out : JSON.stringify(out ?? null), this.maxResultChars) || '(no results)';
+            } catch (e) {
+                error = e.message;
+            }
+        }
+
+        const durationMs = Date.now() - started;
+        const result = error ? { ok: false, text: `Error: ${error}` } : { ok: true, text };
+        if (result.ok) cache.set(key, result);
+        this.audit.record({ userId, provider, tool: call.name, args: call.arguments, ok: result.ok, durationMs, resultChars: text.length, error });
+        logger.info(`Tool ${call.name}(${JSON.stringify(call.arguments)}) -> ${result.ok ? `${text.length} chars` : result.text} [${durationMs}ms]`);
+        return result;
+    }
+}
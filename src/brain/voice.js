@@ -0,0 +1,373 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getDb } from '../utils/db.js';
+import { metrics } from '../utils/metrics.js';
+import { breakers, isBreakerFailure } from '../utils/circuit-breaker.js';
+import { usageLedger } from '../utils/usage-ledger.js';
+
+const WHISPER_URL = 'https://api.openai.com/v1/audio/transcriptions';
+const ELEVENLABS_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
+const MODES = { on: 'voice', off: 'text', auto: 'mirror' };
+
+// "reply by voice", "answer in audio", "read it out loud"; "reply in text" asks for the opposite
+const VOICE_REQUEST = /[\s,;:-]*\b(?:(?:please\s+)?(?:reply|answer|respond|tell\s+me)\s+(?:by|with|in|as|via)\s+(?:a\s+)?(voice(?:\s+message|\s+note)?|audio|speech|text)|(?:read|say)\s+it\s+(?:out\s+loud|aloud))\b[.!]?\s*$/i;
+
+/** Split "what's the weather, reply by voice" into the request and the wish: { message, voice: true | false | null } */
+export function parseVoiceRequest(message) {
+    const m = message.match(VOICE_REQUEST);
+    if (!m) return { message, voice: null };
+    const rest = message.slice(0, m.index).trim();
+    return { message: rest || message, voice: m[1]?.toLowerCase() !== 'text' };
+}
+
+/** Markdown -> text a voice can read: no code, links, tables, emphasis or emoji; list items and headings end as sentences */
+export function speakable(markdown) {
+    const sentence = (text) => (/[.!?:;,]$/.test(text.trim()) ? text.trim() : `${text.trim()}.`);
+    return String(markdown || '')
+        .replace(/```[\s\S]*?```/g, '(code left out)')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, 'a link')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/^[ \t]*\|?[ \t:|-]*-[ \t:|-]*\|?[ \t]*(?:\n|$)/gm, '') // table separators and rules
+        .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (m, cells) => sentence(cells.split('|').map(c => c.trim()).filter(Boolean).join(', ')))
+        .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*)$/gm, (m, text) => sentence(text))
+        .replace(/^[ \t]*[-*+][ \t]+(.*)$/gm, (m, text) => sentence(text))
+        .replace(/^[ \t]*(\d+)[.)][ \t]+(.*)$/gm, (m, n, text) => `${n}. ${sentence(text)}`)
+        .replace(/^[ \t]*>[ \t]?/gm, '')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/(^|[\s(])[*_](\S[^*_\n]*?)[*_](?=[\s).,;:!?]|$)/gm, '$1$2')
+        .replace(/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{2B00}-\u{2BFF}\u{FE0F}\u{200D}]/gu, '')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/** Cut text into pieces of at most `max` characters, at sentence ends where possible */
+export function chunkSpeech(text, max = config.voiceChunkChars) {
+    const chunks = [];
+    let current = '';
+    for (let piece of String(text).match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)\s*/g) || []) {
+        while (piece.length > max) {
+            const space = piece.lastIndexOf(' ', max);
+            const cut = space > 0 ? space : max;
+            if (current.trim()) chunks.push(current.trim());
+            current = '';
+            chunks.push(piece.slice(0, cut).trim());
+            piece = piece.slice(cut);
+        }
+        if (current && (current + piece).trim().length > max) { chunks.push(current.trim()); current = ''; }
+        current += piece;
+    }
+    if (current.trim()) chunks.push(current.trim());
+    return chunks;
+}
+
+/** Least-recently-used map with at most `max` entries (0 disables it) */
+class LruCache {
+    constructor(max) {
+        this.max = max;
+        this.map = new Map();
+    }
+
+    get(key) {
+        if (!this.map.has(key)) return undefined;
+        const value = this.map.get(key);
+        this.map.delete(key);
+        this.map.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        if (!this.max) return;
+        this.map.delete(key);
+        this.map.set(key, value);
+        if (this.map.size > this.max) this.map.delete(this.map.keys().next().value);
+    }
+
+    get size() { return this.map.size; }
+}
+
+const hash = (...parts) => {
+    const h = crypto.createHash('sha256');
+    for (const part of parts) h.update(part);
+    return h.digest('hex');
+};
+
+/** OpenAI Whisper (audio/transcriptions); units are seconds of audio */
+export class WhisperTranscriber {
+    constructor(options = {}) {
+        this.name = 'whisper';
+        this.apiKey = options.apiKey ?? config.openaiApiKey;
+        this.model = options.model || config.whisperModel;
+        this.timeout = options.timeout || config.voiceTimeout;
+    }
+
+    isReady() { return !!this.apiKey; }
+
+    async transcribe(audio, mimeType = 'audio/ogg') {
+        const form = new FormData();
+        form.append('file', new Blob([audio], { type: mimeType }), `voice.${mimeType.split('/')[1]?.split(';')[0] || 'ogg'}`);
+        form.append('model', this.model);
+        form.append('response_format', 'verbose_json');
+        const response = await axios.post(WHISPER_URL, form, { headers: { Authorization: `Bearer ${this.apiKey}` }, timeout: this.timeout });
+        return { text: (response.data.text || '').trim(), model: this.model, units: Math.ceil(response.data.duration || 0) };
+    }
+}
+
+/** Gemini with the audio inline; usage is recorded by the provider like any other Gemini call, for `userId` */
+export class GeminiTranscriber {
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.provider = options.provider;
+    }
+
+    isReady() { return !!this.provider?.isReady(); }
+
+    async transcribe(audio, mimeType = 'audio/ogg', { userId } = {}) {
+        const result = await this.provider.generate({
+            messages: [{ role: 'user', content: 'Transcribe this voice message word for word. Reply with the transcript only, nothing else.', inline: [{ mimeType: mimeType.split(';')[0], data: audio.toString('base64') }] }],
+            temperature: 0,
+            userId,
+            feature: 'voice',
+            timeout: config.voiceTimeout,
+        });
+        return { text: result.text.trim(), model: result.model, units: 0 };
+    }
+}
+
+/** ElevenLabs text-to-speech, MP3 out; units are characters */
+export class ElevenLabsSpeaker {
+    constructor(options = {}) {
+        this.name = 'elevenlabs';
+        this.apiKey = options.apiKey ?? config.elevenLabsApiKey;
+        this.voiceId = options.voiceId ?? config.elevenLabsVoiceId;
+        this.model = options.model || config.elevenLabsModel;
+        this.timeout = options.timeout || config.voiceTimeout;
+    }
+
+    isReady() { return !!(this.apiKey && this.voiceId); }
+
+    get cacheKey() { return `${this.name}:${this.voiceId}:${this.model}`; }
+
+    async speak(text) {
+        const response = await axios.post(`${ELEVENLABS_URL}/${this.voiceId}?output_format=mp3_44100_128`, { text, model_id: this.model }, {
+            headers: { 'xi-api-key': this.apiKey, 'Content-Type': 'application/json', Accept: 'audio/mpeg' },
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+        });
+        return { audio: Buffer.from(response.data), mimeType: 'audio/mpeg', model: this.model, units: text.length };
+    }
+}
+
+/**
+ * Offline transcriber: the "audio" is read as UTF-8 text, so a test can send
+ * Buffer.from('what is the weather'). handler(audio, mimeType) may return the
+ * transcript or an Error to throw instead. Calls are kept in this.calls.
+ */
+export class MockTranscriber {
+    constructor(options = {}) {
+        this.name = options.name || 'mock';
+        this.handler = options.handler || null;
+        this.calls = [];
+    }
+
+    isReady() { return true; }
+
+    async transcribe(audio, mimeType) {
+        this.calls.push({ audio, mimeType });
+        const out = this.handler ? await this.handler(audio, mimeType) : audio.toString('utf8');
+        if (out instanceof Error) throw out;
+        return { text: String(out).trim(), model: 'mock', units: 0 };
+    }
+}
+
+/** Offline speaker: the "audio" is `mock-speech:<text>`. Calls are kept in this.calls. */
+export class MockSpeaker {
+    constructor(options = {}) {
+        this.name = options.name || 'mock';
+        this.handler = options.handler || null;
+        this.calls = [];
+    }
+
+    isReady() { return true; }
+
+    get cacheKey() { return this.name; }
+
+    async speak(text) {
+        this.calls.push(text);
+        const out = this.handler ? await this.handler(text) : null;
+        if (out instanceof Error) throw out;
+        return { audio: Buffer.from(`mock-speech:${text}`), mimeType: 'audio/mpeg', model: 'mock', units: 0 };
+    }
+}
+
+/**
+ * Voice - voice messages in, spoken replies out
+ *
+ * transcribe() tries the transcribers in TRANSCRIBE_PROVIDERS order (Whisper,
+ * then Gemini) and moves on when one fails or its circuit breaker
+ * ('stt:whisper', ...) is open. speak() turns a reply into speakable text,
+ * cuts it into VOICE_CHUNK_CHARS pieces (at most VOICE_MAX_CHUNKS) and
+ * synthesizes each with the speaker (ElevenLabs; breaker 'tts:elevenlabs').
+ * Transcripts (by audio hash) and synthesized chunks (by voice and text) are
+ * kept in LRU caches of VOICE_CACHE_SIZE entries, so a forwarded voice note
+ * or a repeated answer costs nothing the second time.
+ *
+ * Whether a user gets spoken replies is their /voice mode, stored in the
+ * `voice_prefs` table: 'voice' (always), 'text' (never) or 'mirror' (when
+ * they spoke); the default is VOICE_REPLIES.
+ *
+ * options.transcribers / options.speaker replace the configured providers;
+ * the 'mock' providers need no network (tests, offline development).
+ *
+ * Through the brain: think(message, context, skills, { audio: { data, mimeType } })
+ * routes the transcript like typed text and, when the /voice mode or "reply by
+ * voice" asks for it, answers { voice: [{ audio, mimeType, text }], text,
+ * transcript }. Both need the voice capability.
+ */
+export class Voice {
+    constructor(options = {}) {
+        this.transcribers = options.transcribers || config.transcribeProviders.map(name => (
+            name === 'whisper' ? new WhisperTranscriber() : name === 'gemini' ? new GeminiTranscriber({ provider: options.gemini }) : new MockTranscriber()
+        ));
+        this.speaker = options.speaker !== undefined ? options.speaker : config.speechProvider === 'mock' ? new MockSpeaker() : new ElevenLabsSpeaker();
+        this._breakers = new Map([
+            ...this.transcribers.map(t => [t, breakers.create(`stt:${t.name}`)]),
+            ...(this.speaker ? [[this.speaker, breakers.create(`tts:${this.speaker.name}`)]] : []),
+        ]);
+        this._transcripts = new LruCache(options.cacheSize ?? config.voiceCacheSize);
+        this._speech = new LruCache(options.cacheSize ?? config.voiceCacheSize);
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS voice_prefs (
+                user_id TEXT PRIMARY KEY,
+                mode TEXT NOT NULL,
+                updated_at INTEGER
+            )`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    canTranscribe() { return this.transcribers.some(t => t.isReady()); }
+
+    canSpeak() { return !!this.speaker?.isReady(); }
+
+    /** Run call() under the provider's breaker; null when the breaker is open */
+    async _guarded(provider, call) {
+        const breaker = this._breakers.get(provider);
+        if (!breaker.acquire()) return null;
+        const started = Date.now();
+        try {
+            const result = await call();
+            breaker.success(Date.now() - started);
+            return result;
+        } catch (error) {
+            if (isBreakerFailure(error)) breaker.failure(error, Date.now() - started);
+            else breaker.release();
+            throw error;
+        }
+    }
+
+    _record(userId, provider, result) {
+        if (result.units) usageLedger.record({ userId, feature: 'voice', provider: provider.name, model: result.model, keyTier: 'voice', mediaUnits: result.units });
+    }
+
+    /** Audio buffer -> { text, provider, cached } */
+    async transcribe(audio, { mimeType = 'audio/ogg', userId } = {}) {
+        const key = hash(audio);
+        const cached = this._transcripts.get(key);
+        if (cached) {
+            metrics.inc('mj_voice_total', { op: 'transcribe', provider: cached.provider, outcome: 'cached' });
+            return { ...cached, cached: true };
+        }
+        const errors = [];
+        for (const transcriber of this.transcribers.filter(t => t.isReady())) {
+            try {
+                const result = await this._guarded(transcriber, () => transcriber.transcribe(audio, mimeType, { userId }));
+                if (!result) { errors.push(`${transcriber.name}: circuit open`); continue; }
+                this._record(userId, transcriber, result);
+                metrics.inc('mj_voice_total', { op: 'transcribe', provider: transcriber.name, outcome: 'ok' });
+                const transcript = { text: result.text, provider: transcriber.name };
+                if (transcript.text) this._transcripts.set(key, transcript);
+                logger.info(`Voice: ${transcriber.name} transcribed ${audio.length} bytes -> ${result.text.length} chars`);
+                return { ...transcript, cached: false };
+            } catch (error) {
+                metrics.inc('mj_voice_total', { op: 'transcribe', provider: transcriber.name, outcome: 'error' });
+                logger.warn(`Voice: ${transcriber.name} transcription failed:`, error.message);
+                errors.push(`${transcriber.name}: ${error.message}`);
+            }
+        }
+        throw Object.assign(new Error(errors.length ? errors.join('; ') : 'no transcriber configured'), { code: 'ETRANSCRIBE' });
+    }
+
+    /** Reply text -> { parts: [{ audio, mimeType, text }], truncated } */
+    async speak(text, { userId } = {}) {
+        if (!this.canSpeak()) throw new Error('no speech provider configured');
+        const chunks = chunkSpeech(speakable(text));
+        const parts = [];
+        for (const chunk of chunks.slice(0, config.voiceMaxChunks)) {
+            const key = hash(this.speaker.cacheKey, '\n', chunk);
+            let part = this._speech.get(key);
+            if (part) {
+                metrics.inc('mj_voice_total', { op: 'speak', provider: this.speaker.name, outcome: 'cached' });
+            } else {
+                try {
+                    const result = await this._guarded(this.speaker, () => this.speaker.speak(chunk));
+                    if (!result) throw new Error(`${this.speaker.name} is failing (circuit open)`);
+                    this._record(userId, this.speaker, result);
+                    metrics.inc('mj_voice_total', { op: 'speak', provider: this.speaker.name, outcome: 'ok' });
+                    part = { audio: result.audio, mimeType: result.mimeType, text: chunk };
+                    this._speech.set(key, part);
+                } catch (error) {
+                    metrics.inc('mj_voice_total', { op: 'speak', provider: this.speaker.name, outcome: 'error' });
+                    throw error;
+                }
+            }
+            parts.push(part);
+        }
+        return { parts, truncated: chunks.length > parts.length };
+    }
+
+    mode(userId) {
+        const row = this._db().prepare('SELECT mode FROM voice_prefs WHERE user_id = ?').get(String(userId));
+        return row?.mode || config.voiceReplies;
+    }
+
+    /** Whether the reply to this user should be spoken */
+    wantsVoice(userId, spoke) {
+        const mode = this.mode(userId);
+        return mode === 'voice' || (mode === 'mirror' && spoke);
+    }
+
+    /** /voice [on|off|auto] */
+    command(userId, message) {
+        const arg = message.trim().split(/\s+/)[1]?.toLowerCase();
+        if (arg && !MODES[arg]) return 'Usage: /voice on | off | auto';
+        if (arg) {
+            this._db().prepare(`INSERT INTO voice_prefs (user_id, mode, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET mode = excluded.mode, updated_at = excluded.updated_at`).run(String(userId), MODES[arg], Date.now());
+        }
+        const described = { voice: 'always spoken', text: 'always text', mirror: 'spoken when you send a voice message' }[this.mode(userId)];
+        const lines = [`${arg ? 'Saved. ' : ''}🔊 Replies: ${described}.`, 'Add "reply by voice" or "reply in text" to any message to choose for that one.'];
+        if (!this.canSpeak()) lines.push('Spoken replies aren\'t set up on this bot (ELEVENLABS_API_KEY, ELEVENLABS_VOICE_ID), so you\'ll get text.');
+        lines.push('', '/voice on | off | auto');
+        return lines.join('\n');
+    }
+
+    stats() {
+        return {
+            transcribers: this.transcribers.map(t => ({ name: t.name, ready: t.isReady() })),
+            speaker: this.speaker ? { name: this.speaker.name, ready: this.speaker.isReady() } : null,
+            cached: { transcripts: this._transcripts.size, speech: this._speech.size },
+        };
+    }
+}
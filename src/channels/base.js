@@ -0,0 +1,43 @@
+import { logger } from '../utils/logger.js';
+
+/** The text of a brain reply, for history and text-only channels */
+export function replyText(reply) {
+    if (typeof reply === 'string') return reply;
+    return reply?.text || reply?.caption || reply?.message || '';
+}
+
+/**
+ * Channel - a way into the brain besides Telegram (SMS, ...)
+ *
+ * receive(userId, text) runs brain.think() as that user and returns the
+ * reply as the channel's outgoing messages (format(reply), implemented by
+ * each channel, like deliver(address, message) which sends one of them).
+ *
+ * Context is the brain's history (brain.history.get(userId)), which think()
+ * adds every exchange to along with the memory Telegram passes, so a
+ * conversation carries on from one channel to the other. Skills come from
+ * options.skillsFor(userId) — by default the brain's _skillsFor(), so the
+ * same profile, role and Google account.
+ */
+export class Channel {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.brain = options.brain;
+        this.skillsFor = options.skillsFor || ((userId) => this.brain._skillsFor(userId));
+    }
+
+    format(reply) { return [replyText(reply)]; }
+
+    async deliver() { throw new Error(`${this.name}: deliver() not implemented`); }
+
+    async receive(userId, text) {
+        let reply;
+        try {
+            reply = await this.brain.think(text, this.brain.history.get(userId), this.skillsFor(userId), { stream: false, voice: false });
+        } catch (error) {
+            logger.error(`${this.name}: reply to user ${userId} failed:`, error.message);
+            reply = 'Sorry, something went wrong on my side. Please try again in a minute.';
+        }
+        return this.format(reply);
+    }
+}
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import axios from 'axios';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+import { chunkSpeech } from '../brain/voice.js';
+import { Channel, replyText } from './base.js';
+
+const TWILIO_API = 'https://api.twilio.com/2010-04-01';
+const WEBHOOK_PATH = '/sms/twilio';
+const MEDIA_PATH = '/sms/media';
+const MEDIA_TTL_MS = 24 * 60 * 60 * 1000;
+const MEDIA_MAX = 50;
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/** "+1 (555) 123-4567" -> "+15551234567" */
+export const normalizePhone = (phone) => String(phone || '').replace(/(?!^\+)[^\d]/g, '');
+
+const maskPhone = (phone) => `${phone.slice(0, -4).replace(/\d/g, '•')}${phone.slice(-4)}`;
+
+/** X-Twilio-Signature for a webhook: HMAC-SHA1 of the URL followed by each POST param name and value, sorted by name */
+export function twilioSignature(authToken, url, params = {}) {
+    const data = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+    return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+/** Constant-time check of a request's X-Twilio-Signature */
+export function validTwilioSignature(authToken, url, params, signature) {
+    if (!authToken || !signature) return false;
+    const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+    return crypto.timingSafeEqual(digest(twilioSignature(authToken, url, params)), digest(signature));
+}
+
+/** Markdown -> plain text for a phone: links as "text: url", no emphasis, code fences or table rules */
+export function smsText(markdown) {
+    return String(markdown || '')
+        .replace(/```[^\n]*\n?([\s\S]*?)```/g, '$1')
+        .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (m, alt, url) => (alt ? `${alt}: ${url}` : url))
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (m, text, url) => (text === url ? url : `${text}: ${url}`))
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/^[ \t]*\|?[ \t:|-]*-[ \t:|-]*\|?[ \t]*(?:\n|$)/gm, '')
+        .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (m, cells) => cells.split('|').map(c => c.trim()).filter(Boolean).join(' · '))
+        .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')
+        .replace(/^[ \t]*[*+][ \t]+/gm, '- ')
+        .replace(/^[ \t]*>[ \t]?/gm, '')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/(^|[\s(])[*_](\S[^*_\n]*?)[*_](?=[\s).,;:!?]|$)/gm, '$1$2')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * A brain reply as SMS bodies: plain text, at most `maxParts` messages of
+ * `maxChars` (numbered "1/3 ..." when there are several), media as a link
+ * from mediaLink(reply) — or a note that it isn't available by text.
+ */
+export function formatForSms(reply, { maxChars = config.smsMaxChars, maxParts = config.smsMaxParts, mediaLink = () => null } = {}) {
+    let text = smsText(replyText(reply));
+    if (reply?.videoPath || reply?.imageBase64) {
+        const link = mediaLink(reply);
+        text = [text, link || `(${reply.videoPath ? 'The video' : 'The image'} can't be sent by text — it's in Telegram.)`].filter(Boolean).join('\n');
+    }
+    if (!text) return [];
+    if (text.length <= maxChars) return [text];
+    const parts = chunkSpeech(text, maxChars - 6);
+    const kept = parts.slice(0, maxParts);
+    if (parts.length > maxParts) kept[kept.length - 1] = `${kept.at(-1).slice(0, maxChars - 20)}… (cut short)`;
+    return kept.map((part, i) => `${i + 1}/${kept.length} ${part}`);
+}
+
+/**
+ * SmsChannel - the brain over text messages, through Twilio
+ *
+ * Twilio posts inbound messages to POST /sms/twilio on config.port. Each
+ * request must carry a valid X-Twilio-Signature (TWILIO_AUTH_TOKEN over
+ * SMS_PUBLIC_URL + /sms/twilio, or the URL the request came in on); numbers
+ * not in SMS_USERS (or MY_PHONE_NUMBER, the owner's) are ignored. The
+ * webhook is answered at once with empty TwiML and the reply follows through
+ * the Messages API, so slow answers don't hit Twilio's 15s timeout.
+ *
+ * Images and videos are kept for a day behind GET /sms/media?id=<random id>
+ * and sent as links (needs SMS_PUBLIC_URL). reminderBot() wraps the
+ * scheduler's bot so reminders go out by SMS as SMS_REMINDERS says.
+ */
+export class SmsChannel extends Channel {
+    constructor(options = {}) {
+        super('sms', options);
+        this.users = options.users || { ...(config.myPhoneNumber && config.allowedUsers[0] ? { [normalizePhone(config.myPhoneNumber)]: config.allowedUsers[0] } : {}), ...config.smsUsers };
+        this.publicUrl = (options.publicUrl ?? config.smsPublicUrl ?? '').replace(/\/$/, '');
+        this.media = new Map(); // id -> { path | data, mimeType, expiresAt }
+        this._inflight = new Set();
+    }
+
+    isReady() { return !!(config.twilioAccountSid && config.twilioAuthToken && (config.twilioMessagingServiceSid || config.twilioPhoneNumber)); }
+
+    userFor(phone) { return this.users[normalizePhone(phone)] || null; }
+
+    phoneFor(userId) { return Object.keys(this.users).find(phone => String(this.users[phone]) === String(userId)) || null; }
+
+    registerRoutes(server) {
+        server.route('POST', WEBHOOK_PATH, (request) => this._inbound(request));
+        server.route('GET', MEDIA_PATH, (request) => this._serveMedia(request));
+        return server;
+    }
+
+    /** The URL Twilio signed: SMS_PUBLIC_URL when set (behind a proxy the Host header isn't it) */
+    webhookUrl(req) {
+        if (this.publicUrl) return `${this.publicUrl}${WEBHOOK_PATH}`;
+        const proto = req.headers['x-forwarded-proto'] || 'http';
+        return `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}${req.url}`;
+    }
+
+    async _inbound({ req, body }) {
+        if (!config.twilioAuthToken) throw Object.assign(new Error('SMS is not configured'), { status: 503 });
+        if (!validTwilioSignature(config.twilioAuthToken, this.webhookUrl(req), body, req.headers['x-twilio-signature'])) {
+            metrics.inc('mj_sms_total', { direction: 'in', outcome: 'rejected' });
+            logger.warn(`SMS webhook: bad signature for ${this.webhookUrl(req)}`);
+            throw Object.assign(new Error('Invalid Twilio signature'), { status: 403 });
+        }
+        const phone = normalizePhone(body.From);
+        const userId = this.userFor(phone);
+        const text = String(body.Body || '').trim();
+        if (!userId) {
+            metrics.inc('mj_sms_total', { direction: 'in', outcome: 'unknown' });
+            logger.warn(`SMS from unknown number ${maskPhone(phone)} ignored`);
+        } else if (text) {
+            metrics.inc('mj_sms_total', { direction: 'in', outcome: 'ok' });
+            this._track(this.reply(userId, phone, text));
+        } else if (Number(body.NumMedia)) {
+            this._track(this.deliver(phone, 'I can only read text here — send photos and voice notes in Telegram.'));
+        }
+        return { headers: { 'Content-Type': 'text/xml' }, body: EMPTY_TWIML };
+    }
+
+    _track(promise) {
+        const tracked = promise.catch(error => logger.error('SMS reply failed:', error.message)).finally(() => this._inflight.delete(tracked));
+        this._inflight.add(tracked);
+    }
+
+    /** Wait for replies still being worked on (tests, shutdown) */
+    async drain() {
+        while (this._inflight.size) await Promise.all([...this._inflight]);
+    }
+
+    async reply(userId, phone, text) {
+        for (const message of await this.receive(userId, text)) await this.deliver(phone, message);
+    }
+
+    format(reply) {
+        return formatForSms(reply, { mediaLink: (r) => this._mediaLink(r) });
+    }
+
+    /** A reply from outside a conversation (reminders): to the user's number; false when they have none */
+    async send(userId, reply) {
+        const phone = this.phoneFor(userId);
+        if (!phone) return false;
+        for (const message of this.format(reply)) await this.deliver(phone, message);
+        return true;
+    }
+
+    /** One message through the Twilio Messages API */
+    async deliver(to, body) {
+        if (!this.isReady()) throw new Error('Twilio is not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER)');
+        const sid = config.twilioAccountSid;
+        const params = { To: to, Body: body, ...(config.twilioMessagingServiceSid ? { MessagingServiceSid: config.twilioMessagingServiceSid } : { From: config.twilioPhoneNumber }) };
+        try {
+            const response = await axios.post(`${TWILIO_API}/Accounts/${sid}/Messages.json`, new URLSearchParams(params).toString(), {
+                auth: { username: sid, password: config.twilioAuthToken },
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: 15000,
+            });
+            metrics.inc('mj_sms_total', { direction: 'out', outcome: 'ok' });
+            return response.data?.sid;
+        } catch (error) {
+            metrics.inc('mj_sms_total', { direction: 'out', outcome: 'error' });
+            throw new Error(`Twilio send failed: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * The scheduler's bot, with sendMessage going to the user's phone when
+     * `mode` (SMS_REMINDERS) is 'sms', or to both when it is 'both'
+     */
+    reminderBot(userId, bot, mode = config.smsReminders) {
+        if (mode === 'off' || !bot || !this.phoneFor(userId) || !this.isReady()) return bot;
+        const wrapped = Object.create(bot);
+        wrapped.sendMessage = async (chatId, text, ...rest) => {
+            if (mode === 'both') await bot.sendMessage(chatId, text, ...rest);
+            try {
+                return await this.send(userId, text);
+            } catch (error) {
+                logger.error('SMS reminder failed:', error.message);
+                return mode === 'both' ? undefined : bot.sendMessage(chatId, text, ...rest);
+            }
+        };
+        return wrapped;
+    }
+
+    _mediaLink(reply) {
+        if (!this.publicUrl) return null;
+        const now = Date.now();
+        for (const [id, item] of this.media) if (item.expiresAt < now || this.media.size >= MEDIA_MAX) this.media.delete(id);
+        const id = crypto.randomBytes(16).toString('hex');
+        this.media.set(id, reply.videoPath
+            ? { path: reply.videoPath, mimeType: 'video/mp4', expiresAt: now + MEDIA_TTL_MS }
+            : { data: Buffer.from(reply.imageBase64, 'base64'), mimeType: reply.mimeType || 'image/png', expiresAt: now + MEDIA_TTL_MS });
+        return `${this.publicUrl}${MEDIA_PATH}?id=${id}`;
+    }
+
+    _serveMedia({ query }) {
+        const item = this.media.get(query.id || '');
+        if (!item || item.expiresAt < Date.now()) throw Object.assign(new Error('Not found'), { status: 404 });
+        try {
+            return { headers: { 'Content-Type': item.mimeType }, body: item.data || fs.readFileSync(item.path) };
+        } catch {
+            throw Object.assign(new Error('Not found'), { status: 404 });
+        }
+    }
+}
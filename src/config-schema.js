@@ -0,0 +1,342 @@
+import os from 'os';
+import path from 'path';
+
+// "123:1/20,456:0.5/5" -> { '123': { daily: 1, monthly: 20 }, ... }
+function parseUserBudgets(raw) {
+    const budgets = {};
+    for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+        const [user, limits] = entry.split(':');
+        const [daily, monthly] = (limits || '').split('/').map(v => (v === undefined || v === '' ? undefined : Number(v)));
+        if (!user || !limits || [daily, monthly].some(v => v !== undefined && !(v >= 0))) throw new Error(`bad entry "${entry}", expected "userId:daily/monthly"`);
+        budgets[user.trim()] = { daily, monthly };
+    }
+    return budgets;
+}
+
+// "work:<refresh token>,backup:<refresh token>" -> [{ name, refreshToken }]
+function parseCodexAccounts(raw) {
+    return raw.split(',').filter(Boolean).map(entry => {
+        const idx = entry.indexOf(':');
+        const account = { name: entry.slice(0, idx).trim(), refreshToken: entry.slice(idx + 1).trim() };
+        if (idx < 1 || !account.refreshToken) throw new Error('bad entry, expected "name:refreshToken"');
+        return account;
+    });
+}
+
+// "849490123:default,5550001:sam" -> { '849490123': 'default', '5550001': 'sam' }
+function parseGoogleAccounts(raw) {
+    const accounts = {};
+    for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+        const [user, account] = entry.split(':').map(v => v?.trim());
+        if (!user || !account) throw new Error(`bad entry "${entry}", expected "userId:account"`);
+        accounts[user] = account;
+    }
+    return accounts;
+}
+
+// "+15551234567:849490123" -> { '+15551234567': '849490123' }: whose brain a texting number talks to
+function parseSmsUsers(raw) {
+    const users = {};
+    for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+        const idx = entry.lastIndexOf(':');
+        const phone = entry.slice(0, idx).replace(/(?!^\+)[^\d]/g, '');
+        const user = entry.slice(idx + 1).trim();
+        if (idx < 1 || !/^\+?\d{6,15}$/.test(phone) || !user) throw new Error(`bad entry "${entry}", expected "+15551234567:userId"`);
+        users[phone] = user;
+    }
+    return users;
+}
+
+/**
+ * What a role may do. Intents (brain/intents.js) and backend tools
+ * (brain/backend-tools.js) each name the capability they need; plain chat
+ * needs none. The owner has every capability.
+ */
+export const CAPABILITIES = ['read-google', 'send-email', 'compose-docs', 'reminders', 'web', 'media', 'voice', 'paid-media', 'agent-loop', 'mcp-tools'];
+export const ROLES = ['owner', 'member', 'guest'];
+
+// "5550001:member,5550002:guest" -> { '5550001': 'member', '5550002': 'guest' }
+function parseUserRoles(raw) {
+    const roles = {};
+    for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+        const [user, role] = entry.split(':').map(v => v?.trim());
+        if (!user || !ROLES.includes(role)) throw new Error(`bad entry "${entry}", expected "userId:${ROLES.join('|')}"`);
+        roles[user] = role;
+    }
+    return roles;
+}
+
+function parseCapabilities(raw) {
+    const caps = raw.split(',').map(v => v.trim()).filter(Boolean);
+    const unknown = caps.filter(c => !CAPABILITIES.includes(c));
+    if (unknown.length) throw new Error(`unknown capabilities ${unknown.join(', ')} (known: ${CAPABILITIES.join(', ')})`);
+    return caps;
+}
+
+// "backend,gemini" -> ['backend', 'gemini']; 'backend' means BACKEND_PROVIDER
+const PROVIDER_NAMES = ['backend', 'gemini', 'codex', 'openai', 'anthropic', 'local', 'mock'];
+function parseProviderList(raw) {
+    const names = raw.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter(n => !PROVIDER_NAMES.includes(n));
+    if (unknown.length) throw new Error(`unknown providers ${unknown.join(', ')} (known: ${PROVIDER_NAMES.join(', ')})`);
+    return names;
+}
+
+const TRANSCRIBER_NAMES = ['whisper', 'gemini', 'mock'];
+function parseTranscribers(raw) {
+    const names = raw.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter(n => !TRANSCRIBER_NAMES.includes(n));
+    if (unknown.length) throw new Error(`unknown transcribers ${unknown.join(', ')} (known: ${TRANSCRIBER_NAMES.join(', ')})`);
+    return names;
+}
+
+// "7:30", "07:30", "7am", "7:30 pm" -> "07:30"
+export function parseClock(raw) {
+    const m = String(raw).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    let hour = m ? parseInt(m[1], 10) : NaN;
+    const minute = m?.[2] ? parseInt(m[2], 10) : 0;
+    if (m?.[3]) { if (hour < 1 || hour > 12) hour = NaN; else hour = (hour % 12) + (m[3] === 'pm' ? 12 : 0); }
+    if (!(hour >= 0 && hour <= 23 && minute <= 59)) throw new Error(`"${raw}" is not a time of day, e.g. 07:30 or 7am`);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+// "22:00-07:00" -> { start: '22:00', end: '07:00' }; "off" or "" -> null
+export function parseQuietHours(raw) {
+    const text = String(raw).trim().toLowerCase();
+    if (!text || text === 'off' || text === 'none') return null;
+    const parts = text.split(/\s*(?:-|–|to)\s*/);
+    if (parts.length !== 2) throw new Error(`"${raw}" is not a range, e.g. 22:00-07:00`);
+    const [start, end] = parts.map(parseClock);
+    if (start === end) throw new Error('quiet hours must start and end at different times');
+    return { start, end };
+}
+
+function parseLocale(raw) {
+    try { return Intl.getCanonicalLocales(raw.trim())[0]; } catch { throw new Error('must be a BCP 47 locale, e.g. en-US'); }
+}
+
+/**
+ * Every config key: where it comes from and what it may be.
+ *
+ *   env       variable name, or names tried in order (first non-empty wins)
+ *   type      string | int | float | bool | list | enum | url | timezone | custom (parse)
+ *   default   used when unset; profiles (below) can override it
+ *   min/max   range for int/float; values for enum
+ *   secret    never logged, never hot-reloaded
+ *   restart   only read at startup, so hot reload just reports the change
+ *   required  true, or (profile) => bool
+ */
+export const SCHEMA = {
+    // Bot settings
+    botName: { env: 'BOT_NAME', type: 'string', default: 'Mary Jane' },
+    timezone: { env: 'BOT_TIMEZONE', type: 'timezone', default: 'America/New_York' },
+    locale: { env: 'BOT_LOCALE', type: 'custom', parse: parseLocale, default: 'en-US' }, // default for user profiles
+    ownerName: { env: 'OWNER_NAME', type: 'string', default: 'Omar' }, // first ALLOWED_USERS entry, until they set /profile name
+    brainMethod: { env: 'BRAIN_METHOD', type: 'enum', values: ['gemini', 'claude', 'smart'], default: 'gemini', restart: true },
+
+    // Telegram
+    telegramToken: { env: 'TELEGRAM_BOT_TOKEN', type: 'string', secret: true, required: (profile) => profile !== 'test' },
+    allowedUsers: { env: 'ALLOWED_USERS', type: 'list', default: [] },
+
+    // Roles: the first ALLOWED_USERS entry is the owner; USER_ROLES assigns the rest, others get DEFAULT_ROLE
+    userRoles: { env: 'USER_ROLES', type: 'custom', parse: parseUserRoles, default: {} },
+    defaultRole: { env: 'DEFAULT_ROLE', type: 'enum', values: ['member', 'guest'], default: 'member' },
+    memberCapabilities: { env: 'MEMBER_CAPABILITIES', type: 'custom', parse: parseCapabilities, default: ['read-google', 'send-email', 'compose-docs', 'reminders', 'web', 'media', 'voice'] },
+    guestCapabilities: { env: 'GUEST_CAPABILITIES', type: 'custom', parse: parseCapabilities, default: ['web'] },
+
+    // APIs
+    geminiApiKey: { env: 'GEMINI_API_KEY', type: 'string', secret: true },
+    geminiAgentKey: { env: ['GEMINI_AGENT_KEY', 'GEMINI_API_KEY'], type: 'string', secret: true },
+    geminiBackgroundKey: { env: ['GEMINI_BACKGROUND_KEY', 'GEMINI_API_KEY'], type: 'string', secret: true },
+    anthropicApiKey: { env: 'ANTHROPIC_API_KEY', type: 'string', secret: true },
+    braveApiKey: { env: 'BRAVE_API_KEY', type: 'string', secret: true },
+    newsApiKey: { env: 'NEWSAPI_KEY', type: 'string', secret: true },
+    openweatherApiKey: { env: 'OPENWEATHER_API_KEY', type: 'string', secret: true },
+    openaiApiKey: { env: 'OPENAI_API_KEY', type: 'string', secret: true },
+
+    // Supabase (vector memory)
+    supabaseUrl: { env: 'SUPABASE_URL', type: 'url' },
+    supabaseAnonKey: { env: 'SUPABASE_ANON_KEY', type: 'string', secret: true },
+
+    // Google
+    googleTokenPath: { env: 'GOOGLE_TOKEN_PATH', type: 'string', default: './data/google_token.json', restart: true },
+    googleCredentialsPath: { env: 'GOOGLE_CREDENTIALS_PATH', type: 'string', default: './data/client_secret.json', restart: true },
+    // Which token-store Google account each Telegram user may use; unset = 'default' for the first ALLOWED_USERS entry only
+    googleAccounts: { env: 'GOOGLE_ACCOUNTS', type: 'custom', parse: parseGoogleAccounts, default: {} },
+
+    // Twilio (optional)
+    twilioAccountSid: { env: 'TWILIO_ACCOUNT_SID', type: 'string', restart: true },
+    twilioAuthToken: { env: 'TWILIO_AUTH_TOKEN', type: 'string', secret: true },
+    twilioPhoneNumber: { env: 'TWILIO_PHONE_NUMBER', type: 'string' },
+    twilioMessagingServiceSid: { env: 'TWILIO_MESSAGING_SERVICE_SID', type: 'string' },
+    myPhoneNumber: { env: 'MY_PHONE_NUMBER', type: 'string' },
+    smsUsers: { env: 'SMS_USERS', type: 'custom', parse: parseSmsUsers, default: {} }, // MY_PHONE_NUMBER is the first ALLOWED_USERS entry's
+    smsPublicUrl: { env: 'SMS_PUBLIC_URL', type: 'url' }, // https://bot.example.com — what Twilio calls; signatures and media links use it
+    smsMaxChars: { env: 'SMS_MAX_CHARS', type: 'int', min: 160, max: 1600, default: 1600 },
+    smsMaxParts: { env: 'SMS_MAX_PARTS', type: 'int', min: 1, max: 10, default: 3 },
+    smsReminders: { env: 'SMS_REMINDERS', type: 'enum', values: ['off', 'sms', 'both'], default: 'off' },
+
+    // ElevenLabs (optional)
+    elevenLabsApiKey: { env: 'ELEVENLABS_API_KEY', type: 'string', secret: true },
+    elevenLabsVoiceId: { env: 'ELEVENLABS_VOICE_ID', type: 'string' },
+    elevenLabsModel: { env: 'ELEVENLABS_MODEL', type: 'string', default: 'eleven_multilingual_v2' },
+
+    // Voice messages: transcribers tried in order; 'mock' providers answer locally (tests, offline dev)
+    transcribeProviders: { env: 'TRANSCRIBE_PROVIDERS', type: 'custom', parse: parseTranscribers, default: ['whisper', 'gemini'] },
+    whisperModel: { env: 'WHISPER_MODEL', type: 'string', default: 'whisper-1' },
+    speechProvider: { env: 'SPEECH_PROVIDER', type: 'enum', values: ['elevenlabs', 'mock'], default: 'elevenlabs' },
+    // text: always text; voice: always speech; mirror: speech when the user sent a voice message
+    voiceReplies: { env: 'VOICE_REPLIES', type: 'enum', values: ['text', 'voice', 'mirror'], default: 'mirror' },
+    voiceChunkChars: { env: 'VOICE_CHUNK_CHARS', type: 'int', min: 200, max: 5000, default: 900 },
+    voiceMaxChunks: { env: 'VOICE_MAX_CHUNKS', type: 'int', min: 1, max: 20, default: 4 },
+    voiceCacheSize: { env: 'VOICE_CACHE_SIZE', type: 'int', min: 0, max: 10000, default: 200 },
+    voiceTimeout: { env: 'VOICE_TIMEOUT', type: 'int', min: 1000, max: 300000, default: 60000 },
+
+    // Image/video generation: requests rewritten into fuller prompts first; past results kept for follow-ups and /gallery
+    mediaRefine: { env: 'MEDIA_REFINE', type: 'bool', default: true },
+    mediaSessionMinutes: { env: 'MEDIA_SESSION_MINUTES', type: 'int', min: 1, max: 1440, default: 60 },
+    mediaKeep: { env: 'MEDIA_KEEP', type: 'int', min: 1, max: 1000, default: 30 }, // latest images kept with their bytes, per user
+
+    // OpenAI Codex (uses $20 ChatGPT Plus subscription via OpenClaw OAuth)
+    openaiCodexToken: { env: 'OPENAI_CODEX_TOKEN', type: 'string', secret: true },
+    openaiCodexRefresh: { env: 'OPENAI_CODEX_REFRESH', type: 'string', secret: true },
+    openaiCodexModel: { env: 'OPENAI_CODEX_MODEL', type: 'string', default: 'gpt-5.3-codex' },
+    openaiCodexAccounts: { env: 'OPENAI_CODEX_ACCOUNTS', type: 'custom', parse: parseCodexAccounts, default: [], secret: true }, // extra accounts for failover
+    claudeTimeout: { env: 'CLAUDE_TIMEOUT', type: 'int', min: 1000, max: 600000, default: 60000 },
+
+    // LLM providers / models (see src/brain/providers)
+    backendProvider: { env: 'BACKEND_PROVIDER', type: 'enum', values: ['codex', 'openai', 'anthropic', 'local', 'gemini', 'mock'], default: 'codex', restart: true },
+    geminiModel: { env: 'GEMINI_MODEL', type: 'string', default: 'gemini-3.0-flash-preview' },
+    geminiClassifierModel: { env: ['GEMINI_CLASSIFIER_MODEL', 'GEMINI_MODEL'], type: 'string', default: 'gemini-3.0-flash-preview' },
+    anthropicModel: { env: 'ANTHROPIC_MODEL', type: 'string', default: 'claude-sonnet-4-5' },
+    openaiModel: { env: 'OPENAI_MODEL', type: 'string', default: 'gpt-4o-mini' },
+    openaiBaseUrl: { env: 'OPENAI_BASE_URL', type: 'url', default: 'https://api.openai.com/v1', restart: true },
+    localLlmUrl: { env: 'LOCAL_LLM_URL', type: 'url', restart: true }, // any OpenAI-compatible server, e.g. http://localhost:11434/v1
+    localLlmModel: { env: 'LOCAL_LLM_MODEL', type: 'string', default: 'llama3.1' },
+    localLlmApiKey: { env: 'LOCAL_LLM_API_KEY', type: 'string', secret: true },
+    llmMaxRetries: { env: 'LLM_MAX_RETRIES', type: 'int', min: 0, max: 10, default: 2 },
+
+    // Which brains serve each kind of request, in order; tripped ones are skipped ('backend' = BACKEND_PROVIDER)
+    chatProviders: { env: 'CHAT_PROVIDERS', type: 'custom', parse: parseProviderList, default: ['gemini', 'backend'] },
+    actionProviders: { env: 'ACTION_PROVIDERS', type: 'custom', parse: parseProviderList, default: ['backend', 'gemini'] },
+    composeProviders: { env: 'COMPOSE_PROVIDERS', type: 'custom', parse: parseProviderList, default: ['backend', 'gemini'] },
+    classifyProviders: { env: 'CLASSIFY_PROVIDERS', type: 'custom', parse: parseProviderList, default: ['gemini'] },
+
+    // Circuit breakers per provider and per Gemini key: open when errorRate of the last `window` calls
+    // (at least minCalls) failed or took longer than slowMs; probe again after cooldown
+    breakerWindow: { env: 'BREAKER_WINDOW', type: 'int', min: 1, max: 1000, default: 20 },
+    breakerMinCalls: { env: 'BREAKER_MIN_CALLS', type: 'int', min: 1, max: 1000, default: 5 },
+    breakerErrorRate: { env: 'BREAKER_ERROR_RATE', type: 'float', min: 0.01, max: 1, default: 0.5 },
+    breakerSlowMs: { env: 'BREAKER_SLOW_MS', type: 'int', min: 100, max: 600000, default: 30000 },
+    breakerCooldown: { env: 'BREAKER_COOLDOWN', type: 'int', min: 1000, max: 3600000, default: 60000 },
+    breakerNotify: { env: 'BREAKER_NOTIFY', type: 'bool', default: true }, // message the owner when a breaker opens or closes
+
+    // Intent router: below this confidence, messages go to the LLM classifier
+    routerMinConfidence: { env: 'ROUTER_MIN_CONFIDENCE', type: 'float', min: 0, max: 1, default: 0.5 },
+
+    // Local classifier (naive Bayes, in process): decides chat/action/intent without a model call
+    // when at least this confident; below it the LLM classifier is asked
+    localClassifier: { env: 'LOCAL_CLASSIFIER', type: 'bool', default: true },
+    localClassifierMinConfidence: { env: 'LOCAL_CLASSIFIER_MIN_CONFIDENCE', type: 'float', min: 0, max: 1, default: 0.8 },
+
+    // Background jobs (video renders, agent runs): parallel workers, max run time, min ms between progress messages
+    jobWorkers: { env: 'JOB_WORKERS', type: 'int', min: 1, max: 10, default: 2 },
+    jobTimeout: { env: 'JOB_TIMEOUT', type: 'int', min: 10000, max: 21600000, default: 1800000 },
+    jobProgressInterval: { env: 'JOB_PROGRESS_INTERVAL', type: 'int', min: 1000, max: 3600000, default: 30000 },
+
+    // Proactive messages (morning briefing, pre-meeting nudges, inbox alerts); users opt in from chat
+    proactive: { env: 'PROACTIVE', type: 'bool', default: true, restart: true },
+    proactiveInterval: { env: 'PROACTIVE_INTERVAL', type: 'int', min: 10000, max: 3600000, default: 60000, restart: true }, // how often the watcher wakes up
+    proactiveInboxInterval: { env: 'PROACTIVE_INBOX_INTERVAL', type: 'int', min: 60000, max: 86400000, default: 300000 }, // how often each inbox is checked
+    quietHours: { env: 'QUIET_HOURS', type: 'custom', parse: parseQuietHours, default: { start: '22:00', end: '07:00' } }, // user's local time; "off" for none
+    briefingTime: { env: 'BRIEFING_TIME', type: 'custom', parse: parseClock, default: '07:30' },
+    briefingLocation: { env: 'BRIEFING_LOCATION', type: 'string', default: 'New York' },
+    nudgeMinutes: { env: 'NUDGE_MINUTES', type: 'int', min: 1, max: 240, default: 10 },
+
+    // Drafts awaiting /confirm (outbound email etc.) are dropped after this long
+    pendingActionTtl: { env: 'PENDING_ACTION_TTL', type: 'int', min: 60000, default: 900000 },
+
+    // Streaming replies: min ms between Telegram message edits
+    streamEditInterval: { env: 'STREAM_EDIT_INTERVAL', type: 'int', min: 250, max: 60000, default: 1200 },
+
+    // Backend tool calling: max model rounds per request, per-tool timeout, max chars of one tool result
+    toolMaxSteps: { env: 'TOOL_MAX_STEPS', type: 'int', min: 1, max: 20, default: 6 },
+    toolTimeout: { env: 'TOOL_TIMEOUT', type: 'int', min: 1000, max: 300000, default: 20000 },
+    toolResultMaxChars: { env: 'TOOL_RESULT_MAX_CHARS', type: 'int', min: 500, max: 200000, default: 12000 },
+
+    // Prompt context budget in tokens per model call (0 = per-provider default, see brain/context-builder.js)
+    contextTokenBudget: { env: 'CONTEXT_TOKEN_BUDGET', type: 'int', min: 0, max: 2000000, default: 0 },
+
+    // Usage budgets in USD (0 = unlimited); USER_BUDGETS overrides per user as "id:daily/monthly,..."
+    dailyBudgetUsd: { env: 'DAILY_BUDGET_USD', type: 'float', min: 0, default: 0 },
+    monthlyBudgetUsd: { env: 'MONTHLY_BUDGET_USD', type: 'float', min: 0, default: 0 },
+    userBudgets: { env: 'USER_BUDGETS', type: 'custom', parse: parseUserBudgets, default: {} },
+    budgetAction: { env: 'BUDGET_ACTION', type: 'enum', values: ['downgrade', 'refuse'], default: 'downgrade' }, // downgrade (Ultra -> free image, Codex -> Gemini) | refuse
+
+    // Security
+    encryptionKey: { env: 'ENCRYPTION_KEY', type: 'string', secret: true },
+    tokenStorePath: { env: 'TOKEN_STORE_PATH', type: 'string', default: './data/tokens.enc.json', restart: true }, // OAuth tokens (Codex, Google), encrypted with encryptionKey
+    maxMessagesPerMinute: { env: 'RATE_LIMIT', type: 'int', min: 1, max: 1000, default: 30 },
+    adminToken: { env: 'ADMIN_TOKEN', type: 'string', secret: true }, // Bearer token for /admin on the HTTP server (unset = /admin disabled)
+
+    // System
+    memoryDbPath: { env: 'MEMORY_DB_PATH', type: 'string', default: './data/memory.sqlite', restart: true },
+    logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info', restart: true },
+    port: { env: 'PORT', type: 'int', min: 1, max: 65535, default: 3000, restart: true }, // HTTP server: /healthz, /metrics, /admin
+    configHotReload: { env: 'CONFIG_HOT_RELOAD', type: 'bool', default: true, restart: true }, // watch .env files and apply non-secret changes live
+};
+
+/**
+ * Per-profile defaults (MJ_PROFILE, or NODE_ENV production/test -> prod/test, else dev).
+ * They replace SCHEMA defaults only; anything set in the environment still wins.
+ * .env.<profile> is loaded before .env.
+ */
+export const PROFILES = {
+    dev: { logLevel: 'debug' },
+    prod: {},
+    test: {
+        memoryDbPath: ':memory:',
+        tokenStorePath: path.join(os.tmpdir(), `mj-test-tokens-${process.pid}.json`),
+        llmMaxRetries: 0,
+        configHotReload: false,
+        transcribeProviders: ['mock'],
+        speechProvider: 'mock',
+    },
+};
+
+/**
+ * Features for the startup report. `keys` must all be set for the feature to
+ * be on. With `group: true` they must be all set or all unset: a half
+ * configured group is a config error rather than a silently disabled feature.
+ */
+export const FEATURES = [
+    { name: 'Telegram', keys: ['telegramToken'] },
+    { name: 'Gemini (chat, classifier, media)', keys: ['geminiApiKey'] },
+    { name: 'Codex OAuth backend', keys: ['openaiCodexToken', 'openaiCodexRefresh'], group: true },
+    { name: 'OpenAI API', keys: ['openaiApiKey'] },
+    { name: 'Anthropic API', keys: ['anthropicApiKey'] },
+    { name: 'Local LLM', keys: ['localLlmUrl'] },
+    { name: 'Brave web search', keys: ['braveApiKey'] },
+    { name: 'Weather', keys: ['openweatherApiKey'] },
+    { name: 'News', keys: ['newsApiKey'] },
+    { name: 'Supabase memory', keys: ['supabaseUrl', 'supabaseAnonKey'], group: true },
+    { name: 'Twilio SMS/calls', keys: ['twilioAccountSid', 'twilioAuthToken', 'twilioPhoneNumber'], group: true },
+    { name: 'ElevenLabs voice', keys: ['elevenLabsApiKey', 'elevenLabsVoiceId'], group: true },
+    { name: 'Encrypted token store', keys: ['encryptionKey'] },
+    { name: 'Admin API (/admin)', keys: ['adminToken'] },
+];
+
+/** Cross-field checks; each returns a warning string or nothing. */
+export const CHECKS = [
+    (c) => {
+        const needs = { codex: 'openaiCodexToken', openai: 'openaiApiKey', anthropic: 'anthropicApiKey', local: 'localLlmUrl', gemini: 'geminiApiKey' };
+        const key = needs[c.backendProvider];
+        if (key && !c[key] && !(c.backendProvider === 'codex' && c.openaiCodexAccounts.length)) return `BACKEND_PROVIDER=${c.backendProvider} but ${SCHEMA[key].env} is not set`;
+    },
+    (c, profile) => c.backendProvider === 'mock' && profile === 'prod' && 'BACKEND_PROVIDER=mock in the prod profile — the backend will only return canned replies',
+    (c) => c.dailyBudgetUsd > 0 && c.monthlyBudgetUsd > 0 && c.monthlyBudgetUsd < c.dailyBudgetUsd && 'MONTHLY_BUDGET_USD is lower than DAILY_BUDGET_USD',
+    (c) => c.breakerMinCalls > c.breakerWindow && 'BREAKER_MIN_CALLS is larger than BREAKER_WINDOW — breakers can never open',
+    (c) => c.twilioAccountSid && !c.myPhoneNumber && 'Twilio is configured but MY_PHONE_NUMBER is not set — outbound SMS/calls have no default recipient',
+    (c, profile) => !c.encryptionKey && !['dev', 'test'].includes(profile) && 'ENCRYPTION_KEY is not set — OAuth tokens are kept in memory only, so refreshed tokens are lost on restart',
+    (c) => c.twilioAuthToken && !c.smsPublicUrl && 'SMS_PUBLIC_URL is not set — SMS webhook signatures are checked against the request\'s Host header and media can\'t be sent as links',
+];
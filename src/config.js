@@ -1,64 +1,259 @@
-import 'dotenv/config';
-
-export const config = {
-    // Bot settings
-    botName: process.env.BOT_NAME || 'Mary Jane',
-    brainMethod: process.env.BRAIN_METHOD || 'gemini',
-
-    // Telegram
-    telegramToken: process.env.TELEGRAM_BOT_TOKEN,
-    allowedUsers: (process.env.ALLOWED_USERS || '').split(',').filter(Boolean),
-
-    // APIs
-    geminiApiKey: process.env.GEMINI_API_KEY,
-    geminiAgentKey: process.env.GEMINI_AGENT_KEY || process.env.GEMINI_API_KEY,
-    geminiBackgroundKey: process.env.GEMINI_BACKGROUND_KEY || process.env.GEMINI_API_KEY,
-    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-    braveApiKey: process.env.BRAVE_API_KEY,
-    newsApiKey: process.env.NEWSAPI_KEY,
-    openweatherApiKey: process.env.OPENWEATHER_API_KEY,
-    openaiApiKey: process.env.OPENAI_API_KEY,
-
-    // Supabase (vector memory)
-    supabaseUrl: process.env.SUPABASE_URL,
-    supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
-
-    // Google
-    googleTokenPath: process.env.GOOGLE_TOKEN_PATH || './data/google_token.json',
-    googleCredentialsPath: process.env.GOOGLE_CREDENTIALS_PATH || './data/client_secret.json',
-
-    // Twilio (optional)
-    twilioAccountSid: process.env.TWILIO_ACCOUNT_SID,
-    twilioAuthToken: process.env.TWILIO_AUTH_TOKEN,
-    twilioPhoneNumber: process.env.TWILIO_PHONE_NUMBER,
-    twilioMessagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
-    myPhoneNumber: process.env.MY_PHONE_NUMBER,
-
-    // ElevenLabs (optional)
-    elevenLabsApiKey: process.env.ELEVENLABS_API_KEY,
-    elevenLabsVoiceId: process.env.ELEVENLABS_VOICE_ID,
-
-    // OpenAI Codex (uses $20 ChatGPT Plus subscription via OpenClaw OAuth)
-    openaiCodexToken: process.env.OPENAI_CODEX_TOKEN,
-    openaiCodexRefresh: process.env.OPENAI_CODEX_REFRESH,
-    openaiCodexModel: process.env.OPENAI_CODEX_MODEL || 'gpt-5.3-codex',
-    claudeTimeout: parseInt(process.env.CLAUDE_TIMEOUT || '60000', 10),
-
-    // Security
-    encryptionKey: process.env.ENCRYPTION_KEY,
-    maxMessagesPerMinute: parseInt(process.env.RATE_LIMIT || '30', 10),
-
-    // System
-    memoryDbPath: process.env.MEMORY_DB_PATH || './data/memory.sqlite',
-    logLevel: process.env.LOG_LEVEL || 'info',
-    port: parseInt(process.env.PORT || '3000', 10),
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import dotenv from 'dotenv';
+import { SCHEMA, PROFILES, FEATURES, CHECKS } from './config-schema.js';
+
+const PROFILE_ALIASES = { production: 'prod', development: 'dev', test: 'test' };
+const MASK = '[redacted]';
+
+// Variables set by the shell/container always win over .env files, also on reload
+const shellEnv = { ...process.env };
+
+function envFiles(profile) {
+    return [`.env.${profile}`, '.env'].map(f => path.resolve(f));
+}
+
+function readEnvFile(file) {
+    try {
+        return dotenv.parse(fs.readFileSync(file));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Config: cannot read ${file}: ${error.message}`);
+        return {};
+    }
+}
+
+function resolveProfile() {
+    const base = readEnvFile(path.resolve('.env'));
+    const raw = shellEnv.MJ_PROFILE || base.MJ_PROFILE || PROFILE_ALIASES[shellEnv.NODE_ENV] || 'dev';
+    return PROFILE_ALIASES[raw] || raw;
+}
+
+/** .env < .env.<profile> < shell environment */
+function loadEnv(profile) {
+    const [profileFile, baseFile] = envFiles(profile);
+    return { ...readEnvFile(baseFile), ...readEnvFile(profileFile), ...shellEnv };
+}
+
+function checkRange(n, spec) {
+    if (spec.min !== undefined && n < spec.min) throw new Error(`must be >= ${spec.min}`);
+    if (spec.max !== undefined && n > spec.max) throw new Error(`must be <= ${spec.max}`);
+    return n;
+}
+
+const PARSERS = {
+    string: (raw) => raw.trim(),
+    list: (raw) => raw.split(',').map(v => v.trim()).filter(Boolean),
+    int: (raw, spec) => {
+        if (!/^\s*-?\d+\s*$/.test(raw)) throw new Error('must be a whole number');
+        return checkRange(Number(raw), spec);
+    },
+    float: (raw, spec) => {
+        const n = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(n)) throw new Error('must be a number');
+        return checkRange(n, spec);
+    },
+    bool: (raw) => {
+        const v = raw.trim().toLowerCase();
+        if (['1', 'true', 'yes', 'on'].includes(v)) return true;
+        if (['0', 'false', 'no', 'off'].includes(v)) return false;
+        throw new Error('must be true or false');
+    },
+    enum: (raw, spec) => {
+        const v = raw.trim().toLowerCase();
+        if (!spec.values.includes(v)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+        return v;
+    },
+    url: (raw) => {
+        let url;
+        try { url = new URL(raw.trim()); } catch { throw new Error('must be a URL'); }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('must be an http(s) URL');
+        return raw.trim();
+    },
+    timezone: (raw) => {
+        try { new Intl.DateTimeFormat('en-US', { timeZone: raw.trim() }); } catch { throw new Error('must be an IANA time zone, e.g. America/New_York'); }
+        return raw.trim();
+    },
+    custom: (raw, spec) => spec.parse(raw),
 };
 
-// Validate required config
-const required = ['telegramToken'];
-for (const key of required) {
-    if (!config[key]) {
-        console.error(`Missing required config: ${key}`);
-        process.exit(1);
+const isSet = (value) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && !value.length);
+
+/**
+ * Parse an environment against SCHEMA. Pure: nothing is logged or exited here.
+ * Returns { values, errors, warnings, sources } where sources[key] is the
+ * variable the value came from, 'profile' or 'default'.
+ */
+export function parseConfig(env, profile) {
+    const values = {};
+    const sources = {};
+    const errors = [];
+    const warnings = [];
+
+    if (!PROFILES[profile]) errors.push(`Unknown profile "${profile}" (MJ_PROFILE): expected ${Object.keys(PROFILES).join(', ')}`);
+    const overrides = PROFILES[profile] || {};
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const name = [].concat(spec.env).find(n => env[n] !== undefined && env[n] !== '');
+        if (name) {
+            try {
+                values[key] = PARSERS[spec.type](env[name], spec);
+                sources[key] = name;
+                continue;
+            } catch (error) {
+                errors.push(`${name}=${spec.secret ? MASK : JSON.stringify(env[name])}: ${error.message}`);
+            }
+        }
+        const fallback = key in overrides ? overrides[key] : spec.default;
+        values[key] = fallback === undefined ? undefined : structuredClone(fallback);
+        sources[key] = key in overrides ? 'profile' : 'default';
+    }
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const required = typeof spec.required === 'function' ? spec.required(profile) : spec.required;
+        if (required && !isSet(values[key])) errors.push(`Missing required config: ${[].concat(spec.env)[0]}`);
+    }
+
+    for (const feature of FEATURES.filter(f => f.group)) {
+        const missing = feature.keys.filter(k => !isSet(values[k]));
+        if (missing.length && missing.length < feature.keys.length) {
+            errors.push(`${feature.name} is half configured: set ${missing.map(k => SCHEMA[k].env).join(', ')} or unset ${feature.keys.filter(k => !missing.includes(k)).map(k => SCHEMA[k].env).join(', ')}`);
+        }
+    }
+
+    if (!errors.length) {
+        for (const check of CHECKS) {
+            const warning = check(values, profile);
+            if (warning) warnings.push(warning);
+        }
+    }
+
+    return { values, errors, warnings, sources };
+}
+
+export const profile = resolveProfile();
+const env = loadEnv(profile);
+
+// Other modules still read a few variables straight from process.env (dotenv semantics: never override)
+for (const [name, value] of Object.entries(env)) {
+    if (process.env[name] === undefined) process.env[name] = value;
+}
+
+const initial = parseConfig(env, profile);
+if (initial.errors.length) {
+    const message = `Invalid config (profile ${profile}):\n  - ${initial.errors.join('\n  - ')}`;
+    if (profile === 'test') throw new Error(message);
+    console.error(message);
+    process.exit(1);
+}
+
+export const config = initial.values;
+const sources = initial.sources;
+let warnings = initial.warnings;
+
+/** Copy of the config with every secret replaced by a marker, also inside other settings (a URL with a key in it) */
+export function redactConfig(values = config) {
+    const copy = {};
+    for (const [key, value] of Object.entries(values)) {
+        copy[key] = SCHEMA[key]?.secret && isSet(value) ? MASK : typeof value === 'string' ? redactSecrets(value) : value;
+    }
+    return copy;
+}
+
+// console.log(config), JSON.stringify(config) and util.inspect(config) never show secrets
+Object.defineProperty(config, 'toJSON', { value: () => redactConfig(), enumerable: false });
+Object.defineProperty(config, util.inspect.custom, { value: (depth, options) => util.inspect(redactConfig(), options), enumerable: false });
+
+function secretValues() {
+    const secrets = [];
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (!spec.secret || !isSet(config[key])) continue;
+        if (key === 'openaiCodexAccounts') secrets.push(...config[key].map(a => a.refreshToken));
+        else secrets.push(String(config[key]));
+    }
+    return [...new Set(secrets)].filter(s => s.length >= 6).sort((a, b) => b.length - a.length);
+}
+
+/** Replace any configured secret value that appears in `text` (error messages, URLs, dumps) */
+export function redactSecrets(text) {
+    let out = String(text ?? '');
+    for (const secret of secretValues()) out = out.split(secret).join(MASK);
+    return out;
+}
+
+/** [{ name, enabled, reason }] for every optional feature */
+export function featureStatus() {
+    return FEATURES.map(feature => {
+        const missing = feature.keys.filter(k => !isSet(config[k]));
+        const names = (keys) => keys.map(k => [].concat(SCHEMA[k].env)[0]).join(', ');
+        return missing.length
+            ? { name: feature.name, enabled: false, reason: `${names(missing)} not set` }
+            : { name: feature.name, enabled: true, reason: redactSecrets(`via ${feature.keys.map(k => sources[k]).join(', ')}`) };
+    });
+}
+
+/** Startup report: profile, env files, features on/off and why, non-default settings, warnings */
+export function configReport() {
+    const files = envFiles(profile).filter(f => fs.existsSync(f)).map(f => path.basename(f));
+    const lines = [`⚙️ Config: profile ${profile}, env files: ${files.join(', ') || 'none'}`];
+    for (const f of featureStatus()) lines.push(`  ${f.enabled ? '✓' : '✗'} ${f.name} — ${f.reason}`);
+    const redacted = redactConfig();
+    const changed = Object.keys(SCHEMA).filter(k => sources[k] !== 'default' && !SCHEMA[k].secret && isSet(config[k]));
+    if (changed.length) lines.push(`  Settings: ${changed.map(k => `${k}=${JSON.stringify(redacted[k])}`).join(', ')}`);
+    for (const w of warnings) lines.push(`  ⚠️ ${w}`);
+    return redactSecrets(lines.join('\n'));
+}
+
+const listeners = new Set();
+
+/** fn(changes) after a hot reload applied something; changes = { key: { from, to } }. Returns an unsubscribe function. */
+export function onConfigChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+/**
+ * Re-read the env files and apply changed values in place (same `config` object).
+ * Secrets and restart-only keys are never swapped live; they are reported as
+ * pending. An invalid file is rejected as a whole and the running config kept.
+ */
+export function reloadConfig() {
+    const next = parseConfig(loadEnv(profile), profile);
+    if (next.errors.length) {
+        console.error(redactSecrets(`Config reload rejected, keeping current config:\n  - ${next.errors.join('\n  - ')}`));
+        return { applied: {}, pending: [], errors: next.errors };
+    }
+
+    const applied = {};
+    const pending = [];
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (util.isDeepStrictEqual(config[key], next.values[key])) continue;
+        if (spec.secret || spec.restart) {
+            pending.push(key);
+            continue;
+        }
+        applied[key] = { from: config[key], to: next.values[key] };
+        config[key] = next.values[key];
+        sources[key] = next.sources[key];
+    }
+    warnings = next.warnings;
+
+    if (Object.keys(applied).length) {
+        console.log(redactSecrets(`Config reloaded: ${Object.entries(applied).map(([k, c]) => `${k} ${JSON.stringify(c.from)} -> ${JSON.stringify(c.to)}`).join(', ')}`));
+        for (const fn of listeners) {
+            try { fn(applied); } catch (error) { console.error('Config change listener failed:', error.message); }
+        }
+    }
+    if (pending.length) console.log(`Config: ${pending.join(', ')} changed on disk; restart to apply`);
+    return { applied, pending, errors: [] };
+}
+
+if (profile !== 'test') console.log(configReport());
+
+if (config.configHotReload && profile !== 'test') {
+    for (const file of envFiles(profile)) {
+        fs.watchFile(file, { interval: 2000 }, (cur, prev) => {
+            if (cur.mtimeMs !== prev.mtimeMs) reloadConfig();
+        }).unref();
     }
 }
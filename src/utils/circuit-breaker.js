@@ -0,0 +1,144 @@
+import { config } from '../config.js';
+import { logger } from './logger.js';
+import { metrics } from './metrics.js';
+
+const STATE_VALUE = { closed: 0, 'half-open': 1, open: 2 };
+
+/** Errors that say the provider or key is unhealthy (not that our request was bad) */
+export function isBreakerFailure(error) {
+    const status = error?.response?.status;
+    if (!status) return true; // timeouts, network errors, empty stream
+    return status === 401 || status === 403 || status === 429 || status >= 500;
+}
+
+/**
+ * CircuitBreaker - closed / open / half-open over the last `window` calls
+ *
+ * Closed: calls pass; once at least minCalls are recorded and the share of bad
+ * ones (failed, or slower than slowMs) reaches errorRate, the breaker opens.
+ * Open: canPass() is false, so callers skip it instead of waiting on a dead
+ * provider. After cooldownMs it lets one probe through (half-open); the
+ * probe's outcome closes it again or reopens it for another cooldown.
+ *
+ * Every state change goes to onChange(breaker, from, to, reason).
+ */
+export class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.window = options.window ?? config.breakerWindow;
+        this.minCalls = options.minCalls ?? config.breakerMinCalls;
+        this.errorRate = options.errorRate ?? config.breakerErrorRate;
+        this.slowMs = options.slowMs ?? config.breakerSlowMs;
+        this.cooldownMs = options.cooldownMs ?? config.breakerCooldown;
+        this.onChange = options.onChange || null;
+        this.state = 'closed';
+        this.calls = []; // { bad, ms }
+        this.openedAt = 0;
+        this.probing = false;
+        this.lastError = null;
+    }
+
+    _coolingDown() {
+        return Date.now() - this.openedAt < this.cooldownMs;
+    }
+
+    /** Whether a call would be let through right now (no side effects) */
+    canPass() {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open') return !this._coolingDown();
+        return !this.probing;
+    }
+
+    /** Claim the right to call: false when open (or a half-open probe is already out) */
+    acquire() {
+        if (this.state === 'open' && !this._coolingDown()) this._transition('half-open', 'cooldown over, probing');
+        if (this.state === 'closed') return true;
+        if (this.state === 'half-open' && !this.probing) { this.probing = true; return true; }
+        return false;
+    }
+
+    /** Give back an acquired call that ended without a verdict */
+    release() {
+        if (this.state === 'half-open') this.probing = false;
+    }
+
+    success(ms = 0) {
+        this._record(ms > this.slowMs, ms, ms > this.slowMs ? `slow: ${ms}ms` : null);
+    }
+
+    failure(error, ms = 0) {
+        this._record(true, ms, error?.message || String(error));
+    }
+
+    _record(bad, ms, reason) {
+        if (bad) this.lastError = reason;
+        if (this.state === 'half-open') {
+            this.probing = false;
+            if (bad) { this.openedAt = Date.now(); this._transition('open', `probe failed (${reason})`); } else { this.calls = []; this._transition('closed', 'probe succeeded'); }
+            return;
+        }
+        this.calls.push({ bad, ms });
+        if (this.calls.length > this.window) this.calls.shift();
+        if (this.state !== 'closed' || this.calls.length < this.minCalls) return;
+        const badShare = this.calls.filter(c => c.bad).length / this.calls.length;
+        if (badShare >= this.errorRate) {
+            this.openedAt = Date.now();
+            this._transition('open', `${Math.round(badShare * 100)}% of the last ${this.calls.length} calls failed or were slow (last: ${reason})`);
+        }
+    }
+
+    _transition(to, reason) {
+        const from = this.state;
+        if (from === to) return;
+        this.state = to;
+        metrics.set('mj_breaker_state', { breaker: this.name }, STATE_VALUE[to]);
+        metrics.inc('mj_breaker_transitions_total', { breaker: this.name, to });
+        (to === 'open' ? logger.warn : logger.info)(`Circuit ${this.name}: ${from} -> ${to} (${reason})`);
+        try { this.onChange?.(this, from, to, reason); } catch (error) { logger.warn(`Circuit ${this.name}: onChange failed:`, error.message); }
+    }
+
+    status() {
+        const bad = this.calls.filter(c => c.bad).length;
+        return {
+            state: this.state,
+            calls: this.calls.length,
+            errorRate: this.calls.length ? Math.round((bad / this.calls.length) * 100) / 100 : 0,
+            retryInMs: this.state === 'open' ? Math.max(0, this.cooldownMs - (Date.now() - this.openedAt)) : 0,
+            lastError: this.lastError,
+        };
+    }
+}
+
+/**
+ * Breakers - every live breaker by name ('provider:codex', 'gemini-key:agent', ...)
+ *
+ * Whoever owns a breaker creates it with create(name); a new one under the same
+ * name replaces the old (a new brain has new providers). Listeners added with
+ * onChange() hear every state change.
+ */
+export class Breakers {
+    constructor() {
+        this.all = new Map();
+        this.listeners = new Set();
+    }
+
+    create(name, options = {}) {
+        const breaker = new CircuitBreaker(name, { ...options, onChange: (...args) => { for (const fn of this.listeners) fn(...args); } });
+        this.all.set(name, breaker);
+        metrics.set('mj_breaker_state', { breaker: name }, 0);
+        return breaker;
+    }
+
+    get(name) { return this.all.get(name); }
+
+    onChange(fn) {
+        this.listeners.add(fn);
+        return () => this.listeners.delete(fn);
+    }
+
+    snapshot() {
+        return Object.fromEntries([...this.all].map(([name, b]) => [name, b.status()]));
+    }
+}
+
+export const breakers = new Breakers();
@@ -0,0 +1,21 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { config } from '../config.js';
+import { logger } from './logger.js';
+
+let db = null;
+
+/**
+ * Shared handle on the bot's SQLite file (config.memoryDbPath).
+ * Modules create their own tables with CREATE TABLE IF NOT EXISTS on first use.
+ */
+export function getDb() {
+    if (db) return db;
+    const file = config.memoryDbPath;
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    logger.info(`SQLite opened: ${file}`);
+    return db;
+}
@@ -0,0 +1,108 @@
+import http from 'http';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from './logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) { chunks.push(chunk); return; }
+            // Stop keeping it but let the rest drain, so the 413 is written before the connection closes
+            req.off('data', onData);
+            req.resume();
+            reject(Object.assign(new Error('Request body too large'), { status: 413, close: true }));
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function parseBody(raw, type = '') {
+    if (!raw) return {};
+    if (type.includes('application/json')) {
+        try { return JSON.parse(raw); } catch { throw Object.assign(new Error('Invalid JSON body'), { status: 400 }); }
+    }
+    if (type.includes('application/x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(raw));
+    return {};
+}
+
+/** Constant-time check of `Authorization: Bearer <token>` against `expected` (never a query parameter: URLs end up in logs and history) */
+export function checkToken(req, expected) {
+    if (!expected) return false;
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) return false;
+    const given = header.slice(7);
+    const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+    return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * HttpServer - the bot's one HTTP listener on config.port
+ *
+ * Modules register routes with route(method, path, handler); a handler gets
+ * { req, url, query, body, rawBody } and returns { status, headers, body }
+ * (a string, Buffer or anything JSON-serialisable). Thrown errors become a
+ * JSON error with error.status (default 500); a body over 1 MB is answered
+ * with 413 and the connection closed. start() is idempotent; a port
+ * that's already taken is logged, not fatal, so the bot keeps chatting.
+ */
+export class HttpServer {
+    constructor() {
+        this.routes = new Map();
+        this.server = null;
+    }
+
+    route(method, path, handler) {
+        this.routes.set(`${method.toUpperCase()} ${path}`, handler);
+        return this;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const handler = this.routes.get(`${req.method} ${url.pathname}`);
+        let reply;
+        try {
+            if (!handler) {
+                const known = [...this.routes.keys()].some(k => k.endsWith(` ${url.pathname}`));
+                throw Object.assign(new Error(known ? 'Method not allowed' : 'Not found'), { status: known ? 405 : 404 });
+            }
+            const rawBody = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : '';
+            const body = parseBody(rawBody, req.headers['content-type']);
+            reply = await handler({ req, url, query: Object.fromEntries(url.searchParams), body, rawBody });
+        } catch (error) {
+            if (!error.status || error.status >= 500) logger.error(`HTTP ${req.method} ${url.pathname} failed:`, error.message);
+            reply = { status: error.status || 500, headers: error.close ? { Connection: 'close' } : {}, body: { error: error.status ? error.message : 'Internal error' } };
+        }
+
+        const { status = 200, headers = {}, body = '' } = reply || {};
+        const isText = typeof body === 'string' || Buffer.isBuffer(body);
+        res.writeHead(status, { 'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json', ...headers });
+        res.end(isText ? body : JSON.stringify(body, null, 2));
+    }
+
+    start(port = config.port) {
+        if (this.server) return this.server;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.server.on('error', (error) => {
+            logger.error(`HTTP server on port ${port} failed:`, error.message);
+            this.server = null;
+        });
+        this.server.listen(port, () => logger.info(`HTTP server listening on port ${port} (${[...this.routes.keys()].join(', ')})`));
+        return this.server;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        const server = this.server;
+        this.server = null;
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+}
+
+export const httpServer = new HttpServer();
@@ -0,0 +1,96 @@
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const renderLabels = (labels, extra = {}) => {
+    const all = { ...labels, ...extra };
+    const keys = Object.keys(all);
+    return keys.length ? `{${keys.map(k => `${k}="${escape(all[k])}"`).join(',')}}` : '';
+};
+
+/**
+ * Metrics - in-process counters, gauges and histograms in Prometheus text format
+ *
+ * Metrics are declared once with define(name, type, help) and updated with
+ * inc()/set()/observe(). render() is what GET /metrics returns. Nothing is
+ * persisted: counters start from zero on every restart, as Prometheus expects.
+ */
+export class Metrics {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    define(name, type, help, options = {}) {
+        if (!this.metrics.has(name)) this.metrics.set(name, { type, help, buckets: options.buckets || DEFAULT_BUCKETS, series: new Map() });
+        return this;
+    }
+
+    _series(name, labels) {
+        const metric = this.metrics.get(name);
+        if (!metric) throw new Error(`Unknown metric ${name}`);
+        const key = labelKey(labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, metric.type === 'histogram'
+                ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+        return { metric, series: metric.series.get(key) };
+    }
+
+    inc(name, labels = {}, value = 1) {
+        this._series(name, labels).series.value += value;
+    }
+
+    set(name, labels = {}, value = 0) {
+        this._series(name, labels).series.value = value;
+    }
+
+    observe(name, labels = {}, value = 0) {
+        const { metric, series } = this._series(name, labels);
+        metric.buckets.forEach((le, i) => { if (value <= le) series.counts[i]++; });
+        series.sum += value;
+        series.count++;
+    }
+
+    /** Current value of a counter/gauge series (0 if never touched) */
+    value(name, labels = {}) {
+        return this.metrics.get(name)?.series.get(labelKey(labels))?.value || 0;
+    }
+
+    render() {
+        const lines = [];
+        for (const [name, metric] of this.metrics) {
+            lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+            for (const s of metric.series.values()) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${name}${renderLabels(s.labels)} ${s.value}`);
+                    continue;
+                }
+                metric.buckets.forEach((le, i) => lines.push(`${name}_bucket${renderLabels(s.labels, { le })} ${s.counts[i]}`));
+                lines.push(`${name}_bucket${renderLabels(s.labels, { le: '+Inf' })} ${s.count}`);
+                lines.push(`${name}_sum${renderLabels(s.labels)} ${Number(s.sum.toFixed(6))}`);
+                lines.push(`${name}_count${renderLabels(s.labels)} ${s.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    reset() {
+        for (const metric of this.metrics.values()) metric.series.clear();
+    }
+}
+
+export const metrics = new Metrics()
+    .define('mj_route_total', 'counter', 'Messages routed, by route (intent, chat, backend, command) and what decided it')
+    .define('mj_provider_request_seconds', 'histogram', 'LLM provider call latency including retries, by provider and outcome')
+    .define('mj_fallback_total', 'counter', 'Replies that fell back to another provider, by from/to and reason')
+    .define('mj_rate_limit_hits_total', 'counter', 'Rate-limit responses handled by apiRateLimiter, by limiter')
+    .define('mj_breaker_state', 'gauge', 'Circuit breaker state by breaker: 0 closed, 1 half-open, 2 open')
+    .define('mj_breaker_transitions_total', 'counter', 'Circuit breaker state changes, by breaker and new state')
+    .define('mj_jobs_total', 'counter', 'Background jobs that finished, by type and status (done, failed, cancelled)')
+    .define('mj_jobs_running', 'gauge', 'Background jobs running right now')
+    .define('mj_voice_total', 'counter', 'Voice transcriptions and speech syntheses, by op, provider and outcome (ok, error, cached)')
+    .define('mj_sms_total', 'counter', 'Text messages, by direction (in, out) and outcome (ok, error, rejected, unknown)')
+    .define('mj_proactive_total', 'counter', 'Proactive messages sent, by kind (briefing, nudge, alert)')
+    .define('mj_local_classifier_total', 'counter', 'Local classifier decisions, by outcome (confident, low, untrained)')
+    .define('mj_uptime_seconds', 'gauge', 'Seconds since the process started');
@@ -0,0 +1,64 @@
+import { config } from '../config.js';
+import { CAPABILITIES, ROLES } from '../config-schema.js';
+import { logger } from './logger.js';
+import { toolAudit } from './tool-audit.js';
+
+export { CAPABILITIES, ROLES };
+
+// What a refusal tells the user they were asking for
+const DESCRIPTIONS = {
+    'read-google': 'reading Gmail, Calendar and Drive',
+    'send-email': 'sending email',
+    'compose-docs': 'composing documents',
+    'reminders': 'reminders',
+    'web': 'web search and weather',
+    'media': 'image generation',
+    'voice': 'voice messages',
+    'paid-media': 'premium images, upscaling and video',
+    'agent-loop': 'agent and multi-step tasks',
+    'mcp-tools': 'external MCP tools',
+};
+
+/**
+ * Permissions - role-based checks for anything that costs money or acts externally
+ *
+ * The owner (first ALLOWED_USERS entry) may do everything. Other users get
+ * their USER_ROLES entry or DEFAULT_ROLE; members and guests have the
+ * capabilities in MEMBER_CAPABILITIES / GUEST_CAPABILITIES. USER_ROLES may
+ * also name extra owners. Everything is read from config on each call, so a
+ * hot-reloaded role applies to the next message.
+ *
+ * deny() writes the attempt to the tool audit (provider 'permissions') and
+ * returns the refusal to show the user.
+ */
+export class Permissions {
+    roleOf(userId) {
+        const id = String(userId || '');
+        if (id && id === String(config.allowedUsers[0] || '')) return 'owner';
+        return config.userRoles[id] || config.defaultRole;
+    }
+
+    capabilitiesOf(role) {
+        if (role === 'owner') return [...CAPABILITIES];
+        return role === 'member' ? config.memberCapabilities : config.guestCapabilities;
+    }
+
+    /** No capability means nothing to check (plain chat) */
+    can(userId, capability) {
+        return !capability || this.capabilitiesOf(this.roleOf(userId)).includes(capability);
+    }
+
+    refusal(capability, role) {
+        return `Sorry, ${DESCRIPTIONS[capability] || capability} isn't available to you (your role: ${role}). Ask the bot owner if you need it.`;
+    }
+
+    /** Audit a refused attempt at `what` (an intent, command or tool) and return the refusal text */
+    deny(userId, capability, what, args = null) {
+        const role = this.roleOf(userId);
+        logger.warn(`Permission denied: user ${userId || '?'} (${role}) tried ${what}, needs ${capability}`);
+        toolAudit.record({ userId, provider: 'permissions', tool: what, args, ok: false, error: `denied: needs ${capability} (role ${role})` });
+        return this.refusal(capability, role);
+    }
+}
+
+export const permissions = new Permissions();
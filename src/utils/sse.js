@@ -0,0 +1,21 @@
+/**
+ * Minimal Server-Sent Events reader for axios `responseType: 'stream'` bodies.
+ * Yields the `data:` payload of each event (multi-line data joined with \n).
+ */
+export async function* readSSE(stream) {
+    let buffer = '';
+    const flush = function* (block) {
+        const data = block.split(/\r?\n/).filter(l => l.startsWith('data:')).map(l => l.slice(5).replace(/^ /, '')).join('\n');
+        if (data) yield data;
+    };
+    for await (const chunk of stream) {
+        buffer += typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+        let idx;
+        while ((idx = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            const block = buffer.slice(0, idx);
+            buffer = buffer.slice(idx).replace(/^\r?\n\r?\n/, '');
+            yield* flush(block);
+        }
+    }
+    if (buffer.trim()) yield* flush(buffer);
+}
@@ -0,0 +1,59 @@
+import { config } from '../config.js';
+import { logger } from './logger.js';
+
+const TELEGRAM_LIMIT = 4000; // hard limit is 4096, keep room for the cursor
+const CURSOR = ' ▌';
+
+/**
+ * Show a streamed reply as one Telegram message that grows in place.
+ *
+ * transport: { send(text) -> messageId, edit(messageId, text) } — library-agnostic;
+ * see nodeTelegramBotTransport() for node-telegram-bot-api.
+ * Edits are throttled to one per `intervalMs` (Telegram rate-limits edits) and
+ * skipped until at least `minChars` new characters arrived. Replies longer than
+ * one message roll over into a new message. Resolves with the full text.
+ */
+export async function streamToTelegram(transport, stream, { intervalMs = config.streamEditInterval || 1200, minChars = 40 } = {}) {
+    let full = '';
+    let segmentStart = 0;
+    let messageId = null;
+    let shown = '';
+    let lastEdit = 0;
+
+    const show = async (text) => {
+        if (!text.trim() || text === shown) return;
+        try {
+            if (messageId === null) messageId = await transport.send(text);
+            else await transport.edit(messageId, text);
+            shown = text;
+            lastEdit = Date.now();
+        } catch (error) {
+            if (!/not modified/i.test(error.message)) logger.warn('Stream edit failed:', error.message);
+        }
+    };
+
+    for await (const chunk of stream) {
+        full += chunk;
+        // Roll over to a fresh message, preferably at a line break
+        while (full.length - segmentStart > TELEGRAM_LIMIT) {
+            const cut = full.lastIndexOf('\n', segmentStart + TELEGRAM_LIMIT);
+            const end = cut > segmentStart ? cut : segmentStart + TELEGRAM_LIMIT;
+            await show(full.slice(segmentStart, end));
+            segmentStart = end;
+            messageId = null;
+            shown = '';
+        }
+        const visible = full.slice(segmentStart);
+        if (Date.now() - lastEdit >= intervalMs && visible.length - shown.length >= minChars) await show(visible + CURSOR);
+    }
+    await show(full.slice(segmentStart));
+    return full;
+}
+
+/** Transport for node-telegram-bot-api style bots. */
+export function nodeTelegramBotTransport(bot, chatId, sendOptions = {}) {
+    return {
+        send: async (text) => (await bot.sendMessage(chatId, text, sendOptions)).message_id,
+        edit: (messageId, text) => bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...sendOptions }),
+    };
+}
@@ -0,0 +1,74 @@
+/**
+ * Time helpers for natural-language scheduling.
+ * All "local" strings are wall-clock times in an IANA zone (YYYY-MM-DDTHH:mm).
+ */
+
+const DURATION_RE = /^(\d+(?:\.\d+)?)\s*(s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?)$/i;
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/** "5m", "1h", "30min", "2 days" -> milliseconds (null if unparseable) */
+export function parseDuration(text) {
+    const m = String(text || '').trim().match(DURATION_RE);
+    if (!m) return null;
+    return Math.round(parseFloat(m[1]) * UNIT_MS[m[2][0].toLowerCase()]);
+}
+
+/** "2026-03-14T09:00[:ss]" naming a real calendar day and time (so not 2026-02-31 or 24:00) */
+export function isLocalDateTime(text) {
+    const m = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!m) return false;
+    const [year, month, day, hour, minute, second] = m.slice(1).map(v => Number(v || 0));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && hour < 24 && minute < 60 && second < 60;
+}
+
+function zoneParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+function zoneOffsetMs(date, timeZone) {
+    const p = zoneParts(date, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** "2026-10-20T09:00" in America/New_York -> Date (handles DST) */
+export function zonedTimeToDate(local, timeZone) {
+    const [datePart, timePart] = local.split('T');
+    const [y, mo, d] = datePart.split('-').map(Number);
+    const [h, mi, s = 0] = timePart.split(':').map(Number);
+    const asUtc = Date.UTC(y, mo - 1, d, h, mi, s);
+    let guess = asUtc - zoneOffsetMs(new Date(asUtc), timeZone);
+    guess = asUtc - zoneOffsetMs(new Date(guess), timeZone);
+    return new Date(guess);
+}
+
+/** Date -> "2026-10-20T09:00 (Tuesday)" in the given zone, for prompts */
+export function localNow(timeZone, date = new Date()) {
+    const p = zoneParts(date, timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    const weekday = date.toLocaleDateString('en-US', { timeZone, weekday: 'long' });
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)} (${weekday})`;
+}
+
+/** Date -> "2026-10-20" (calendar date in the given zone) */
+export function localDate(timeZone, date = new Date()) {
+    return localNow(timeZone, date).slice(0, 10);
+}
+
+/** Start of the local day containing `date`, as epoch ms */
+export function startOfLocalDay(timeZone, date = new Date()) {
+    return zonedTimeToDate(`${localDate(timeZone, date)}T00:00`, timeZone).getTime();
+}
+
+/** Start of the local month containing `date`, as epoch ms */
+export function startOfLocalMonth(timeZone, date = new Date()) {
+    return zonedTimeToDate(`${localDate(timeZone, date).slice(0, 7)}-01T00:00`, timeZone).getTime();
+}
+
+export function formatInZone(date, timeZone) {
+    return date.toLocaleString('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+}
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config, profile as configProfile } from '../config.js';
+import { logger } from './logger.js';
+
+/**
+ * TokenStore - encrypted, crash-safe storage for OAuth credentials
+ *
+ * Records are keyed by service + account ('codex'/'primary', 'google'/'default', ...)
+ * and hold whatever the service needs (accessToken, refreshToken, expiresAt, ...)
+ * plus status/lastError/updatedAt for health reporting.
+ *
+ * The file is AES-256-GCM encrypted with config.encryptionKey and replaced
+ * atomically (write temp file + rename), so a crash mid-write never leaves a
+ * half-written token file. withLock() serializes refreshes per key.
+ *
+ * A file that can't be read (wrong or missing ENCRYPTION_KEY, corrupt JSON)
+ * is never overwritten: `unreadable` says why, and set() keeps changes in
+ * memory only until the key is fixed and the bot restarted. Without
+ * ENCRYPTION_KEY tokens are saved in plain text only in the dev and test
+ * profiles; elsewhere they are kept in memory.
+ */
+export class TokenStore {
+    constructor(filePath = config.tokenStorePath) {
+        this.filePath = filePath;
+        this.records = null;
+        this.unreadable = null;
+        this.locks = new Map();
+        this._warnedPlaintext = false;
+    }
+
+    _key() {
+        if (!config.encryptionKey) return null;
+        return crypto.createHash('sha256').update(String(config.encryptionKey)).digest();
+    }
+
+    _load() {
+        if (this.records) return this.records;
+        this.records = {};
+        if (!fs.existsSync(this.filePath)) return this.records;
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (raw.enc) {
+                const key = this._key();
+                if (!key) throw new Error('token store is encrypted but ENCRYPTION_KEY is not set');
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(raw.iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(raw.tag, 'base64'));
+                const plain = Buffer.concat([decipher.update(Buffer.from(raw.data, 'base64')), decipher.final()]).toString('utf8');
+                this.records = JSON.parse(plain);
+            } else {
+                this.records = raw.records || {};
+            }
+        } catch (error) {
+            this.unreadable = error.message;
+            logger.error(`Token store unreadable (${this.filePath}), leaving it untouched:`, error.message);
+        }
+        return this.records;
+    }
+
+    _persist() {
+        const plain = JSON.stringify(this.records);
+        const key = this._key();
+        let payload;
+        if (key) {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+            payload = { v: 1, enc: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+        } else {
+            if (!['dev', 'test'].includes(configProfile)) throw new Error(`ENCRYPTION_KEY is not set; tokens are only saved unencrypted in the dev profile, not ${configProfile}`);
+            if (!this._warnedPlaintext) { logger.warn('ENCRYPTION_KEY not set — token store is saved unencrypted (mode 0600)'); this._warnedPlaintext = true; }
+            payload = { v: 1, records: this.records };
+        }
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmp = `${this.filePath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tmp, 'w', 0o600);
+        try {
+            fs.writeSync(fd, JSON.stringify(payload));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    get(service, account = 'default') {
+        const record = this._load()[service]?.[account];
+        return record ? { ...record } : null;
+    }
+
+    accounts(service) {
+        return Object.keys(this._load()[service] || {});
+    }
+
+    set(service, account, fields) {
+        const records = this._load();
+        records[service] = records[service] || {};
+        records[service][account] = { ...records[service][account], ...fields, updatedAt: Date.now() };
+        if (this.unreadable) {
+            logger.error(`Token store not saved (${service}/${account}): ${this.filePath} is unreadable`);
+            return { ...records[service][account] };
+        }
+        try {
+            this._persist();
+        } catch (error) {
+            logger.error('Token store write failed:', error.message);
+        }
+        return { ...records[service][account] };
+    }
+
+    /** Run fn with exclusive access to `key`; concurrent callers wait for the first one. */
+    async withLock(key, fn) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const chained = previous.then(() => current);
+        this.locks.set(key, chained);
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (this.locks.get(key) === chained) this.locks.delete(key);
+        }
+    }
+
+    /** Token health without secrets: expiry, status, last error per service/account. */
+    health() {
+        const now = Date.now();
+        const out = {};
+        for (const [service, accounts] of Object.entries(this._load())) {
+            out[service] = {};
+            for (const [account, r] of Object.entries(accounts)) {
+                const expiresAt = r.expiresAt || r.expiry_date || null;
+                out[service][account] = {
+                    status: r.status || 'ok',
+                    hasRefreshToken: !!(r.refreshToken || r.refresh_token),
+                    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                    expiresInSec: expiresAt ? Math.round((expiresAt - now) / 1000) : null,
+                    lastRefresh: r.lastRefresh ? new Date(r.lastRefresh).toISOString() : null,
+                    lastError: r.lastError || null,
+                };
+            }
+        }
+        return out;
+    }
+}
+
+export const tokenStore = new TokenStore();
+
+/**
+ * Google OAuth through the token store.
+ *
+ * The brain calls attachGoogleClient(workspace.auth, account) for each Google
+ * account's googleWorkspace skill that exposes its googleapis OAuth2 client as
+ * `auth`: credentials are loaded from the store (imported once from
+ * config.googleTokenPath if the store has none) and every refresh the client
+ * performs is written back.
+ */
+export function loadGoogleToken(account = 'default') {
+    const stored = tokenStore.get('google', account);
+    if (stored) return stored;
+    if (account === 'default' && fs.existsSync(config.googleTokenPath)) {
+        try {
+            const legacy = JSON.parse(fs.readFileSync(config.googleTokenPath, 'utf8'));
+            logger.info(`Importing Google token from ${config.googleTokenPath} into token store`);
+            return tokenStore.set('google', account, { ...legacy, status: 'ok' });
+        } catch (error) {
+            logger.error('Google token import failed:', error.message);
+        }
+    }
+    return null;
+}
+
+export function attachGoogleClient(oauth2Client, account = 'default') {
+    const stored = loadGoogleToken(account);
+    if (stored) {
+        const { status, lastError, updatedAt, lastRefresh, ...credentials } = stored;
+        oauth2Client.setCredentials(credentials);
+    }
+    oauth2Client.on('tokens', (tokens) => {
+        tokenStore.set('google', account, { ...tokens, status: 'ok', lastError: null, lastRefresh: Date.now() });
+        logger.info(`Google token refreshed (${account})`);
+    });
+    return oauth2Client;
+}
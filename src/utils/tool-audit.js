@@ -0,0 +1,86 @@
+import { config, redactSecrets } from '../config.js';
+import { logger } from './logger.js';
+import { getDb } from './db.js';
+
+const MAX_ARGS_CHARS = 2000;
+
+/**
+ * ToolAudit - every tool the backend brain called, with its arguments and outcome
+ *
+ * Rows live in the `tool_audit` table of the main SQLite file, so "what did
+ * the bot read or do?" can be answered after the fact (/audit in chat).
+ * Permission refusals are recorded here too, with provider 'permissions'.
+ * Results themselves are not stored, only their size.
+ */
+export class ToolAudit {
+    constructor() {
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS tool_audit (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ts INTEGER NOT NULL,
+                user_id TEXT NOT NULL,
+                provider TEXT,
+                tool TEXT NOT NULL,
+                args TEXT,
+                ok INTEGER NOT NULL,
+                duration_ms INTEGER,
+                result_chars INTEGER DEFAULT 0,
+                error TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_tool_audit_user_ts ON tool_audit(user_id, ts);`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    record(event) {
+        const args = JSON.stringify(event.args ?? null);
+        const row = {
+            ts: Date.now(),
+            user_id: String(event.userId || 'system'),
+            provider: event.provider || null,
+            tool: event.tool,
+            args: args.length > MAX_ARGS_CHARS ? `${args.slice(0, MAX_ARGS_CHARS)}…` : args,
+            ok: event.ok ? 1 : 0,
+            duration_ms: event.durationMs ?? null,
+            result_chars: event.resultChars || 0,
+            error: event.error ? redactSecrets(event.error) : null,
+        };
+        try {
+            this._db().prepare(`INSERT INTO tool_audit (ts, user_id, provider, tool, args, ok, duration_ms, result_chars, error)
+                VALUES (@ts, @user_id, @provider, @tool, @args, @ok, @duration_ms, @result_chars, @error)`).run(row);
+        } catch (error) {
+            logger.warn('Tool audit write failed:', error.message);
+        }
+        return row;
+    }
+
+    recent(userId, limit = 20) {
+        return this._db().prepare('SELECT * FROM tool_audit WHERE user_id = ? ORDER BY ts DESC, id DESC LIMIT ?').all(String(userId), limit);
+    }
+
+    /** Refused attempts (see ./permissions.js), all users, newest first */
+    denials(limit = 50) {
+        return this._db().prepare("SELECT ts, user_id, tool, args, error FROM tool_audit WHERE provider = 'permissions' ORDER BY ts DESC, id DESC LIMIT ?").all(limit);
+    }
+
+    /** Text for the /audit command: the user's last tool calls, newest first, in their time zone. */
+    report(userId, limit = 15, timeZone = config.timezone) {
+        const rows = this.recent(userId, limit);
+        if (!rows.length) return 'No tool calls recorded yet.';
+        const lines = ['🔍 **Recent tool calls**', ''];
+        for (const r of rows) {
+            const when = new Date(r.ts).toLocaleString('en-US', { timeZone, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+            const outcome = r.ok ? `${r.result_chars} chars` : `failed: ${r.error}`;
+            lines.push(`${r.ok ? '•' : '✗'} ${when} **${r.tool}** ${r.args} — ${outcome} (${r.duration_ms}ms)`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export const toolAudit = new ToolAudit();
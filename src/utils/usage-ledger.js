@@ -0,0 +1,156 @@
+import { config } from '../config.js';
+import { logger } from './logger.js';
+import { getDb } from './db.js';
+import { userProfiles } from './user-profiles.js';
+import { startOfLocalDay, startOfLocalMonth } from './time.js';
+
+/**
+ * Estimated prices in USD. Text: per 1M tokens. Media: per unit (image, or second of video).
+ * Codex runs on the flat ChatGPT Plus plan; it is priced at API-equivalent rates so
+ * budgets still reflect how heavily it's used.
+ */
+export const PRICING = {
+    text: {
+        'gemini-3.0-flash-preview': { input: 0.50, output: 3.00 },
+        'gpt-5.3-codex': { input: 1.25, output: 10.00 },
+        'gpt-4o-mini': { input: 0.15, output: 0.60 },
+        'claude-sonnet-4-5': { input: 3.00, output: 15.00 },
+    },
+    media: {
+        'nano-banana-pro': 0,          // per image (free tier)
+        'imagen-4-ultra': 0.06,        // per image
+        'imagen-4-upscale': 0.003,     // per image
+        'veo-3.1-fast': 0.15,          // per second
+        'veo-3.1': 0.40,               // per second (standard quality / 4k)
+        'whisper-1': 0.0001,           // per second of audio
+        'eleven_multilingual_v2': 0.0003, // per character
+        'eleven_flash_v2_5': 0.00015,  // per character
+    },
+};
+
+const DAY_MS = 86400000;
+
+/**
+ * UsageLedger - records every model/media call with its estimated cost
+ *
+ * Rows live in the `usage_events` table of the main SQLite file. Budgets come
+ * from config (dailyBudgetUsd / monthlyBudgetUsd, per-user overrides in
+ * userBudgets); a budget of 0 means unlimited. Days and months are the
+ * user's own, in their profile's time zone.
+ */
+export class UsageLedger {
+    constructor() {
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS usage_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ts INTEGER NOT NULL,
+                user_id TEXT NOT NULL,
+                feature TEXT,
+                provider TEXT,
+                model TEXT,
+                key_tier TEXT,
+                input_tokens INTEGER DEFAULT 0,
+                output_tokens INTEGER DEFAULT 0,
+                media_units REAL DEFAULT 0,
+                cost_usd REAL DEFAULT 0
+            );
+            CREATE INDEX IF NOT EXISTS idx_usage_user_ts ON usage_events(user_id, ts);`);
+            this._ready = true;
+        }
+        return db;
+    }
+
+    estimateCost({ model, inputTokens = 0, outputTokens = 0, mediaUnits = 0 }) {
+        if (mediaUnits) return (PRICING.media[model] ?? 0) * mediaUnits;
+        const price = PRICING.text[model];
+        if (!price) return 0;
+        return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+    }
+
+    record(event) {
+        const row = {
+            ts: event.ts ?? Date.now(),
+            user_id: String(event.userId || 'system'),
+            feature: event.feature || null,
+            provider: event.provider || null,
+            model: event.model || null,
+            key_tier: event.keyTier || null,
+            input_tokens: event.inputTokens || 0,
+            output_tokens: event.outputTokens || 0,
+            media_units: event.mediaUnits || 0,
+            cost_usd: event.costUsd ?? this.estimateCost(event),
+        };
+        try {
+            this._db().prepare(`INSERT INTO usage_events (ts, user_id, feature, provider, model, key_tier, input_tokens, output_tokens, media_units, cost_usd)
+                VALUES (@ts, @user_id, @feature, @provider, @model, @key_tier, @input_tokens, @output_tokens, @media_units, @cost_usd)`).run(row);
+        } catch (error) {
+            logger.warn('Usage ledger write failed:', error.message);
+        }
+        return row;
+    }
+
+    spend(userId, since) {
+        const row = this._db().prepare('SELECT COALESCE(SUM(cost_usd), 0) AS total FROM usage_events WHERE user_id = ? AND ts >= ?').get(String(userId), since);
+        return row.total;
+    }
+
+    budgetFor(userId) {
+        const override = config.userBudgets?.[String(userId)];
+        return { daily: override?.daily ?? config.dailyBudgetUsd, monthly: override?.monthly ?? config.monthlyBudgetUsd };
+    }
+
+    /**
+     * Returns { ok, period, spent, limit, action } — action is config.budgetAction
+     * ('downgrade' or 'refuse') and only meaningful when ok is false.
+     */
+    checkBudget(userId, now = new Date()) {
+        const budget = this.budgetFor(userId);
+        const { timezone } = userProfiles.get(userId);
+        try {
+            const daily = this.spend(userId, startOfLocalDay(timezone, now));
+            if (budget.daily > 0 && daily >= budget.daily) return { ok: false, period: 'daily', spent: daily, limit: budget.daily, action: config.budgetAction };
+            const monthly = this.spend(userId, startOfLocalMonth(timezone, now));
+            if (budget.monthly > 0 && monthly >= budget.monthly) return { ok: false, period: 'monthly', spent: monthly, limit: budget.monthly, action: config.budgetAction };
+        } catch (error) {
+            logger.warn('Budget check failed, allowing request:', error.message);
+        }
+        return { ok: true };
+    }
+
+    /** Text for the /usage command: today per feature, last 7 days per day, month vs budget. */
+    report(userId, now = new Date()) {
+        const db = this._db();
+        const uid = String(userId);
+        const { timezone } = userProfiles.get(uid);
+        const today = startOfLocalDay(timezone, now);
+        const month = startOfLocalMonth(timezone, now);
+        const budget = this.budgetFor(uid);
+        const money = (n) => `$${n.toFixed(n < 1 ? 4 : 2)}`;
+
+        const byFeature = db.prepare(`SELECT COALESCE(feature, 'other') AS feature, COUNT(*) AS calls, SUM(cost_usd) AS cost
+            FROM usage_events WHERE user_id = ? AND ts >= ? GROUP BY feature ORDER BY cost DESC`).all(uid, today);
+        const byDay = [];
+        for (let i = 6; i >= 0; i--) {
+            const start = startOfLocalDay(timezone, new Date(today + 12 * 3600000 - i * DAY_MS)); // noon avoids DST edges
+            const end = startOfLocalDay(timezone, new Date(start + 36 * 3600000));
+            const row = db.prepare('SELECT COUNT(*) AS calls, COALESCE(SUM(cost_usd), 0) AS cost FROM usage_events WHERE user_id = ? AND ts >= ? AND ts < ?').get(uid, start, end);
+            byDay.push({ day: new Date(start).toLocaleDateString('en-US', { timeZone: timezone, weekday: 'short', month: 'short', day: 'numeric' }), ...row });
+        }
+        const monthTotal = this.spend(uid, month);
+        const todayTotal = byFeature.reduce((sum, r) => sum + r.cost, 0);
+
+        const lines = ['📊 **Usage**', '', `**Today:** ${money(todayTotal)}${budget.daily > 0 ? ` of ${money(budget.daily)}` : ''}`];
+        for (const r of byFeature) lines.push(`  • ${r.feature}: ${r.calls} call${r.calls === 1 ? '' : 's'}, ${money(r.cost)}`);
+        lines.push('', '**Last 7 days:**');
+        for (const d of byDay) lines.push(`  ${d.day}: ${money(d.cost)} (${d.calls})`);
+        lines.push('', `**This month:** ${money(monthTotal)}${budget.monthly > 0 ? ` of ${money(budget.monthly)}` : ''}`);
+        return lines.join('\n');
+    }
+}
+
+export const usageLedger = new UsageLedger();
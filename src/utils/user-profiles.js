@@ -0,0 +1,148 @@
+import { config } from '../config.js';
+import { logger } from './logger.js';
+import { getDb } from './db.js';
+import { permissions } from './permissions.js';
+
+const LIMITS = { name: 60, location: 60, persona: 500, tone: 100 };
+
+// What a user can change about themselves with /profile; the Google link is owner/admin only
+export const EDITABLE_FIELDS = ['name', 'timezone', 'locale', 'location', 'persona', 'tone'];
+
+function checkField(field, value) {
+    if (!EDITABLE_FIELDS.includes(field)) throw new Error(`Unknown profile field "${field}". Fields: ${EDITABLE_FIELDS.join(', ')}`);
+    const text = String(value ?? '').trim();
+    if (!text) throw new Error(`${field} can't be empty`);
+    if (field === 'timezone') {
+        try { new Intl.DateTimeFormat('en-US', { timeZone: text }); } catch { throw new Error(`"${text}" is not a time zone. Use a name like Europe/Lisbon or America/Chicago`); }
+        return text;
+    }
+    if (field === 'locale') {
+        try { return Intl.getCanonicalLocales(text)[0]; } catch { throw new Error(`"${text}" is not a locale. Use a tag like en-US or pt-BR`); }
+    }
+    if (text.length > LIMITS[field]) throw new Error(`${field} is limited to ${LIMITS[field]} characters`);
+    return text;
+}
+
+/**
+ * UserProfiles - who each Telegram user is, for prompts and data access
+ *
+ * Rows live in the `user_profiles` table of the main SQLite file. A profile is
+ * { userId, name, timezone, locale, location, persona, tone, googleAccount, isOwner, role };
+ * unset fields fall back to config (timezone, locale, ownerName and
+ * BRIEFING_LOCATION for the owner). Nobody else has a location until they set one.
+ * The owner is the first ALLOWED_USERS entry; role comes from ./permissions.js.
+ *
+ * googleAccount is the token-store account whose Gmail/Calendar/Drive this
+ * user may see. It is never guessed: it comes from linkGoogle() (admin API),
+ * config.googleAccounts, or 'default' for the owner. Everyone else has none.
+ */
+export class UserProfiles {
+    constructor() {
+        this._ready = false;
+    }
+
+    _db() {
+        const db = getDb();
+        if (!this._ready) {
+            db.exec(`CREATE TABLE IF NOT EXISTS user_profiles (
+                user_id TEXT PRIMARY KEY,
+                name TEXT,
+                timezone TEXT,
+                locale TEXT,
+                persona TEXT,
+                tone TEXT,
+                google_account TEXT,
+                google_linked INTEGER DEFAULT 0,
+                updated_at INTEGER,
+                location TEXT
+            )`);
+            // Tables made before the location field
+            if (!db.prepare('PRAGMA table_info(user_profiles)').all().some(c => c.name === 'location')) db.exec('ALTER TABLE user_profiles ADD COLUMN location TEXT');
+            this._ready = true;
+        }
+        return db;
+    }
+
+    _row(userId) {
+        return this._db().prepare('SELECT * FROM user_profiles WHERE user_id = ?').get(String(userId)) || null;
+    }
+
+    _upsert(userId, fields) {
+        const row = { ...(this._row(userId) || { user_id: String(userId), google_linked: 0 }), ...fields, updated_at: Date.now() };
+        this._db().prepare(`INSERT INTO user_profiles (user_id, name, timezone, locale, location, persona, tone, google_account, google_linked, updated_at)
+            VALUES (@user_id, @name, @timezone, @locale, @location, @persona, @tone, @google_account, @google_linked, @updated_at)
+            ON CONFLICT(user_id) DO UPDATE SET name = @name, timezone = @timezone, locale = @locale, location = @location, persona = @persona, tone = @tone,
+                google_account = @google_account, google_linked = @google_linked, updated_at = @updated_at`).run({
+            name: null, timezone: null, locale: null, location: null, persona: null, tone: null, google_account: null, ...row,
+        });
+    }
+
+    isOwner(userId) {
+        return !!userId && String(userId) === String(config.allowedUsers[0] || '');
+    }
+
+    /** The user's profile with defaults filled in. `fallbackName` is e.g. their Telegram first name. */
+    get(userId, { fallbackName = '' } = {}) {
+        const id = String(userId || '');
+        let row = null;
+        try { row = id ? this._row(id) : null; } catch (error) { logger.warn('User profile read failed:', error.message); }
+        const owner = this.isOwner(id);
+        const linked = row?.google_linked ? row.google_account : undefined;
+        return {
+            userId: id,
+            name: row?.name || (owner ? config.ownerName : '') || fallbackName || 'there',
+            timezone: row?.timezone || config.timezone,
+            locale: row?.locale || config.locale,
+            location: row?.location || (owner && config.briefingLocation) || '',
+            persona: row?.persona || '',
+            tone: row?.tone || 'friendly',
+            googleAccount: linked !== undefined ? linked : (config.googleAccounts[id] || (owner ? 'default' : null)),
+            isOwner: owner,
+            role: permissions.roleOf(id),
+        };
+    }
+
+    /** Set one self-service field; throws with a user-facing message when the value is invalid. */
+    set(userId, field, value) {
+        const clean = checkField(field, value);
+        this._upsert(userId, { [field]: clean });
+        return this.get(userId);
+    }
+
+    reset(userId, field) {
+        if (!EDITABLE_FIELDS.includes(field)) throw new Error(`Unknown profile field "${field}". Fields: ${EDITABLE_FIELDS.join(', ')}`);
+        this._upsert(userId, { [field]: null });
+        return this.get(userId);
+    }
+
+    /** Link (account) or unlink (null) a Google account. Admin only: never call this from chat input. */
+    linkGoogle(userId, account) {
+        this._upsert(userId, { google_account: account || null, google_linked: 1 });
+        logger.info(`User ${userId}: Google account ${account ? `linked to "${account}"` : 'unlinked'}`);
+        return this.get(userId);
+    }
+
+    list() {
+        return this._db().prepare('SELECT user_id FROM user_profiles ORDER BY user_id').all().map(r => this.get(r.user_id));
+    }
+
+    /** Text for /profile */
+    report(profile) {
+        return [
+            '👤 **Your profile**',
+            '',
+            `Name: ${profile.name}`,
+            `Role: ${profile.role}`,
+            `Time zone: ${profile.timezone}`,
+            `Locale: ${profile.locale}`,
+            `Location: ${profile.location || '(not set — used for weather)'}`,
+            `Tone: ${profile.tone}`,
+            `Persona: ${profile.persona || '(default)'}`,
+            `Google: ${profile.googleAccount ? `linked (${profile.googleAccount})` : 'not linked — ask the bot owner to link your account'}`,
+            '',
+            `Change with /profile <${EDITABLE_FIELDS.join('|')}> <value>, or /profile reset <field>.`,
+        ].join('\n');
+    }
+}
+
+export const userProfiles = new UserProfiles();
@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createTestBrain } from './helpers/brain.js';
+import { withCassette } from './helpers/http-replay.js';
+import { config } from '../src/config.js';
+import { HttpServer } from '../src/utils/http-server.js';
+import { registerAdminRoutes } from '../src/brain/admin-api.js';
+import { breakers } from '../src/utils/circuit-breaker.js';
+
+describe('HTTP admin API', () => {
+    const { brain, skills } = createTestBrain();
+    const server = new HttpServer();
+    let base;
+
+    // Requests go through fetch, not axios, so no cassette is involved
+    const get = (path, headers = {}) => fetch(`${base}${path}`, { headers });
+    const post = (path, body, headers = {}) => fetch(`${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+    const auth = { Authorization: 'Bearer admin-test-token' };
+
+    before(async () => {
+        config.adminToken = 'admin-test-token';
+        registerAdminRoutes(server, brain);
+        const listening = server.start(0);
+        await new Promise(resolve => listening.once('listening', resolve));
+        base = `http://127.0.0.1:${listening.address().port}`;
+    });
+
+    after(async () => {
+        config.adminToken = undefined;
+        await server.stop();
+    });
+
+    it('/healthz reports each provider without secrets', async () => {
+        const res = await get('/healthz');
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.equal(body.status, 'ok');
+        assert.equal(body.providers.gemini.tiers.primary.configured, true);
+        assert.equal(body.providers.backend.provider, 'codex');
+        assert.equal(body.providers.codex.accounts.primary.active, true);
+        assert.equal(body.providers.google.ready, true);
+        assert.equal(body.providers.mcp.connected, false);
+        assert.doesNotMatch(JSON.stringify(body), /test-gemini-key|test-codex-token/);
+    });
+
+    it('/healthz shows the owner\'s Google account whoever messaged last', async () => {
+        await brain.think('/usage', [], { ...skills, _userId: 'guest-1' });
+        assert.equal((await (await get('/healthz')).json()).providers.google.ready, true);
+    });
+
+    it('/admin needs the token', async () => {
+        assert.equal((await get('/admin')).status, 401);
+        assert.equal((await get('/admin', { Authorization: 'Bearer wrong' })).status, 401);
+        assert.equal((await get('/admin?token=admin-test-token')).status, 401, 'not from the URL');
+        assert.equal((await post('/admin/route-mode', { mode: 'claude' })).status, 401);
+        assert.equal((await get('/admin', auth)).status, 200);
+    });
+
+    it('a forced route mode skips the classifier and shows up in /admin and /metrics', async () => {
+        const mode = await post('/admin/route-mode', { mode: 'gemini' }, auth);
+        assert.deepEqual(await mode.json(), { routeMode: 'gemini' });
+        assert.equal((await post('/admin/route-mode', { mode: 'turbo' }, auth)).status, 400);
+
+        const reply = await withCassette('gemini-reply', () => brain.think('how are you?', [], skills));
+        assert.equal(reply, "Hey Omar! I'm doing great — what can I help with?");
+
+        const admin = await (await get('/admin?limit=1', auth)).json();
+        assert.deepEqual(admin.recentRoutes.map(r => [r.route, r.source, r.message]), [['chat', 'route-mode', 'how are you?']]);
+
+        const text = await (await get('/metrics')).text();
+        assert.match(text, /^# TYPE mj_route_total counter$/m);
+        assert.match(text, /^mj_route_total\{route="chat",source="route-mode"\} \d+$/m);
+        assert.match(text, /^mj_provider_request_seconds_count\{provider="gemini",outcome="ok"\} \d+$/m);
+        brain.routeMode = 'smart';
+    });
+
+    it('masks secrets quoted in provider errors', async () => {
+        const breaker = breakers.create('leaky', { minCalls: 1, errorRate: 0.5 });
+        try {
+            breaker.failure(new Error('GET https://generativelanguage.googleapis.com/v1/models?key=test-gemini-key failed'));
+            const health = await (await get('/healthz')).json();
+            assert.deepEqual(health.issues, ['circuit leaky open: GET https://generativelanguage.googleapis.com/v1/models?key=[redacted] failed']);
+            assert.doesNotMatch(JSON.stringify(await (await get('/admin', auth)).json()), /test-gemini-key/);
+        } finally {
+            breakers.all.delete('leaky');
+        }
+    });
+
+    it('unknown paths and methods', async () => {
+        assert.equal((await get('/nope')).status, 404);
+        assert.equal((await post('/healthz', {})).status, 405);
+    });
+
+    it('answers an oversized body with 413 instead of dropping the connection', async () => {
+        const { status, body } = await new Promise((resolve, reject) => {
+            const req = http.request(`${base}/admin/route-mode`, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+                let text = '';
+                res.on('data', (chunk) => { text += chunk; });
+                res.on('end', () => resolve({ status: res.statusCode, body: text }));
+            });
+            req.on('error', reject);
+            req.end(JSON.stringify({ mode: 'x'.repeat(2 * 1024 * 1024) }));
+        });
+        assert.equal(status, 413);
+        assert.deepEqual(JSON.parse(body), { error: 'Request body too large' });
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { CircuitBreaker } from '../src/utils/circuit-breaker.js';
+import { MockProvider } from '../src/brain/providers/mock.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+describe('CircuitBreaker', () => {
+    it('opens at the error rate, probes after the cooldown and closes on success', async () => {
+        const changes = [];
+        const breaker = new CircuitBreaker('test', { window: 4, minCalls: 4, errorRate: 0.5, slowMs: 1000, cooldownMs: 30, onChange: (b, from, to) => changes.push(`${from}->${to}`) });
+        breaker.success(10);
+        breaker.failure(networkError());
+        breaker.success(10);
+        assert.equal(breaker.state, 'closed');
+        breaker.success(5000); // slow counts as bad: 2 of 4
+        assert.equal(breaker.state, 'open');
+        assert.equal(breaker.canPass(), false);
+        assert.equal(breaker.acquire(), false);
+
+        await sleep(40);
+        assert.equal(breaker.acquire(), true);
+        assert.equal(breaker.state, 'half-open');
+        assert.equal(breaker.acquire(), false, 'only one probe at a time');
+        breaker.failure(networkError());
+        assert.equal(breaker.state, 'open');
+
+        await sleep(40);
+        assert.equal(breaker.acquire(), true);
+        breaker.success(10);
+        assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->open', 'open->half-open', 'half-open->closed']);
+        assert.deepEqual(breaker.status(), { state: 'closed', calls: 0, errorRate: 0, retryInMs: 0, lastError: 'socket hang up' });
+    });
+
+    it('client errors (400) do not count against the provider', async () => {
+        const provider = new MockProvider({ name: 'strict', responses: [Object.assign(new Error('bad request'), { response: { status: 400 } })], breaker: { minCalls: 1 } });
+        await assert.rejects(provider.generate({ messages: [] }), /bad request/);
+        assert.equal(provider.breaker.state, 'closed');
+    });
+});
+
+describe('health-aware failover', () => {
+    function setup() {
+        const notes = [];
+        const codex = new MockProvider({ name: 'codex', responses: [networkError()], breaker: { window: 4, minCalls: 2, cooldownMs: 40 } });
+        const gemini = new MockProvider({ name: 'gemini', responses: ['gemini answer'], breaker: { minCalls: 1, cooldownMs: 60000 } });
+        const { brain } = createTestBrain({ brain: { providers: { codex, gemini }, notifyOwner: (text) => notes.push(text) } });
+        return { brain, codex, gemini, notes };
+    }
+
+    it('skips a tripped backend up front and tells the owner when it opens and recovers', async () => {
+        const { brain, codex, notes } = setup();
+        assert.equal(await brain.think('/claude how is my week', []), 'gemini answer');
+        assert.equal(await brain.think('/claude how is my week', []), 'gemini answer');
+        assert.equal(codex.breaker.state, 'open');
+
+        assert.equal(await brain.think('/claude how is my week', []), 'gemini answer');
+        assert.equal(codex.calls.length, 2, 'the open circuit is not called at all');
+        assert.match(notes[0], /^⚠️ provider:codex is failing/);
+        assert.deepEqual(brain.breakerEvents.map(e => e.to), ['open']);
+
+        await sleep(50);
+        codex.responses = ['codex is back'];
+        assert.equal(await brain.think('/claude how is my week', []), 'codex is back');
+        assert.equal(codex.breaker.state, 'closed');
+        assert.equal(notes.at(-1), '✅ provider:codex is healthy again.');
+    });
+
+    it('skips the classifier and answers at once when every chat provider is down', async () => {
+        const { brain, codex, gemini } = setup();
+        gemini.responses = [networkError()];
+        await brain.think('/gemini hi', []);
+        codex.breaker.failure(networkError());
+        codex.breaker.failure(networkError());
+        const before = gemini.calls.length + codex.calls.length;
+
+        assert.equal(await brain.classifyMessage('hello there'), 'gemini');
+        assert.match(await brain.think('hello there', []), /^My chat models \(gemini, codex\) are failing right now/);
+        assert.equal(gemini.calls.length + codex.calls.length, before);
+    });
+});
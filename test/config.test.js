@@ -0,0 +1,59 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import util from 'node:util';
+import { parseConfig, config, configReport, redactConfig, redactSecrets } from '../src/config.js';
+
+const base = { TELEGRAM_BOT_TOKEN: 'tg-token-123' };
+
+describe('config', () => {
+    it('applies types, defaults and profile defaults', () => {
+        const { values, errors, sources } = parseConfig({ ...base, PORT: '8080', ALLOWED_USERS: '1, 2,', CONFIG_HOT_RELOAD: 'no' }, 'dev');
+        assert.deepEqual(errors, []);
+        assert.equal(values.port, 8080);
+        assert.deepEqual(values.allowedUsers, ['1', '2']);
+        assert.equal(values.configHotReload, false);
+        assert.equal(values.claudeTimeout, 60000);
+        assert.equal(values.logLevel, 'debug');
+        assert.equal(sources.logLevel, 'profile');
+        assert.equal(sources.port, 'PORT');
+    });
+
+    it('rejects bad numbers, ranges and enum values instead of producing NaN', () => {
+        const { errors } = parseConfig({ ...base, CLAUDE_TIMEOUT: '10s', RATE_LIMIT: '0', BRAIN_METHOD: 'turbo', ROUTER_MIN_CONFIDENCE: '2' }, 'prod');
+        assert.equal(errors.length, 4);
+        assert.match(errors.join('\n'), /CLAUDE_TIMEOUT="10s": must be a whole number/);
+        assert.match(errors.join('\n'), /BRAIN_METHOD="turbo": must be one of gemini, claude, smart/);
+    });
+
+    it('requires feature groups to be all set or all unset', () => {
+        assert.match(parseConfig({ ...base, TWILIO_ACCOUNT_SID: 'AC1' }, 'prod').errors[0], /Twilio SMS\/calls is half configured: set TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER/);
+        assert.match(parseConfig({ ...base, ELEVENLABS_API_KEY: 'k' }, 'prod').errors[0], /ElevenLabs voice is half configured/);
+        assert.deepEqual(parseConfig({ ...base, SUPABASE_URL: 'https://x.supabase.co', SUPABASE_ANON_KEY: 'k' }, 'prod').errors, []);
+    });
+
+    it('requires the Telegram token outside the test profile', () => {
+        assert.match(parseConfig({}, 'prod').errors[0], /Missing required config: TELEGRAM_BOT_TOKEN/);
+        assert.deepEqual(parseConfig({}, 'test').errors, []);
+    });
+
+    it('never shows secrets when the config is logged', () => {
+        assert.equal(redactConfig().geminiApiKey, '[redacted]');
+        assert.doesNotMatch(JSON.stringify(config), /test-gemini-key/);
+        assert.doesNotMatch(util.inspect(config), /test-gemini-key/);
+        assert.equal(redactSecrets('GET /models?key=test-gemini-key failed'), 'GET /models?key=[redacted] failed');
+        assert.doesNotMatch(parseConfig({ ...base, OPENAI_CODEX_ACCOUNTS: 'broken-secret' }, 'prod').errors[0], /broken-secret/);
+    });
+
+    it('masks secrets pasted into other settings', () => {
+        const url = config.localLlmUrl;
+        config.localLlmUrl = 'http://gpu.local:8080/v1?token=test-codex-token';
+        try {
+            assert.equal(redactConfig().localLlmUrl, 'http://gpu.local:8080/v1?token=[redacted]');
+            assert.doesNotMatch(JSON.stringify(config), /test-codex-token/);
+            assert.doesNotMatch(configReport(), /test-codex-token/);
+        } finally {
+            config.localLlmUrl = url;
+        }
+    });
+});
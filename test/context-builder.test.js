@@ -0,0 +1,74 @@
+import './helpers/env.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContextBuilder, estimateTokens, splitItems } from '../src/brain/context-builder.js';
+import { ConversationSummaries } from '../src/brain/conversation-summary.js';
+
+const noSummaries = { get: () => null, fold: () => {} };
+const turn = (role, n, size = 40) => ({ role, content: `${role} ${n} `.padEnd(size, '.') });
+
+describe('ContextBuilder', () => {
+    it('keeps the newest turns that fit and reports the rest as dropped', () => {
+        const builder = new ContextBuilder({ summaries: noSummaries });
+        const history = Array.from({ length: 10 }, (_, i) => turn(i % 2 ? 'assistant' : 'user', i, 400));
+        const ctx = builder.build({ provider: 'mock', system: 'sys', request: 'hi', history, budget: 800, maxOutputTokens: 100 });
+        assert.deepEqual(ctx.history, history.slice(-6));
+        assert.equal(ctx.stats.droppedTurns, 4);
+        assert.ok(ctx.stats.remaining >= 0);
+    });
+
+    it('adds data whole items at a time and says how many were left out', () => {
+        const builder = new ContextBuilder({ summaries: noSummaries });
+        const emails = Array.from({ length: 6 }, (_, i) => `From: sender${i}@example.com\nSubject: Mail ${i}\n${'body '.repeat(40)}`).join('\n---\n');
+        assert.equal(splitItems(emails).length, 6);
+        const ctx = builder.build({ provider: 'mock', request: 'summarize', data: [{ title: 'EMAILS', text: emails }], budget: 300, maxOutputTokens: 100 });
+        assert.match(ctx.dataText, /^=== EMAILS ===\nFrom: sender0@example\.com/);
+        assert.match(ctx.dataText, /\n\nFrom: sender2@example\.com[^]*\n\[3 more items omitted to fit context\]$/);
+        assert.equal(ctx.stats.droppedItems, 3);
+    });
+
+    it('cuts an oversize first item instead of dropping the whole section', () => {
+        const builder = new ContextBuilder({ summaries: noSummaries });
+        const data = [{ title: 'EVENTS', text: `One very long event: ${'x'.repeat(4000)}\n---\nShort event` }];
+        const ctx = builder.build({ provider: 'mock', request: 'today?', data, budget: 400, maxOutputTokens: 100 });
+        assert.match(ctx.dataText, /^=== EVENTS ===\nOne very long event: x+…\n\[1 more item omitted to fit context\]$/);
+        assert.ok(ctx.stats.remaining >= 0 && ctx.dataText.length < 1300);
+    });
+
+    it('cuts a memory that is one long line instead of leaving it out', () => {
+        const builder = new ContextBuilder({ summaries: noSummaries });
+        const ctx = builder.build({ provider: 'mock', request: 'hi', memory: `Omar likes ${'cats and '.repeat(500)}`, budget: 1000, maxOutputTokens: 100 });
+        assert.match(ctx.memory, /^Omar likes cats and .*…$/);
+        assert.ok(estimateTokens(ctx.memory, 'mock') <= Math.floor(900 * 0.15));
+    });
+});
+
+describe('ConversationSummaries', () => {
+    const summaries = new ConversationSummaries();
+    beforeEach(() => summaries.clear('u1'));
+
+    it('folds dropped turns into the summary once, and only the new ones after that', async () => {
+        const seen = [];
+        const summarize = async (previous, turns) => { seen.push(turns.map(t => t.content)); return `${previous}${previous ? ' + ' : ''}${turns.length} turns`; };
+        const history = [turn('user', 1), turn('assistant', 2), turn('user', 3)];
+
+        summaries.fold('u1', history.slice(0, 2), summarize);
+        await summaries._inflight.get('u1');
+        summaries.fold('u1', history.slice(0, 2), summarize);
+        assert.equal(summaries._inflight.size, 0, 'nothing new to fold');
+        summaries.fold('u1', history, summarize);
+        await summaries._inflight.get('u1');
+
+        assert.deepEqual(seen, [[history[0].content, history[1].content], [history[2].content]]);
+        assert.equal(summaries.get('u1').summary, '2 turns + 1 turns');
+    });
+
+    it('puts the summary in the context when turns are dropped', () => {
+        summaries._db().prepare('INSERT INTO conversation_summaries (user_id, summary, covered_hash, updated_at) VALUES (?, ?, ?, ?)').run('u1', 'We planned the Lisbon trip.', null, Date.now());
+        const builder = new ContextBuilder({ summaries });
+        const ctx = builder.build({ provider: 'mock', userId: 'u1', system: 'sys', request: 'and the hotel?', history: [turn('user', 1)] });
+        assert.equal(ctx.summary, 'We planned the Lisbon trip.');
+        assert.match(builder.toMessages(ctx, 'and the hotel?').system, /Summary of earlier conversation:\nWe planned the Lisbon trip\.$/);
+        assert.match(builder.historyText(ctx), /^Summary of earlier conversation:\nWe planned the Lisbon trip\.\n\nRecent conversation:\nuser: user 1/);
+    });
+});
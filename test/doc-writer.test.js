@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { createFakeSkills } from './helpers/fake-skills.js';
+import { MockProvider } from '../src/brain/providers/mock.js';
+import { DocWriter, markdownToBlocks, docRequests, markdownTable, slideOutline, writeTarget, titleFor } from '../src/brain/doc-writer.js';
+
+const NOTES = '1. Meeting Notes (Google Doc) - modified today - https://docs.google.com/document/d/notes-doc-0001/edit\n2. Budget 2026 (Sheet) - https://docs.google.com/spreadsheets/d/budget-sheet-01/edit';
+
+describe('markdown mapping', () => {
+    it('maps headings, lists and bold onto Docs requests', () => {
+        const { text, requests } = docRequests(markdownToBlocks('# Q3 Goals\n\n## Objectives\n- Ship **v2** onboarding\n- Cut backlog\n\n1. First'), 1);
+        assert.equal(text, 'Q3 Goals\n\nObjectives\nShip v2 onboarding\nCut backlog\n\nFirst');
+        assert.deepEqual(requests[0], { insertText: { location: { index: 1 }, text } });
+        const styled = requests.slice(3).map(r => Object.keys(r)[0] + ':' + JSON.stringify(Object.values(r)[0].range) + ':' + (Object.values(r)[0].paragraphStyle?.namedStyleType || Object.values(r)[0].bulletPreset || 'bold'));
+        assert.deepEqual(styled, [
+            'updateParagraphStyle:{"startIndex":1,"endIndex":9}:HEADING_1',
+            'updateParagraphStyle:{"startIndex":11,"endIndex":21}:HEADING_2',
+            'createParagraphBullets:{"startIndex":22,"endIndex":52}:BULLET_DISC_CIRCLE_SQUARE',
+            'updateTextStyle:{"startIndex":27,"endIndex":29}:bold',
+            'createParagraphBullets:{"startIndex":54,"endIndex":59}:NUMBERED_DECIMAL_ALPHA_ROMAN',
+        ]);
+    });
+
+    it('reads tables into rows and headings into slides', () => {
+        const table = 'Here you go:\n\n| Item | Cost |\n|---|---:|\n| Rent | 1200 |\n| **Food** | 300 |';
+        assert.deepEqual(markdownTable(table), [['Item', 'Cost'], ['Rent', '1200'], ['Food', '300']]);
+        assert.deepEqual(markdownTable(table, { header: false }), [['Rent', '1200'], ['Food', '300']]);
+        assert.deepEqual(markdownTable('- one\n- two'), [['one'], ['two']]);
+        assert.deepEqual(slideOutline('Intro line\n## Why\n- fast\n- cheap\n## Plan\n1. build', 'Pitch'),
+            [{ title: 'Pitch', bullets: ['Intro line'] }, { title: 'Why', bullets: ['fast', 'cheap'] }, { title: 'Plan', bullets: ['build'] }]);
+    });
+
+    it('works out where a request should be written', () => {
+        assert.deepEqual(writeTarget('create a spreadsheet of my monthly budget', 'document'), { kind: 'sheet' });
+        assert.deepEqual(writeTarget('create a presentation about our roadmap', 'document'), { kind: 'slides' });
+        assert.deepEqual(writeTarget('summarize this thread and put it in a doc', 'summarize'), { kind: 'doc' });
+        assert.deepEqual(writeTarget('append a summary of today to my meeting notes doc', 'summarize'), { kind: 'doc', append: 'meeting notes' });
+        assert.equal(writeTarget('draft a reply to Sam', 'draft'), null);
+        assert.equal(titleFor('Some text', 'create a document about hiring plans'), 'Hiring plans');
+        assert.equal(titleFor('## Roadmap\n- a', 'create a deck'), 'Roadmap');
+    });
+});
+
+describe('DocWriter', () => {
+    it('creates files, keeps a history and trashes a created file on undo', async () => {
+        const writer = new DocWriter();
+        const skills = createFakeSkills();
+        const sheet = await writer.write('u1', skills.googleWorkspace, { kind: 'sheet', markdown: '| A | B |\n|---|---|\n| 1 | 2 |', title: 'Budget' });
+        assert.deepEqual([sheet.action, sheet.url], ['create', 'https://docs.google.com/spreadsheets/d/sheet-new-0001/edit']);
+        assert.deepEqual(skills.calls.at(-1).args, ['Budget', [['A', 'B'], ['1', '2']]]);
+        await writer.write('u1', skills.googleWorkspace, { kind: 'slides', markdown: '## One\n- a', title: 'Deck' });
+
+        assert.match(writer.report('u1'), /📄 \*\*w\w+\*\* created Slides "Deck"[\s\S]*📄 \*\*w\w+\*\* created Sheet "Budget"/);
+        assert.match(await writer.undo('u1', skills.googleWorkspace), /Moved \*\*Deck\*\* to the Drive trash/);
+        assert.match(await writer.undo('u2', skills.googleWorkspace, sheet.id), /No document change/);
+        assert.match(await writer.undo('u1', skills.googleWorkspace, sheet.id, 'work'), /went to another Google account/);
+        assert.match(await writer.undo('u1', skills.googleWorkspace, sheet.id), /Moved \*\*Budget\*\* to the Drive trash/);
+        assert.equal(await writer.undo('u1', skills.googleWorkspace), 'Nothing to undo.');
+        assert.deepEqual(skills.calls.filter(c => c.method === 'trashFile').map(c => c.args[0]), ['deck-new-00001', 'sheet-new-0001']);
+    });
+
+    it('appends to an existing Doc or Sheet and undoes only an unchanged Doc', async () => {
+        const writer = new DocWriter();
+        let endIndex = 120;
+        const skills = createFakeSkills({ googleWorkspace: {
+            searchFiles: async () => NOTES,
+            getDocument: async (id) => ({ id, endIndex }),
+            updateDocument: async (id, requests) => { for (const r of requests) endIndex += r.insertText?.text.length || 0; },
+        } });
+        const write = await writer.write('u3', skills.googleWorkspace, { kind: 'doc', append: 'meeting notes', markdown: '## Oct 20\n- Shipped v2' });
+        assert.deepEqual([write.title, write.fileId, write.undo], ['Meeting Notes', 'notes-doc-0001', { type: 'delete', start: 119, end: 137, docEnd: 138 }]);
+        assert.deepEqual(skills.calls.find(c => c.method === 'updateDocument').args[1][0], { insertText: { location: { index: 119 }, text: '\nOct 20\nShipped v2' } });
+
+        endIndex += 5; // someone typed in the doc
+        assert.match(await writer.undo('u3', skills.googleWorkspace, write.id), /has changed since I added to it/);
+        endIndex -= 5;
+        assert.match(await writer.undo('u3', skills.googleWorkspace, write.id), /Removed what I added to \*\*Meeting Notes\*\*/);
+        assert.deepEqual(skills.calls.filter(c => c.method === 'updateDocument').at(-1).args[1], [{ deleteContentRange: { range: { startIndex: 119, endIndex: 137 } } }]);
+
+        const rows = await writer.write('u3', skills.googleWorkspace, { kind: 'sheet', append: 'budget', markdown: '| Item | Cost |\n|---|---|\n| Coffee | 4 |' });
+        assert.deepEqual(skills.calls.find(c => c.method === 'appendRows').args, ['budget-sheet-01', [['Coffee', '4']]]);
+        assert.match(await writer.undo('u3', skills.googleWorkspace, rows.id), /Cleared Sheet1!A10:C10 in \*\*Budget 2026\*\*/);
+        await assert.rejects(writer.write('u3', skills.googleWorkspace, { kind: 'doc', append: 'diary', markdown: 'x' }), /couldn't find a Google Doc called "diary"/);
+    });
+});
+
+describe('document history from chat', () => {
+    it('/docs lists writes and /undo needs compose-docs', async () => {
+        const { brain, skills } = createTestBrain();
+        assert.match(await brain.think('/docs', [], skills), /haven't written to your Drive yet/);
+        await brain.docWriter.write('test-user', skills.googleWorkspace, { kind: 'doc', markdown: '# Plan', title: 'Plan', account: 'default' });
+        assert.match(await brain.think('/docs', [], skills), /created Doc "Plan"/);
+        assert.match(await brain.think('/undo', [], skills), /Moved \*\*Plan\*\* to the Drive trash/);
+        assert.match(await brain.think('/docs', [], skills), /↩️ \*\*w\w+\*\* created Doc "Plan" · .* · undone/);
+    });
+
+    it('gives the text with a note when the Google skill can\'t write files', async () => {
+        const codex = new MockProvider({ name: 'codex', responses: ['| Item | Cost |\n|---|---|\n| Rent | 1200 |'] });
+        const google = Object.fromEntries(Object.entries(createFakeSkills().googleWorkspace).filter(([name]) => !/^create|^update|^append/.test(name)));
+        const { brain, skills } = createTestBrain({ skills: { ...createFakeSkills(), googleWorkspace: google }, brain: { providers: { codex } } });
+        const writes = brain.docWriter.list('test-user').length;
+        const reply = await brain.think('create a spreadsheet of my monthly budget', [], skills);
+        assert.match(reply, /^\*\*Claude composed \(Sheet\):\*\*\n\n\| Item \| Cost \|/);
+        assert.match(reply, /⚠️ Saving to Google Sheet isn't available: the Google skill has no createSpreadsheet\. Here is the text to copy instead\.$/);
+        assert.match(codex.calls[0].messages.at(-1).content, /answer with a single markdown table/);
+        assert.equal(brain.docWriter.list('test-user').length, writes);
+    });
+});
@@ -0,0 +1,25 @@
+import { recording } from './env.js';
+import { SmartBrain } from '../../src/brain/claude.js';
+import { createFakeSkills, createFakeAgents } from './fake-skills.js';
+
+/** Codex OAuth stand-in: a fixed token; counts the 401 refreshes SmartBrain asks for */
+export class FakeCodexAuth {
+    constructor() { this.unauthorized = 0; }
+    hasCredentials() { return true; }
+    async getToken() { return 'test-codex-token'; }
+    async handleUnauthorized() { this.unauthorized++; }
+    health() { return { primary: { status: 'ok', active: true } }; }
+}
+
+/**
+ * SmartBrain wired for offline tests: fake skills, fake agents, fake Codex
+ * auth (real CodexAuth when recording fixtures). Providers are the real ones,
+ * so their HTTP goes through whatever Cassette is installed.
+ */
+export function createTestBrain(options = {}) {
+    const skills = options.skills || createFakeSkills(options.skillOverrides);
+    const agentCalls = [];
+    const brain = new SmartBrain(skills, { codexAuth: recording ? undefined : new FakeCodexAuth(), ...options.brain });
+    Object.assign(brain, createFakeAgents(agentCalls));
+    return { brain, skills, agentCalls };
+}
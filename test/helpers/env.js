@@ -0,0 +1,85 @@
+import { after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Test environment. Import this first in every test file: config.js reads
+ * process.env once at import time.
+ *
+ * Model names are pinned so fixture URLs match whatever the local .env says.
+ * In replay mode (the default) credentials are fake and http-replay.js refuses
+ * any request that isn't in a fixture; with HTTP_RECORD=1 the real keys from
+ * .env are used and fixtures are rewritten.
+ */
+export const recording = !!process.env.HTTP_RECORD;
+
+// The token store's file lives in a directory of its own, removed when the file's tests are done
+const tokenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mj-test-tokens-'));
+after(() => fs.rmSync(tokenDir, { recursive: true, force: true }));
+
+const pinned = {
+    MJ_PROFILE: 'test',
+    GEMINI_MODEL: 'gemini-3.0-flash-preview',
+    GEMINI_CLASSIFIER_MODEL: 'gemini-3.0-flash-preview',
+    BACKEND_PROVIDER: 'codex',
+    OPENAI_CODEX_MODEL: 'gpt-5.3-codex',
+    OPENAI_BASE_URL: 'https://api.openai.com/v1',
+    CLAUDE_TIMEOUT: '20000',
+    LLM_MAX_RETRIES: '0',
+    BOT_TIMEZONE: 'America/New_York',
+    BOT_LOCALE: 'en-US',
+    ALLOWED_USERS: 'test-user',
+    OWNER_NAME: 'Omar',
+    GOOGLE_ACCOUNTS: '',
+    USER_ROLES: '',
+    DEFAULT_ROLE: 'member',
+    MEMBER_CAPABILITIES: '',
+    GUEST_CAPABILITIES: '',
+    CHAT_PROVIDERS: '',
+    ACTION_PROVIDERS: '',
+    COMPOSE_PROVIDERS: '',
+    CLASSIFY_PROVIDERS: '',
+    LOCAL_CLASSIFIER: 'false',
+    QUIET_HOURS: '22:00-07:00',
+    BRIEFING_TIME: '07:30',
+    BRIEFING_LOCATION: 'New York',
+    NUDGE_MINUTES: '10',
+    PROACTIVE_INBOX_INTERVAL: '300000',
+    TRANSCRIBE_PROVIDERS: 'mock',
+    SPEECH_PROVIDER: 'mock',
+    VOICE_REPLIES: 'mirror',
+    MEDIA_REFINE: 'false',
+    MEDIA_SESSION_MINUTES: '60',
+    MEDIA_KEEP: '30',
+    MY_PHONE_NUMBER: '+15550002222',
+    SMS_USERS: '',
+    SMS_PUBLIC_URL: '',
+    SMS_MAX_CHARS: '1600',
+    SMS_MAX_PARTS: '3',
+    SMS_REMINDERS: 'off',
+    MEMORY_DB_PATH: ':memory:',
+    TOKEN_STORE_PATH: path.join(tokenDir, 'tokens.enc.json'),
+    DAILY_BUDGET_USD: '0',
+    MONTHLY_BUDGET_USD: '0',
+    USER_BUDGETS: '',
+};
+
+const fakeCredentials = {
+    GEMINI_API_KEY: 'test-gemini-key',
+    GEMINI_AGENT_KEY: 'test-gemini-key',
+    GEMINI_BACKGROUND_KEY: 'test-gemini-key',
+    OPENAI_CODEX_TOKEN: 'test-codex-token',
+    OPENAI_CODEX_REFRESH: 'test-codex-refresh',
+    OPENAI_CODEX_ACCOUNTS: '',
+    OPENAI_API_KEY: '',
+    ANTHROPIC_API_KEY: '',
+    LOCAL_LLM_URL: '',
+    ENCRYPTION_KEY: '',
+    TWILIO_ACCOUNT_SID: 'ACtest',
+    TWILIO_AUTH_TOKEN: 'test-twilio-token',
+    TWILIO_PHONE_NUMBER: '+15550001111',
+    TWILIO_MESSAGING_SERVICE_SID: '',
+};
+
+Object.assign(process.env, pinned, recording ? {} : fakeCredentials);
@@ -0,0 +1,77 @@
+/**
+ * In-memory stand-ins for the skills index.js hands to SmartBrain.think().
+ *
+ * Every method call is appended to `calls` as { skill, method, args }; return
+ * values are canned and can be replaced per test via overrides, e.g.
+ *   createFakeSkills({ weather: { get: async () => 'Rain' } })
+ * Pass `{ googleWorkspace: null }` to simulate a skill that isn't configured.
+ */
+export const FAKE_DATA = {
+    emails: '1. From: Sam Lee <sam@example.com>\nSubject: Lunch Friday?\nAre we still on for Friday at noon?\n---\n2. From: Billing <billing@example.com>\nSubject: Invoice #1042\nYour invoice is attached.',
+    events: '1. 10:00 AM - Standup (30 min)\n2. 2:00 PM - Dentist',
+    files: '1. Q3 Goals (Google Doc) - modified yesterday\n2. Budget 2026 (Sheet) - modified last week',
+    search: '1. Rust 1.90 released - blog.rust-lang.org\n2. What\'s new in Rust - example.com',
+};
+
+export function createFakeSkills(overrides = {}) {
+    const calls = [];
+    const fake = (skill, members) => Object.fromEntries(Object.entries(members).map(([key, value]) => [key, typeof value !== 'function' ? value : (...args) => {
+        calls.push({ skill, method: key, args });
+        return value(...args);
+    }]));
+
+    const defaults = {
+        googleWorkspace: {
+            isReady: () => true,
+            getRecentEmails: async () => FAKE_DATA.emails,
+            getTodayEvents: async () => FAKE_DATA.events,
+            listRecentFiles: async () => FAKE_DATA.files,
+            searchFiles: async () => FAKE_DATA.files,
+            searchContacts: async (query) => (/sam/i.test(query) ? [{ name: 'Sam Lee', email: 'sam@example.com' }] : []),
+            searchEmails: async (query) => (FAKE_DATA.emails.includes(query) ? FAKE_DATA.emails : ''),
+            sendEmail: async () => 'Message id: fake-1',
+            createDocument: async () => ({ id: 'doc-new-000001', url: 'https://docs.google.com/document/d/doc-new-000001/edit' }),
+            getDocument: async (id) => ({ id, title: 'Notes', endIndex: 120 }),
+            updateDocument: async () => ({}),
+            createSpreadsheet: async () => ({ id: 'sheet-new-0001', url: 'https://docs.google.com/spreadsheets/d/sheet-new-0001/edit' }),
+            appendRows: async (id, rows) => ({ range: `Sheet1!A10:C${9 + rows.length}` }),
+            clearRange: async () => ({}),
+            createPresentation: async () => ({ id: 'deck-new-00001', url: 'https://docs.google.com/presentation/d/deck-new-00001/edit' }),
+            trashFile: async () => ({}),
+        },
+        braveSearch: { search: async () => FAKE_DATA.search },
+        weather: {
+            get: async (location) => `${location}: 18°C, partly cloudy`,
+            getForecast: async (location) => `${location}: rain tomorrow, sunny after`,
+        },
+        scheduler: {
+            bot: {},
+            addReminder: async (userId, delay, message) => `Reminder set for ${delay}: ${message}`,
+        },
+        geminiImage: {
+            generate: async (prompt) => ({ success: true, imageBase64: 'aW1hZ2U=', prompt }),
+            ultraGenerate: async (prompt) => ({ success: true, imageBase64: 'dWx0cmE=', prompt }),
+            upscale: async () => ({ success: true, imageBase64: 'dXBzY2FsZWQ=' }),
+        },
+        geminiVideo: {
+            generateVideo: async (prompt, options) => ({ success: true, videoPath: '/tmp/fake.mp4', prompt, options }),
+        },
+    };
+
+    const skills = { _userId: 'test-user', _memoryContext: '', _learnedContext: '' };
+    for (const [name, members] of Object.entries(defaults)) {
+        if (name in overrides && !overrides[name]) continue;
+        skills[name] = fake(name, { ...members, ...overrides[name] });
+    }
+    Object.defineProperty(skills, 'calls', { value: calls, enumerable: false });
+    return skills;
+}
+
+/** Stand-ins for the agent loop, planner and orchestrator; each call is appended to `calls` */
+export function createFakeAgents(calls = []) {
+    return {
+        agentLoop: { run: async (task) => { calls.push({ agent: 'agentLoop', task }); return `agent loop: ${task}`; } },
+        planner: { planAndExecute: async (task) => { calls.push({ agent: 'planner', task }); return `plan: ${task}`; } },
+        orchestrator: { route: async (task) => { calls.push({ agent: 'orchestrator', task }); return `orchestrated: ${task}`; } },
+    };
+}
@@ -0,0 +1,28 @@
+import './env.js';
+import { once } from 'events';
+import { HttpServer } from '../../src/utils/http-server.js';
+import { twilioSignature } from '../../src/channels/sms.js';
+
+/** An HttpServer with `channel`'s routes on a free local port; call stop() when done */
+export async function startSmsServer(channel) {
+    const server = channel.registerRoutes(new HttpServer());
+    server.start(0);
+    await once(server.server, 'listening');
+    return { server, baseUrl: `http://127.0.0.1:${server.server.address().port}`, stop: () => server.stop() };
+}
+
+/**
+ * Fake Twilio: posts an inbound SMS webhook the way Twilio does (urlencoded,
+ * signed with authToken over the webhook URL). Pass `signature` to send a
+ * forged one. Returns { status, body }.
+ */
+export async function sendSms(baseUrl, { From, Body = '', ...params }, { authToken = process.env.TWILIO_AUTH_TOKEN, signature } = {}) {
+    const url = `${baseUrl}/sms/twilio`;
+    const fields = { MessageSid: `SM${Date.now()}`, AccountSid: process.env.TWILIO_ACCOUNT_SID, From, To: process.env.TWILIO_PHONE_NUMBER, Body, NumMedia: '0', ...params };
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature ?? twilioSignature(authToken, url, fields) },
+        body: new URLSearchParams(fields).toString(),
+    });
+    return { status: response.status, body: await response.text() };
+}
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import { Readable } from 'stream';
+import axios from 'axios';
+import { recording } from './env.js';
+
+const FIXTURES = new URL('../fixtures/', import.meta.url);
+const SECRET_PARAMS = /([?&](?:key|api_key|access_token)=)[^&]*/g;
+
+/** URL with API keys replaced, so fixtures never hold secrets and match whatever key is configured */
+export const scrubUrl = (url) => String(url).replace(SECRET_PARAMS, '$1REDACTED');
+
+const bodyText = (data) => (data === undefined || data === null ? '' : typeof data === 'string' ? data : JSON.stringify(data));
+
+async function readAll(stream) {
+    let text = '';
+    for await (const chunk of stream) text += chunk.toString();
+    return text;
+}
+
+/**
+ * Cassette - record/replay for every axios call made while it is installed
+ *
+ * A fixture (test/fixtures/<name>.json) is an ordered list of interactions:
+ *   { request: { method, url, bodyIncludes? },
+ *     response: { status, data } | { status, stream: '<raw SSE text>' } | { error: { code, message } } }
+ *
+ * Replay (default): each request takes the first unused interaction with the
+ * same method and scrubbed URL (and bodyIncludes, when given). Unmatched
+ * requests fail, so a test can never reach the network.
+ * Record (HTTP_RECORD=1): requests go out for real and the fixture is
+ * rewritten on eject(). Failure fixtures (401, timeouts) are written by hand
+ * and always replayed.
+ */
+export class Cassette {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.mode = options.mode || (recording ? 'record' : 'replay');
+        this.file = name ? new URL(`${name}.json`, FIXTURES) : null;
+        this.interactions = [];
+        this.requests = [];
+        this._original = null;
+        if (this.mode === 'replay' && this.file) this.interactions = JSON.parse(fs.readFileSync(this.file, 'utf8')).map(i => ({ ...i, used: false }));
+    }
+
+    install() {
+        this._original = axios.defaults.adapter;
+        axios.defaults.adapter = (config) => (this.mode === 'record' ? this._record(config) : this._replay(config));
+        return this;
+    }
+
+    eject() {
+        axios.defaults.adapter = this._original;
+        if (this.mode === 'record' && this.file) {
+            fs.writeFileSync(this.file, JSON.stringify(this.interactions.map(({ used, ...i }) => i), null, 2) + '\n');
+        }
+    }
+
+    /** Interactions the code under test never asked for */
+    pending() {
+        return this.interactions.filter(i => !i.used);
+    }
+
+    _log(config) {
+        const entry = { method: (config.method || 'get').toLowerCase(), url: scrubUrl(config.url), body: bodyText(config.data) };
+        this.requests.push(entry);
+        return entry;
+    }
+
+    async _record(config) {
+        const { method, url } = this._log(config);
+        const real = axios.getAdapter(this._original);
+        try {
+            const response = await real(config);
+            if (config.responseType === 'stream') {
+                const stream = await readAll(response.data);
+                this.interactions.push({ request: { method, url }, response: { status: response.status, stream } });
+                return { ...response, data: Readable.from([stream]) };
+            }
+            this.interactions.push({ request: { method, url }, response: { status: response.status, data: response.data } });
+            return response;
+        } catch (error) {
+            const response = error.response
+                ? { status: error.response.status, data: config.responseType === 'stream' ? null : error.response.data }
+                : { error: { code: error.code, message: error.message } };
+            this.interactions.push({ request: { method, url }, response });
+            throw error;
+        }
+    }
+
+    async _replay(config) {
+        const { method, url, body } = this._log(config);
+        const match = this.interactions.find(i => !i.used
+            && i.request.method === method
+            && i.request.url === url
+            && (!i.request.bodyIncludes || body.includes(i.request.bodyIncludes)));
+        if (!match) throw new Error(`http-replay: no fixture for ${method.toUpperCase()} ${url}${this.name ? ` in ${this.name}.json` : ''}`);
+        match.used = true;
+
+        const recorded = match.response;
+        if (recorded.error) throw new axios.AxiosError(recorded.error.message, recorded.error.code, config);
+        const response = {
+            status: recorded.status,
+            statusText: String(recorded.status),
+            headers: {},
+            config,
+            request: {},
+            data: config.responseType === 'stream' ? Readable.from([recorded.stream || '']) : recorded.data,
+        };
+        const ok = config.validateStatus ? config.validateStatus(response.status) : response.status < 400;
+        if (!ok) {
+            const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+            throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, response.request, response);
+        }
+        return response;
+    }
+}
+
+/**
+ * Install a cassette for the duration of fn; fails if any fixture interaction went unused.
+ * Pass { mode: 'replay' } for hand-written fixtures that must not be re-recorded.
+ */
+export async function withCassette(name, fn, options = {}) {
+    const cassette = new Cassette(name, options).install();
+    try {
+        const result = await fn(cassette);
+        const unused = cassette.pending();
+        if (cassette.mode === 'replay' && unused.length) {
+            throw new Error(`http-replay: ${unused.length} unused interaction(s) in ${name}.json: ${unused.map(i => i.request.url).join(', ')}`);
+        }
+        return result;
+    } finally {
+        cassette.eject();
+    }
+}
@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// `node --import ./test/helpers/register.js`: see ./stub-loader.js
+register('./stub-loader.js', import.meta.url);
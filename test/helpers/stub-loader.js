@@ -0,0 +1,28 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Resolve hook for the modules src/ imports but this repo doesn't ship: they
+ * live in the bot's own install, which deploy.sh lays our files over. When
+ * one of them is missing (a plain checkout), its stand-in from ./stubs/ is
+ * loaded instead; inside a full install the real module wins.
+ */
+const SRC = new URL('../../src/', import.meta.url);
+const STUBS = {
+    'utils/logger.js': 'logger.js',
+    'utils/api-rate-limiter.js': 'api-rate-limiter.js',
+    'utils/key-router.js': 'key-router.js',
+    'brain/agent-loop.js': 'agent-loop.js',
+    'brain/tools.js': 'tools.js',
+    'brain/planner.js': 'planner.js',
+    'agents/orchestrator.js': 'orchestrator.js',
+};
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('.') && context.parentURL?.startsWith(SRC.href)) {
+        const url = new URL(specifier, context.parentURL);
+        const stub = STUBS[url.href.slice(SRC.href.length)];
+        if (stub && !fs.existsSync(fileURLToPath(url))) return { url: new URL(`./stubs/${stub}`, import.meta.url).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
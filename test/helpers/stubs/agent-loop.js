@@ -0,0 +1,5 @@
+// Stand-in for the bot's src/brain/agent-loop.js (createTestBrain() uses createFakeAgents() instead)
+export class AgentLoop {
+    constructor(registry) { this.registry = registry; }
+    async run(task) { return `agent loop: ${task}`; }
+}
@@ -0,0 +1,5 @@
+// Stand-in for the bot's src/utils/api-rate-limiter.js: no limits, no retries
+export const apiRateLimiter = {
+    trackRequest() {},
+    async callWithRetry(fn) { return fn(); },
+};
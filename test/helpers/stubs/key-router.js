@@ -0,0 +1,5 @@
+// Stand-in for the bot's src/utils/key-router.js: every tier uses GEMINI_API_KEY, with no fallback
+export const keyRouter = {
+    getKey: () => process.env.GEMINI_API_KEY,
+    getFallback: () => null,
+};
@@ -0,0 +1,5 @@
+// Stand-in for the bot's src/utils/logger.js: tests run quietly
+const noop = () => {};
+
+export const logger = { info: noop, warn: noop, error: noop, debug: noop };
+export default logger;
@@ -0,0 +1,5 @@
+// Stand-in for the bot's src/agents/orchestrator.js (createTestBrain() uses createFakeAgents() instead)
+export class Orchestrator {
+    constructor(registry) { this.registry = registry; }
+    async route(task) { return `orchestrated: ${task}`; }
+}
@@ -0,0 +1,5 @@
+// Stand-in for the bot's src/brain/planner.js (createTestBrain() uses createFakeAgents() instead)
+export class TaskPlanner {
+    constructor(registry) { this.registry = registry; }
+    async planAndExecute(task) { return `plan: ${task}`; }
+}
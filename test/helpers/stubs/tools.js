@@ -0,0 +1,4 @@
+// Stand-in for the bot's src/brain/tools.js: an empty tool registry
+export function registerAllTools() {
+    return { size: 0, list: () => [], get: () => null };
+}
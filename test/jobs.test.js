@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { JobManager } from '../src/brain/jobs.js';
+import { getDb } from '../src/utils/db.js';
+
+/** A job type whose runs finish only when the test says so */
+function gated(manager) {
+    const runs = [];
+    manager.registerType('gated', {
+        label: (p) => `gated ${p.n}`,
+        run: (payload, { signal, progress }) => new Promise((resolve, reject) => {
+            runs.push({ payload, signal, progress, resolve, reject });
+        }),
+    });
+    return runs;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobManager', () => {
+    it('runs at most `workers` jobs, reports progress and delivers results in order', async () => {
+        const sent = [];
+        const manager = new JobManager({ workers: 1, progressIntervalMs: 0, notify: (userId, reply) => sent.push([userId, reply]) });
+        const runs = gated(manager);
+        const first = manager.submit('u1', 'gated', { n: 1 });
+        const second = manager.submit('u1', 'gated', { n: 2 });
+        assert.deepEqual([first.status, second.status, second.ahead], ['running', 'queued', 0]);
+        await tick();
+        assert.equal(runs.length, 1);
+
+        runs[0].progress('halfway', 50);
+        assert.match(manager.report('u1'), /⏳ \*\*j\w+\*\* gated 1 · running — halfway \(50%\)/);
+        runs[0].resolve('first result');
+        await tick();
+        assert.equal(manager.get(first.id).status, 'done');
+        assert.equal(runs.length, 2, 'the queued job starts when the worker frees up');
+        runs[1].resolve({ success: true, videoPath: '/tmp/v.mp4' });
+        await manager.drain();
+        await tick();
+
+        assert.deepEqual(sent.map(([, reply]) => (typeof reply === 'string' ? reply.split('\n')[0] : reply.caption)), [
+            `⏳ Job **${first.id}** (gated 1): halfway (50%)`,
+            `✅ Job **${first.id}** (gated 1) is done:`,
+            `✅ Job **${second.id}** (gated 2) is done`,
+        ]);
+    });
+
+    it('cancel aborts a running job, frees its worker and drops its late result; retry runs it again', async () => {
+        const sent = [];
+        const manager = new JobManager({ workers: 1, notify: (userId, reply) => sent.push(reply) });
+        const runs = gated(manager);
+        const job = manager.submit('u2', 'gated', { n: 3 });
+        await tick();
+        assert.equal(manager.cancel(job.id, 'someone-else'), `No job **${job.id}**.`);
+        assert.match(manager.cancel(job.id, 'u2'), /cancelled/);
+        assert.equal(runs[0].signal.aborted, true);
+        assert.equal(manager.running.size, 0);
+        runs[0].resolve('too late');
+        await tick();
+        assert.equal(manager.get(job.id).status, 'cancelled');
+        assert.deepEqual(sent, []);
+
+        assert.match(manager.retry(job.id, 'u2'), /restarted/);
+        await tick();
+        runs[1].reject(new Error('veo quota exceeded'));
+        await manager.drain();
+        await tick();
+        assert.deepEqual([manager.get(job.id).status, manager.get(job.id).attempts], ['failed', 2]);
+        assert.match(sent[0], /failed: veo quota exceeded\n\/retry j\w+ runs it again/);
+    });
+
+    it('times out stuck jobs and requeues jobs interrupted by a restart', async () => {
+        const manager = new JobManager({ workers: 1, timeoutMs: 20 });
+        const runs = gated(manager);
+        const stuck = manager.submit('u3', 'gated', { n: 4 });
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.deepEqual([manager.get(stuck.id).status, manager.get(stuck.id).error], ['failed', 'timed out after 1s']);
+
+        // A job a previous process left running
+        getDb().prepare("INSERT INTO jobs (id, user_id, type, payload, status, attempts, created_at) VALUES ('jdead', 'u3', 'gated', '{\"n\":5}', 'running', 1, ?)").run(Date.now());
+        assert.equal(manager.resume(), 1);
+        await tick();
+        assert.equal(runs.at(-1).payload.n, 5);
+        runs.at(-1).resolve('recovered');
+        await manager.drain();
+        assert.deepEqual([manager.get('jdead').status, manager.get('jdead').attempts], ['done', 2]);
+    });
+});
+
+describe('jobs from chat', () => {
+    it('/jobs lists them and /cancel stops one', async () => {
+        const delivered = [];
+        const { brain, skills } = createTestBrain({ brain: { deliver: (userId, reply) => delivered.push([userId, reply]) } });
+        let finish;
+        brain.agentLoop.run = () => new Promise(resolve => { finish = resolve; });
+        const reply = await brain.think('/agent sort my inbox', [], skills);
+        const id = reply.match(/\*\*(j\w+)\*\*/)[1];
+
+        assert.match(await brain.think('/jobs', [], skills), new RegExp(`⏳ \\*\\*${id}\\*\\* agent: sort my inbox · running`));
+        assert.match(await brain.think(`/cancel ${id}`, [], skills), /cancelled/);
+        assert.match(await brain.think(`/retry ${id}`, [], skills), /restarted/);
+        await tick();
+        finish('inbox sorted');
+        await brain.jobs.drain();
+        await tick();
+        assert.deepEqual(delivered.map(([userId, text]) => [userId, text.split('\n').at(-1)]), [['test-user', 'inbox sorted']]);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { LocalClassifier, seedsFromPrompt, features } from '../src/brain/local-classifier.js';
+import { PROMPTS } from '../src/brain/prompts.js';
+import { MockProvider } from '../src/brain/providers/mock.js';
+
+/** A brain whose Gemini and backend are mocks; classify calls are the Gemini calls with the classifier prompt */
+function setup(classifier, { gemini = ['chat reply'], codex = ['backend reply'] } = {}) {
+    const providers = { gemini: new MockProvider({ name: 'gemini', responses: gemini }), codex: new MockProvider({ name: 'codex', responses: codex }) };
+    const { brain, skills } = createTestBrain({ brain: { providers, localClassifier: classifier } });
+    const classifyCalls = () => providers.gemini.calls.filter(c => c.system === PROMPTS.classifier);
+    return { brain, skills, ...providers, classifyCalls };
+}
+
+describe('LocalClassifier', () => {
+    it('learns the classifier prompt examples and is unsure about words it never saw', () => {
+        assert.deepEqual(seedsFromPrompt(PROMPTS.classifier).slice(0, 2), [['Hey how are you?', 'chat'], ['What was my last email?', 'action']]);
+        assert.deepEqual(features("What's up"), ['whats', 'up', 'whats up']);
+
+        const classifier = new LocalClassifier({ useLog: false });
+        const guess = classifier.predict('draw a cat wearing a hat');
+        assert.equal(guess.label, 'image');
+        assert.equal(guess.confident, true);
+        assert.deepEqual(classifier.predict('zorblat frobnicate'), { label: null, confidence: 0, confident: false, scores: [] });
+    });
+});
+
+describe('local fast path in think()', () => {
+    it('a confident chat guess answers without the LLM classifier', async () => {
+        const { brain, gemini, classifyCalls } = setup(new LocalClassifier({ useLog: false }));
+        assert.equal(await brain.think('hey how are you', []), 'chat reply');
+        assert.equal(classifyCalls().length, 0);
+        assert.equal(gemini.calls.length, 1);
+        assert.equal(brain.recentRoutes[0].source, 'local');
+    });
+
+    it('a confident intent guess runs that intent', async () => {
+        const { brain, skills, classifyCalls } = setup(new LocalClassifier({ useLog: false }));
+        await brain.think('do i need an umbrella today', []);
+        assert.equal(classifyCalls().length, 0);
+        assert.ok(skills.calls.some(c => c.skill === 'weather'));
+        assert.deepEqual([brain.recentRoutes[0].route, brain.recentRoutes[0].source], ['weather', 'local']);
+    });
+
+    it('asks the LLM when unsure, and learns from its answer', async () => {
+        const classifier = new LocalClassifier();
+        const { brain, classifyCalls } = setup(classifier, { gemini: ['ACTION'] });
+        assert.equal(await brain.think('zorblat the quarterly frobnication', []), 'backend reply');
+        assert.equal(classifyCalls().length, 1);
+        assert.deepEqual(classifier.logged(1), [['zorblat the quarterly frobnication', 'action']]);
+    });
+
+    it('falls back to the low-confidence guess when the LLM classifier fails', async () => {
+        const { brain, codex, classifyCalls } = setup(new LocalClassifier({ useLog: false, minConfidence: 1 }), { gemini: [new Error('classifier down')] });
+        assert.equal(await brain.think('debug this code for me please', []), 'backend reply');
+        assert.equal(classifyCalls().length, 1);
+        assert.equal(codex.calls.length, 1);
+    });
+});
@@ -0,0 +1,181 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { createFakeSkills } from './helpers/fake-skills.js';
+import { withCassette } from './helpers/http-replay.js';
+import { config } from '../src/config.js';
+import { MediaSessions, parseReference, editChange, mediaOptions, mediaCaption } from '../src/brain/media.js';
+
+const MINUTE = 60 * 1000;
+const b64 = (text) => Buffer.from(text).toString('base64');
+
+/** A brain whose fake image skill returns the prompt as the image, so each result is recognisable */
+function mediaBrain(extra = {}) {
+    return createTestBrain({
+        skillOverrides: {
+            geminiImage: {
+                generate: async (prompt, options) => ({ success: true, imageBase64: b64(`img:${prompt}`), prompt, options }),
+                ultraGenerate: async (prompt) => ({ success: true, imageBase64: b64(`ultra:${prompt}`), prompt }),
+                upscale: async (image) => ({ success: true, imageBase64: b64(`up:${Buffer.from(image, 'base64')}`) }),
+                ...extra,
+            },
+        },
+    });
+}
+
+describe('media follow-up parsing', () => {
+    it('finds the result a message points at', () => {
+        assert.deepEqual(parseReference('upscale the second one'), { position: 2, kind: null });
+        assert.deepEqual(parseReference('animate the 3rd image'), { position: 3, kind: 'image' });
+        assert.deepEqual(parseReference('make the previous one brighter'), { position: 'previous', kind: null });
+        assert.deepEqual(parseReference('remix #12 at night'), { n: 12 });
+        assert.deepEqual(parseReference('make the fox one bigger'), { name: 'fox', kind: null });
+        assert.equal(parseReference('same but 9:16'), null);
+        assert.equal(parseReference('make the same one again'), null);
+    });
+
+    it('separates the change from references and options', () => {
+        assert.equal(editChange('make it darker'), 'darker');
+        assert.equal(editChange('make the second one darker'), 'darker');
+        assert.equal(editChange('same but 9:16'), '');
+        assert.equal(editChange('same thing but as a 4k video'), '');
+        assert.equal(editChange('try again but at night'), 'at night');
+        assert.equal(editChange('remix #3 with neon lights'), 'neon lights');
+        assert.deepEqual(mediaOptions('same but 9:16', 'image'), { aspectRatio: '9:16' });
+        assert.deepEqual(mediaOptions('make a silent 6 second landscape video in 1080p', 'video'), { aspectRatio: '16:9', audio: false, resolution: '1080p', duration: 6 });
+        assert.deepEqual(mediaOptions('square, 4:3 please', 'video'), {});
+    });
+});
+
+describe('MediaSessions', () => {
+    const media = new MediaSessions();
+    beforeEach(() => media._db().exec('DELETE FROM media_items'));
+
+    it('numbers results per user and counts positions within the open session', () => {
+        const t0 = Date.now() - 200 * MINUTE;
+        media.add('u1', { kind: 'image', prompt: 'an old lighthouse', now: t0 });
+        media.add('u1', { kind: 'image', prompt: 'a red fox', now: t0 + 150 * MINUTE });
+        media.add('u1', { kind: 'video', prompt: 'waves at sunset', now: t0 + 160 * MINUTE });
+        media.add('u1', { kind: 'image', prompt: 'a blue fox', now: t0 + 170 * MINUTE });
+        media.add('u2', { kind: 'image', prompt: 'someone else\'s', now: t0 + 170 * MINUTE });
+
+        assert.deepEqual(media.session('u1').map(i => i.n), [2, 3, 4], '#1 is more than MEDIA_SESSION_MINUTES older');
+        assert.equal(media.resolve('u1', 'upscale the second one').item.n, 3);
+        assert.equal(media.resolve('u1', 'the second image').item.n, 4);
+        assert.equal(media.resolve('u1', 'make it darker').item.n, 4);
+        assert.equal(media.resolve('u1', 'the previous one').item.n, 3);
+        assert.equal(media.resolve('u1', 'the red fox image').item.n, 2);
+        assert.equal(media.resolve('u1', 'remix #1').item.prompt, 'an old lighthouse');
+        assert.deepEqual(media.resolve('u1', 'the fifth one'), { missing: 'a 5th image or video (there are 3 in this session)' });
+        assert.deepEqual(media.resolve('u1', '#9'), { missing: '#9' });
+        assert.equal(media.hasSession('u1', t0 + 300 * MINUTE), false);
+    });
+
+    it('keeps the bytes of only the latest MEDIA_KEEP images', () => {
+        const keep = config.mediaKeep;
+        config.mediaKeep = 2;
+        try {
+            for (const prompt of ['one', 'two', 'three']) media.add('u1', { kind: 'image', prompt, imageBase64: b64(prompt) });
+            assert.deepEqual(media.list('u1').map(i => [i.n, i.imageBase64 && Buffer.from(i.imageBase64, 'base64').toString()]), [[3, 'three'], [2, 'two'], [1, null]]);
+        } finally {
+            config.mediaKeep = keep;
+        }
+    });
+
+    it('captions results with their number, options and origin', () => {
+        assert.equal(mediaCaption({ kind: 'image', n: 5, prompt: 'a red fox', options: { aspectRatio: '9:16' }, parent: 4, action: 'edit' }), '🎨 #5 · a red fox (9:16) · from #4');
+        assert.equal(mediaCaption({ kind: 'video', n: 6, prompt: 'waves', options: { resolution: '4k', duration: 8, audio: false }, parent: null }), '🎬 #6 · waves (4k, 8s)');
+    });
+});
+
+describe('media through think()', () => {
+    beforeEach(() => new MediaSessions()._db().exec('DELETE FROM media_items'));
+
+    it('stores results and applies follow-ups to the one referred to', async () => {
+        const { brain, skills } = mediaBrain();
+        const first = await brain.think('generate an image of a red fox', [], skills);
+        assert.equal(first.caption, '🎨 #1 · a red fox');
+        await brain.think('generate an image of an old lighthouse', [], skills);
+
+        const darker = await brain.think('make the first one darker', [], skills);
+        assert.equal(darker.caption, '🎨 #3 · a red fox, darker · from #1');
+        const tall = await brain.think('same but 9:16', [], skills);
+        assert.equal(tall.caption, '🎨 #4 · a red fox, darker (9:16) · from #3');
+        assert.deepEqual(skills.calls.filter(c => c.method === 'generate').at(-1).args, ['a red fox, darker', { aspectRatio: '9:16' }]);
+
+        const up = await brain.think('upscale the second one', [], skills);
+        assert.equal(Buffer.from(up.imageBase64, 'base64').toString(), 'up:img:an old lighthouse');
+        assert.equal(up.caption, '🎨 #5 · an old lighthouse · upscaled #2');
+
+        assert.match(await brain.think('/gallery', [], skills), /^\*\*Gallery\*\* — 5 results, newest first\n🎨 #5 · an old lighthouse · upscaled #2 · /);
+        assert.equal((await brain.think('/gallery show 1', [], skills)).imageBase64, first.imageBase64);
+        assert.equal((await brain.think('/gallery again 1', [], skills)).caption, '🎨 #6 · a red fox · from #1');
+        assert.equal((await brain.think('/gallery remix 2 at night, square', [], skills)).caption, '🎨 #7 · an old lighthouse, at night (1:1) · from #2');
+        assert.equal(await brain.think('/gallery show 42', [], skills), 'There\'s no #42 in your gallery. /gallery lists what you\'ve made.');
+    });
+
+    it('turns an image into a video job and records the video', async () => {
+        const delivered = [];
+        const { brain, skills } = createTestBrain({ brain: { deliver: (userId, reply) => delivered.push(reply) } });
+        await brain.think('generate an image of a red fox', [], skills);
+        const reply = await brain.think('make a video of it in 9:16', [], skills);
+        assert.match(reply, /job \*\*j\w+\*\* \(video: a red fox\)/);
+        await brain.jobs.drain();
+        assert.deepEqual(skills.calls.find(c => c.method === 'generateVideo').args.slice(0, 2), ['a red fox', { aspectRatio: '9:16' }]);
+        assert.match(delivered[0].caption, /is done\n🎬 #2 · a red fox \(9:16\) · from #1$/);
+    });
+
+    it('edits the stored picture when the image skill can', async () => {
+        const { brain, skills } = mediaBrain({ edit: async (image, instruction) => ({ success: true, imageBase64: b64(`${Buffer.from(image, 'base64')}+${instruction}`) }) });
+        await brain.think('generate an image of a red fox', [], skills);
+        const edited = await brain.think('make it wear a tiny hat', [], skills);
+        assert.equal(Buffer.from(edited.imageBase64, 'base64').toString(), 'img:a red fox+wear a tiny hat');
+    });
+
+    it('stores each result for the user who asked, while another user generates too', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const generate = async (prompt) => {
+            if (prompt.includes('fox')) await gate;
+            return { success: true, imageBase64: b64(`img:${prompt}`), prompt };
+        };
+        const { brain, skills } = mediaBrain({ generate });
+        const member = Object.assign(createFakeSkills({ geminiImage: { generate } }), { _userId: 'member-1' });
+
+        const fox = brain.think('generate an image of a red fox', [], skills);
+        assert.equal((await brain.think('generate an image of a blue whale', [], member)).caption, '🎨 #1 · a blue whale');
+        release();
+        assert.equal((await fox).caption, '🎨 #1 · a red fox');
+        assert.deepEqual(brain.media.list('test-user').map(i => i.prompt), ['a red fox']);
+        assert.deepEqual(brain.media.list('member-1').map(i => i.prompt), ['a blue whale']);
+        assert.equal((await brain.think('make it darker', [], skills)).caption, '🎨 #2 · a red fox, darker · from #1');
+    });
+
+    it('offers follow-ups only while a session is open', async () => {
+        const { brain, skills } = mediaBrain();
+        assert.notEqual(brain.explainRoute('make it darker').intent, 'mediaEdit');
+        await brain.think('generate an image of a red fox', [], skills);
+        assert.equal(brain.explainRoute('make it darker').intent, 'mediaEdit');
+        assert.equal(brain.explainRoute('same but 9:16').intent, 'mediaEdit');
+        assert.equal(brain.explainRoute('upscale the second one').intent, 'upscale');
+    });
+
+    describe('with prompt refinement', () => {
+        before(() => { config.mediaRefine = true; });
+        after(() => { config.mediaRefine = false; });
+
+        it('rewrites the request, applies changes to the refined prompt and keeps quoted prompts as they are', () => withCassette('media-refine', async (http) => {
+            const { brain, skills } = mediaBrain();
+            const first = await brain.think('generate an image of a red fox', [], skills);
+            assert.equal(first.caption, '🎨 #1 · A red fox curled up in fresh snow at dawn, soft golden side light, shallow depth of field, wildlife photography');
+            const darker = await brain.think('make it darker', [], skills);
+            assert.match(darker.caption, /^🎨 #2 · A red fox curled up in fresh snow at dusk, deep blue shadows/);
+            assert.match(http.requests[1].body, /Previous image prompt: A red fox curled up in fresh snow at dawn/);
+
+            await brain.think('same but 16:9', [], skills);
+            await brain.think('generate an image of "a fox, pixel art"', [], skills);
+            assert.deepEqual(skills.calls.filter(c => c.method === 'generate').at(-1).args, ['a fox, pixel art']);
+            assert.equal(http.requests.length, 2, 'no model call for option-only changes or quoted prompts');
+        }, { mode: 'replay' }));
+    });
+});
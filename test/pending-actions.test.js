@@ -0,0 +1,55 @@
+import './helpers/env.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PendingActions } from '../src/brain/pending-actions.js';
+
+/** A PendingActions with a 'note' type whose execute() records what ran */
+function drafts(ran = []) {
+    const actions = new PendingActions();
+    actions.registerType('note', {
+        execute: (payload, draft) => { ran.push([draft.id, payload.text]); return `Sent: ${payload.text}`; },
+        render: (draft) => `Note draft ${draft.id}: ${draft.payload.text}`,
+        fields: ['text'],
+    });
+    return actions;
+}
+
+describe('PendingActions', () => {
+    beforeEach(() => new PendingActions()._db().exec('DELETE FROM pending_actions'));
+
+    it('sends only on /confirm or "send it", never on a bare ok', async () => {
+        const ran = [];
+        const actions = drafts(ran);
+        const draft = await actions.create('u1', 'note', { text: 'hello' });
+        for (const reply of ['yes', 'ok', 'okay', 'yeah', 'sure', 'go ahead']) assert.equal(await actions.handleReply('u1', reply), null, reply);
+        assert.equal(await actions.handleReply('u2', 'send it'), null, 'another user\'s draft');
+        assert.equal(await actions.handleReply('u1', 'Send it!'), 'Sent: hello');
+        assert.deepEqual(ran, [[draft.id, 'hello']]);
+
+        await actions.create('u1', 'note', { text: 'again' });
+        assert.equal(await actions.handleReply('u1', '/confirm'), 'Sent: again');
+        assert.equal(await actions.handleReply('u1', '/confirm'), 'You have no open drafts.');
+        assert.equal(ran.length, 2);
+    });
+
+    it('keeps drafts and their edits across a restart', async () => {
+        const before = drafts();
+        const draft = await before.create('u1', 'note', { text: 'hello' });
+        assert.match(await before.edit(draft.id, 'u1', 'text', 'hello there'), /Note draft d\w+: hello there/);
+
+        const ran = [];
+        const after = drafts(ran);
+        assert.deepEqual(after.listForUser('u1').map(d => [d.id, d.payload.text]), [[draft.id, 'hello there']]);
+        assert.equal(await after.confirm(draft.id, 'u1'), 'Sent: hello there');
+        assert.match(await before.confirm(draft.id, 'u1'), /No open draft/, 'runs once');
+        assert.deepEqual(ran, [[draft.id, 'hello there']]);
+    });
+
+    it('forgets expired drafts', async () => {
+        const actions = drafts();
+        const draft = await actions.create('u1', 'note', { text: 'hello' });
+        actions._db().prepare('UPDATE pending_actions SET expires_at = ? WHERE id = ?').run(Date.now() - 1, draft.id);
+        assert.equal(actions.get(draft.id, 'u1'), null);
+        assert.match(await actions.handleReply('u1', `/confirm ${draft.id}`), /No open draft .* \(it may have expired\)/);
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { createFakeSkills } from './helpers/fake-skills.js';
+import { config } from '../src/config.js';
+import { permissions } from '../src/utils/permissions.js';
+import { toolAudit } from '../src/utils/tool-audit.js';
+import { pendingActions } from '../src/brain/pending-actions.js';
+import { MockProvider } from '../src/brain/providers/mock.js';
+
+describe('roles and capabilities', () => {
+    const { brain, agentCalls } = createTestBrain();
+    const as = (userId, message) => brain.think(message, [], Object.assign(createFakeSkills(), { _userId: userId }));
+
+    before(() => { config.userRoles = { 'guest-1': 'guest', 'owner-2': 'owner' }; });
+    after(() => { config.userRoles = {}; });
+
+    it('resolves roles from config', () => {
+        assert.equal(permissions.roleOf('test-user'), 'owner');
+        assert.equal(permissions.roleOf('owner-2'), 'owner');
+        assert.equal(permissions.roleOf('guest-1'), 'guest');
+        assert.equal(permissions.roleOf('someone-else'), 'member');
+        assert.equal(permissions.can('someone-else', 'paid-media'), false);
+        assert.equal(permissions.can('someone-else', 'media'), true);
+        assert.equal(permissions.can('guest-1', undefined), true);
+    });
+
+    it('members get free images but not paid media or agents', async () => {
+        assert.equal((await as('member-1', 'generate an image of a cat')).success, true);
+        assert.match(await as('member-1', 'make a 4k video of waves at sunset'), /premium images, upscaling and video isn't available to you \(your role: member\)/);
+        assert.match(await as('member-1', '/agent book a flight'), /agent and multi-step tasks isn't available/);
+        assert.deepEqual(agentCalls, []);
+    });
+
+    it('guests can only chat and look things up', async () => {
+        assert.match(await as('guest-1', 'remind me to call mom in 30 minutes'), /reminders isn't available to you \(your role: guest\)/);
+        assert.match(await as('guest-1', 'generate an image of a cat'), /image generation isn't available/);
+    });
+
+    it('every refusal is audited', () => {
+        const denied = toolAudit.denials(10).map(r => [r.user_id, r.tool]);
+        assert.deepEqual(denied.slice(0, 4), [['guest-1', 'intent:image'], ['guest-1', 'intent:reminder'], ['member-1', '/agent'], ['member-1', 'intent:video']]);
+        assert.match(toolAudit.denials(1)[0].error, /^denied: needs media \(role guest\)$/);
+    });
+});
+
+describe('permissions while several users are talking', () => {
+    const guestSkills = () => Object.assign(createFakeSkills(), { _userId: 'guest-1' });
+
+    before(() => { config.userRoles = { 'guest-1': 'guest' }; });
+    after(() => { config.userRoles = {}; });
+
+    it('checks a guest\'s tool calls against the guest while the owner\'s message runs', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const codex = new MockProvider({
+            name: 'codex',
+            handler: async (req) => {
+                if (req.messages.some(m => m.role === 'tool')) return 'done';
+                await gate;
+                return { text: '', toolCalls: [{ id: 'call_1', name: 'reminder_create', arguments: { message: 'call mom', delay: '30m' } }] };
+            },
+        });
+        const { brain, skills } = createTestBrain({ brain: { providers: { codex } } });
+        const guest = guestSkills();
+
+        const guestReply = brain.think('/claude remind me to call mom in 30 minutes', [], guest);
+        assert.match(await brain.think('/usage', [], skills), /\*\*Usage\*\*/);
+        release();
+        assert.equal(await guestReply, 'done');
+        assert.match(codex.calls[1].messages.find(m => m.role === 'tool').content, /^Error: denied: needs reminders/);
+        assert.equal([...skills.calls, ...guest.calls].filter(c => c.method === 'addReminder').length, 0);
+    });
+
+    it('sends a confirmed draft as the user who drafted it, whoever spoke last', async () => {
+        const { brain, skills } = createTestBrain();
+        const draft = await pendingActions.create('test-user', 'email', { to: 'sam@example.com', subject: 'Lunch', body: 'Noon?' });
+        await brain.think('/usage', [], guestSkills());
+        assert.match(await pendingActions.confirm(draft.id, 'test-user'), /^Email sent to \*\*sam@example\.com\*\*/);
+        assert.deepEqual(skills.calls.filter(c => c.method === 'sendEmail').map(c => c.args), [['sam@example.com', 'Lunch', 'Noon?']]);
+    });
+});
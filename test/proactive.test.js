@@ -0,0 +1,134 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { createFakeSkills, FAKE_DATA } from './helpers/fake-skills.js';
+import { config } from '../src/config.js';
+import { Proactive, parseEmails, parseEvents, inQuietHours } from '../src/brain/proactive.js';
+
+// BOT_TIMEZONE is America/New_York: EDT, UTC-4, on these dates
+const at = (local) => new Date(`${local}:00-04:00`);
+
+function watcher(skills = createFakeSkills()) {
+    const sent = [];
+    const proactive = new Proactive({ skillsFor: () => skills, deliver: (userId, text) => sent.push([userId, text]) });
+    return { proactive, sent, skills };
+}
+
+describe('proactive parsing', () => {
+    it('reads the email and agenda text the Google skill returns', () => {
+        assert.deepEqual(parseEmails('1. From: Sam Lee <sam@example.com>\nSubject: Lunch?\nhi\n---\n2. ID: 18c2f\nDate: Tue, 20 Oct 2026 14:00:00 GMT\nFrom: Billing\nSubject: Invoice').map(m => [m.id, m.date, m.from, m.subject]),
+            [[null, null, 'Sam Lee <sam@example.com>', 'Lunch?'], ['18c2f', Date.UTC(2026, 9, 20, 14), 'Billing', 'Invoice']]);
+        assert.deepEqual(parseEvents('1. 10:00 AM - Standup (30 min)\n2. 2:00 PM - Dentist\n3. All day - Holiday'),
+            [{ time: '10:00', title: 'Standup' }, { time: '14:00', title: 'Dentist' }]);
+        assert.equal(inQuietHours({ start: '22:00', end: '07:00' }, '23:15'), true);
+        assert.equal(inQuietHours({ start: '22:00', end: '07:00' }, '07:00'), false);
+        assert.equal(inQuietHours({ start: '13:00', end: '14:00' }, '13:30'), true);
+    });
+});
+
+describe('Proactive', () => {
+    // One database per test process: start each test with no one opted in
+    beforeEach(() => new Proactive()._db().exec('DELETE FROM proactive_prefs; DELETE FROM proactive_sent'));
+
+    it('sends the briefing once per day, at or after the chosen time', async () => {
+        const { proactive, sent } = watcher();
+        await proactive.command('test-user', '/briefing on 7:30');
+        await proactive.command('test-user', '/briefing topics rust, space');
+        // A rule flags mail in the briefing even with alerts off
+        await proactive.command('test-user', '/alerts add from billing@');
+        await proactive.command('test-user', '/alerts off');
+
+        assert.deepEqual(await proactive.tick(at('2026-10-20T07:00')), []);
+        assert.deepEqual(await proactive.tick(at('2026-10-20T07:31')), [['test-user', 'briefing']]);
+        assert.deepEqual(await proactive.tick(at('2026-10-20T09:00')), [], 'already sent today');
+
+        const text = sent[0][1];
+        assert.match(text, /^☀️ Good morning, Omar!/);
+        assert.match(text, /\*\*Today\*\*\n1\. 10:00 AM - Standup/);
+        assert.match(text, /• Lunch Friday\? — Sam Lee\n⭐ Invoice #1042 — Billing/);
+        assert.match(text, /\*\*Weather\*\*\nNew York: rain tomorrow/);
+        assert.match(text, /\*\*News: rust\*\*\n1\. Rust 1\.90 released/);
+        assert.match(text, /\*\*News: space\*\*/);
+    });
+
+    it('tries again on the next tick when delivery fails', async () => {
+        let down = true;
+        const sent = [];
+        const deliver = async (userId, text) => {
+            if (down) throw new Error('ETIMEDOUT api.telegram.org');
+            sent.push([userId, text]);
+        };
+        const proactive = new Proactive({ skillsFor: () => createFakeSkills(), deliver });
+        await proactive.command('test-user', '/briefing on 7:30');
+        await proactive.command('test-user', '/nudges on 15');
+
+        assert.deepEqual(await proactive.tick(at('2026-10-20T09:50')), []);
+        down = false;
+        assert.deepEqual(await proactive.tick(at('2026-10-20T09:52')), [['test-user', 'briefing'], ['test-user', 'nudge']]);
+        assert.deepEqual(await proactive.tick(at('2026-10-20T09:54')), []);
+        assert.equal(sent.length, 2);
+        assert.match(sent[0][1], /^☀️ Good morning/);
+        assert.match(sent[1][1], /^⏰ \*\*Standup\*\*/);
+    });
+
+    it('nudges before each meeting with related mail and files, once', async () => {
+        const { proactive, sent } = watcher();
+        await proactive.command('nudge-user', '/nudges on 15');
+        assert.deepEqual(await proactive.tick(at('2026-10-20T09:40')), []);
+        assert.deepEqual(await proactive.tick(at('2026-10-20T09:50')), [['nudge-user', 'nudge']]);
+        assert.deepEqual(await proactive.tick(at('2026-10-20T09:55')), []);
+        assert.match(sent[0][1], /^⏰ \*\*Standup\*\* starts in 10 min \(10:00\)\.\n\n\*\*Related files\*\*\n1\. Q3 Goals/);
+    });
+
+    it('alerts on new matching mail once, holding it during quiet hours', async () => {
+        let inbox = FAKE_DATA.emails;
+        const { proactive, sent } = watcher(createFakeSkills({ googleWorkspace: { getRecentEmails: async () => inbox } }));
+        const invoice = (id, local) => `1. ID: ${id}\nDate: ${at(local).toUTCString()}\nFrom: Billing <billing@example.com>\nSubject: Invoice #1043\nDue Friday`;
+
+        assert.match(await proactive.command('alert-user', '/alerts add subject invoice', at('2026-10-20T12:00')), /Inbox alerts: on\n {2}1\. subject "invoice"/);
+        assert.deepEqual(await proactive.tick(at('2026-10-20T12:01')), [], 'mail already in the inbox is not new');
+
+        inbox = `${invoice('18c2f', '2026-10-20T22:30')}\n---\n${FAKE_DATA.emails}`;
+        assert.deepEqual(await proactive.tick(at('2026-10-20T23:00')), []);
+        assert.deepEqual(await proactive.tick(at('2026-10-21T07:05')), [['alert-user', 'alert']]);
+        assert.match(sent[0][1], /📬 \*\*Invoice #1043\*\*\nFrom: Billing <billing@example\.com>/);
+        // The inbox is checked every PROACTIVE_INBOX_INTERVAL, and a mail alerts once
+        assert.deepEqual(await proactive.tick(at('2026-10-21T07:06')), []);
+        assert.deepEqual(await proactive.tick(at('2026-10-21T07:20')), []);
+
+        // Another mail with the same sender and subject is new too
+        inbox = `${invoice('18c31', '2026-10-21T07:30')}\n---\n${inbox}`;
+        assert.deepEqual(await proactive.tick(at('2026-10-21T07:40')), [['alert-user', 'alert']]);
+
+        // Mail that came while alerts were off stays quiet after turning them back on
+        await proactive.command('alert-user', '/alerts off', at('2026-10-21T08:00'));
+        inbox = `${invoice('18c40', '2026-10-21T09:00')}\n---\n${inbox}`;
+        await proactive.command('alert-user', '/alerts on', at('2026-10-21T10:00'));
+        assert.deepEqual(await proactive.tick(at('2026-10-21T10:01')), []);
+        assert.equal(sent.length, 2);
+
+        assert.match(await proactive.command('alert-user', '/quiet off'), /Quiet hours: none$/m);
+        assert.match(await proactive.command('alert-user', '/quiet 9pm'), /is not a range/);
+        assert.match(await proactive.command('alert-user', '/alerts remove 4'), /No rule 4/);
+    });
+});
+
+describe('proactive settings from chat', () => {
+    before(() => { config.userRoles = { 'guest-user': 'guest' }; });
+    after(() => { config.userRoles = {}; });
+
+    it('/briefing shows and changes settings; nudges and alerts need Google access', async () => {
+        const { brain, skills } = createTestBrain();
+        assert.match(await brain.think('/briefing', [], skills), /Briefing: off · weather for New York/);
+        assert.match(await brain.think('/briefing location Lisbon', [], skills), /^Saved\. [\s\S]*weather for Lisbon/);
+        assert.match(await brain.think('/briefing now', [], skills), /\*\*Weather\*\*\nLisbon: rain tomorrow/);
+
+        const guest = Object.assign(createFakeSkills(), { _userId: 'guest-user' });
+        assert.match(await brain.think('/nudges on', [], guest), /reading Gmail, Calendar and Drive isn't available to you \(your role: guest\)/);
+        assert.match(await brain.think('/briefing', [], guest), /Briefing: off · no weather \(set \/briefing location <city>\)/, 'the owner\'s city is not everyone\'s');
+        await brain.think('/profile location Boston', [], guest);
+        const briefing = await brain.think('/briefing now', [], guest);
+        assert.match(briefing, /\*\*Weather\*\*\nBoston/);
+        assert.doesNotMatch(briefing, /\*\*Today\*\*|\*\*Inbox\*\*/);
+    });
+});
@@ -0,0 +1,67 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRecipient } from '../src/brain/recipient-check.js';
+
+const CONTACTS = [
+    { name: 'Sam Lee', email: 'Sam@Example.com' },
+    { name: 'Sam Ortiz', email: 'sam.ortiz@example.org' },
+    { name: 'Priya Nair', email: 'priya@example.net' },
+];
+const MAIL = '1. From: dana@example.io\nSubject: Lunch?\n\n2. From: priya@example.net\nSubject: Re: slides';
+
+/** A Google skill with the contacts and mail above; `calls` lists the lookups made */
+function google({ search = true, fail = false } = {}) {
+    const calls = [];
+    const skill = {
+        calls,
+        searchContacts: async (query) => {
+            calls.push(['searchContacts', query]);
+            if (fail) throw new Error('People API down');
+            return CONTACTS.filter(c => `${c.name} ${c.email}`.toLowerCase().includes(query.toLowerCase()));
+        },
+        getRecentEmails: async (n) => { calls.push(['getRecentEmails', n]); return MAIL; },
+    };
+    if (search) skill.searchEmails = async (query) => { calls.push(['searchEmails', query]); return MAIL.includes(query) ? MAIL : 'No emails found.'; };
+    return skill;
+}
+
+describe('checkRecipient', () => {
+    it('resolves a name to exactly one contact, or asks', async () => {
+        assert.deepEqual(await checkRecipient(google(), 'Priya'), { address: 'priya@example.net', known: true, source: 'contacts', suggestions: [], warning: null });
+
+        const several = await checkRecipient(google(), 'Sam');
+        assert.equal(several.address, null);
+        assert.deepEqual(several.suggestions, ['sam@example.com', 'sam.ortiz@example.org']);
+        assert.equal(several.warning, '"Sam" matches several contacts: sam@example.com, sam.ortiz@example.org. Which one?');
+
+        assert.equal((await checkRecipient(google(), 'Jordan')).warning, 'I couldn\'t find "Jordan" in your contacts. What\'s their email address?');
+        assert.equal((await checkRecipient(google(), '  ')).warning, 'No recipient given.');
+    });
+
+    it('knows an address from contacts first, then past mail', async () => {
+        const skill = google();
+        assert.deepEqual(await checkRecipient(skill, 'Sam Lee <SAM@example.com>'), { address: 'sam@example.com', known: true, source: 'contacts', suggestions: [], warning: null });
+        assert.deepEqual(skill.calls, [['searchContacts', 'sam@example.com']], 'no mail lookup once a contact matches');
+
+        assert.equal((await checkRecipient(google(), 'dana@example.io')).source, 'past emails');
+        const noSearch = google({ search: false });
+        assert.equal((await checkRecipient(noSearch, 'dana@example.io')).source, 'past emails');
+        assert.deepEqual(noSearch.calls.at(-1), ['getRecentEmails', 50]);
+    });
+
+    it('warns about an unknown address but keeps it, also when lookups fail', async () => {
+        for (const skill of [google(), google({ fail: true })]) {
+            const result = await checkRecipient(skill, 'stranger@example.com');
+            assert.deepEqual([result.address, result.known], ['stranger@example.com', false]);
+            assert.equal(result.warning, 'stranger@example.com isn\'t in your contacts and you haven\'t exchanged mail with them recently. Double-check the address.');
+        }
+        assert.equal((await checkRecipient(google({ fail: true }), 'Priya')).address, null, 'a name can\'t be resolved without contacts');
+    });
+
+    it('asks which one when given several addresses instead of dropping the rest', async () => {
+        const result = await checkRecipient(google(), 'priya@example.net, dana@example.io');
+        assert.equal(result.address, null);
+        assert.equal(result.warning, 'I can send to one address at a time: priya@example.net, dana@example.io. Which one?');
+    });
+});
@@ -0,0 +1,160 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { twilioSignature, validTwilioSignature, smsText, formatForSms, normalizePhone, SmsChannel } from '../src/channels/sms.js';
+import { createTestBrain } from './helpers/brain.js';
+import { MockProvider } from '../src/brain/providers/mock.js';
+import { collectStream } from '../src/brain/streaming.js';
+import { withCassette } from './helpers/http-replay.js';
+import { startSmsServer, sendSms } from './helpers/fake-twilio.js';
+
+const OWNER = '+15550002222';
+const TWILIO_MESSAGES = 'https://api.twilio.com/2010-04-01/Accounts/ACtest/Messages.json';
+
+/** think() stand-in that echoes the message, keeps the exchange in its history and remembers what it was given */
+function echoBrain() {
+    const calls = [];
+    const turns = [];
+    return {
+        calls,
+        history: { get: () => [...turns] },
+        _skillsFor: (userId) => ({ _userId: userId }),
+        think: async (message, context, skills, options) => {
+            calls.push({ message, context: [...context], userId: skills._userId, options });
+            const reply = `You said: ${message}`;
+            turns.push({ role: 'user', content: message }, { role: 'assistant', content: reply });
+            return reply;
+        },
+    };
+}
+
+describe('Twilio signatures', () => {
+    it('match the example in Twilio\'s webhook security docs', () => {
+        const params = { CallSid: 'CA1234567890ABCDE', Caller: '+12349013030', Digits: '1234', From: '+12349013030', To: '+18005551212' };
+        const url = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+        assert.equal(twilioSignature('12345', url, params), '0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+        assert.equal(validTwilioSignature('12345', url, params, '0/KCTR6DLpKmkAf8muzZqo1nDgQ='), true);
+        assert.equal(validTwilioSignature('12345', url, { ...params, Digits: '9999' }, '0/KCTR6DLpKmkAf8muzZqo1nDgQ='), false);
+        assert.equal(validTwilioSignature('12345', url, params, undefined), false);
+        assert.equal(validTwilioSignature('', url, params, '0/KCTR6DLpKmkAf8muzZqo1nDgQ='), false);
+    });
+});
+
+describe('SMS formatting', () => {
+    it('turns markdown into plain text', () => {
+        const markdown = '## Today\n\n- **Standup** at 10:00\n* Dentist at 2pm — [map](https://maps.example.com/x)\n\n| Time | What |\n|---|---|\n| 10:00 | Standup |\n\nRun `npm test`.';
+        assert.equal(smsText(markdown), 'Today\n\n- Standup at 10:00\n- Dentist at 2pm — map: https://maps.example.com/x\n\nTime · What\n10:00 · Standup\n\nRun npm test.');
+        assert.equal(normalizePhone('+1 (555) 000-2222'), OWNER);
+    });
+
+    it('splits long replies into numbered messages and cuts off after maxParts', () => {
+        const sentence = 'This sentence is exactly fifty characters long ok. ';
+        const parts = formatForSms(sentence.repeat(10).trim(), { maxChars: 160, maxParts: 3 });
+        assert.equal(parts.length, 3);
+        assert.ok(parts.every(p => p.length <= 160), parts.map(p => p.length).join());
+        assert.deepEqual(parts.map(p => p.slice(0, 4)), ['1/3 ', '2/3 ', '3/3 ']);
+        assert.match(parts[2], /… \(cut short\)$/);
+        assert.deepEqual(formatForSms('Short answer.', { maxChars: 160, maxParts: 3 }), ['Short answer.']);
+    });
+
+    it('sends media as a link, or says it can\'t', () => {
+        const image = { imageBase64: 'aW1hZ2U=', caption: '🎨 **A red fox**' };
+        assert.deepEqual(formatForSms(image, { mediaLink: () => 'https://bot.example.com/sms/media?id=abc' }), ['🎨 A red fox\nhttps://bot.example.com/sms/media?id=abc']);
+        assert.deepEqual(formatForSms({ videoPath: '/tmp/v.mp4' }), ['(The video can\'t be sent by text — it\'s in Telegram.)']);
+        assert.deepEqual(formatForSms({ voice: [], text: 'Spoken *and* written' }), ['Spoken and written']);
+    });
+
+    it('serves media behind an unguessable link', async () => {
+        const channel = new SmsChannel({ brain: echoBrain(), users: {}, publicUrl: 'https://bot.example.com/' });
+        const [message] = channel.format({ imageBase64: Buffer.from('png-bytes').toString('base64'), mimeType: 'image/png', caption: 'Your image' });
+        const id = message.match(/\/sms\/media\?id=([0-9a-f]{32})$/)[1];
+        assert.deepEqual(channel._serveMedia({ query: { id } }), { headers: { 'Content-Type': 'image/png' }, body: Buffer.from('png-bytes') });
+        assert.throws(() => channel._serveMedia({ query: { id: 'guess' } }), { status: 404 });
+    });
+});
+
+describe('SMS webhook', () => {
+    let brain, channel, local;
+    before(async () => {
+        brain = echoBrain();
+        channel = new SmsChannel({ brain, users: { [OWNER]: 'test-user' } });
+        local = await startSmsServer(channel);
+    });
+    after(() => local.stop());
+
+    it('answers signed messages from known numbers by SMS, with the conversation so far', () => withCassette('sms-webhook', async (http) => {
+        const first = await sendSms(local.baseUrl, { From: OWNER, Body: 'What\'s on today?' });
+        assert.deepEqual(first, { status: 200, body: '<?xml version="1.0" encoding="UTF-8"?><Response></Response>' });
+        await channel.drain();
+        await sendSms(local.baseUrl, { From: OWNER, Body: 'And tomorrow?' });
+        await channel.drain();
+
+        assert.deepEqual(brain.calls.map(c => [c.userId, c.message, c.context.length, c.options.voice]), [
+            ['test-user', 'What\'s on today?', 0, false],
+            ['test-user', 'And tomorrow?', 2, false],
+        ]);
+        assert.deepEqual(brain.calls[1].context[1], { role: 'assistant', content: 'You said: What\'s on today?' });
+        assert.deepEqual(http.requests.map(r => r.url), [TWILIO_MESSAGES, TWILIO_MESSAGES]);
+        assert.equal(new URLSearchParams(http.requests[0].body).get('To'), OWNER);
+        assert.equal(new URLSearchParams(http.requests[0].body).get('From'), '+15550001111');
+    }, { mode: 'replay' }));
+
+    it('rejects forged requests and ignores unknown numbers', async () => {
+        const before = brain.calls.length;
+        assert.equal((await sendSms(local.baseUrl, { From: OWNER, Body: 'hi' }, { signature: 'forged' })).status, 403);
+        assert.equal((await sendSms(local.baseUrl, { From: OWNER, Body: 'hi' }, { authToken: 'someone-elses-token' })).status, 403);
+        assert.equal((await sendSms(local.baseUrl, { From: '+15559999999', Body: 'hi' })).status, 200);
+        await channel.drain();
+        assert.equal(brain.calls.length, before);
+    });
+});
+
+describe('SMS with the real brain', () => {
+    before(() => { config.smsReminders = 'sms'; });
+    after(() => { config.smsReminders = 'off'; });
+
+    it('sets a reminder over SMS that later goes out by SMS', async () => {
+        const reminders = [];
+        const { brain } = createTestBrain({ skillOverrides: { scheduler: { bot: { sendMessage: async () => 'telegram' }, addReminder: async (userId, delay, message, bot) => { reminders.push({ userId, bot, message }); return `Reminder set for ${delay}: ${message}`; } } } });
+        assert.equal(brain.sms.userFor('+1 555 000 2222'), 'test-user', 'MY_PHONE_NUMBER is the owner\'s');
+        const local = await startSmsServer(brain.sms);
+        try {
+            await withCassette('sms-reminder', async (http) => {
+                await sendSms(local.baseUrl, { From: OWNER, Body: 'remind me in 30 minutes to check the oven' });
+                await brain.sms.drain();
+                assert.equal(reminders[0].userId, 'test-user');
+                assert.equal(new URLSearchParams(http.requests[1].body).get('Body'), 'Reminder set for 30m: check the oven');
+
+                assert.equal(await reminders[0].bot.sendMessage('test-user', '⏰ check the oven'), true);
+                assert.equal(new URLSearchParams(http.requests[2].body).get('Body'), '⏰ check the oven');
+            }, { mode: 'replay' });
+        } finally {
+            await local.stop();
+        }
+    });
+
+    it('carries a Telegram conversation and its memory on over SMS', async () => {
+        const gemini = new MockProvider({ name: 'gemini', handler: (req) => (/cat called/.test(req.messages.at(-1).content) ? 'Tom.' : 'Nice name!') });
+        const { brain, skills } = createTestBrain({ brain: { providers: { gemini } } });
+        brain.routeMode = 'gemini';
+        brain.history.clear('test-user');
+
+        skills._memoryContext = 'Omar has a grey cat.';
+        assert.equal(await collectStream(await brain.think('I named the cat Tom', [], skills, { stream: true })), 'Nice name!');
+        assert.deepEqual(await brain.sms.receive('test-user', 'What is the cat called?'), ['Tom.']);
+
+        const { system, messages } = gemini.calls.at(-1);
+        assert.match(system, /Omar has a grey cat\./);
+        assert.deepEqual(messages.map(m => m.content).slice(-3), ['I named the cat Tom', 'Nice name!', 'What is the cat called?']);
+        assert.deepEqual(brain.history.get('test-user').map(t => t.content), ['I named the cat Tom', 'Nice name!', 'What is the cat called?', 'Tom.']);
+    });
+
+    it('leaves reminders on Telegram when SMS_REMINDERS is off or the user has no number', () => {
+        const { brain } = createTestBrain();
+        const bot = { sendMessage: async () => 'telegram' };
+        assert.equal(brain.sms.reminderBot('test-user', bot, 'off'), bot);
+        assert.equal(brain.sms.reminderBot('someone-else', bot, 'sms'), bot);
+        assert.notEqual(brain.sms.reminderBot('test-user', bot, 'both'), bot);
+    });
+});
@@ -0,0 +1,65 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractStructured, validate } from '../src/brain/structured.js';
+import { MockProvider } from '../src/brain/providers/mock.js';
+import { isLocalDateTime, parseDuration } from '../src/utils/time.js';
+
+const REMINDER = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        delay: { type: 'string', format: 'duration' },
+        at: { type: 'string', format: 'datetime' },
+        repeat: { type: 'string', enum: ['daily', 'weekly'] },
+        count: { type: 'integer' },
+    },
+    required: ['message'],
+    requiredOneOf: ['delay', 'at'],
+};
+
+describe('structured output validation', () => {
+    it('accepts only real local date-times and positive durations', () => {
+        assert.equal(isLocalDateTime('2026-03-14T09:00'), true);
+        assert.equal(isLocalDateTime('2028-02-29T23:59:59'), true);
+        for (const bad of ['2026-02-31T09:00', '2026-02-29T09:00', '2026-13-01T09:00', '2026-03-14T24:00', '2026-03-14T09:60', '2026-03-14 09:00', '2026-03-14T09:00Z', '']) {
+            assert.equal(isLocalDateTime(bad), false, bad);
+        }
+        assert.equal(parseDuration('1.5h'), 5400000);
+        assert.equal(parseDuration('2 days'), 172800000);
+        assert.equal(parseDuration('soon'), null);
+    });
+
+    it('lists every problem in a value', () => {
+        assert.deepEqual(validate({ message: 'stretch', delay: '30m' }, REMINDER), []);
+        assert.deepEqual(validate({ message: 'stretch', at: '2026-02-31T09:00', repeat: 'hourly', count: 1.5 }, REMINDER), [
+            '"at" must be a local date-time like "2026-03-14T09:00" (got "2026-02-31T09:00")',
+            '"repeat" must be one of: daily, weekly',
+            '"count" must be a whole number',
+        ]);
+        assert.deepEqual(validate({ delay: '0m' }, REMINDER), ['"message" is required', '"delay" must be a duration like "5m", "1h", "2d" (got "0m")']);
+        assert.deepEqual(validate({ message: 'x' }, REMINDER), ['one of "delay", "at" is required']);
+        assert.deepEqual(validate(['x'], REMINDER), ['expected a JSON object']);
+    });
+});
+
+describe('extractStructured', () => {
+    it('re-asks once with the errors and accepts JSON wrapped in prose', async () => {
+        const provider = new MockProvider({ responses: ['{"message": "call mom", "at": "2026-02-31T09:00"}', 'Sure: {"message": "call mom", "at": "2026-03-03T09:00"}'] });
+        const result = await extractStructured(provider, { instruction: 'Parse this reminder.', input: 'remind me to call mom on the 31st', schema: REMINDER, request: { userId: 'u1', feature: 'reminder' } });
+        assert.deepEqual(result, { ok: true, value: { message: 'call mom', at: '2026-03-03T09:00' } });
+        assert.equal(provider.calls.length, 2);
+        assert.match(provider.calls[1].messages[0].content, /It was invalid: "at" must be a local date-time/);
+        assert.deepEqual([provider.calls[0].json, provider.calls[0].userId, provider.calls[0].feature], [true, 'u1', 'reminder']);
+    });
+
+    it('passes the model\'s question on, or gives up with `clarify` after two bad answers', async () => {
+        const asking = new MockProvider({ responses: ['{"clarification": "When should I remind you?"}'] });
+        assert.deepEqual(await extractStructured(asking, { instruction: 'Parse.', input: 'remind me', schema: REMINDER }), { ok: false, question: 'When should I remind you?', errors: [] });
+
+        const confused = new MockProvider({ responses: ['not json at all'] });
+        const result = await extractStructured(confused, { instruction: 'Parse.', input: 'remind me', schema: REMINDER, clarify: 'Try "remind me in 10 minutes to ..."' });
+        assert.deepEqual(result, { ok: false, question: 'Try "remind me in 10 minutes to ..."', errors: ['response was not valid JSON'] });
+        assert.equal(confused.calls.length, 2);
+    });
+});
@@ -0,0 +1,270 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain, FakeCodexAuth } from './helpers/brain.js';
+import { createFakeSkills } from './helpers/fake-skills.js';
+import { withCassette } from './helpers/http-replay.js';
+import { collectStream } from '../src/brain/streaming.js';
+import { MockProvider } from '../src/brain/providers/mock.js';
+import { MediaSessions } from '../src/brain/media.js';
+import { config } from '../src/config.js';
+
+/**
+ * Every route through SmartBrain.think(), offline.
+ * Cassette names refer to test/fixtures/<name>.json; `null` means the route
+ * must not make any HTTP call at all. Streamed replies are collected inside
+ * the cassette, since the HTTP happens while the stream is read. Background
+ * jobs are run to the end; what they sent the user is in `delivered`.
+ */
+async function think(message, { cassette = null, mode, skillOverrides, context = [], options } = {}) {
+    // Replay-only fixtures never talk to the real token endpoint, even while recording
+    const delivered = [];
+    const { brain, skills, agentCalls } = createTestBrain({ skillOverrides, brain: { ...(mode === 'replay' ? { codexAuth: new FakeCodexAuth() } : {}), deliver: (userId, reply) => delivered.push(reply) } });
+    return withCassette(cassette, async (http) => {
+        let reply = await brain.think(message, context, skills, options);
+        if (options?.stream) reply = await collectStream(reply);
+        await brain.jobs.drain();
+        return { reply, delivered, brain, skills, agentCalls, http, called: (skill, method) => skills.calls.filter(c => c.skill === skill && c.method === method) };
+    }, { mode });
+}
+
+describe('slash commands', () => {
+    it('/usage reports spend without calling a model', async () => {
+        const { reply } = await think('/usage');
+        assert.match(reply, /\*\*Usage\*\*/);
+        assert.match(reply, /This month/);
+    });
+
+    it('/gemini goes straight to Gemini chat', async () => {
+        const { reply, http } = await think('/gemini how are you?', { cassette: 'gemini-reply' });
+        assert.equal(reply, "Hey Omar! I'm doing great — what can I help with?");
+        assert.equal(http.requests.length, 1);
+        assert.match(http.requests[0].body, /how are you\?/);
+    });
+
+    it('/claude goes straight to the backend', async () => {
+        const { reply, http } = await think('/claude plan my week', { cassette: 'codex-answer' });
+        assert.match(reply, /Rust 1\.90/);
+        assert.match(http.requests[0].url, /chat\/completions$/);
+        assert.match(http.requests[0].body, /plan my week/);
+    });
+
+    it('/agent runs the agent loop as a job', async () => {
+        const { reply, delivered, agentCalls } = await think('/agent tidy my downloads');
+        assert.match(reply, /^⏳ Started job \*\*j\w+\*\* \(agent: tidy my downloads\)/);
+        assert.match(delivered[0], /is done:\n\nagent loop: tidy my downloads$/);
+        assert.deepEqual(agentCalls, [{ agent: 'agentLoop', task: 'tidy my downloads' }]);
+    });
+
+    it('/plan runs the planner as a job', async () => {
+        const { delivered, agentCalls } = await think('/plan a trip to Lisbon');
+        assert.match(delivered[0], /plan: a trip to Lisbon$/);
+        assert.equal(agentCalls[0].agent, 'planner');
+    });
+
+    it('/route explains the decision without executing it', async () => {
+        const { reply, skills } = await think('/route draw a picture of a fox');
+        assert.match(reply, /-> image \(0\.9\)/);
+        assert.equal(skills.calls.filter(c => c.skill === 'geminiImage').length, 0);
+    });
+});
+
+describe('intents', () => {
+    it('upscale: the user\'s own latest image, never the skill\'s last one', async () => {
+        new MediaSessions()._db().exec('DELETE FROM media_items');
+        const nothing = await think('upscale the last image');
+        assert.equal(nothing.reply, 'There\'s nothing to upscale yet. Generate an image first, then ask me to upscale it.');
+        assert.equal(nothing.called('geminiImage', 'upscale').length, 0);
+
+        const { brain, skills } = createTestBrain();
+        await brain.think('draw a picture of a red fox', [], skills);
+        const reply = await brain.think('upscale the last image', [], skills);
+        assert.equal(reply.imageBase64, 'dXBzY2FsZWQ=');
+        assert.deepEqual(skills.calls.find(c => c.method === 'upscale').args, ['aW1hZ2U=', { prompt: 'a red fox' }]);
+    });
+
+    it('ultraImage', async () => {
+        const { reply, called } = await think('generate an ultra image of a red fox');
+        assert.equal(reply.imageBase64, 'dWx0cmE=');
+        assert.deepEqual(called('geminiImage', 'ultraGenerate')[0].args, ['a red fox']);
+    });
+
+    it('image', async () => {
+        const { reply, called } = await think('draw a picture of a red fox');
+        assert.equal(reply.imageBase64, 'aW1hZ2U=');
+        assert.deepEqual(called('geminiImage', 'generate')[0].args, ['a red fox']);
+    });
+
+    it('video, with options parsed from the message, as a job', async () => {
+        const { reply, delivered, called } = await think('make a 4k video of waves at sunset');
+        assert.match(reply, /job \*\*j\w+\*\* \(video: waves at sunset\)/);
+        assert.equal(delivered[0].videoPath, '/tmp/fake.mp4');
+        const [prompt, options] = called('geminiVideo', 'generateVideo')[0].args;
+        assert.equal(prompt, 'waves at sunset');
+        assert.equal(options.resolution, '4k');
+    });
+
+    it('weather: current conditions', async () => {
+        const { reply, called } = await think("what's the weather in Boston");
+        assert.equal(reply, 'Boston: 18°C, partly cloudy');
+        assert.deepEqual(called('weather', 'get')[0].args, ['Boston']);
+    });
+
+    it('weather: forecast', async () => {
+        const { reply } = await think('weather forecast for the week in Boston');
+        assert.equal(reply, 'Boston: rain tomorrow, sunny after');
+    });
+
+    it('sendEmail drafts first and only sends after confirmation', async () => {
+        const { brain, skills } = createTestBrain();
+        await withCassette('email-extract', async () => {
+            const draft = await brain.think('send an email to sam@example.com about lunch', [], skills);
+            assert.match(draft, /Email draft d\w+/);
+            assert.match(draft, /To: sam@example\.com \(✓ contacts\)/);
+            assert.equal(skills.calls.filter(c => c.method === 'sendEmail').length, 0);
+        });
+        await withCassette(null, async () => {
+            const sent = await brain.think('send it', [], skills);
+            assert.match(sent, /Email sent to \*\*sam@example\.com\*\*/);
+            const send = skills.calls.filter(c => c.method === 'sendEmail');
+            assert.deepEqual(send[0].args, ['sam@example.com', 'Lunch', 'See you Friday at noon!']);
+        });
+    });
+
+    it('reminder', async () => {
+        const { reply, called } = await think('remind me in 30 minutes to check the oven', { cassette: 'reminder-extract' });
+        assert.equal(reply, 'Reminder set for 30m: check the oven');
+        assert.deepEqual(called('scheduler', 'addReminder')[0].args.slice(0, 3), ['test-user', '30m', 'check the oven']);
+    });
+
+    it('compose (document) uses the backend with Drive context', async () => {
+        const { reply, called, http } = await think('create a document about Q3 goals', { cassette: 'codex-compose' });
+        assert.match(reply, /^\*\*Claude composed \(Doc\):\*\*\n\n# Q3 Goals/);
+        assert.match(reply, /📄 Created \*\*Q3 Goals\*\*: https:\/\/docs\.google\.com\/document\/d\/doc-new-000001\/edit\n\/undo w\w+ reverts it\.$/);
+        assert.deepEqual(called('googleWorkspace', 'createDocument')[0].args, ['Q3 Goals']);
+        assert.equal(called('googleWorkspace', 'listRecentFiles').length, 1);
+        assert.match(http.requests[0].body, /RECENT DRIVE FILES/);
+    });
+
+    for (const [name, message, method] of [
+        ['calendar', "what's on my calendar today", 'getTodayEvents'],
+        ['email', 'check my inbox', 'getRecentEmails'],
+        ['drive', 'find the budget spreadsheet in my drive', 'searchFiles'],
+    ]) {
+        it(`${name} analyzes Google data with Gemini`, async () => {
+            const { reply, called, http } = await think(message, { cassette: 'gemini-analysis' });
+            assert.match(reply, /standup at 10:00 AM/);
+            assert.equal(called('googleWorkspace', method).length, 1);
+            assert.match(http.requests[0].url, /generativelanguage/);
+        });
+    }
+
+    it('Google intents are skipped when the skill is not configured', async () => {
+        const { brain } = createTestBrain({ skillOverrides: { googleWorkspace: null } });
+        assert.equal(brain.explainRoute('check my inbox').intent, null);
+    });
+
+    it('webSearch lets the backend call web_search', async () => {
+        const { reply, called, http } = await think('latest news on rust', { cassette: 'codex-web-search' });
+        assert.equal(reply, 'Rust 1.90 just shipped — the headline is faster builds.');
+        assert.deepEqual(called('braveSearch', 'search')[0].args, ['latest rust news']);
+        assert.ok(JSON.parse(http.requests[0].body).tools.some(t => t.function.name === 'web_search'));
+        const toolMessage = JSON.parse(http.requests[1].body).messages.find(m => m.role === 'tool');
+        assert.equal(toolMessage.tool_call_id, 'call_web_1');
+        assert.match(toolMessage.content, /Rust 1\.90 released/);
+    });
+
+    it('multiStep goes to the orchestrator as a job', async () => {
+        const { delivered, agentCalls } = await think('research flights to Lisbon and then email the options to Sam');
+        assert.match(delivered[0], /orchestrated: research flights to Lisbon and then email the options to Sam$/);
+        assert.equal(agentCalls[0].agent, 'orchestrator');
+    });
+});
+
+describe('classifier', () => {
+    it('CHAT -> Gemini', async () => {
+        const { reply, http } = await think('tell me about React', { cassette: 'classify-chat' });
+        assert.equal(reply, 'React is a JavaScript library for building user interfaces.');
+        assert.equal(http.requests.length, 2);
+    });
+
+    it('ACTION -> backend', async () => {
+        const { reply, http } = await think('anything important I should deal with?', { cassette: 'classify-action' });
+        assert.match(reply, /invoice \(#1042\)/);
+        assert.match(http.requests[1].url, /chat\/completions$/);
+    });
+});
+
+describe('backend fallbacks', () => {
+    const fallbackReply = 'Gemini here — the backend is unavailable, but I can still help.';
+
+    it('401 refreshes the token once and retries', async () => {
+        const { reply, brain } = await think('/claude how is my week looking', { cassette: 'codex-401-recovered', mode: 'replay' });
+        assert.equal(reply, 'Refreshed and answered: your week looks light.');
+        assert.equal(brain.codexAuth.unauthorized, 1);
+    });
+
+    it('401 after refresh falls back to Gemini', async () => {
+        const { reply, brain } = await think('/claude how is my week looking', { cassette: 'codex-401-fallback', mode: 'replay' });
+        assert.equal(reply, fallbackReply);
+        assert.equal(brain.codexAuth.unauthorized, 1);
+    });
+
+    it('timeout falls back to Gemini', async () => {
+        const { reply } = await think('/claude how is my week looking', { cassette: 'codex-timeout', mode: 'replay' });
+        assert.equal(reply, fallbackReply);
+    });
+
+    it('empty response falls back to Gemini', async () => {
+        const { reply } = await think('/claude how is my week looking', { cassette: 'codex-empty', mode: 'replay' });
+        assert.equal(reply, fallbackReply);
+    });
+});
+
+describe('streaming', () => {
+    it('Gemini chat streams chunks from SSE', async () => {
+        const { reply } = await think('/gemini hi', { cassette: 'gemini-stream', options: { stream: true } });
+        assert.equal(reply, 'Hey Omar, streaming works!');
+    });
+
+    it('a streamed reply goes to Telegram as one message edited as it grows', async () => {
+        const sent = [];
+        const bot = {
+            sendMessage: async (chatId, text) => { sent.push(['send', chatId, text]); return { message_id: 7 }; },
+            editMessageText: async (text, options) => { sent.push(['edit', options.message_id, text]); },
+        };
+        const answer = 'Here is a longer answer that arrives word by word, so the one Telegram message has to grow while it streams.';
+        const gemini = new MockProvider({ name: 'gemini', responses: [answer] });
+        const { brain, skills } = createTestBrain({ skillOverrides: { scheduler: { bot } }, brain: { providers: { gemini } } });
+        const interval = config.streamEditInterval;
+        config.streamEditInterval = 1;
+        try {
+            assert.equal(await brain.sendToTelegram('test-user', await brain.think('/gemini tell me more', [], skills, { stream: true })), answer);
+        } finally {
+            config.streamEditInterval = interval;
+        }
+        assert.deepEqual(sent.filter(([op]) => op === 'send').map(([, chatId, text]) => [chatId, text.endsWith(' ▌')]), [['test-user', true]]);
+        assert.ok(sent.slice(1).every(([op, id]) => op === 'edit' && id === 7));
+        assert.equal(sent.at(-1)[2], answer);
+    });
+});
+
+describe('concurrent users', () => {
+    it('each call keeps its own user while another user\'s call runs', async () => {
+        const { brain, skills } = createTestBrain();
+        const guest = Object.assign(createFakeSkills(), { _userId: 'guest-1' });
+        await withCassette('reminder-extract', async () => {
+            const owner = brain.think('remind me in 30 minutes to check the oven', [], skills);
+            assert.match(await brain.think('/usage', [], guest), /\*\*Usage\*\*/);
+            assert.equal(await owner, 'Reminder set for 30m: check the oven');
+        }, { mode: 'replay' });
+        assert.deepEqual(skills.calls.filter(c => c.method === 'addReminder')[0].args.slice(0, 3), ['test-user', '30m', 'check the oven']);
+        assert.equal(guest.calls.filter(c => c.method === 'addReminder').length, 0);
+    });
+});
+
+describe('offline guard', () => {
+    it('an unrecorded request fails instead of reaching the network', async () => {
+        const { reply } = await think('/gemini hello');
+        assert.match(reply, /http-replay: no fixture for POST https:\/\/generativelanguage/);
+    });
+});
@@ -0,0 +1,84 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { TokenStore, tokenStore } from '../src/utils/token-store.js';
+import { createTestBrain } from './helpers/brain.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TokenStore', () => {
+    let dir, file, key;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mj-tokens-'));
+        file = path.join(dir, 'tokens.enc.json');
+        key = config.encryptionKey;
+        config.encryptionKey = 'correct horse battery staple';
+    });
+    afterEach(() => {
+        config.encryptionKey = key;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('encrypts records and reads them back in a new process', () => {
+        new TokenStore(file).set('google', 'default', { refresh_token: 'rt-secret', expiry_date: 1 });
+        const raw = fs.readFileSync(file, 'utf8');
+        assert.equal(JSON.parse(raw).enc, 'aes-256-gcm');
+        assert.doesNotMatch(raw, /rt-secret/);
+        assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+        assert.equal(new TokenStore(file).get('google', 'default').refresh_token, 'rt-secret');
+    });
+
+    it('leaves a file it can\'t decrypt untouched', () => {
+        new TokenStore(file).set('codex', 'primary', { refreshToken: 'rt-1' });
+        const before = fs.readFileSync(file, 'utf8');
+
+        for (const wrong of ['another key', undefined]) {
+            config.encryptionKey = wrong;
+            const store = new TokenStore(file);
+            assert.equal(store.get('codex', 'primary'), null);
+            assert.ok(store.unreadable);
+            assert.equal(store.set('codex', 'primary', { refreshToken: 'rt-2' }).refreshToken, 'rt-2', 'kept in memory');
+            assert.equal(fs.readFileSync(file, 'utf8'), before);
+        }
+
+        config.encryptionKey = 'correct horse battery staple';
+        assert.equal(new TokenStore(file).get('codex', 'primary').refreshToken, 'rt-1');
+    });
+
+    it('runs one locked refresh at a time per key', async () => {
+        const store = new TokenStore(file);
+        const order = [];
+        const refresh = (name, ms) => store.withLock('codex:primary', async () => {
+            order.push(`${name} start`);
+            await sleep(ms);
+            order.push(`${name} end`);
+            return name;
+        });
+        const other = () => store.withLock('codex:backup', async () => { order.push('backup'); });
+        assert.deepEqual(await Promise.all([refresh('a', 20), refresh('b', 0), other()]), ['a', 'b', undefined]);
+        assert.deepEqual(order, ['a start', 'backup', 'a end', 'b start', 'b end'], 'b waits for a; another key doesn\'t');
+        assert.equal(store.locks.size, 0);
+    });
+});
+
+describe('Google OAuth through the token store', () => {
+    it('gives the workspace skill\'s client the stored credentials and saves its refreshes', async () => {
+        tokenStore.set('google', 'default', { access_token: 'at-1', refresh_token: 'rt-google', status: 'ok' });
+        const auth = Object.assign(new EventEmitter(), { setCredentials(credentials) { this.credentials = credentials; } });
+        const { brain, skills } = createTestBrain({ skillOverrides: { googleWorkspace: { auth } } });
+
+        await brain.think('/profile', [], skills);
+        await brain.think('/profile', [], skills);
+        assert.deepEqual(auth.credentials, { access_token: 'at-1', refresh_token: 'rt-google' });
+        assert.equal(auth.listenerCount('tokens'), 1, 'attached once');
+
+        auth.emit('tokens', { access_token: 'at-2', expiry_date: 1 });
+        assert.deepEqual([tokenStore.get('google', 'default').access_token, tokenStore.get('google', 'default').refresh_token], ['at-2', 'rt-google']);
+        assert.equal(new TokenStore(tokenStore.filePath).get('google', 'default').access_token, 'at-2', 'saved to the file');
+    });
+});
@@ -0,0 +1,92 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolLoop } from '../src/brain/tool-loop.js';
+import { MockProvider } from '../src/brain/providers/mock.js';
+
+const call = (name, args, id = `call_${name}`) => ({ id, name, arguments: args });
+
+function setup({ replies, tools, ...options }) {
+    const audit = { events: [], record(event) { this.events.push(event); } };
+    const provider = new MockProvider({ responses: replies });
+    const loop = new ToolLoop({ maxSteps: 3, timeoutMs: 50, maxResultChars: 200, audit, ...options });
+    const run = (extra = {}) => loop.run(provider, { system: 'sys', messages: [{ role: 'user', content: 'hi' }], tools, userId: 'u1', ...extra });
+    return { provider, audit, run };
+}
+
+const echo = { name: 'echo', description: 'echo', parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }, run: ({ text }) => `echo: ${text}` };
+
+describe('ToolLoop', () => {
+    it('feeds tool results back until the model answers', async () => {
+        const { provider, audit, run } = setup({ tools: [echo], replies: [{ text: '', toolCalls: [call('echo', { text: 'a' })] }, 'done'] });
+        const result = await run();
+        assert.equal(result.text, 'done');
+        assert.equal(result.steps, 2);
+        const second = provider.calls[1].messages;
+        assert.deepEqual(second.at(-2).toolCalls, [call('echo', { text: 'a' })]);
+        assert.deepEqual(second.at(-1), { role: 'tool', toolCallId: 'call_echo', name: 'echo', content: 'echo: a' });
+        assert.equal(provider.calls[0].tools[0].name, 'echo');
+        assert.equal(audit.events[0].tool, 'echo');
+        assert.equal(audit.events[0].ok, true);
+        assert.equal(audit.events[0].userId, 'u1');
+    });
+
+    it('stops at the step limit and asks for an answer without tools', async () => {
+        const { provider, run } = setup({ tools: [echo], replies: [{ text: '', toolCalls: [call('echo', { text: 'again' })] }] });
+        provider.handler = (req) => (req.toolChoice === 'none' ? 'best effort' : { text: '', toolCalls: [call('echo', { text: String(provider.calls.length) })] });
+        const result = await run();
+        assert.equal(result.text, 'best effort');
+        assert.equal(result.exhausted, true);
+        assert.equal(provider.calls.length, 4);
+    });
+
+    it('reports bad arguments, unknown tools and failures to the model', async () => {
+        const broken = { ...echo, name: 'broken', run: () => { throw new Error('API down'); } };
+        const { provider, audit, run } = setup({
+            tools: [echo, broken],
+            replies: [{ text: '', toolCalls: [call('echo', {}, 'c1'), call('nope', {}, 'c2'), call('echo', null, 'c3'), call('broken', { text: 'x' }, 'c4')] }, 'ok'],
+        });
+        await run();
+        const results = provider.calls[1].messages.filter(m => m.role === 'tool').map(m => m.content);
+        assert.match(results[0], /^Error: invalid arguments: "text" is required/);
+        assert.match(results[1], /^Error: unknown tool "nope"/);
+        assert.match(results[2], /^Error: arguments were not valid JSON/);
+        assert.equal(results[3], 'Error: API down');
+        assert.deepEqual(audit.events.map(e => e.ok), [false, false, false, false]);
+    });
+
+    it('times out slow tools', async () => {
+        const slow = { ...echo, name: 'slow', run: () => new Promise(resolve => setTimeout(() => resolve('late'), 500)) };
+        const { provider, run } = setup({ tools: [slow], replies: [{ text: '', toolCalls: [call('slow', { text: 'x' })] }, 'ok'] });
+        await run();
+        assert.equal(provider.calls[1].messages.at(-1).content, 'Error: slow timed out after 50ms');
+    });
+
+    it('clips long results at a line boundary', async () => {
+        const long = { ...echo, name: 'long', run: () => Array.from({ length: 50 }, (_, i) => `line ${i}`).join('\n') };
+        const { provider, run } = setup({ tools: [long], replies: [{ text: '', toolCalls: [call('long', { text: 'x' })] }, 'ok'] });
+        await run();
+        const content = provider.calls[1].messages.at(-1).content;
+        assert.ok(content.length < 260);
+        assert.match(content, /\nline \d+\n\[\d+ more characters cut\]$/);
+    });
+
+    it('reuses results from the shared cache instead of running the tool again', async () => {
+        let runs = 0;
+        const counted = { ...echo, run: ({ text }) => { runs++; return text; } };
+        const cache = new Map();
+        const replies = () => [{ text: '', toolCalls: [call('echo', { text: 'once' })] }, 'ok'];
+        await setup({ tools: [counted], replies: replies() }).run({ cache });
+        await setup({ tools: [counted], replies: replies() }).run({ cache });
+        assert.equal(runs, 1);
+    });
+
+    it('hides tools the user may not use and refuses calls to them', async () => {
+        const paid = { ...echo, name: 'paid', capability: 'paid-media', run: () => 'should not run' };
+        const { provider, audit, run } = setup({ tools: [echo, paid], replies: [{ text: '', toolCalls: [call('paid', { text: 'x' })] }, 'ok'] });
+        await run({ permit: (capability) => capability !== 'paid-media' });
+        assert.deepEqual(provider.calls[0].tools.map(t => t.name), ['echo']);
+        assert.match(provider.calls[1].messages.at(-1).content, /^Error: denied: needs paid-media/);
+        assert.equal(audit.events[0].ok, false);
+    });
+});
@@ -0,0 +1,92 @@
+import './helpers/env.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { usageLedger } from '../src/utils/usage-ledger.js';
+import { userProfiles } from '../src/utils/user-profiles.js';
+import { zonedTimeToDate } from '../src/utils/time.js';
+import { createTestBrain } from './helpers/brain.js';
+
+const at = (local) => zonedTimeToDate(local, config.timezone).getTime();
+const NOW = new Date(at('2026-03-15T12:00'));
+
+describe('UsageLedger', () => {
+    let saved;
+    beforeEach(() => {
+        saved = { daily: config.dailyBudgetUsd, monthly: config.monthlyBudgetUsd, users: config.userBudgets };
+        usageLedger._db().exec('DELETE FROM usage_events');
+    });
+    afterEach(() => {
+        Object.assign(config, { dailyBudgetUsd: saved.daily, monthlyBudgetUsd: saved.monthly, userBudgets: saved.users });
+    });
+
+    it('prices text by tokens and media by unit', () => {
+        assert.equal(usageLedger.record({ userId: 'u1', model: 'gemini-3.0-flash-preview', inputTokens: 1000, outputTokens: 1000 }).cost_usd, 0.0035);
+        assert.equal(usageLedger.record({ userId: 'u1', model: 'veo-3.1-fast', mediaUnits: 8 }).cost_usd, 1.2);
+        assert.equal(usageLedger.record({ userId: 'u1', model: 'some-new-model', inputTokens: 1000 }).cost_usd, 0);
+        assert.equal(usageLedger.record({ userId: 'u1', model: 'gpt-5.3-codex', costUsd: 0.5 }).cost_usd, 0.5);
+    });
+
+    it('checks the local day and month separately, per user', () => {
+        Object.assign(config, { dailyBudgetUsd: 1, monthlyBudgetUsd: 2, userBudgets: { u2: { daily: 0, monthly: 1 } } });
+        for (const userId of ['u1', 'u2']) {
+            usageLedger.record({ userId, feature: 'chat', costUsd: 5, ts: at('2026-02-28T23:30') });
+            usageLedger.record({ userId, feature: 'chat', costUsd: 0.5, ts: at('2026-03-14T23:59') });
+            usageLedger.record({ userId, feature: 'image', costUsd: 0.4, ts: at('2026-03-15T00:10') });
+            usageLedger.record({ userId, feature: 'chat', costUsd: 0.2, ts: at('2026-03-15T11:00') });
+        }
+
+        assert.deepEqual(usageLedger.checkBudget('u1', NOW), { ok: true }, 'last month and yesterday don\'t count against today');
+        assert.deepEqual(usageLedger.checkBudget('u2', NOW), { ok: false, period: 'monthly', spent: 1.1, limit: 1, action: 'downgrade' }, 'a daily override of 0 is unlimited');
+        usageLedger.record({ userId: 'u1', feature: 'ultraImage', costUsd: 0.45, ts: at('2026-03-15T11:30') });
+        const over = usageLedger.checkBudget('u1', NOW);
+        assert.deepEqual([over.ok, over.period, over.limit], [false, 'daily', 1]);
+        assert.ok(Math.abs(over.spent - 1.05) < 1e-9);
+
+        const report = usageLedger.report('u1', NOW);
+        assert.match(report, /\*\*Today:\*\* \$1\.05 of \$1\.00\n  • ultraImage: 1 call, \$0\.4500\n  • image: 1 call, \$0\.4000\n  • chat: 1 call, \$0\.2000\n/);
+        assert.match(report, /Sat, Mar 14: \$0\.5000 \(1\)\n  Sun, Mar 15: \$1\.05 \(3\)\n/);
+        assert.match(report, /\*\*This month:\*\* \$1\.55 of \$2\.00$/);
+    });
+
+    it('starts the day at midnight in the user\'s own time zone', () => {
+        config.dailyBudgetUsd = 1;
+        userProfiles.set('tokyo-user', 'timezone', 'Asia/Tokyo');
+        // 10:00 in New York on the 15th is 23:00 in Tokyo; NOW is already the 16th there
+        for (const userId of ['u1', 'tokyo-user']) usageLedger.record({ userId, feature: 'chat', costUsd: 1.5, ts: at('2026-03-15T10:00') });
+
+        assert.equal(usageLedger.checkBudget('u1', NOW).period, 'daily');
+        assert.deepEqual(usageLedger.checkBudget('tokyo-user', NOW), { ok: true });
+        const report = usageLedger.report('tokyo-user', NOW);
+        assert.match(report, /\*\*Today:\*\* \$0\.0000 of \$1\.00\n/);
+        assert.match(report, /Sun, Mar 15: \$1\.50 \(1\)\n  Mon, Mar 16: \$0\.0000 \(0\)\n/);
+    });
+});
+
+describe('budgets through think()', () => {
+    let saved;
+    beforeEach(() => {
+        saved = { daily: config.dailyBudgetUsd, action: config.budgetAction };
+        usageLedger._db().exec('DELETE FROM usage_events');
+        config.dailyBudgetUsd = 0.01;
+        usageLedger.record({ userId: 'test-user', feature: 'chat', costUsd: 0.05 });
+    });
+    afterEach(() => Object.assign(config, { dailyBudgetUsd: saved.daily, budgetAction: saved.action }));
+
+    it('refuses when BUDGET_ACTION is refuse, but still answers /usage', async () => {
+        config.budgetAction = 'refuse';
+        const { brain, skills } = createTestBrain();
+        assert.equal(await brain.think('generate an image of a red fox', [], skills), 'You\'ve used your daily budget ($0.05 of $0.01). Try again tomorrow — /usage shows the breakdown.');
+        assert.deepEqual(skills.calls, []);
+        assert.match(await brain.think('/usage', [], skills), /\*\*Today:\*\* \$0\.0500 of \$0\.0100/);
+    });
+
+    it('downgrades Ultra to the free image model and pauses paid media', async () => {
+        config.budgetAction = 'downgrade';
+        const { brain, skills } = createTestBrain();
+        await brain.think('generate an ultra image of a red fox', [], skills);
+        assert.deepEqual(skills.calls.map(c => c.method), ['generate']);
+        assert.match(await brain.think('make a 4k video of waves at sunset', [], skills), /over budget, so video generation is paused/);
+        assert.match(await brain.think('upscale it', [], skills), /over budget, so upscaling is paused/);
+    });
+});
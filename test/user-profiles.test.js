@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { createFakeSkills } from './helpers/fake-skills.js';
+import { userProfiles } from '../src/utils/user-profiles.js';
+
+const asUser = (userId, overrides) => Object.assign(createFakeSkills(overrides), { _userId: userId });
+
+describe('per-user profiles', () => {
+    const { brain } = createTestBrain({ brain: { adminServer: false } });
+    const promptFor = (skills, name) => brain._prompt(brain._turn(skills), name);
+
+    it('the owner gets the default Google account and their name in every prompt', async () => {
+        const skills = asUser('test-user');
+        assert.match(await brain.think('/profile', [], skills), /Name: Omar[\s\S]*Google: linked \(default\)/);
+        assert.match(promptFor(skills, 'backend'), /Omar's Gmail, Google Calendar/);
+        assert.match(promptFor(skills, 'backend'), /\(America\/New_York\)$/);
+        assert.ok(brain._turn(skills).skills.googleWorkspace);
+    });
+
+    it('another allowed user never sees the owner\'s Google data', async () => {
+        const skills = asUser('guest-1');
+        assert.match(await brain.think('/profile name Priya', [], skills), /Name: Priya[\s\S]*Google: not linked/);
+        assert.equal(brain._turn(skills).skills.googleWorkspace, undefined);
+        assert.doesNotMatch(promptFor(skills, 'backend'), /Omar|Gmail, Google Calendar/);
+        assert.match(promptFor(skills, 'backend'), /Priya has no Google account linked/);
+        assert.equal(await brain.think('/profile google default', [], skills), 'Google accounts are linked by the bot owner, not from chat.');
+    });
+
+    it('a linked account is reached through forAccount(), never the owner\'s', async () => {
+        const accounts = [];
+        const skills = asUser('guest-2', { googleWorkspace: { forAccount: (account) => { accounts.push(account); return { account, isReady: () => true }; } } });
+        userProfiles.linkGoogle('guest-2', 'work');
+        await brain.think('/profile', [], skills);
+        assert.deepEqual(accounts, ['work']);
+        assert.equal(brain._turn(skills).skills.googleWorkspace.account, 'work');
+    });
+
+    it('validates and resets profile fields', async () => {
+        const skills = asUser('guest-3');
+        assert.match(await brain.think('/profile timezone Mars/Olympus', [], skills), /not a time zone/);
+        assert.match(await brain.think('/profile timezone Europe/Lisbon', [], skills), /Time zone: Europe\/Lisbon/);
+        assert.match(promptFor(skills, 'chat'), /\(Europe\/Lisbon\)$/);
+        assert.match(await brain.think('/profile locale pt-BR', [], skills), /Locale: pt-BR/);
+        assert.match(promptFor(skills, 'chat'), /Reply in Portuguese/);
+        assert.match(await brain.think('/profile reset timezone', [], skills), /Time zone: America\/New_York/);
+        assert.match(await brain.think('/profile mood happy', [], skills), /Unknown profile field "mood"/);
+    });
+
+    it('weather without a city uses the user\'s own location, or asks for one', async () => {
+        const owner = asUser('test-user');
+        await brain.think('what\'s the weather like', [], owner);
+        assert.deepEqual(owner.calls.find(c => c.skill === 'weather').args, ['New York'], 'the owner falls back to BRIEFING_LOCATION');
+
+        const skills = asUser('guest-4');
+        assert.equal(await brain.think('what\'s the weather like', [], skills), 'Which city? Ask e.g. "weather in Lisbon", or set yours once with /profile location Lisbon.');
+        assert.equal(skills.calls.length, 0);
+        assert.match(await brain.think('/profile location Lisbon', [], skills), /Location: Lisbon/);
+        await brain.think('what\'s the weather like', [], skills);
+        assert.deepEqual(skills.calls.find(c => c.skill === 'weather').args, ['Lisbon']);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestBrain } from './helpers/brain.js';
+import { createFakeSkills } from './helpers/fake-skills.js';
+import { withCassette } from './helpers/http-replay.js';
+import { config } from '../src/config.js';
+import { GeminiProvider } from '../src/brain/providers/index.js';
+import { Voice, MockTranscriber, MockSpeaker, WhisperTranscriber, GeminiTranscriber, speakable, chunkSpeech, parseVoiceRequest } from '../src/brain/voice.js';
+
+const audio = (text) => Buffer.from(text);
+
+describe('speech text', () => {
+    it('strips markdown into sentences a voice can read', () => {
+        const reply = '## Today\n- **Standup** at 10:00\n- Dentist\n\nSee [the doc](https://x.y/z) or https://example.com 🎉\n```js\nrun()\n```\n| Item | Cost |\n|---|---|\n| Rent | 1200 |';
+        assert.equal(speakable(reply), 'Today.\nStandup at 10:00.\nDentist.\n\nSee the doc or a link\n(code left out)\nItem, Cost.\nRent, 1200.');
+    });
+
+    it('cuts long text at sentence ends', () => {
+        const text = 'One two three. Four five six! Seven eight nine? Ten.';
+        assert.deepEqual(chunkSpeech(text, 30), ['One two three. Four five six!', 'Seven eight nine? Ten.']);
+        assert.deepEqual(chunkSpeech('a'.repeat(25) + ' ' + 'b'.repeat(10), 20), ['a'.repeat(20), 'aaaaa bbbbbbbbbb']);
+    });
+
+    it('finds "reply by voice" and "reply in text" at the end of a request', () => {
+        assert.deepEqual(parseVoiceRequest("what's the weather in Boston, reply by voice"), { message: "what's the weather in Boston", voice: true });
+        assert.deepEqual(parseVoiceRequest('summarize my inbox. Read it out loud!'), { message: 'summarize my inbox.', voice: true });
+        assert.deepEqual(parseVoiceRequest('what time is it? answer in text'), { message: 'what time is it?', voice: false });
+        assert.deepEqual(parseVoiceRequest('I lost my voice'), { message: 'I lost my voice', voice: null });
+    });
+});
+
+describe('Voice', () => {
+    it('falls back to the next transcriber and caches transcripts and speech', async () => {
+        const broken = new MockTranscriber({ name: 'broken', handler: () => new Error('quota exceeded') });
+        const mock = new MockTranscriber();
+        const speaker = new MockSpeaker();
+        const voice = new Voice({ transcribers: [broken, mock], speaker });
+
+        assert.deepEqual(await voice.transcribe(audio('call mom at five')), { text: 'call mom at five', provider: 'mock', cached: false });
+        assert.deepEqual(await voice.transcribe(audio('call mom at five')), { text: 'call mom at five', provider: 'mock', cached: true });
+        assert.deepEqual([broken.calls.length, mock.calls.length], [1, 1]);
+
+        await voice.speak('Hello there.');
+        const { parts } = await voice.speak('Hello there.');
+        assert.deepEqual(speaker.calls, ['Hello there.']);
+        assert.equal(parts[0].audio.toString(), 'mock-speech:Hello there.');
+
+        const failing = new Voice({ transcribers: [broken], speaker: null });
+        await assert.rejects(failing.transcribe(audio('x')), /broken: quota exceeded/);
+        assert.equal(failing.canSpeak(), false);
+    });
+
+    it('speaks at most VOICE_MAX_CHUNKS pieces', async () => {
+        const saved = [config.voiceChunkChars, config.voiceMaxChunks];
+        [config.voiceChunkChars, config.voiceMaxChunks] = [200, 2];
+        try {
+            const voice = new Voice({ transcribers: [], speaker: new MockSpeaker() });
+            const { parts, truncated } = await voice.speak(Array.from({ length: 12 }, (_, i) => `Sentence number ${i} is here and has some words.`).join(' '));
+            assert.equal(parts.length, 2);
+            assert.equal(truncated, true);
+            assert.ok(parts.every(p => p.text.length <= 200));
+        } finally {
+            [config.voiceChunkChars, config.voiceMaxChunks] = saved;
+        }
+    });
+
+    it('uses Gemini with the audio inline when Whisper fails', async () => {
+        const voice = new Voice({ transcribers: [new WhisperTranscriber({ apiKey: 'test-openai-key' }), new GeminiTranscriber({ provider: new GeminiProvider({ maxRetries: 0 }) })], speaker: null });
+        await withCassette('voice-whisper-fallback', async (http) => {
+            assert.deepEqual(await voice.transcribe(audio('OggS fake opus'), { mimeType: 'audio/ogg; codecs=opus' }), { text: "What's the weather in Boston?", provider: 'gemini', cached: false });
+            const body = JSON.parse(http.requests[1].body);
+            assert.deepEqual(body.contents[0].parts[0], { inlineData: { mimeType: 'audio/ogg', data: audio('OggS fake opus').toString('base64') } });
+        }, { mode: 'replay' });
+    });
+});
+
+describe('voice through think()', () => {
+    before(() => { config.userRoles = { 'guest-v': 'guest' }; });
+    after(() => { config.userRoles = {}; });
+
+    it('routes the transcript and mirrors voice with voice', async () => {
+        const { brain, skills } = createTestBrain();
+        const reply = await brain.think('', [], skills, { audio: { data: audio("what's the weather in Boston"), mimeType: 'audio/ogg' } });
+        assert.deepEqual([reply.text, reply.transcript, reply.truncated], ['Boston: 18°C, partly cloudy', "what's the weather in Boston", false]);
+        assert.equal(reply.voice[0].audio.toString(), 'mock-speech:Boston: 18°C, partly cloudy');
+
+        // Typed text gets text, unless asked for voice
+        assert.equal(await brain.think("what's the weather in Boston", [], skills), 'Boston: 18°C, partly cloudy');
+        assert.equal((await brain.think("what's the weather in Boston, reply by voice", [], skills)).text, 'Boston: 18°C, partly cloudy');
+    });
+
+    it('/voice sets the mode; "reply in text" overrides it for one message', async () => {
+        const { brain, skills } = createTestBrain();
+        assert.match(await brain.think('/voice off', [], skills), /Saved\. 🔊 Replies: always text\./);
+        assert.equal(await brain.think('', [], skills, { audio: { data: audio('weather in Paris'), mimeType: 'audio/ogg' } }), '🎤 "weather in Paris"\n\nParis: 18°C, partly cloudy');
+        assert.match(await brain.think('/voice on', [], skills), /always spoken/);
+        assert.equal(await brain.think('weather in Paris, answer in text', [], skills), 'Paris: 18°C, partly cloudy');
+        assert.ok((await brain.think('weather in Paris', [], skills)).voice);
+        await brain.think('/voice auto', [], skills);
+    });
+
+    it('needs the voice capability, and says so when transcription fails', async () => {
+        const { brain } = createTestBrain({ brain: { voice: new Voice({ transcribers: [new MockTranscriber({ handler: () => new Error('down') })], speaker: new MockSpeaker() }) } });
+        const guest = Object.assign(createFakeSkills(), { _userId: 'guest-v' });
+        assert.match(await brain.think('', [], guest, { audio: { data: audio('hi'), mimeType: 'audio/ogg' } }), /voice messages isn't available to you \(your role: guest\)/);
+        assert.match(await brain.think('', [], createFakeSkills(), { audio: { data: audio('hi'), mimeType: 'audio/ogg' } }), /couldn't make out that voice message/);
+    });
+});